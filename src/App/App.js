@@ -25,6 +25,10 @@ import Ecosystem from "pages/Ecosystem/Ecosystem";
 import Stake from "pages/Stake/Stake";
 import { Exchange } from "pages/Exchange/Exchange";
 import Actions from "pages/Actions/Actions";
+import Leaderboard from "pages/Leaderboard/Leaderboard";
+import Bridge from "pages/Bridge/Bridge";
+import TraderProfile from "pages/TraderProfile/TraderProfile";
+import Referrals from "pages/Referrals/Referrals";
 import OrdersOverview from "pages/OrdersOverview/OrdersOverview";
 import PositionsOverview from "pages/PositionsOverview/PositionsOverview";
 import BuyUlp from "pages/BuyUlp/BuyUlp";
@@ -100,6 +104,7 @@ import ExternalLink from "components/ExternalLink/ExternalLink";
 import { isDevelopment } from "config/env";
 import Button from "components/Button/Button";
 import { roundToTwoDecimals } from "lib/numbers";
+import { decodeReferralCode, encodeReferralCode } from "domain/referrals";
 
 if (window?.ethereum?.autoRefreshOnNetworkChange) {
   window.ethereum.autoRefreshOnNetworkChange = false;
@@ -166,6 +171,38 @@ function FullApp() {
 
   const query = useRouteQuery();
 
+  // Keep the code of `?ref=` links, it is sent with increases until the trader has one bound on chain
+  useEffect(() => {
+    // Links may carry the code before the hash, outside of the router location
+    const pageParams = new URLSearchParams(window.location.search);
+    const referralCode = query.get(REFERRAL_CODE_QUERY_PARAM) || pageParams.get(REFERRAL_CODE_QUERY_PARAM);
+    if (!referralCode) {
+      return;
+    }
+
+    // Drop it from the page URL too, or every route change would store it again over a code entered later
+    if (pageParams.has(REFERRAL_CODE_QUERY_PARAM)) {
+      pageParams.delete(REFERRAL_CODE_QUERY_PARAM);
+      const pageSearch = pageParams.toString() ? `?${pageParams.toString()}` : "";
+      window.history.replaceState(
+        window.history.state,
+        "",
+        `${window.location.pathname}${pageSearch}${window.location.hash}`
+      );
+    }
+
+    const encodedReferralCode = encodeReferralCode(referralCode);
+    if (encodedReferralCode !== ethers.constants.HashZero) {
+      localStorage.setItem(REFERRAL_CODE_KEY, encodedReferralCode);
+    }
+
+    const queryParams = new URLSearchParams(location.search);
+    if (queryParams.has(REFERRAL_CODE_QUERY_PARAM)) {
+      queryParams.delete(REFERRAL_CODE_QUERY_PARAM);
+      history.replace({ search: queryParams.toString() });
+    }
+  }, [query, history, location]);
+
   const disconnectAccount = useCallback(() => {
     // only works with WalletConnect
     clearWalletConnectData();
@@ -274,6 +311,10 @@ function FullApp() {
   const localStorageCode = window.localStorage.getItem(REFERRAL_CODE_KEY);
   const baseUrl = getAppBaseUrl();
   let appRedirectUrl = baseUrl + selectedToPage;
+  const localStorageCodeString = decodeReferralCode(localStorageCode || undefined);
+  if (localStorageCodeString) {
+    appRedirectUrl = `${appRedirectUrl}?${REFERRAL_CODE_QUERY_PARAM}=${localStorageCodeString}`;
+  }
 
   const [pendingTxns, setPendingTxns] = useState([]);
 
@@ -452,13 +493,13 @@ function FullApp() {
               </Route>
               {/* <Route exact path="/ecosystem">
                 <Ecosystem />
-              </Route>
+              </Route> */}
               <Route exact path="/referrals">
                 <Referrals pendingTxns={pendingTxns} connectWallet={connectWallet} setPendingTxns={setPendingTxns} />
-              </Route> */}
-              {/* <Route exact path="/referrals/:account">
+              </Route>
+              <Route exact path="/referrals/:account">
                 <Referrals pendingTxns={pendingTxns} connectWallet={connectWallet} setPendingTxns={setPendingTxns} />
-              </Route> */}
+              </Route>
               {/* <Route exact path="/nft_wallet">
                 <NftWallet />
               </Route> */}
@@ -468,9 +509,18 @@ function FullApp() {
               {/* <Route exact path="/actions">
                 <Actions />
               </Route> */}
-              {/* <Route exact path="/actions/:account">
+              <Route exact path="/actions/:account">
                 <Actions savedIsPnlInLeverage={savedIsPnlInLeverage} savedShowPnlAfterFees={savedShowPnlAfterFees} />
-              </Route> */}
+              </Route>
+              <Route exact path="/leaderboard">
+                <Leaderboard />
+              </Route>
+              <Route exact path="/trader/:account">
+                <TraderProfile />
+              </Route>
+              <Route exact path="/bridge">
+                <Bridge />
+              </Route>
               {/* <Route exact path="/referrals-tier">
                 <ReferralsTier />
               </Route> */}
@@ -6,6 +6,8 @@ import {
   PRECISION,
   BASIS_POINTS_DIVISOR,
   LIMIT,
+  SCALE,
+  TWAP,
   MIN_PROFIT_TIME,
   INCREASE,
   getExchangeRate,
@@ -14,6 +16,7 @@ import {
   DEFAULT_HIGHER_SLIPPAGE_AMOUNT,
   calculatePositionDelta,
   DECREASE,
+  getDeltaStr,
 } from "lib/legacy";
 import { getConstant } from "config/chains";
 import { getContract } from "config/contracts";
@@ -25,6 +28,8 @@ import Tooltip from "../Tooltip/Tooltip";
 import Checkbox from "../Checkbox/Checkbox";
 import ExchangeInfoRow from "./ExchangeInfoRow";
 import { cancelDecreaseOrder, handleCancelOrder } from "domain/legacy";
+import { getBracketPnl } from "domain/brackets";
+import { formatTwapInterval } from "domain/splitOrders";
 import StatsTooltipRow from "../StatsTooltip/StatsTooltipRow";
 import { TRIGGER_PREFIX_ABOVE, TRIGGER_PREFIX_BELOW } from "config/ui";
 import { useLocalStorageSerializeKey } from "lib/localStorage";
@@ -113,6 +118,9 @@ export default function ConfirmationBox(props) {
     infoTokens,
     fundingRate,
     borrowFeeText,
+    takeProfitPrice,
+    stopLossPrice,
+    splitOrders,
   } = props;
 
   const [savedSlippageAmount] = useLocalStorageSerializeKey([chainId, SLIPPAGE_BPS_KEY], DEFAULT_SLIPPAGE_AMOUNT);
@@ -162,6 +170,12 @@ export default function ConfirmationBox(props) {
   }
 
   const getTitle = () => {
+    if (orderOption === SCALE) {
+      return t`Confirm Scale Orders`;
+    }
+    if (orderOption === TWAP) {
+      return t`Confirm TWAP`;
+    }
     if (!isMarketOrder) {
       return t`Confirm Limit Order`;
     }
@@ -258,6 +272,9 @@ export default function ConfirmationBox(props) {
       return isMarketOrder && MIN_PROFIT_TIME > 0 ? t`Accept minimum and ${action}` : action;
     }
 
+    if (orderOption === SCALE) {
+      return t`Creating Orders...`;
+    }
     if (!isMarketOrder) {
       return t`Creating Order...`;
     }
@@ -554,8 +571,10 @@ export default function ConfirmationBox(props) {
   const INCREASE_ORDER_EXECUTION_GAS_FEE = getConstant(chainId, "INCREASE_ORDER_EXECUTION_GAS_FEE");
   const executionFee = isSwap ? SWAP_ORDER_EXECUTION_GAS_FEE : INCREASE_ORDER_EXECUTION_GAS_FEE;
   const executionFeeUsd = getUsd(executionFee, nativeTokenAddress, false, infoTokens);
-  const currentExecutionFee = isMarketOrder ? minExecutionFee : executionFee;
-  const currentExecutionFeeUsd = isMarketOrder ? minExecutionFeeUSD : executionFeeUsd;
+  // Every order of a split pays its own execution fee
+  const executionFeeCount = splitOrders ? splitOrders.count : 1;
+  const currentExecutionFee = (isMarketOrder ? minExecutionFee : executionFee)?.mul(executionFeeCount);
+  const currentExecutionFeeUsd = (isMarketOrder ? minExecutionFeeUSD : executionFeeUsd)?.mul(executionFeeCount);
 
   const renderAvailableLiquidity = useCallback(() => {
     let availableLiquidity;
@@ -608,6 +627,30 @@ export default function ConfirmationBox(props) {
     );
   }, [toTokenInfo, shortCollateralToken, isShort, isLong, isSwap, toAmount, toUsdMax]);
 
+  const renderBracketRow = useCallback(
+    (label, price) => {
+      const pnl = getBracketPnl(price, {
+        isLong,
+        sizeDelta: toUsdMax,
+        averagePrice: nextAveragePrice,
+        collateral: fromUsdMin,
+      });
+      const pnlText = pnl && getDeltaStr(pnl);
+      return (
+        <ExchangeInfoRow label={label}>
+          ${formatAmount(price, USD_DECIMALS, 2, true)}
+          {pnlText && (
+            <span className={pnl.hasProfit ? "positive" : "negative"}>
+              {" "}
+              {pnlText.deltaStr} ({pnlText.deltaPercentageStr})
+            </span>
+          )}
+        </ExchangeInfoRow>
+      );
+    },
+    [isLong, toUsdMax, nextAveragePrice, fromUsdMin]
+  );
+
   const renderMarginSection = useCallback(() => {
     const collateralToken = getToken(chainId, collateralTokenAddress);
     return (
@@ -692,10 +735,29 @@ export default function ConfirmationBox(props) {
             </ExchangeInfoRow>
           )}
           {!isMarketOrder && (
-            <ExchangeInfoRow label={t`Limit Price`}>
+            <ExchangeInfoRow label={orderOption === SCALE ? t`Avg. Limit Price` : t`Limit Price`}>
               ${formatAmount(triggerPriceUsd, USD_DECIMALS, 2, true)}
             </ExchangeInfoRow>
           )}
+          {splitOrders && (
+            <ExchangeInfoRow label={t`Orders`}>
+              {splitOrders.count} x ${formatAmount(splitOrders.sizeDelta, USD_DECIMALS, 2, true)}
+            </ExchangeInfoRow>
+          )}
+          {splitOrders?.prices && (
+            <ExchangeInfoRow label={t`Price Range`}>
+              ${formatAmount(splitOrders.prices[0], USD_DECIMALS, 2, true)}
+              <BsArrowRight className="transition-arrow" />${formatAmount(
+                splitOrders.prices[splitOrders.prices.length - 1],
+                USD_DECIMALS,
+                2,
+                true
+              )}
+            </ExchangeInfoRow>
+          )}
+          {splitOrders?.interval && (
+            <ExchangeInfoRow label={t`Interval`}>{formatTwapInterval(splitOrders.interval)}</ExchangeInfoRow>
+          )}
           <ExchangeInfoRow label={t`Liq. Price`}>
             {hasExistingPosition && toAmount && toAmount.gt(0) && (
               <div className="inline-block muted">
@@ -707,6 +769,24 @@ export default function ConfirmationBox(props) {
             {!toAmount && displayLiquidationPrice && `-`}
             {!displayLiquidationPrice && `-`}
           </ExchangeInfoRow>
+          {takeProfitPrice && renderBracketRow(t`Take Profit`, takeProfitPrice)}
+          {stopLossPrice && renderBracketRow(t`Stop Loss`, stopLossPrice)}
+          {orderOption === TWAP && (
+            <div className="Confirmation-box-info muted">
+              <Trans>
+                Each order is sent from this page when it is due and needs to be confirmed in your wallet. Orders are
+                paused while the page is closed and resume once it is open again.
+              </Trans>
+            </div>
+          )}
+          {(takeProfitPrice || stopLossPrice) && (
+            <div className="Confirmation-box-info muted">
+              <Trans>
+                Take profit and stop loss orders are created once the position is increased, each needs its own
+                transaction. When one of them executes the other one is cancelled.
+              </Trans>
+            </div>
+          )}
           {!isSwap ? (
             <ExchangeInfoRow label={t`Spread Fee`} isTop>
               <div className="text-primary">{spreadFeePercent}%</div>
@@ -770,6 +850,10 @@ export default function ConfirmationBox(props) {
     showCollateralSpread,
     savedSlippageAmount,
     fundingRate,
+    takeProfitPrice,
+    stopLossPrice,
+    renderBracketRow,
+    splitOrders,
   ]);
 
   const renderSwapSection = useCallback(() => {
@@ -0,0 +1,293 @@
+import React, { useEffect, useState } from "react";
+import { t, Trans } from "@lingui/macro";
+import { ethers } from "ethers";
+import cx from "classnames";
+
+import { usePerp } from "contexts/PerpContext";
+import { getExplorerUrl } from "config/chains";
+import { getPerpMarketInfo } from "config/perpMarkets";
+import ExternalLink from "components/ExternalLink/ExternalLink";
+import { helperToast } from "lib/helperToast";
+import { shortenAddress } from "lib/legacy";
+import { formatAmount } from "lib/numbers";
+
+import "./CopyTradingList.css";
+
+const TOP_TRADERS_COUNT = 10;
+
+export default function CopyTradingList(props) {
+  const { account, chainId, savedSlippageAmount } = props;
+  const {
+    isInitialized,
+    loading,
+    followSettings,
+    setFollowSettings,
+    copyProposals,
+    confirmCopyProposal,
+    dismissCopyProposal,
+    getTopTraders,
+  } = usePerp();
+
+  const [leader, setLeader] = useState(followSettings.leader);
+  const [copyRatio, setCopyRatio] = useState(String(followSettings.copyRatio / 100));
+  const [maxNotional, setMaxNotional] = useState(followSettings.maxNotional);
+  const [maxLeverage, setMaxLeverage] = useState(String(followSettings.maxLeverage));
+  const [topTraders, setTopTraders] = useState([]);
+  const [confirmingId, setConfirmingId] = useState();
+
+  useEffect(() => {
+    setLeader(followSettings.leader);
+    setCopyRatio(String(followSettings.copyRatio / 100));
+    setMaxNotional(followSettings.maxNotional);
+    setMaxLeverage(String(followSettings.maxLeverage));
+  }, [followSettings]);
+
+  useEffect(() => {
+    if (!isInitialized) return;
+
+    let isCancelled = false;
+    getTopTraders(TOP_TRADERS_COUNT).then((traders) => {
+      if (!isCancelled) setTopTraders(traders.filter((trader) => trader.account !== account));
+    });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [isInitialized, account, getTopTraders]);
+
+  const getError = () => {
+    if (!ethers.utils.isAddress(leader)) {
+      return t`Enter a leader address`;
+    }
+    if (account && leader.toLowerCase() === account.toLowerCase()) {
+      return t`You cannot copy yourself`;
+    }
+    if (!(parseFloat(copyRatio) > 0)) {
+      return t`Enter a copy ratio`;
+    }
+    if (!(parseFloat(maxNotional) > 0)) {
+      return t`Enter a max notional`;
+    }
+    if (!(parseFloat(maxLeverage) >= 1)) {
+      return t`Enter a max leverage`;
+    }
+  };
+
+  const error = getError();
+
+  const onStartCopying = () => {
+    setFollowSettings({
+      leader: ethers.utils.getAddress(leader),
+      copyRatio: Math.round(parseFloat(copyRatio) * 100),
+      maxNotional,
+      maxLeverage: parseFloat(maxLeverage),
+      isActive: true,
+    });
+  };
+
+  const onStopCopying = () => {
+    setFollowSettings({ ...followSettings, isActive: false });
+  };
+
+  const onConfirmClick = async (proposal) => {
+    setConfirmingId(proposal.id);
+    try {
+      await confirmCopyProposal(proposal.id, savedSlippageAmount / 10000);
+      helperToast.success(t`Copy trade executed`);
+    } catch (err) {
+      helperToast.error(t`Copy trade failed: ${err.message}`);
+    } finally {
+      setConfirmingId(undefined);
+    }
+  };
+
+  const getProposalText = (proposal) => {
+    const side = proposal.isLong ? t`Long` : t`Short`;
+    if (proposal.type === "open") {
+      return t`Open ${side} $${formatAmount(proposal.notional, 18, 2, true)} at ${formatAmount(
+        proposal.leverage,
+        2,
+        2
+      )}x`;
+    }
+    return t`Close ${formatAmount(proposal.closeRatio, 2, 2)}% of ${side}`;
+  };
+
+  if (!account) {
+    return (
+      <div className="Exchange-list CopyTrading App-box">
+        <div className="Exchange-list-no-connect">
+          <span className="Exchange-list-no-connect-title">
+            <Trans>Wallet Required</Trans>
+          </span>
+          <span className="Exchange-list-no-connect-text">
+            <Trans>Connect wallet to copy a trader</Trans>
+          </span>
+        </div>
+      </div>
+    );
+  }
+
+  const isCopying = followSettings.isActive && ethers.utils.isAddress(followSettings.leader);
+
+  return (
+    <div className="Exchange-list CopyTrading App-box">
+      <div className="CopyTrading-settings">
+        <div className="CopyTrading-status">
+          {isCopying ? (
+            <Trans>
+              Copying{" "}
+              <ExternalLink href={`${getExplorerUrl(chainId)}address/${followSettings.leader}`}>
+                {shortenAddress(followSettings.leader, 13)}
+              </ExternalLink>
+            </Trans>
+          ) : (
+            <Trans>Not copying anyone</Trans>
+          )}
+        </div>
+        <div className="CopyTrading-form">
+          <label>
+            <span className="muted">
+              <Trans>Leader</Trans>
+            </span>
+            <input
+              type="text"
+              value={leader}
+              placeholder="0x..."
+              onChange={(e) => setLeader(e.target.value.trim())}
+              disabled={isCopying}
+            />
+          </label>
+          <label>
+            <span className="muted">
+              <Trans>Copy Ratio (%)</Trans>
+            </span>
+            <input
+              type="number"
+              min="0"
+              value={copyRatio}
+              onChange={(e) => setCopyRatio(e.target.value)}
+              disabled={isCopying}
+            />
+          </label>
+          <label>
+            <span className="muted">
+              <Trans>Max Notional (USDC)</Trans>
+            </span>
+            <input
+              type="number"
+              min="0"
+              value={maxNotional}
+              onChange={(e) => setMaxNotional(e.target.value)}
+              disabled={isCopying}
+            />
+          </label>
+          <label>
+            <span className="muted">
+              <Trans>Max Leverage</Trans>
+            </span>
+            <input
+              type="number"
+              min="1"
+              value={maxLeverage}
+              onChange={(e) => setMaxLeverage(e.target.value)}
+              disabled={isCopying}
+            />
+          </label>
+          {isCopying ? (
+            <button className="App-button-option" onClick={onStopCopying}>
+              <Trans>Stop Copying</Trans>
+            </button>
+          ) : (
+            <button className="App-button-option" onClick={onStartCopying} disabled={Boolean(error)}>
+              {error || t`Start Copying`}
+            </button>
+          )}
+        </div>
+        {!isCopying && topTraders.length > 0 && (
+          <div className="CopyTrading-top-traders">
+            <div className="muted">
+              <Trans>Top Traders</Trans>
+            </div>
+            {topTraders.map((trader, index) => (
+              <button
+                key={trader.account}
+                className={cx("CopyTrading-top-trader", { active: trader.account === leader })}
+                onClick={() => setLeader(trader.account)}
+              >
+                <span>#{index + 1}</span>
+                <span>{shortenAddress(trader.account, 13)}</span>
+                <span className={trader.realizedPnl.lt(0) ? "negative" : "positive"}>
+                  {trader.realizedPnl.lt(0) ? "-" : "+"}${formatAmount(trader.realizedPnl.abs(), 18, 2, true)}
+                </span>
+                <span className="muted">
+                  <Trans>Vol. ${formatAmount(trader.volume, 18, 0, true)}</Trans>
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <table className="Exchange-list CopyTrading-proposals">
+        <tbody>
+          <tr className="Exchange-list-header">
+            <th>
+              <Trans>Market</Trans>
+            </th>
+            <th>
+              <Trans>Proposed Trade</Trans>
+            </th>
+            <th>
+              <Trans>Leader Tx</Trans>
+            </th>
+            <th></th>
+            <th></th>
+          </tr>
+          {copyProposals.length === 0 && (
+            <tr>
+              <td colSpan="5" className="muted">
+                {isCopying ? (
+                  <Trans>Waiting for the leader to trade</Trans>
+                ) : (
+                  <Trans>Start copying a trader to receive trade proposals</Trans>
+                )}
+              </td>
+            </tr>
+          )}
+          {copyProposals.map((proposal) => (
+            <tr className="Exchange-list-item" key={proposal.id}>
+              <td>{getPerpMarketInfo(chainId, proposal.baseToken).symbol}-PERP</td>
+              <td className={cx({ positive: proposal.isLong, negative: !proposal.isLong })}>
+                {getProposalText(proposal)}
+              </td>
+              <td>
+                <ExternalLink href={`${getExplorerUrl(chainId)}tx/${proposal.leaderTxHash}`}>
+                  {shortenAddress(proposal.leaderTxHash, 13)}
+                </ExternalLink>
+              </td>
+              <td>
+                <button
+                  className="Exchange-list-action"
+                  onClick={() => onConfirmClick(proposal)}
+                  disabled={loading || Boolean(confirmingId)}
+                >
+                  {confirmingId === proposal.id ? t`Confirming...` : t`Confirm`}
+                </button>
+              </td>
+              <td>
+                <button
+                  className="Exchange-list-action"
+                  onClick={() => dismissCopyProposal(proposal.id)}
+                  disabled={confirmingId === proposal.id}
+                >
+                  <Trans>Dismiss</Trans>
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import React, { useEffect, useState, useRef, useMemo } from "react";
 import cx from "classnames";
 
-import { USD_DECIMALS, SWAP, INCREASE, getLiquidationPrice } from "lib/legacy";
+import { USD_DECIMALS, SWAP, INCREASE, DECREASE, getLiquidationPrice } from "lib/legacy";
 import { useChartPrices } from "domain/legacy";
 
 import ChartTokenSelector from "./ChartTokenSelector";
@@ -12,6 +12,10 @@ import TVChartContainer from "components/TVChartContainer/TVChartContainer";
 import { t } from "@lingui/macro";
 import { availableNetworksForChart } from "components/TVChartContainer/constants";
 import { TVDataProvider } from "domain/tradingview/TVDataProvider";
+import { getPerpIndexTicker, getPerpTicker } from "domain/tradingview/perpCandles";
+import { getPerpMarkets } from "config/perpMarkets";
+import { shouldUseMockData } from "domain/mockDataProvider";
+import { getTrailingStopLiveTriggerPrice } from "domain/trailingStops";
 
 const PRICE_LINE_TEXT_WIDTH = 15;
 
@@ -57,7 +61,9 @@ export default function ExchangeTVChart(props) {
     positions,
     savedShouldShowPositionLines,
     orders,
+    trailingStops = [],
     setToTokenAddress,
+    perpBaseToken,
   } = props;
   const [currentSeries] = useState();
 
@@ -84,6 +90,12 @@ export default function ExchangeTVChart(props) {
     };
   }, [chainId]);
 
+  // In perp mode the chart shows the vAMM's mark price with the Oracle index price on top, mock mode has no vAMM logs
+  const perpMarket =
+    perpBaseToken && !shouldUseMockData()
+      ? getPerpMarkets(chainId).find((market) => market.baseToken.toLowerCase() === perpBaseToken.toLowerCase())
+      : undefined;
+
   useEffect(() => {
     const tmp = getChartToken(swapOption, fromToken, toToken, chainId);
     setChartToken(tmp);
@@ -113,10 +125,20 @@ export default function ExchangeTVChart(props) {
         if (indexToken && indexToken.symbol) {
           tokenSymbol = indexToken.isWrapped ? indexToken.baseSymbol : indexToken.symbol;
         }
+        // Trailing stops are drawn where they trail the best price, moving with it
+        const trailingStop =
+          order.type === DECREASE ? trailingStops.find((stop) => stop.orderIndex === order.index) : undefined;
+        if (trailingStop) {
+          const triggerPrice = getTrailingStopLiveTriggerPrice(trailingStop) || order.triggerPrice;
+          return {
+            title: t`Trail. ${tokenSymbol} ${longOrShortText}`,
+            price: parseFloat(formatAmount(triggerPrice, USD_DECIMALS, 2)),
+          };
+        }
         const title = `${orderTypeText} ${tokenSymbol} ${longOrShortText}`;
         return { title, price: parseFloat(formatAmount(order.triggerPrice, USD_DECIMALS, 2)) };
       });
-  }, [orders, chartToken, chainId]);
+  }, [orders, trailingStops, chartToken, chainId]);
 
   const currentPositions = useMemo(() => {
     if (!positions || !chartToken) {
@@ -341,7 +363,8 @@ export default function ExchangeTVChart(props) {
           <TVChartContainer
             chartLines={chartLines}
             savedShouldShowPositionLines={savedShouldShowPositionLines}
-            symbol={chartToken.symbol}
+            symbol={perpMarket ? getPerpTicker(perpMarket.symbol) : chartToken.symbol}
+            overlaySymbol={perpMarket ? getPerpIndexTicker(perpMarket.symbol) : undefined}
             chainId={chainId}
             onSelectToken={onSelectToken}
             dataProvider={dataProvider.current}
@@ -1,7 +1,8 @@
 import React from "react";
-import { Trans } from "@lingui/macro";
+import { Trans, t } from "@lingui/macro";
 import { formatAmount } from "lib/numbers";
 import { USD_DECIMALS } from "lib/legacy";
+import { useStreamedPrices } from "domain/priceStream";
 import "./MarketsSidebar.css";
 
 export default function MarketsSidebar({ 
@@ -19,7 +20,15 @@ export default function MarketsSidebar({
     return formatAmount(tokenInfo.volume24h, USD_DECIMALS, 2, true);
   };
 
+  // Filter for main trading pairs (non-stablecoins)
+  const tradingPairs = tokens.filter(token => !token.isStable && !token.isWrapped);
+  const streamedPrices = useStreamedPrices(chainId, tradingPairs.map((token) => token.address));
+
   const getTokenPrice = (tokenAddress) => {
+    const streamedPrice = streamedPrices[tokenAddress];
+    if (streamedPrice) {
+      return formatAmount(streamedPrice.price, USD_DECIMALS, 2, true);
+    }
     const tokenInfo = infoTokens[tokenAddress];
     if (!tokenInfo || !tokenInfo.maxPrice) {
       return "0.00";
@@ -35,9 +44,6 @@ export default function MarketsSidebar({
     return tokenInfo.priceChange24h;
   };
 
-  // Filter for main trading pairs (non-stablecoins)
-  const tradingPairs = tokens.filter(token => !token.isStable && !token.isWrapped);
-
   return (
     <div className="MarketsSidebar">
       <div className="MarketsSidebar-header">
@@ -71,6 +77,7 @@ export default function MarketsSidebar({
           const priceChange = getPriceChange(token.address);
           const isSelected = selectedToken?.address === token.address;
           const isPositive = priceChange >= 0;
+          const isPriceStale = streamedPrices[token.address]?.isStale;
 
           return (
             <div
@@ -86,7 +93,10 @@ export default function MarketsSidebar({
                   Vol: {volume}
                 </div>
               </div>
-              <div className="col-price">
+              <div
+                className={`col-price ${isPriceStale ? 'stale' : ''}`}
+                title={isPriceStale ? t`Price feed delayed, last update may be outdated` : undefined}
+              >
                 ${price}
               </div>
               <div className={`col-change ${isPositive ? 'positive' : 'negative'}`}>
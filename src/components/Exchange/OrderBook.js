@@ -1,8 +1,12 @@
 import React, { useState, useMemo } from "react";
-import { Trans } from "@lingui/macro";
+import { Trans, t } from "@lingui/macro";
+import { Area, AreaChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
 import { formatAmount } from "lib/numbers";
 import { USD_DECIMALS } from "lib/legacy";
-import { getMockOrderBookData, shouldUseMockData } from "domain/mockDataProvider";
+import { getPerpMarkets } from "config/perpMarkets";
+import { usePerp } from "contexts/PerpContext";
+import { shouldUseMockData } from "domain/mockDataProvider";
+import { getDefaultTickSize, getTickSizes, getVammOrderBook, useVammReserves } from "domain/orderbook";
 import "./OrderBook.css";
 
 const TABS = {
@@ -12,95 +16,120 @@ const TABS = {
   DEPTH: "Depth"
 };
 
-export default function OrderBook({ 
-  token, 
+const ORDERBOOK_LEVELS = 8;
+// The depth chart covers +/- 5% around the spot price
+const DEPTH_RANGE = 0.05;
+const DEPTH_POINTS = 60;
+// Virtual base reserve used to shape the book in mock mode, same as the local deployment's ETH vAMM
+const MOCK_VIRTUAL_BASE = 1000;
+
+function formatPrice(price, tickSize) {
+  const decimals = tickSize < 1 ? 2 : 0;
+  return price.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+function formatUsd(value) {
+  return value.toLocaleString(undefined, { maximumFractionDigits: 0 });
+}
+
+function formatSize(size) {
+  return size.toLocaleString(undefined, { maximumFractionDigits: size >= 100 ? 2 : 4 });
+}
+
+export default function OrderBook({
+  token,
   infoTokens,
-  chainId 
+  chainId,
+  perpBaseToken
 }) {
   const [activeTab, setActiveTab] = useState(TABS.ORDERBOOK);
-
-  // Get orderbook data - use mock data in development, real data in production
-  const { bids, asks } = useMemo(() => {
-    if (shouldUseMockData()) {
-      const mockData = getMockOrderBookData(token?.symbol || 'ETH');
-      return {
-        bids: mockData.bids.map(order => ({
-          price: order.price.toFixed(2),
-          size: order.size.toFixed(1),
-          total: (order.price * order.size).toFixed(2)
-        })),
-        asks: mockData.asks.map(order => ({
-          price: order.price.toFixed(2),
-          size: order.size.toFixed(1),
-          total: (order.price * order.size).toFixed(2)
-        }))
-      };
+  const [selectedTickSize, setSelectedTickSize] = useState();
+  const { markets } = usePerp();
+
+  // Show the perp market picked in the trade box, otherwise the one listed for the charted token
+  const perpMarkets = getPerpMarkets(chainId);
+  const market =
+    (perpBaseToken && perpMarkets.find((m) => m.baseToken.toLowerCase() === perpBaseToken.toLowerCase())) ||
+    perpMarkets.find((m) => m.symbol === token?.symbol || m.symbol === token?.baseSymbol);
+  // Markets are listed with their vAMM doubling as the base token until the ClearingHouse registry has loaded
+  const vammAddress = market && (markets.find((m) => m.baseToken === market.baseToken)?.vamm || market.baseToken);
+
+  const { reserves: vammReserves, error } = useVammReserves(chainId, shouldUseMockData() ? undefined : vammAddress);
+
+  const reserves = useMemo(() => {
+    if (!shouldUseMockData()) {
+      return vammReserves;
     }
-
-    // Fallback to local mock data if centralized mock is disabled
-    const bids = [];
-    const asks = [];
     const tokenInfo = infoTokens[token?.address];
-    const basePrice = tokenInfo?.maxPrice ? parseFloat(formatAmount(tokenInfo.maxPrice, USD_DECIMALS, 2)) : 3615.85;
-
-    // Generate 15 bid levels (buy orders)
-    for (let i = 0; i < 15; i++) {
-      const price = basePrice - (i * basePrice * 0.001); // 0.1% spread between levels
-      const size = (Math.random() * 5 + 0.5).toFixed(1);
-      const total = (price * parseFloat(size)).toFixed(2);
-      bids.push({ price: price.toFixed(2), size, total });
-    }
+    const price = tokenInfo?.maxPrice ? parseFloat(formatAmount(tokenInfo.maxPrice, USD_DECIMALS, 2)) : 3615.85;
+    return { base: MOCK_VIRTUAL_BASE, quote: MOCK_VIRTUAL_BASE * price };
+  }, [vammReserves, infoTokens, token]);
 
-    // Generate 15 ask levels (sell orders)
-    for (let i = 0; i < 15; i++) {
-      const price = basePrice + ((i + 1) * basePrice * 0.001);
-      const size = (Math.random() * 5 + 0.5).toFixed(1);
-      const total = (price * parseFloat(size)).toFixed(2);
-      asks.push({ price: price.toFixed(2), size, total });
-    }
+  const spotPrice = reserves && reserves.quote / reserves.base;
+  const tickSizes = spotPrice ? getTickSizes(spotPrice) : [];
+  const tickSize = tickSizes.includes(selectedTickSize) ? selectedTickSize : spotPrice && getDefaultTickSize(spotPrice);
 
-    return { bids, asks };
-  }, [token, infoTokens]);
+  const { bids, asks } = useMemo(() => {
+    if (!reserves) {
+      return { bids: [], asks: [] };
+    }
+    return getVammOrderBook(reserves, tickSize, ORDERBOOK_LEVELS);
+  }, [reserves, tickSize]);
 
-  const renderBidRow = (order, index) => {
-    const depth = ((index + 1) / bids.length) * 100;
-    return (
-      <div key={index} className="orderbook-row bid-row" style={{ '--depth': `${depth}%` }}>
-        <div className="orderbook-price bid">${order.price}</div>
-        <div className="orderbook-size">{order.size}</div>
-        <div className="orderbook-total">{order.total}</div>
-      </div>
-    );
-  };
+  const depthData = useMemo(() => {
+    if (!reserves) {
+      return [];
+    }
+    const depthBook = getVammOrderBook(reserves, (spotPrice * DEPTH_RANGE) / DEPTH_POINTS, DEPTH_POINTS);
+    return [
+      ...depthBook.bids.map((level) => ({ price: level.price, bids: level.cumulativeSize })).reverse(),
+      ...depthBook.asks.map((level) => ({ price: level.price, asks: level.cumulativeSize })),
+    ];
+  }, [reserves, spotPrice]);
+
+  const maxCumulativeSize = Math.max(
+    bids[bids.length - 1]?.cumulativeSize || 0,
+    asks[asks.length - 1]?.cumulativeSize || 0
+  );
 
-  const renderAskRow = (order, index) => {
-    const depth = ((asks.length - index) / asks.length) * 100;
+  const renderRow = (order, side) => {
+    const depth = maxCumulativeSize > 0 ? (order.cumulativeSize / maxCumulativeSize) * 100 : 0;
     return (
-      <div key={index} className="orderbook-row ask-row" style={{ '--depth': `${depth}%` }}>
-        <div className="orderbook-price ask">${order.price}</div>
-        <div className="orderbook-size">{order.size}</div>
-        <div className="orderbook-total">{order.total}</div>
+      <div key={order.price} className={`orderbook-row ${side}-row`} style={{ '--depth': `${depth}%` }}>
+        <div className={`orderbook-price ${side}`}>${formatPrice(order.price, tickSize)}</div>
+        <div className="orderbook-size">{formatSize(order.size)}</div>
+        <div className="orderbook-total">${formatUsd(order.cumulativeNotional)}</div>
       </div>
     );
   };
 
   const renderSpreadInfo = () => {
     if (bids.length === 0 || asks.length === 0) return null;
-    
-    const highestBid = parseFloat(bids[0].price);
-    const lowestAsk = parseFloat(asks[0].price);
+
+    const highestBid = bids[0].price;
+    const lowestAsk = asks[0].price;
     const spread = lowestAsk - highestBid;
     const spreadPercent = ((spread / lowestAsk) * 100).toFixed(3);
 
     return (
       <div className="orderbook-spread">
         <div className="spread-label">
-          <Trans>Spread</Trans>: ${spread.toFixed(2)} ({spreadPercent}%)
+          <Trans>Spread</Trans>: ${formatPrice(spread, tickSize)} ({spreadPercent}%)
         </div>
       </div>
     );
   };
 
+  const renderEmptyState = () => {
+    let message = t`Loading...`;
+    if (!market) {
+      message = t`No perpetual market for ${token?.symbol}`;
+    } else if (error) {
+      message = t`vAMM reserves unavailable`;
+    }
+    return <div className="orderbook-empty">{message}</div>;
+  };
+
   return (
     <div className="OrderBook">
       <div className="OrderBook-header">
@@ -118,25 +147,38 @@ export default function OrderBook({
             <Trans>Depth</Trans>
           </button>
         </div>
+        {tickSizes.length > 0 && activeTab === TABS.ORDERBOOK && (
+          <select
+            className="OrderBook-tick-select"
+            value={tickSize}
+            onChange={(e) => setSelectedTickSize(parseFloat(e.target.value))}
+          >
+            {tickSizes.map((tick) => (
+              <option key={tick} value={tick}>
+                {tick}
+              </option>
+            ))}
+          </select>
+        )}
         <button className="OrderBook-hide-btn">
           <Trans>Hide Orderbook</Trans>
         </button>
       </div>
 
-      {activeTab === TABS.ORDERBOOK && (
+      {!reserves && renderEmptyState()}
+
+      {reserves && activeTab === TABS.ORDERBOOK && (
         <div className="OrderBook-content">
           <div className="orderbook-headers">
-            <div className="header-price"><Trans>Price (USDT)</Trans></div>
-            <div className="header-size"><Trans>Size</Trans></div>
+            <div className="header-price"><Trans>Price (USD)</Trans></div>
+            <div className="header-size"><Trans>Size ({market?.symbol || token?.symbol})</Trans></div>
             <div className="header-total"><Trans>Total</Trans></div>
           </div>
 
           <div className="orderbook-section">
             <div className="orderbook-label asks-label"><Trans>Asks</Trans></div>
             <div className="orderbook-list asks-list">
-              {asks.slice(0, 8).reverse().map((order, index) => 
-                renderAskRow(order, asks.length - 1 - index)
-              )}
+              {asks.slice().reverse().map((order) => renderRow(order, "ask"))}
             </div>
           </div>
 
@@ -145,37 +187,49 @@ export default function OrderBook({
           <div className="orderbook-section">
             <div className="orderbook-label bids-label"><Trans>Bids</Trans></div>
             <div className="orderbook-list bids-list">
-              {bids.slice(0, 8).map((order, index) => 
-                renderBidRow(order, index)
-              )}
+              {bids.map((order) => renderRow(order, "bid"))}
             </div>
           </div>
 
           <div className="orderbook-queue-info">
             <div className="queue-text">
-              <Trans>Your queue position at</Trans> {bids[0]?.price}:
+              <Trans>vAMM reserves</Trans>
             </div>
             <div className="queue-details">
-              <div className="queue-ahead">4 ahead</div>
-              <div className="queue-time">Est. queue time: 3.2s</div>
+              <div className="queue-ahead">
+                {formatSize(reserves.base)} {market?.symbol || token?.symbol}
+              </div>
+              <div className="queue-time">${formatUsd(reserves.quote)}</div>
             </div>
             <div className="queue-tip">
-              <Trans>Tip: Click a price to autofill order price. Enable persistent orderbook in Settings if you trade with market depth often.</Trans>
+              <Trans>Levels are derived from the vAMM's x*y=k curve and include its 0.3% trading fee.</Trans>
             </div>
           </div>
         </div>
       )}
 
-      {activeTab === TABS.DEPTH && (
+      {reserves && activeTab === TABS.DEPTH && (
         <div className="OrderBook-depth">
-          <div className="depth-chart-placeholder">
-            <Trans>Depth Chart</Trans>
-            <div className="depth-hint">Market depth visualization would appear here</div>
-          </div>
+          <ResponsiveContainer width="100%" height={320}>
+            <AreaChart data={depthData} margin={{ top: 8, right: 0, left: 0, bottom: 0 }}>
+              <XAxis
+                dataKey="price"
+                type="number"
+                domain={["dataMin", "dataMax"]}
+                tickFormatter={(price) => formatPrice(price, 1)}
+                minTickGap={30}
+              />
+              <YAxis width={50} tickFormatter={formatSize} />
+              <Tooltip
+                labelFormatter={(price) => `$${formatPrice(price, 0.01)}`}
+                formatter={(size, side) => [formatSize(size), side === "bids" ? t`Bids` : t`Asks`]}
+              />
+              <Area type="stepAfter" dataKey="bids" stroke="#56dba8" fill="rgba(86, 219, 168, 0.2)" />
+              <Area type="stepBefore" dataKey="asks" stroke="#fb5971" fill="rgba(251, 89, 113, 0.2)" />
+            </AreaChart>
+          </ResponsiveContainer>
         </div>
       )}
     </div>
   );
 }
-
-
@@ -1,5 +1,6 @@
-import React, { useState, useCallback } from "react";
-import { t, Trans } from "@lingui/macro";
+import React, { useState, useCallback, useMemo } from "react";
+import cx from "classnames";
+import { Plural, t, Trans } from "@lingui/macro";
 import cancelX from "../../img/cancelX.svg";
 import {
   SWAP,
@@ -12,10 +13,16 @@ import {
   getPositionForOrder,
 } from "lib/legacy";
 import { handleCancelOrder } from "domain/legacy";
+import { getBracketLegs } from "domain/brackets";
+import { getTrailingStopLiveTriggerPrice } from "domain/trailingStops";
+import { getOrderId, getOrderMarket } from "domain/orderBatch";
 import { getContract } from "config/contracts";
 
 import Tooltip from "../Tooltip/Tooltip";
+import Checkbox from "../Checkbox/Checkbox";
+import Select from "../Select/Select";
 import OrderEditor from "./OrderEditor";
+import OrdersPriceEditor from "./OrdersPriceEditor";
 
 import "./OrdersList.css";
 import StatsTooltipRow from "../StatsTooltip/StatsTooltipRow";
@@ -24,6 +31,30 @@ import { getTokenInfo, getUsd } from "domain/tokens/utils";
 import { formatAmount } from "lib/numbers";
 // import ExternalLink from "components/ExternalLink/ExternalLink";
 
+const ALL_MARKETS = "all";
+
+// Legs of a bracket are listed next to each other, take profit first
+function groupBracketOrders(orders, bracketLegs) {
+  const grouped = [];
+  const added = new Set();
+  orders.forEach((order) => {
+    if (added.has(order)) {
+      return;
+    }
+    const bracketLeg = order.type === DECREASE ? bracketLegs[order.index] : undefined;
+    const legOrders = bracketLeg
+      ? getBracketLegs(bracketLeg.bracket)
+          .map(({ index }) => orders.find((item) => item.type === DECREASE && item.index === index))
+          .filter(Boolean)
+      : [order];
+    legOrders.forEach((legOrder) => {
+      grouped.push(legOrder);
+      added.add(legOrder);
+    });
+  });
+  return grouped;
+}
+
 function getOrderTitle(order, indexTokenSymbol) {
   const orderTypeText = order.type === INCREASE ? t`Increase` : t`Decrease`;
   return `${orderTypeText} ${indexTokenSymbol}`;
@@ -45,15 +76,173 @@ export default function OrdersList(props) {
     savedShouldDisableValidationForTesting,
     cancelOrderIdList,
     setCancelOrderIdList,
+    brackets,
+    unlinkBracketOrder,
+    trailingStops,
+    removeTrailingStop,
+    cancelOrders,
+    isCancelMultipleOrderProcessing,
   } = props;
 
   const [editingOrder, setEditingOrder] = useState(null);
+  const [isRepricing, setIsRepricing] = useState(false);
+  const [marketFilter, setMarketFilter] = useState(ALL_MARKETS);
+
+  // Markets the orders are in, the filter falls back to all markets once its last order is gone
+  const marketOptions = useMemo(() => {
+    const options = [];
+    (orders || []).forEach((order) => {
+      const market = getOrderMarket(order);
+      if (options.some((option) => option.value === market)) {
+        return;
+      }
+      const token = getTokenInfo(infoTokens, market);
+      options.push({ value: market, label: (token?.isWrapped ? token?.baseSymbol : token?.symbol) || market });
+    });
+    return options;
+  }, [orders, infoTokens]);
+  const selectedMarket = marketOptions.find((option) => option.value === marketFilter);
+
+  const visibleOrders = useMemo(
+    () => (orders || []).filter((order) => !selectedMarket || getOrderMarket(order) === selectedMarket.value),
+    [orders, selectedMarket]
+  );
+  // Ids of orders that were executed or cancelled since they were selected are ignored
+  const selectedOrderIds = useMemo(
+    () => (orders || []).map(getOrderId).filter((orderId) => (cancelOrderIdList || []).includes(orderId)),
+    [orders, cancelOrderIdList]
+  );
+  const isAllVisibleSelected =
+    visibleOrders.length > 0 && visibleOrders.every((order) => selectedOrderIds.includes(getOrderId(order)));
+
+  const toggleOrderSelection = useCallback(
+    (order) => {
+      const orderId = getOrderId(order);
+      setCancelOrderIdList((ids) => (ids.includes(orderId) ? ids.filter((id) => id !== orderId) : [...ids, orderId]));
+    },
+    [setCancelOrderIdList]
+  );
+
+  const toggleAllVisibleSelection = useCallback(() => {
+    const visibleIds = visibleOrders.map(getOrderId);
+    setCancelOrderIdList((ids) =>
+      isAllVisibleSelected
+        ? ids.filter((id) => !visibleIds.includes(id))
+        : [...ids, ...visibleIds.filter((id) => !ids.includes(id))]
+    );
+  }, [visibleOrders, isAllVisibleSelected, setCancelOrderIdList]);
+
+  const renderOrderCheckbox = useCallback(
+    (order) => (
+      <Checkbox
+        isChecked={selectedOrderIds.includes(getOrderId(order))}
+        setIsChecked={() => toggleOrderSelection(order)}
+        className="Orders-checkbox"
+      />
+    ),
+    [selectedOrderIds, toggleOrderSelection]
+  );
+
+  // Bracket leg of each decrease order index
+  const bracketLegs = useMemo(() => {
+    const legs = {};
+    (brackets || []).forEach((bracket) => {
+      getBracketLegs(bracket).forEach(({ leg, index }) => {
+        if (index !== undefined) {
+          legs[index] = { bracket, leg };
+        }
+      });
+    });
+    return legs;
+  }, [brackets]);
+
+  const getBracketLeg = useCallback(
+    (order) => (order.type === DECREASE ? bracketLegs[order.index] : undefined),
+    [bracketLegs]
+  );
+
+  const getTrailingStop = useCallback(
+    (order) =>
+      order.type === DECREASE ? (trailingStops || []).find((stop) => stop.orderIndex === order.index) : undefined,
+    [trailingStops]
+  );
+
+  const getOrderTypeText = useCallback(
+    (order) => {
+      if (order.type === INCREASE) {
+        return t`Limit`;
+      }
+      if (getTrailingStop(order)) {
+        return t`Trailing Stop`;
+      }
+      const bracketLeg = getBracketLeg(order);
+      if (!bracketLeg) {
+        return t`Trigger`;
+      }
+      return bracketLeg.leg === "takeProfit" ? t`Take Profit` : t`Stop Loss`;
+    },
+    [getBracketLeg, getTrailingStop]
+  );
+
+  const renderTriggerPrice = useCallback(
+    (order) => {
+      const triggerPriceText = `$${formatAmount(order.triggerPrice, USD_DECIMALS, 2, true)}`;
+      const trailingStop = getTrailingStop(order);
+      if (!trailingStop) {
+        return triggerPriceText;
+      }
+      const offsetText =
+        trailingStop.offsetType === "percent"
+          ? `${formatAmount(trailingStop.offset, 2, 2)}%`
+          : `$${formatAmount(trailingStop.offset, USD_DECIMALS, 2, true)}`;
+      const liveTriggerPrice = getTrailingStopLiveTriggerPrice(trailingStop);
+      return (
+        <Tooltip
+          handle={triggerPriceText}
+          position="right-bottom"
+          renderContent={() => (
+            <>
+              <StatsTooltipRow
+                label={t`Best Price`}
+                value={formatAmount(trailingStop.bestPrice, USD_DECIMALS, 2, true)}
+              />
+              <StatsTooltipRow label={t`Offset`} value={offsetText} showDollar={false} />
+              {liveTriggerPrice && (
+                <StatsTooltipRow
+                  label={t`Trailing Trigger`}
+                  value={formatAmount(liveTriggerPrice, USD_DECIMALS, 2, true)}
+                />
+              )}
+              <br />
+              <Trans>The trigger price follows the best price while the exchange is open.</Trans>
+            </>
+          )}
+        />
+      );
+    },
+    [getTrailingStop]
+  );
 
   const onCancelClick = useCallback(
     (order) => {
-      handleCancelOrder(chainId, library, order, { pendingTxns, setPendingTxns });
+      const cancel = handleCancelOrder(chainId, library, order, { pendingTxns, setPendingTxns });
+      if (getBracketLeg(order)) {
+        // Cancelled by hand, the other leg stays open
+        cancel.then(() => unlinkBracketOrder(order.index)).catch(() => {});
+      } else if (getTrailingStop(order)) {
+        cancel.then(() => removeTrailingStop(order.index)).catch(() => {});
+      }
     },
-    [library, pendingTxns, setPendingTxns, chainId]
+    [
+      library,
+      pendingTxns,
+      setPendingTxns,
+      chainId,
+      getBracketLeg,
+      unlinkBracketOrder,
+      getTrailingStop,
+      removeTrailingStop,
+    ]
   );
 
   const onEditClick = useCallback(
@@ -66,6 +255,15 @@ export default function OrdersList(props) {
   const renderHead = useCallback(() => {
     return (
       <tr className="Exchange-list-header order-list row">
+        <th className="Selection">
+          {!hideActions && (
+            <Checkbox
+              isChecked={isAllVisibleSelected}
+              setIsChecked={toggleAllVisibleSelection}
+              className="Orders-checkbox"
+            />
+          )}
+        </th>
         <th className="Symbol">
           <Trans>Symbol</Trans>
         </th>
@@ -92,7 +290,7 @@ export default function OrdersList(props) {
         </th>
       </tr>
     );
-  }, []);
+  }, [hideActions, isAllVisibleSelected, toggleAllVisibleSelection]);
 
   const renderEmptyRow = useCallback(() => {
     if (orders && orders.length) {
@@ -165,7 +363,7 @@ export default function OrdersList(props) {
     if (!orders || !orders.length) {
       return null;
     }
-    return orders.reverse().map((order) => {
+    return groupBracketOrders(visibleOrders.reverse(), bracketLegs).map((order) => {
       if (order.type === SWAP) {
         const nativeTokenAddress = getContract(chainId, "NATIVE_TOKEN");
         const fromTokenInfo = getTokenInfo(infoTokens, order.path[0], true, nativeTokenAddress.toLowerCase());
@@ -195,6 +393,7 @@ export default function OrdersList(props) {
 
         return (
           <tr className="Exchange-list-item" key={orderId}>
+            <td className="Selection">{!hideActions && renderOrderCheckbox(order)}</td>
             <td className="Exchange-list-item-type">
               <Trans>Limit</Trans>
             </td>
@@ -276,7 +475,11 @@ export default function OrdersList(props) {
       const longShortText = order.isLong ? t`Long` : t`Short`;
       const sizeDeltaText = formatAmount(order.sizeDelta, USD_DECIMALS, 2, true);
       return (
-        <tr className="Exchange-list-item order-list row" key={`${order.isLong}-${order.type}-${order.index}`}>
+        <tr
+          className={cx("Exchange-list-item order-list row", { "Orders-bracket-leg": getBracketLeg(order) })}
+          key={`${order.isLong}-${order.type}-${order.index}`}
+        >
+          <td className="Selection">{!hideActions && renderOrderCheckbox(order)}</td>
           <td className="Symbol">
             <div className="Exchange-symbol-label-long-short">
               <div className="Exchange-symbol-mark" style={{ background: order.isLong ? "#3FB68B" : "#FF5353" }}></div>
@@ -284,11 +487,11 @@ export default function OrdersList(props) {
             </div>
           </td>
           <td className="Order">{order.type === DECREASE ? orderText : orderText}</td>
-          <td className="Exchange-list-item-type Type">{order.type === INCREASE ? t`Limit` : t`Trigger`}</td>
+          <td className="Exchange-list-item-type Type">{getOrderTypeText(order)}</td>
           <td className="Side">
             <div style={{ color: order.isLong ? "#3FB68B" : "#FF5353" }}>{longShortText}</div>
           </td>
-          <td className="OrderPrice">${formatAmount(order.triggerPrice, USD_DECIMALS, 2, true)}</td>
+          <td className="OrderPrice">{renderTriggerPrice(order)}</td>
           <td className="Amount">${sizeDeltaText}</td>
           {!hideActions && (
             <>
@@ -307,10 +510,26 @@ export default function OrdersList(props) {
         </tr>
       );
     });
-  }, [orders, renderActions, infoTokens, positionsMap, hideActions, chainId, account, onCancelClick, onEditClick]);
+  }, [
+    orders,
+    visibleOrders,
+    renderActions,
+    renderOrderCheckbox,
+    infoTokens,
+    positionsMap,
+    hideActions,
+    chainId,
+    account,
+    onCancelClick,
+    onEditClick,
+    bracketLegs,
+    getBracketLeg,
+    getOrderTypeText,
+    renderTriggerPrice,
+  ]);
 
   const renderSmallList = useCallback(() => {
-    return orders.reverse().map((order) => {
+    return groupBracketOrders(visibleOrders.reverse(), bracketLegs).map((order) => {
       if (order.type === SWAP) {
         const nativeTokenAddress = getContract(chainId, "NATIVE_TOKEN");
         const fromTokenInfo = getTokenInfo(infoTokens, order.path[0], true, nativeTokenAddress.toLowerCase());
@@ -377,6 +596,7 @@ export default function OrdersList(props) {
                 <>
                   <div className="App-card-divider"></div>
                   <div className="App-card-options">
+                    {renderOrderCheckbox(order)}
                     <button className="App-button-option App-card-option" onClick={() => onEditClick(order)}>
                       <Trans>Edit</Trans>
                     </button>
@@ -406,7 +626,10 @@ export default function OrdersList(props) {
       const sizeDeltaText = formatAmount(order.sizeDelta, USD_DECIMALS, 2, true);
 
       return (
-        <div key={`${order.isLong}-${order.type}-${order.index}`} className="App-card App-card-container">
+        <div
+          key={`${order.isLong}-${order.type}-${order.index}`}
+          className={cx("App-card App-card-container", { "Orders-bracket-leg": getBracketLeg(order) })}
+        >
           <div className="App-card-content">
             <div className="App-card-title-small">
               <div className="App-card-title-small-left">
@@ -436,6 +659,7 @@ export default function OrdersList(props) {
               </div>
               {!hideActions && (
                 <div className="App-card-title-small-right">
+                  {renderOrderCheckbox(order)}
                   <button className="Exchange-list-action" onClick={() => onEditClick(order)}>
                     <Trans>Edit</Trans>
                   </button>
@@ -458,7 +682,7 @@ export default function OrdersList(props) {
                 <div className="label">
                   <Trans>Type</Trans>
                 </div>
-                <div>{order.type === INCREASE ? t`Limit` : t`Trigger`}</div>
+                <div>{getOrderTypeText(order)}</div>
               </div>
             </div>
             <div className="App-card-row App-card-row-container">
@@ -466,7 +690,7 @@ export default function OrdersList(props) {
                 <div className="label">
                   <Trans>Order Price</Trans>
                 </div>
-                <div>${formatAmount(order.triggerPrice, USD_DECIMALS, 2, true)}</div>
+                <div>{renderTriggerPrice(order)}</div>
               </div>
               <div className="App-card-row-item">
                 <div className="label">
@@ -479,10 +703,64 @@ export default function OrdersList(props) {
         </div>
       );
     });
-  }, [orders, onEditClick, onCancelClick, infoTokens, positionsMap, hideActions, chainId, account]);
+  }, [
+    visibleOrders,
+    renderOrderCheckbox,
+    onEditClick,
+    onCancelClick,
+    infoTokens,
+    positionsMap,
+    hideActions,
+    chainId,
+    account,
+    bracketLegs,
+    getBracketLeg,
+    getOrderTypeText,
+    renderTriggerPrice,
+  ]);
+
+  const renderBatchActions = () => {
+    const selectedCount = selectedOrderIds.length;
+    return (
+      <div className="Orders-batch-actions">
+        <div className="Orders-batch-market">
+          <Select
+            value={selectedMarket ? selectedMarket.value : ALL_MARKETS}
+            onChange={(evt) => setMarketFilter(evt.target.value)}
+            options={[{ value: ALL_MARKETS, label: t`All Markets` }, ...marketOptions]}
+          />
+        </div>
+        <button
+          className="Exchange-list-action"
+          disabled={selectedCount === 0}
+          type="button"
+          onClick={() => setIsRepricing(true)}
+        >
+          <Trans>Reprice Selected</Trans>
+        </button>
+        <button
+          className="Exchange-list-action"
+          disabled={selectedCount === 0 || isCancelMultipleOrderProcessing}
+          type="button"
+          onClick={() => cancelOrders(selectedOrderIds)}
+        >
+          <Plural value={selectedCount} _0="Cancel Selected" one="Cancel # Order" other="Cancel # Orders" />
+        </button>
+        <button
+          className="Exchange-list-action"
+          disabled={visibleOrders.length === 0 || isCancelMultipleOrderProcessing}
+          type="button"
+          onClick={() => cancelOrders(visibleOrders.map(getOrderId))}
+        >
+          {selectedMarket ? t`Cancel All ${selectedMarket.label}` : t`Cancel All`}
+        </button>
+      </div>
+    );
+  };
 
   return (
     <React.Fragment>
+      {!!account && !!orders && orders.length > 0 && !hideActions && cancelOrders && renderBatchActions()}
       <table className="Exchange-list Orders large App-box">
         <tbody>
           {!!account && !!orders && !!orders.length && renderHead()}
@@ -545,6 +823,20 @@ export default function OrdersList(props) {
           savedShouldDisableValidationForTesting={savedShouldDisableValidationForTesting}
         />
       )}
+      {isRepricing && (
+        <OrdersPriceEditor
+          account={account}
+          chainId={chainId}
+          library={library}
+          orders={(orders || []).filter((order) => selectedOrderIds.includes(getOrderId(order)))}
+          infoTokens={infoTokens}
+          positionsMap={positionsMap}
+          pendingTxns={pendingTxns}
+          setPendingTxns={setPendingTxns}
+          savedShouldDisableValidationForTesting={savedShouldDisableValidationForTesting}
+          onClose={() => setIsRepricing(false)}
+        />
+      )}
     </React.Fragment>
   );
 }
@@ -0,0 +1,190 @@
+import React, { useMemo, useState } from "react";
+import { BsArrowRight } from "react-icons/bs";
+import { Plural, t, Trans } from "@lingui/macro";
+import { DECREASE, INCREASE, SWAP, USD_DECIMALS, getLiquidationPrice, getPositionForOrder } from "lib/legacy";
+import { updateDecreaseOrder, updateIncreaseOrder } from "domain/legacy";
+import { getOrderId, getRepriceChanges, runOrderQueue } from "domain/orderBatch";
+import { getTokenInfo } from "domain/tokens/utils";
+import { helperToast } from "lib/helperToast";
+import { formatAmount } from "lib/numbers";
+import Button from "components/Button/Button";
+import Modal from "../Modal/Modal";
+import ExchangeInfoRow from "./ExchangeInfoRow";
+
+// Moves the trigger price of several orders by the same percentage, one update transaction per order
+export default function OrdersPriceEditor(props) {
+  const {
+    account,
+    chainId,
+    library,
+    orders,
+    infoTokens,
+    positionsMap,
+    pendingTxns,
+    setPendingTxns,
+    savedShouldDisableValidationForTesting,
+    onClose,
+  } = props;
+
+  const [changeValue, setChangeValue] = useState("");
+  const [submittedCount, setSubmittedCount] = useState();
+  const changeBps = Math.round(parseFloat(changeValue) * 100) || 0;
+
+  const changes = useMemo(() => {
+    const markPrices = {};
+    const liquidationPrices = {};
+    orders.forEach((order) => {
+      if (order.type === SWAP) {
+        return;
+      }
+      const orderId = getOrderId(order);
+      const indexToken = getTokenInfo(infoTokens, order.indexToken.toLowerCase());
+      if (!savedShouldDisableValidationForTesting) {
+        markPrices[orderId] = order.isLong ? indexToken?.maxPrice : indexToken?.minPrice;
+      }
+      const position = order.type === DECREASE ? getPositionForOrder(account, order, positionsMap) : undefined;
+      if (position) {
+        liquidationPrices[orderId] = getLiquidationPrice(position);
+      }
+    });
+    return getRepriceChanges(orders, changeBps, { markPrices, liquidationPrices });
+  }, [account, orders, changeBps, infoTokens, positionsMap, savedShouldDisableValidationForTesting]);
+
+  const validChanges = changes.filter((change) => !change.error);
+  const swapOrdersCount = orders.length - changes.length;
+  const isSubmitting = submittedCount !== undefined;
+
+  const getOrderLabel = (order) => {
+    const indexToken = getTokenInfo(infoTokens, order.indexToken.toLowerCase());
+    const indexTokenSymbol = indexToken?.isWrapped ? indexToken?.baseSymbol : indexToken?.symbol;
+    const orderTypeText = order.type === INCREASE ? t`Increase` : t`Decrease`;
+    return `${orderTypeText} ${indexTokenSymbol} ${order.isLong ? t`Long` : t`Short`}`;
+  };
+
+  const getError = () => {
+    if (!changeBps) {
+      return t`Enter a change`;
+    }
+    if (validChanges.length === 0) {
+      return t`No orders to update`;
+    }
+  };
+
+  const getPrimaryText = () => {
+    const error = getError();
+    if (error) {
+      return error;
+    }
+    if (isSubmitting) {
+      return t`Updating ${submittedCount + 1}/${validChanges.length}...`;
+    }
+    return <Plural value={validChanges.length} one="Update # order" other="Update # orders" />;
+  };
+
+  const onClickPrimary = async () => {
+    setSubmittedCount(0);
+    const count = validChanges.length;
+    const updatedCount = await runOrderQueue(validChanges, ({ order, triggerPrice }, i) => {
+      const orderText = `${i + 1}/${count}`;
+      const opts = {
+        successMsg: t`Order ${orderText} updated!`,
+        failMsg: t`Order ${orderText} update failed.`,
+        sentMsg: t`Order ${orderText} update submitted!`,
+        pendingTxns,
+        setPendingTxns,
+      };
+      const update =
+        order.type === DECREASE
+          ? updateDecreaseOrder(
+              chainId,
+              library,
+              order.index,
+              order.collateralDelta,
+              order.sizeDelta,
+              triggerPrice,
+              order.triggerAboveThreshold,
+              opts
+            )
+          : updateIncreaseOrder(
+              chainId,
+              library,
+              order.index,
+              order.sizeDelta,
+              triggerPrice,
+              order.triggerAboveThreshold,
+              opts
+            );
+      return update.then(() => setSubmittedCount(i + 1));
+    });
+    setSubmittedCount(undefined);
+    if (updatedCount > 0 && updatedCount < count) {
+      helperToast.error(t`Updated ${updatedCount} of ${count} orders.`);
+    }
+    if (updatedCount > 0) {
+      onClose();
+    }
+  };
+
+  return (
+    <Modal isVisible={true} className="Exchange-list-modal" setIsVisible={onClose} label={t`Reprice orders`}>
+      <div className="Exchange-swap-section">
+        <div className="Exchange-swap-section-top">
+          <div className="muted">
+            <Trans>Price Change</Trans>
+          </div>
+        </div>
+        <div className="Exchange-swap-section-bottom">
+          <div className="Exchange-swap-input-container">
+            <input
+              type="number"
+              placeholder="0.0"
+              className="Exchange-swap-input"
+              value={changeValue}
+              onChange={(evt) => setChangeValue(evt.target.value || "")}
+            />
+          </div>
+          <div className="PositionEditor-token-symbol">%</div>
+        </div>
+      </div>
+      {changes.map(({ order, triggerPrice, error }) => (
+        <ExchangeInfoRow key={getOrderId(order)} label={getOrderLabel(order)}>
+          <div style={{ display: "flex", alignItems: "center", justifyContent: "flex-end" }}>
+            <span className="muted">{formatAmount(order.triggerPrice, USD_DECIMALS, 2, true)}</span>
+            {changeBps !== 0 && (
+              <>
+                &nbsp;
+                <BsArrowRight />
+                &nbsp;
+                <span className={error ? "negative" : undefined}>
+                  {error || formatAmount(triggerPrice, USD_DECIMALS, 2, true)}
+                </span>
+              </>
+            )}
+          </div>
+        </ExchangeInfoRow>
+      ))}
+      <ExchangeInfoRow label={t`Orders to update`} isTop>
+        {validChanges.length}/{orders.length}
+      </ExchangeInfoRow>
+      {swapOrdersCount > 0 && (
+        <div className="muted">
+          <Plural
+            value={swapOrdersCount}
+            one="# swap order keeps its price, edit swaps one at a time."
+            other="# swap orders keep their price, edit swaps one at a time."
+          />
+        </div>
+      )}
+      <div className="Exchange-swap-button-container">
+        <Button
+          variant="primary-action"
+          className="w-full"
+          onClick={onClickPrimary}
+          disabled={Boolean(getError()) || isSubmitting}
+        >
+          {getPrimaryText()}
+        </Button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import { Area, AreaChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { usePerp } from 'contexts/PerpContext';
+import { formatDate, formatDateTime } from 'lib/dates';
+import { formatAmount } from 'lib/numbers';
+import './PerpFundingPanel.scss';
+
+const BASIS_POINTS = 10000;
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const FUNDING_REFRESH_INTERVAL = 30000;
+
+// Funding rates are in basis points per funding period
+function formatRate(rate) {
+  return `${rate > 0 ? '+' : ''}${(rate / 100).toFixed(4)}%`;
+}
+
+function formatCountdown(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return [hours, minutes, seconds % 60].map((value) => String(value).padStart(2, '0')).join(':');
+}
+
+// Positive payments are paid by the trader
+function formatPayment(payment) {
+  return `${payment.gt(0) ? '-' : '+'}${formatAmount(payment.abs(), 18, 4, true)} USDC`;
+}
+
+const PerpFundingPanel = () => {
+  const { isInitialized, markets, positions, selectedBaseToken, getFundingInfo, getFundingHistory, getPendingFunding } =
+    usePerp();
+
+  const [fundingInfo, setFundingInfo] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [pendingFunding, setPendingFunding] = useState(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  const selectedMarket = markets.find((market) => market.baseToken === selectedBaseToken) || markets[0];
+  const tokenAddress = selectedMarket?.baseToken;
+  const currentPosition = (tokenAddress && positions[tokenAddress]) || null;
+  const positionSize = currentPosition ? currentPosition.size.toString() : undefined;
+
+  // Funding state and history of the selected market, refreshed while the panel is shown
+  useEffect(() => {
+    if (!isInitialized || !tokenAddress) return;
+
+    let isCancelled = false;
+    setFundingInfo(null);
+    setHistory([]);
+
+    const load = () => {
+      Promise.all([getFundingInfo(tokenAddress), getFundingHistory(tokenAddress)]).then(([info, updates]) => {
+        if (isCancelled) return;
+        setFundingInfo(info);
+        setHistory(updates);
+      });
+    };
+
+    load();
+    const interval = setInterval(load, FUNDING_REFRESH_INTERVAL);
+    return () => {
+      isCancelled = true;
+      clearInterval(interval);
+    };
+  }, [isInitialized, tokenAddress, getFundingInfo, getFundingHistory]);
+
+  // Funding accrued on the position since its last settlement, reread when a funding update lands
+  useEffect(() => {
+    setPendingFunding(null);
+    if (!positionSize || !tokenAddress) return;
+
+    let isCancelled = false;
+    getPendingFunding(tokenAddress, positionSize).then((pending) => {
+      if (!isCancelled) setPendingFunding(pending);
+    });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [tokenAddress, positionSize, fundingInfo?.lastFundingTime, getPendingFunding]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (!isInitialized || !selectedMarket) {
+    return null;
+  }
+
+  const longRate = fundingInfo ? fundingInfo.longRate.toNumber() : undefined;
+  const annualizedRate =
+    fundingInfo && fundingInfo.fundingPeriod > 0
+      ? (longRate * SECONDS_PER_YEAR) / fundingInfo.fundingPeriod
+      : undefined;
+  const secondsToFunding = fundingInfo ? fundingInfo.nextFundingTime - now : undefined;
+  // Next payment if the coming period settles at the current rate, as Funding.settleFunding computes it
+  const nextPayment =
+    fundingInfo && currentPosition ? currentPosition.size.mul(fundingInfo.longRate).div(BASIS_POINTS) : undefined;
+
+  const chartData = history.map((update) => ({
+    timestamp: update.timestamp,
+    rate: update.longRate.toNumber() / 100,
+  }));
+
+  return (
+    <div className="PerpFundingPanel">
+      <div className="PerpFundingPanel-header">
+        <h4>Funding · {selectedMarket.symbol}-PERP</h4>
+        {longRate !== undefined && longRate !== 0 && (
+          <span className="muted">{longRate > 0 ? 'Longs pay shorts' : 'Shorts pay longs'}</span>
+        )}
+      </div>
+
+      <div className="PerpFundingPanel-info">
+        <div className="funding-row">
+          <span>Current Rate:</span>
+          <span className={longRate > 0 ? 'negative' : 'positive'}>
+            {fundingInfo ? formatRate(longRate) : 'Loading...'}
+          </span>
+        </div>
+        <div className="funding-row">
+          <span>Annualized:</span>
+          <span>{annualizedRate !== undefined ? formatRate(annualizedRate) : '-'}</span>
+        </div>
+        <div className="funding-row">
+          <span>Cumulative:</span>
+          <span>{fundingInfo ? formatRate(fundingInfo.cumulativeFunding.toNumber()) : '-'}</span>
+        </div>
+        <div className="funding-row">
+          <span>Next Funding:</span>
+          <span>
+            {secondsToFunding === undefined && '-'}
+            {secondsToFunding !== undefined && secondsToFunding > 0 && formatCountdown(secondsToFunding)}
+            {secondsToFunding !== undefined && secondsToFunding <= 0 && 'Awaiting update'}
+          </span>
+        </div>
+        {fundingInfo && fundingInfo.lastFundingTime > 0 && (
+          <div className="funding-row">
+            <span>Last Update:</span>
+            <span>{formatDateTime(fundingInfo.lastFundingTime)}</span>
+          </div>
+        )}
+        {currentPosition && (
+          <>
+            <div className="funding-row">
+              <span>Pending Payment:</span>
+              <span className={pendingFunding && pendingFunding.gt(0) ? 'negative' : 'positive'}>
+                {pendingFunding ? formatPayment(pendingFunding) : '-'}
+              </span>
+            </div>
+            <div className="funding-row">
+              <span>Est. Next Payment:</span>
+              <span className={nextPayment && nextPayment.gt(0) ? 'negative' : 'positive'}>
+                {nextPayment ? formatPayment(nextPayment) : '-'}
+              </span>
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="PerpFundingPanel-chart">
+        {chartData.length > 0 ? (
+          <ResponsiveContainer width="100%" height={160}>
+            <AreaChart data={chartData}>
+              <XAxis dataKey="timestamp" tickFormatter={formatDate} minTickGap={30} />
+              <YAxis width={60} tickFormatter={(value) => `${value.toFixed(2)}%`} />
+              <Tooltip
+                labelFormatter={formatDateTime}
+                formatter={(value) => [formatRate(value * 100), 'Funding Rate']}
+              />
+              <Area type="stepAfter" dataKey="rate" stroke="#3b82f6" fill="rgba(59, 130, 246, 0.2)" />
+            </AreaChart>
+          </ResponsiveContainer>
+        ) : (
+          <div className="muted">{fundingInfo ? 'No funding updates yet' : 'Loading...'}</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PerpFundingPanel;
@@ -2,15 +2,20 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { ethers } from 'ethers';
 import { usePerp } from 'contexts/PerpContext';
 import { useWeb3React } from '@web3-react/core';
-import { getContract } from 'config/contracts';
+import { formatAmount } from 'lib/numbers';
 import { useChainId } from 'lib/chains';
+import { USD_DECIMALS } from 'lib/legacy';
+import { useStreamedPrice } from 'domain/priceStream';
+import { helperToast } from 'lib/helperToast';
 import './PerpSwapBox.scss';
 
+const CLOSE_RATIOS = [2500, 5000, 7500, 10000]; // basis points
+
 const PerpSwapBox = () => {
   const { account } = useWeb3React();
-  const { chainId } = useChainId();
   const {
     isInitialized,
+    markets,
     positions,
     accountInfo,
     loading,
@@ -22,11 +27,13 @@ const PerpSwapBox = () => {
     getMarkPrice,
     getIndexPrice,
     getFundingRate,
-    getPriceImpact,
+    getOpenQuote,
+    getCloseQuote,
+    selectedBaseToken,
+    setSelectedBaseToken,
   } = usePerp();
 
   // State
-  const [selectedToken, setSelectedToken] = useState('ETH');
   const [tradeType, setTradeType] = useState('open'); // 'open', 'close', 'addCollateral', 'removeCollateral'
   const [direction, setDirection] = useState('long'); // 'long', 'short'
   const [amount, setAmount] = useState('');
@@ -34,41 +41,95 @@ const PerpSwapBox = () => {
   const [slippage, setSlippage] = useState(0.5); // 0.5%
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [txHash, setTxHash] = useState('');
+  const [markPrice, setMarkPrice] = useState(null);
+  const [indexPrice, setIndexPrice] = useState(null);
+  const [fundingRate, setFundingRate] = useState(null);
+  const [closeRatio, setCloseRatio] = useState(10000);
+  const [quote, setQuote] = useState(null);
 
   // Computed values
-  const tokenAddress = getContract(chainId, 'PerpVammETH'); // For now, only ETH
-  const currentPosition = positions[tokenAddress] || null;
-  const markPrice = useMemo(() => {
-    if (!isInitialized) return null;
-    return getMarkPrice(tokenAddress);
-  }, [isInitialized, tokenAddress]);
-
-  const indexPrice = useMemo(() => {
-    if (!isInitialized) return null;
-    return getIndexPrice(tokenAddress);
-  }, [isInitialized, tokenAddress]);
-
-  const fundingRate = useMemo(() => {
-    if (!isInitialized) return null;
-    return getFundingRate(tokenAddress);
-  }, [isInitialized, tokenAddress]);
-
-  const priceImpact = useMemo(() => {
-    if (!amount || !isInitialized) return null;
-    return getPriceImpact(tokenAddress, direction === 'long', ethers.utils.parseEther(amount));
-  }, [amount, direction, isInitialized, tokenAddress]);
+  const selectedMarket = markets.find((market) => market.baseToken === selectedBaseToken) || markets[0];
+  const tokenAddress = selectedMarket?.baseToken;
+  const currentPosition = (tokenAddress && positions[tokenAddress]) || null;
+  // Live index price from the shared price hub, the Oracle read below covers it until the first update
+  const { chainId } = useChainId();
+  const streamedIndexPrice = useStreamedPrice(chainId, tokenAddress);
+
+  // Load prices for the selected market
+  useEffect(() => {
+    if (!isInitialized || !tokenAddress) return;
+
+    let isCancelled = false;
+    setMarkPrice(null);
+    setIndexPrice(null);
+    setFundingRate(null);
+
+    Promise.all([getMarkPrice(tokenAddress), getIndexPrice(tokenAddress), getFundingRate(tokenAddress)]).then(
+      ([mark, index, funding]) => {
+        if (isCancelled) return;
+        setMarkPrice(mark);
+        setIndexPrice(index);
+        setFundingRate(funding);
+      }
+    );
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [isInitialized, tokenAddress, getMarkPrice, getIndexPrice, getFundingRate]);
+
+  // Quote the trade against the vAMM: expected fill price, price impact and the slippage bound sent on-chain
+  useEffect(() => {
+    setQuote(null);
+    if (!isInitialized || !tokenAddress) return;
+
+    let quotePromise;
+    const slippageTolerance = slippage / 100;
+    if (tradeType === 'open' && Number(amount) > 0) {
+      quotePromise = getOpenQuote({
+        baseToken: tokenAddress,
+        isLong: direction === 'long',
+        collateralAmount: ethers.utils.parseEther(amount),
+        leverage: leverage * 100,
+        slippageTolerance,
+      });
+    } else if (tradeType === 'close' && currentPosition) {
+      quotePromise = getCloseQuote({ baseToken: tokenAddress, closeRatio, slippageTolerance });
+    } else {
+      return;
+    }
+
+    let isCancelled = false;
+    quotePromise.then((result) => {
+      if (!isCancelled) setQuote(result);
+    });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [
+    tradeType,
+    amount,
+    direction,
+    leverage,
+    slippage,
+    closeRatio,
+    currentPosition,
+    isInitialized,
+    tokenAddress,
+    getOpenQuote,
+    getCloseQuote,
+  ]);
 
   // Calculate liquidation price
   const liquidationPrice = useMemo(() => {
     if (!currentPosition || !markPrice) return null;
     
-    const { size, collateral, entryPrice } = currentPosition;
+    const { size, entryPrice } = currentPosition;
     if (size.eq(0)) return null;
 
     const isLong = size.gt(0);
-    const positionNotional = size.abs().mul(markPrice).div(ethers.utils.parseEther('1'));
-    const leverageRatio = positionNotional.mul(ethers.utils.parseEther('1')).div(collateral);
-    
+
     // Simplified liquidation price calculation
     const maintenanceMargin = ethers.utils.parseEther('0.05'); // 5% maintenance margin
     const liquidationPrice = isLong 
@@ -78,12 +139,6 @@ const PerpSwapBox = () => {
     return liquidationPrice;
   }, [currentPosition, markPrice]);
 
-  // Calculate position size
-  const positionSize = useMemo(() => {
-    if (!amount || !leverage) return null;
-    return ethers.utils.parseEther(amount).mul(leverage).div(100);
-  }, [amount, leverage]);
-
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -93,51 +148,49 @@ const PerpSwapBox = () => {
       setIsSubmitting(true);
       setTxHash('');
 
-      let tx;
-      const deadline = Math.floor(Date.now() / 1000) + 300; // 5 minutes
+      let receipt;
+      const slippageTolerance = slippage / 100;
 
       switch (tradeType) {
         case 'open':
-          tx = await openPosition({
+          receipt = await openPosition({
             baseToken: tokenAddress,
             isLong: direction === 'long',
             collateralAmount: ethers.utils.parseEther(amount),
             leverage: leverage * 100, // Convert to basis points
-            minBaseAmount: 0, // TODO: Calculate based on slippage
-            deadline,
+            slippageTolerance,
           });
           break;
 
         case 'close':
           if (!currentPosition) throw new Error('No position to close');
-          tx = await closePosition({
+          receipt = await closePosition({
             baseToken: tokenAddress,
-            closeRatio: 10000, // Close 100% for now
-            minQuoteAmount: 0,
-            deadline,
+            closeRatio,
+            slippageTolerance,
           });
           break;
 
         case 'addCollateral':
-          tx = await addCollateral(tokenAddress, ethers.utils.parseEther(amount));
+          receipt = await addCollateral(tokenAddress, ethers.utils.parseEther(amount));
           break;
 
         case 'removeCollateral':
-          tx = await removeCollateral(tokenAddress, ethers.utils.parseEther(amount));
+          receipt = await removeCollateral(tokenAddress, ethers.utils.parseEther(amount));
           break;
 
         default:
           throw new Error('Invalid trade type');
       }
 
-      setTxHash(tx.hash);
-      await tx.wait();
-      
+      setTxHash(receipt.transactionHash);
+
       // Reset form
       setAmount('');
+      setCloseRatio(10000);
     } catch (err) {
       console.error('Transaction failed:', err);
-      alert(`Transaction failed: ${err.message}`);
+      helperToast.error(`Transaction failed: ${err.message}`);
     } finally {
       setIsSubmitting(false);
     }
@@ -189,12 +242,24 @@ const PerpSwapBox = () => {
       </div>
 
       <form onSubmit={handleSubmit} className="PerpSwapBox-form">
-        {/* Token Selection */}
+        {/* Market Selection */}
         <div className="PerpSwapBox-token">
-          <label>Asset</label>
+          <label>Market</label>
           <div className="token-selector">
-            <span className="token-symbol">{selectedToken}</span>
-            <span className="token-name">Ethereum</span>
+            <select
+              className="market-select"
+              value={tokenAddress || ''}
+              onChange={(e) => setSelectedBaseToken(e.target.value)}
+              disabled={markets.length === 0}
+            >
+              {markets.length === 0 && <option value="">No markets listed</option>}
+              {markets.map((market) => (
+                <option key={market.baseToken} value={market.baseToken} disabled={!market.isActive}>
+                  {market.symbol}-PERP
+                </option>
+              ))}
+            </select>
+            {selectedMarket && <span className="token-name">{selectedMarket.name}</span>}
           </div>
         </div>
 
@@ -221,19 +286,40 @@ const PerpSwapBox = () => {
           </div>
         )}
 
-        {/* Amount Input */}
-        <div className="PerpSwapBox-amount">
-          <label>Amount (USDC)</label>
-          <input
-            type="number"
-            value={amount}
-            onChange={(e) => setAmount(e.target.value)}
-            placeholder="0.00"
-            step="0.01"
-            min="0"
-            required
-          />
-        </div>
+        {/* Amount Input (closes are sized by ratio instead) */}
+        {tradeType !== 'close' && (
+          <div className="PerpSwapBox-amount">
+            <label>Amount (USDC)</label>
+            <input
+              type="number"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder="0.00"
+              step="0.01"
+              min="0"
+              required
+            />
+          </div>
+        )}
+
+        {/* Close Ratio (only for closing positions) */}
+        {tradeType === 'close' && (
+          <div className="PerpSwapBox-close-ratio">
+            <label>Close: {closeRatio / 100}%</label>
+            <div className="close-ratio-buttons">
+              {CLOSE_RATIOS.map((ratio) => (
+                <button
+                  key={ratio}
+                  type="button"
+                  className={closeRatio === ratio ? 'active' : ''}
+                  onClick={() => setCloseRatio(ratio)}
+                >
+                  {ratio / 100}%
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
 
         {/* Leverage Slider (only for opening positions) */}
         {tradeType === 'open' && (
@@ -276,11 +362,53 @@ const PerpSwapBox = () => {
           />
         </div>
 
+        {/* Quote */}
+        {quote && tradeType === 'open' && (
+          <div className="PerpSwapBox-quote">
+            <div className="quote-row">
+              <span>Expected Fill Price:</span>
+              <span>${formatAmount(quote.fillPrice, 18, 2, true)}</span>
+            </div>
+            <div className="quote-row">
+              <span>Price Impact:</span>
+              <span className={quote.priceImpact.gt(100) ? 'warning' : ''}>{formatAmount(quote.priceImpact, 2, 2)}%</span>
+            </div>
+            <div className="quote-row">
+              <span>Min. Received:</span>
+              <span>
+                {formatAmount(quote.minBaseAmount, 18, 4, true)} {selectedMarket.symbol}
+              </span>
+            </div>
+          </div>
+        )}
+        {quote && tradeType === 'close' && (
+          <div className="PerpSwapBox-quote">
+            <div className="quote-row">
+              <span>Closing Size:</span>
+              <span>
+                {formatAmount(quote.closeSize, 18, 4, true)} {selectedMarket.symbol}
+              </span>
+            </div>
+            <div className="quote-row">
+              <span>Expected Fill Price:</span>
+              <span>${formatAmount(quote.fillPrice, 18, 2, true)}</span>
+            </div>
+            <div className="quote-row">
+              <span>Price Impact:</span>
+              <span className={quote.priceImpact.gt(100) ? 'warning' : ''}>{formatAmount(quote.priceImpact, 2, 2)}%</span>
+            </div>
+            <div className="quote-row">
+              <span>Min. Received:</span>
+              <span>{formatAmount(quote.minQuoteAmount, 18, 2, true)} USDC</span>
+            </div>
+          </div>
+        )}
+
         {/* Submit Button */}
         <button
           type="submit"
           className="PerpSwapBox-submit"
-          disabled={isSubmitting || loading || !amount}
+          disabled={isSubmitting || loading || (tradeType !== 'close' && !amount) || !tokenAddress}
         >
           {isSubmitting ? 'Processing...' : `${tradeType.charAt(0).toUpperCase() + tradeType.slice(1)} Position`}
         </button>
@@ -301,20 +429,21 @@ const PerpSwapBox = () => {
         </div>
         <div className="price-row">
           <span>Index Price:</span>
-          <span>{indexPrice ? ethers.utils.formatEther(indexPrice) : 'Loading...'}</span>
+          {streamedIndexPrice ? (
+            <span className={streamedIndexPrice.isStale ? 'stale' : ''}>
+              {formatAmount(streamedIndexPrice.price, USD_DECIMALS, 2, true)}
+              {streamedIndexPrice.isStale && ' (stale)'}
+            </span>
+          ) : (
+            <span>{indexPrice ? ethers.utils.formatEther(indexPrice) : 'Loading...'}</span>
+          )}
         </div>
         <div className="price-row">
           <span>Funding Rate:</span>
-          <span className={fundingRate && fundingRate.gt(0) ? 'positive' : 'negative'}>
-            {fundingRate ? `${ethers.utils.formatEther(fundingRate)}%` : 'Loading...'}
+          <span className={fundingRate && fundingRate.longRate.gt(0) ? 'positive' : 'negative'}>
+            {fundingRate ? `${formatAmount(fundingRate.longRate, 2, 4)}%` : 'Loading...'}
           </span>
         </div>
-        {priceImpact && (
-          <div className="price-row">
-            <span>Price Impact:</span>
-            <span>{ethers.utils.formatEther(priceImpact)}%</span>
-          </div>
-        )}
       </div>
 
       {/* Current Position */}
@@ -325,7 +454,7 @@ const PerpSwapBox = () => {
             <div className="position-row">
               <span>Size:</span>
               <span className={currentPosition.size.gt(0) ? 'long' : 'short'}>
-                {ethers.utils.formatEther(currentPosition.size.abs())} {selectedToken}
+                {ethers.utils.formatEther(currentPosition.size.abs())} {selectedMarket.symbol}
               </span>
             </div>
             <div className="position-row">
@@ -358,12 +487,24 @@ const PerpSwapBox = () => {
             <div className="account-row">
               <span>Unrealized PnL:</span>
               <span className={accountInfo.unrealizedPnL.gt(0) ? 'positive' : 'negative'}>
+                {accountInfo.unrealizedPnL.lt(0) ? '-' : ''}
                 {ethers.utils.formatEther(accountInfo.unrealizedPnL.abs())} USDC
               </span>
             </div>
+            <div className="account-row">
+              <span>Pending Funding:</span>
+              <span className={accountInfo.pendingFunding.gt(0) ? 'negative' : 'positive'}>
+                {accountInfo.pendingFunding.gt(0) ? '-' : ''}
+                {ethers.utils.formatEther(accountInfo.pendingFunding.abs())} USDC
+              </span>
+            </div>
+            <div className="account-row">
+              <span>Account Value:</span>
+              <span>{ethers.utils.formatEther(accountInfo.accountValue)} USDC</span>
+            </div>
             <div className="account-row">
               <span>Margin Ratio:</span>
-              <span>{ethers.utils.formatEther(accountInfo.marginRatio)}%</span>
+              <span>{formatAmount(accountInfo.marginRatio, 2, 2)}%</span>
             </div>
           </div>
         </div>
@@ -31,6 +31,7 @@ import { bigNumberify, expandDecimals, formatAmount, formatAmountFree, parseValu
 import { ErrorCode, ErrorDisplayType } from "./constants";
 import Button from "components/Button/Button";
 import FeesTooltip from "./FeesTooltip";
+import { useUserReferralCode } from "domain/referrals";
 
 const DEPOSIT = "Deposit";
 const WITHDRAW = "Withdraw";
@@ -66,6 +67,7 @@ export default function PositionEditor(props) {
     minExecutionFeeErrorMessage,
     isContractAccount,
   } = props;
+  const { attachedOnChain, userReferralCode } = useUserReferralCode(library, chainId, account);
   const nativeTokenAddress = getContract(chainId, "NATIVE_TOKEN");
   const position = positionsMap && positionKey ? positionsMap[positionKey] : undefined;
   const [option, setOption] = useState(DEPOSIT);
@@ -306,7 +308,7 @@ export default function PositionEditor(props) {
     const priceBasisPoints = position.isLong ? 11000 : 9000;
     const priceLimit = position.indexToken.maxPrice.mul(priceBasisPoints).div(10000);
 
-    const referralCode = ethers.constants.HashZero;
+    const referralCode = !attachedOnChain && userReferralCode ? userReferralCode : ethers.constants.HashZero;
     let params = [
       path, // _path
       indexTokenAddress, // _indexToken
@@ -18,6 +18,7 @@ import {
   PRECISION,
   MARKET,
   STOP,
+  TRAILING_STOP,
   DECREASE,
   calculatePositionDelta,
   getDeltaStr,
@@ -30,6 +31,8 @@ import {
 } from "lib/legacy";
 import { ARBITRUM, getChainName, getConstant, IS_NETWORK_DISABLED } from "config/chains";
 import { createDecreaseOrder, useHasOutdatedUi } from "domain/legacy";
+import { getCreatedOrderIndex } from "domain/brackets";
+import { getTrailingStopTriggerPrice } from "domain/trailingStops";
 import { getContract } from "config/contracts";
 import PositionRouter from "abis/PositionRouter.json";
 import Checkbox from "../Checkbox/Checkbox";
@@ -61,6 +64,9 @@ const ORDER_SIZE_DUST_USD = expandDecimals(1, USD_DECIMALS - 1); // $0.10
 
 const HIGH_SPREAD_THRESHOLD = expandDecimals(1, USD_DECIMALS).div(100); // 1%;
 
+const TRAILING_OFFSET_TYPES = ["percent", "usd"];
+const TRAILING_OFFSET_LABELS = { percent: "%", usd: "USD" };
+
 function applySpread(amount, spread) {
   if (!amount || !spread) {
     return amount;
@@ -154,6 +160,7 @@ export default function PositionSeller(props) {
     usdgSupply,
     totalTokenWeights,
     isContractAccount,
+    addTrailingStop,
   } = props;
   const [savedSlippageAmount] = useLocalStorageSerializeKey([chainId, SLIPPAGE_BPS_KEY], DEFAULT_SLIPPAGE_AMOUNT);
   const [keepLeverage, setKeepLeverage] = useLocalStorageSerializeKey([chainId, "Exchange-keep-leverage"], true);
@@ -187,9 +194,10 @@ export default function PositionSeller(props) {
     savedRecieveTokenAddress ? toTokens.find((token) => token.address === savedRecieveTokenAddress) : undefined
   );
 
-  const ORDER_OPTIONS = [STOP, MARKET];
+  const ORDER_OPTIONS = [STOP, TRAILING_STOP, MARKET];
   const ORDER_OPTION_LABELS = {
     [STOP]: t`Trigger`,
+    [TRAILING_STOP]: t`Trailing`,
     [MARKET]: t`Market`,
   };
   let [orderOption, setOrderOption] = useState(STOP);
@@ -198,6 +206,10 @@ export default function PositionSeller(props) {
     orderOption = MARKET;
   }
 
+  const isTrailingStop = orderOption === TRAILING_STOP;
+  // A trailing stop is created as a trigger order, priced the offset away from the market price
+  const isTriggerOrder = orderOption === STOP || isTrailingStop;
+
   const needPositionRouterApproval = !positionRouterApproved && orderOption === MARKET;
 
   const onOrderOptionChange = (option) => {
@@ -209,14 +221,25 @@ export default function PositionSeller(props) {
   };
 
   const [triggerPriceValue, setTriggerPriceValue] = useState("");
-  const triggerPriceUsd = orderOption === MARKET ? 0 : parseValue(triggerPriceValue, USD_DECIMALS);
+  const [trailingOffsetValue, setTrailingOffsetValue] = useState("");
+  const [trailingOffsetType, setTrailingOffsetType] = useState(TRAILING_OFFSET_TYPES[0]);
+  // Percentages are kept in basis points
+  const trailingOffset = parseValue(trailingOffsetValue, trailingOffsetType === "percent" ? 2 : USD_DECIMALS);
+
+  let triggerPriceUsd = orderOption === MARKET ? 0 : parseValue(triggerPriceValue, USD_DECIMALS);
+  if (isTrailingStop) {
+    triggerPriceUsd =
+      trailingOffset && trailingOffset.gt(0)
+        ? getTrailingStopTriggerPrice(position.markPrice, position.isLong, trailingOffsetType, trailingOffset)
+        : undefined;
+  }
 
   const [nextDelta, nextHasProfit = bigNumberify(0)] = useMemo(() => {
     if (!position) {
       return [bigNumberify(0), false];
     }
 
-    if (orderOption !== STOP) {
+    if (!isTriggerOrder) {
       return [position.delta, position.hasProfit, position.deltaPercentage];
     }
 
@@ -226,10 +249,10 @@ export default function PositionSeller(props) {
 
     const { delta, hasProfit, deltaPercentage } = calculatePositionDelta(triggerPriceUsd, position);
     return [delta, hasProfit, deltaPercentage];
-  }, [position, orderOption, triggerPriceUsd]);
+  }, [position, isTriggerOrder, triggerPriceUsd]);
 
   const existingOrders = useMemo(() => {
-    if (orderOption === STOP && (!triggerPriceUsd || triggerPriceUsd.eq(0))) {
+    if (isTriggerOrder && (!triggerPriceUsd || triggerPriceUsd.eq(0))) {
       return [];
     }
     if (!orders || !position) {
@@ -242,7 +265,7 @@ export default function PositionSeller(props) {
       if (order.type !== DECREASE) continue;
 
       // if user creates Stop-Loss we need only Stop-Loss orders and vice versa
-      if (orderOption === STOP) {
+      if (isTriggerOrder) {
         const triggerAboveThreshold = triggerPriceUsd.gt(position.markPrice);
         if (triggerAboveThreshold !== order.triggerAboveThreshold) continue;
       }
@@ -256,11 +279,11 @@ export default function PositionSeller(props) {
       }
     }
     return ret;
-  }, [position, orders, triggerPriceUsd, orderOption, nativeTokenAddress]);
+  }, [position, orders, triggerPriceUsd, isTriggerOrder, nativeTokenAddress]);
 
   const existingOrder = existingOrders[0];
 
-  const needOrderBookApproval = orderOption === STOP && !orderBookApproved;
+  const needOrderBookApproval = isTriggerOrder && !orderBookApproved;
 
   const isSwapAllowed = orderOption === MARKET;
 
@@ -310,7 +333,7 @@ export default function PositionSeller(props) {
     setSavedRecieveTokenAddress,
   ]);
 
-  let executionFee = orderOption === STOP ? getConstant(chainId, "DECREASE_ORDER_EXECUTION_GAS_FEE") : minExecutionFee;
+  let executionFee = isTriggerOrder ? getConstant(chainId, "DECREASE_ORDER_EXECUTION_GAS_FEE") : minExecutionFee;
   let executionFeeUsd = getUsd(executionFee, nativeTokenAddress, false, infoTokens) || bigNumberify(0);
 
   const collateralToken = position.collateralToken;
@@ -332,7 +355,7 @@ export default function PositionSeller(props) {
     if (isClosing) {
       sizeDelta = position.size;
       receiveUsd = position.collateral;
-    } else if (orderOption === STOP && sizeDelta && existingOrders.length > 0) {
+    } else if (isTriggerOrder && sizeDelta && existingOrders.length > 0) {
       let residualSize = position.size;
       for (const order of existingOrders) {
         residualSize = residualSize.sub(order.sizeDelta);
@@ -423,7 +446,7 @@ export default function PositionSeller(props) {
     }
 
     // For Shorts trigger orders the collateral is a stable coin, it should not depend on the triggerPrice
-    if (orderOption === STOP && position.isLong) {
+    if (isTriggerOrder && position.isLong) {
       receiveAmount = getTokenAmountFromUsd(infoTokens, receiveToken.address, receiveUsd, {
         overridePrice: triggerPriceUsd,
       });
@@ -502,7 +525,7 @@ export default function PositionSeller(props) {
     if (!position || !position.markPrice || position.collateral.eq(0)) {
       return ["-", "-"];
     }
-    if (orderOption !== STOP) {
+    if (!isTriggerOrder) {
       const { pendingDelta, pendingDeltaPercentage, hasProfit } = calculatePositionDelta(
         position.markPrice,
         position,
@@ -532,14 +555,14 @@ export default function PositionSeller(props) {
     });
 
     return [deltaStr, deltaPercentageStr, hasProfit];
-  }, [position, triggerPriceUsd, orderOption, fromAmount]);
+  }, [position, triggerPriceUsd, isTriggerOrder, fromAmount]);
 
   const getError = () => {
     if (isSwapAllowed && isContractAccount && isAddressZero(receiveToken?.address)) {
       return [t`${nativeTokenSymbol} can not be sent to smart contract addresses. Select another token.`];
     }
     if (IS_NETWORK_DISABLED[chainId]) {
-      if (orderOption === STOP) return [t`Trigger order disabled, pending ${getChainName(chainId)} upgrade`];
+      if (isTriggerOrder) return [t`Trigger order disabled, pending ${getChainName(chainId)} upgrade`];
       return [t`Position close disabled, pending ${getChainName(chainId)} upgrade`];
     }
     // if (hasOutdatedUi) {
@@ -551,7 +574,15 @@ export default function PositionSeller(props) {
     if (nextLeverage && nextLeverage.eq(0)) {
       return [t`Enter an amount`];
     }
-    if (orderOption === STOP) {
+    if (isTrailingStop) {
+      if (!trailingOffset || trailingOffset.eq(0)) {
+        return [t`Enter an offset`];
+      }
+      if (!triggerPriceUsd) {
+        return [t`Offset too large`];
+      }
+    }
+    if (isTriggerOrder) {
       if (!triggerPriceUsd || triggerPriceUsd.eq(0)) {
         return [t`Enter Price`];
       }
@@ -596,7 +627,7 @@ export default function PositionSeller(props) {
       return [t`Max leverage: ${(MAX_ALLOWED_LEVERAGE / BASIS_POINTS_DIVISOR).toFixed(1)}x`];
     }
 
-    if (hasPendingProfit && orderOption !== STOP && !isProfitWarningAccepted) {
+    if (hasPendingProfit && !isTriggerOrder && !isProfitWarningAccepted) {
       return [t`Forfeit profit not checked`];
     }
     return [false];
@@ -634,7 +665,7 @@ export default function PositionSeller(props) {
       return error;
     }
 
-    if (orderOption === STOP) {
+    if (isTriggerOrder) {
       if (isSubmitting) return t`Creating Order...`;
 
       if (needOrderBookApproval && isWaitingForPluginApproval) {
@@ -670,6 +701,7 @@ export default function PositionSeller(props) {
 
   const resetForm = () => {
     setFromValue("");
+    setTrailingOffsetValue("");
     setIsProfitWarningAccepted(false);
   };
 
@@ -700,6 +732,28 @@ export default function PositionSeller(props) {
   }, [swapToToken, infoTokens, collateralTokenInfo]);
   const showReceiveSpread = receiveSpreadInfo && receiveSpreadInfo.value.gt(0);
 
+  // The stop trails from the market price it was created at, once the order is mined and its index known
+  const trackTrailingStop = (tx, indexTokenAddress, collateralTokenAddress) => {
+    const params = {
+      indexToken: indexTokenAddress,
+      collateralToken: collateralTokenAddress,
+      isLong: position.isLong,
+      offsetType: trailingOffsetType,
+      offset: trailingOffset.toString(),
+      bestPrice: position.markPrice.toString(),
+    };
+    tx.wait()
+      .then((receipt) => {
+        const orderIndex = getCreatedOrderIndex(receipt);
+        if (orderIndex !== undefined) {
+          addTrailingStop({ ...params, orderIndex });
+        }
+      })
+      .catch(() => {
+        // Reverted, callContract already reported it
+      });
+  };
+
   const onClickPrimary = async () => {
     if (needOrderBookApproval) {
       setOrdersToaOpen(true);
@@ -721,7 +775,7 @@ export default function PositionSeller(props) {
       : position.collateralToken.address;
     const indexTokenAddress = position.indexToken.isNative ? nativeTokenAddress : position.indexToken.address;
 
-    if (orderOption === STOP) {
+    if (isTriggerOrder) {
       const triggerAboveThreshold = triggerPriceUsd.gt(position.markPrice);
 
       createDecreaseOrder(
@@ -741,9 +795,12 @@ export default function PositionSeller(props) {
           setPendingTxns,
         }
       )
-        .then(() => {
+        .then((tx) => {
           setFromValue("");
           setIsVisible(false);
+          if (isTrailingStop) {
+            trackTrailingStop(tx, indexTokenAddress, collateralTokenAddress);
+          }
         })
         .finally(() => {
           setIsSubmitting(false);
@@ -904,7 +961,7 @@ export default function PositionSeller(props) {
 
   const shouldShowExistingOrderWarning = false;
 
-  if (orderOption === STOP && !triggerPriceUsd) {
+  if (isTriggerOrder && !triggerPriceUsd) {
     receiveUsd = bigNumberify(0);
     receiveAmount = bigNumberify(0);
   }
@@ -1037,13 +1094,45 @@ export default function PositionSeller(props) {
               </div>
             </div>
           )}
+          {isTrailingStop && (
+            <div className="Exchange-swap-section">
+              <div className="Exchange-swap-section-top">
+                <div className="muted">
+                  <span className="title-edit-position-muted">
+                    <Trans>Trailing Offset</Trans>
+                  </span>
+                </div>
+                <Tab
+                  options={TRAILING_OFFSET_TYPES}
+                  option={trailingOffsetType}
+                  optionLabels={TRAILING_OFFSET_LABELS}
+                  onChange={setTrailingOffsetType}
+                  type="inline"
+                  className="PositionSeller-offset-type"
+                />
+              </div>
+              <div className="Exchange-swap-section-bottom">
+                <div className="Exchange-swap-input-container">
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="0.0"
+                    className="Exchange-swap-input"
+                    value={trailingOffsetValue}
+                    onChange={(e) => setTrailingOffsetValue(e.target.value)}
+                  />
+                </div>
+                <div className="PositionEditor-token-symbol">{TRAILING_OFFSET_LABELS[trailingOffsetType]}</div>
+              </div>
+            </div>
+          )}
           {renderMinProfitWarning()}
           {shouldShowExistingOrderWarning && renderExistingOrderWarning()}
           <div className="PositionEditor-info-box">
             {minExecutionFeeErrorMessage && (
               <div className="Confirmation-box-warning">{minExecutionFeeErrorMessage}</div>
             )}
-            {hasPendingProfit && orderOption !== STOP && (
+            {hasPendingProfit && !isTriggerOrder && (
               <div className="PositionEditor-accept-profit-warning">
                 <Checkbox isChecked={isProfitWarningAccepted} setIsChecked={setIsProfitWarningAccepted}>
                   <span className="muted">Forfeit profit</span>
@@ -1078,10 +1167,10 @@ export default function PositionSeller(props) {
                 </ExchangeInfoRow>
               </div>
             )}
-            {orderOption === STOP && (
+            {isTriggerOrder && (
               <div className="Exchange-info-row">
                 <div className="Exchange-info-label">
-                  <Trans>Trigger Price</Trans>
+                  {isTrailingStop ? <Trans>Initial Trigger Price</Trans> : <Trans>Trigger Price</Trans>}
                 </div>
                 <div className="align-right">
                   {!triggerPriceUsd && "-"}
@@ -1106,8 +1195,8 @@ export default function PositionSeller(props) {
                 <Trans>Liq. Price</Trans>
               </div>
               <div className="align-right">
-                {isClosing && orderOption !== STOP && "-"}
-                {(!isClosing || orderOption === STOP) && (
+                {isClosing && !isTriggerOrder && "-"}
+                {(!isClosing || isTriggerOrder) && (
                   <div>
                     {(!nextLiquidationPrice || nextLiquidationPrice.eq(liquidationPrice)) && (
                       <div>{`$${formatAmount(liquidationPrice, USD_DECIMALS, 2, true)}`}</div>
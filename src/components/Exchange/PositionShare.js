@@ -0,0 +1,210 @@
+import { useEffect, useRef, useState } from "react";
+import { t, Trans } from "@lingui/macro";
+import { toBlob, toPng } from "html-to-image";
+import cx from "classnames";
+import { BiCopy, BiImage } from "react-icons/bi";
+import { RiFileDownloadLine } from "react-icons/ri";
+import { FiTwitter } from "react-icons/fi";
+import { useCopyToClipboard } from "react-use";
+
+import Modal from "../Modal/Modal";
+import SpinningLoader from "../Common/SpinningLoader";
+import { getRootShareApiUrl, getTwitterIntentURL } from "lib/legacy";
+import { helperToast } from "lib/helperToast";
+import downloadImage from "lib/downloadImage";
+import useLoadImage from "lib/useLoadImage";
+import utxLogo from "img/utx-logo-with-name.svg";
+import shareBgImg from "img/position-share-bg.png";
+
+import "./PositionShare.css";
+
+const SHARE_URL = getRootShareApiUrl() + "/api/s";
+const config = { quality: 0.95, canvasWidth: 1200, canvasHeight: 675, type: "image/png" };
+
+function formatRoi(roi) {
+  return `${roi > 0 ? "+" : ""}${roi.toFixed(2)}%`;
+}
+
+/**
+ * Share URL carrying everything the share endpoint needs to render the preview card,
+ * so it can stay stateless: market, side, leverage, entry/mark price, ROI and the optional referral code.
+ */
+export function getPositionShareURL(positionToShare, referralCode) {
+  const params = new URLSearchParams({
+    market: positionToShare.symbol,
+    side: positionToShare.isLong ? "long" : "short",
+    leverage: positionToShare.leverage.toFixed(2),
+    entry: positionToShare.entryPrice,
+    mark: positionToShare.markPrice,
+    roi: positionToShare.roi.toFixed(2),
+  });
+  if (referralCode) {
+    params.set("ref", referralCode);
+  }
+  return `${SHARE_URL}?${params.toString()}`;
+}
+
+// html-to-image only draws background images reliably after a few passes
+// @refer https://github.com/tsayen/dom-to-image/issues/343#issuecomment-652831863
+async function renderImage(render, element) {
+  await render(element, config);
+  await render(element, config);
+  return render(element, config);
+}
+
+/**
+ * Branded PnL card for a position, exportable as PNG, copyable to the clipboard and shareable by URL.
+ * `positionToShare` is `{ symbol, isLong, leverage, entryPrice, markPrice, roi }` with prices as display strings,
+ * leverage as a multiplier and ROI in percent.
+ */
+function PositionShare({ setIsPositionShareModalOpen, isPositionShareModalOpen, positionToShare, referralCode }) {
+  const [imageDataUrl, setImageDataUrl] = useState();
+  const [, copyToClipboard] = useCopyToClipboard();
+  const sharePositionBgImg = useLoadImage(shareBgImg);
+  const positionRef = useRef();
+
+  const shareUrl = positionToShare ? getPositionShareURL(positionToShare, referralCode) : "";
+  const sideText = positionToShare?.isLong ? t`Long` : t`Short`;
+  const tweetLink = getTwitterIntentURL(`Latest $${positionToShare?.symbol} ${sideText} trade on @UTX_io`, shareUrl);
+
+  useEffect(() => {
+    let isCancelled = false;
+    setImageDataUrl(undefined);
+
+    const element = positionRef.current;
+    if (element && sharePositionBgImg && positionToShare) {
+      renderImage(toPng, element)
+        .then((dataUrl) => {
+          if (!isCancelled) setImageDataUrl(dataUrl);
+        })
+        .catch(() => {
+          if (!isCancelled) helperToast.error(t`Image generation error, please refresh and try again.`);
+        });
+    }
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [sharePositionBgImg, positionToShare, referralCode]);
+
+  async function handleDownload() {
+    if (!imageDataUrl) return;
+    await downloadImage(imageDataUrl, `${positionToShare.symbol}-${positionToShare.isLong ? "long" : "short"}.png`);
+  }
+
+  async function handleCopyImage() {
+    const element = positionRef.current;
+    if (!element) return;
+
+    try {
+      const blob = await renderImage(toBlob, element);
+      await navigator.clipboard.write([new ClipboardItem({ "image/png": blob })]);
+      helperToast.success(t`Image copied to clipboard.`);
+    } catch {
+      helperToast.error(t`Your browser does not support copying images, download the image instead.`);
+    }
+  }
+
+  function handleCopyLink() {
+    copyToClipboard(shareUrl);
+    helperToast.success(t`Link copied to clipboard.`);
+  }
+
+  return (
+    <Modal
+      className="position-share-modal"
+      isVisible={isPositionShareModalOpen}
+      setIsVisible={setIsPositionShareModalOpen}
+      label={t`Share Position`}
+    >
+      <PositionShareCard
+        positionRef={positionRef}
+        positionToShare={positionToShare}
+        referralCode={referralCode}
+        sharePositionBgImg={sharePositionBgImg}
+        isLoading={!imageDataUrl}
+      />
+      <div className="actions">
+        <button disabled={!imageDataUrl} className="App-button-option App-card-option" onClick={handleDownload}>
+          <RiFileDownloadLine className="icon" />
+          <Trans>Download</Trans>
+        </button>
+        <button disabled={!imageDataUrl} className="App-button-option App-card-option" onClick={handleCopyImage}>
+          <BiImage className="icon" />
+          <Trans>Copy Image</Trans>
+        </button>
+        <button disabled={!positionToShare} className="App-button-option App-card-option" onClick={handleCopyLink}>
+          <BiCopy className="icon" />
+          <Trans>Copy Link</Trans>
+        </button>
+        <div className={cx("tweet-link-container", { disabled: !positionToShare })}>
+          <a
+            target="_blank"
+            className={cx("tweet-link App-button-option App-card-option", { disabled: !positionToShare })}
+            rel="noreferrer"
+            href={tweetLink}
+          >
+            <FiTwitter className="icon" />
+            <Trans>Tweet</Trans>
+          </a>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+function PositionShareCard({ positionRef, positionToShare, referralCode, sharePositionBgImg, isLoading }) {
+  if (!positionToShare) return null;
+
+  const { symbol, isLong, leverage, entryPrice, markPrice, roi } = positionToShare;
+
+  return (
+    <div className="relative">
+      <div ref={positionRef} className="position-share" style={{ backgroundImage: `url(${sharePositionBgImg})` }}>
+        <img className="logo" src={utxLogo} alt="UTX Logo" />
+        <ul className="info">
+          <li className="side">{isLong ? "LONG" : "SHORT"}</li>
+          <li>{leverage.toFixed(2)}x&nbsp;</li>
+          <li>{symbol} USD</li>
+        </ul>
+        <h3 className={cx("pnl", roi < 0 ? "negative" : "positive")}>{formatRoi(roi)}</h3>
+        <div className="prices">
+          <div>
+            <p>
+              <Trans>Entry Price</Trans>
+            </p>
+            <p className="price">${entryPrice}</p>
+          </div>
+          <div>
+            <p>
+              <Trans>Mark Price</Trans>
+            </p>
+            <p className="price">${markPrice}</p>
+          </div>
+        </div>
+        {referralCode && (
+          <div className="referral-code">
+            <div className="referral-code-info">
+              <p className="label">
+                <Trans>Referral Code:</Trans>
+              </p>
+              <p className="code">{referralCode}</p>
+            </div>
+          </div>
+        )}
+      </div>
+      {isLoading && (
+        <div className="image-overlay-wrapper">
+          <div className="image-overlay">
+            <SpinningLoader />
+            <p className="loading-text">
+              <Trans>Generating shareable image...</Trans>
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PositionShare;
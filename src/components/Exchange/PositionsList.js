@@ -20,6 +20,8 @@ import {
   DECREASE,
 } from "lib/legacy";
 import PositionDropdown from "./PositionDropdown";
+import PositionShare from "./PositionShare";
+import { decodeReferralCode, useAffiliateCodes } from "domain/referrals";
 import StatsTooltipRow from "../StatsTooltip/StatsTooltipRow";
 import NetValueTooltip from "./NetValueTooltip";
 import { helperToast } from "lib/helperToast";
@@ -96,6 +98,7 @@ export default function PositionsList(props) {
     totalTokenWeights,
     hideActions,
     openSettings,
+    addTrailingStop,
   } = props;
   const [positionToEditKey, setPositionToEditKey] = useState(undefined);
   const [positionToSellKey, setPositionToSellKey] = useState(undefined);
@@ -107,6 +110,7 @@ export default function PositionsList(props) {
   const [ordersToaOpen, setOrdersToaOpen] = useState(false);
   const [isHigherSlippageAllowed, setIsHigherSlippageAllowed] = useState(false);
   const accountType = useAccountType();
+  const { affiliateCodes } = useAffiliateCodes(chainId, account);
   const isContractAccount = accountType === AccountType.CONTRACT;
 
   const editPosition = (position) => {
@@ -121,6 +125,21 @@ export default function PositionsList(props) {
     setIsHigherSlippageAllowed(false);
   };
 
+  const sharePosition = (position) => {
+    const deltaPercentage = position[showPnlAfterFees ? "deltaPercentageAfterFees" : "deltaPercentage"];
+    const hasPositionProfit = position[showPnlAfterFees ? "hasProfitAfterFees" : "hasProfit"];
+    const roi = deltaPercentage ? deltaPercentage.toNumber() / 100 : 0;
+    setPositionToShare({
+      symbol: position.indexToken.symbol,
+      isLong: position.isLong,
+      leverage: position.leverage ? position.leverage.toNumber() / 10000 : 0,
+      entryPrice: formatAmount(position.averagePrice, USD_DECIMALS, 2, true),
+      markPrice: formatAmount(position.markPrice, USD_DECIMALS, 2, true),
+      roi: hasPositionProfit ? roi : -roi,
+    });
+    setIsPositionShareModalOpen(true);
+  };
+
   const onPositionClick = (position) => {
     if (hideActions) return;
     const longOrShortText = position.isLong ? t`Long` : t`Short`;
@@ -157,6 +176,14 @@ export default function PositionsList(props) {
         minExecutionFeeErrorMessage={minExecutionFeeErrorMessage}
         isContractAccount={isContractAccount}
       />
+      {positionToShare && (
+        <PositionShare
+          setIsPositionShareModalOpen={setIsPositionShareModalOpen}
+          isPositionShareModalOpen={isPositionShareModalOpen}
+          positionToShare={positionToShare}
+          referralCode={decodeReferralCode(affiliateCodes?.[0])}
+        />
+      )}
       {ordersToaOpen && (
         <OrdersToa
           setIsVisible={setOrdersToaOpen}
@@ -209,6 +236,7 @@ export default function PositionsList(props) {
           usdgSupply={usdgSupply}
           totalTokenWeights={totalTokenWeights}
           isContractAccount={isContractAccount}
+          addTrailingStop={addTrailingStop}
         />
       )}
 
@@ -292,6 +320,13 @@ export default function PositionsList(props) {
                           <Trans>Close Position</Trans>
                         </div>
                       </button>
+                      {!hideActions && (
+                        <PositionDropdown
+                          handleEditCollateral={() => editPosition(position)}
+                          handleShare={() => sharePosition(position)}
+                          handleMarketSelect={() => onPositionClick(position)}
+                        />
+                      )}
                     </div>
                   </div>
                   <div className="App-card-divider" />
@@ -560,6 +595,13 @@ export default function PositionsList(props) {
                       <Trans>Close</Trans>
                     </div>
                   </button>
+                  {!hideActions && (
+                    <PositionDropdown
+                      handleEditCollateral={() => editPosition(position)}
+                      handleShare={() => sharePosition(position)}
+                      handleMarketSelect={() => onPositionClick(position)}
+                    />
+                  )}
                 </td>
               </tr>
             );
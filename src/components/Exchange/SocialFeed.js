@@ -0,0 +1,235 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { t, Trans } from "@lingui/macro";
+import { ethers } from "ethers";
+import cx from "classnames";
+
+import { getExplorerUrl } from "config/chains";
+import { getPerpMarketInfo } from "config/perpMarkets";
+import { FEED_REACTIONS, MAX_COMMENT_LENGTH, useFeedInteractions, useFollows, useSocialFeed } from "domain/social";
+import ExternalLink from "components/ExternalLink/ExternalLink";
+import { formatDateTime } from "lib/dates";
+import { helperToast } from "lib/helperToast";
+import { shortenAddress } from "lib/legacy";
+import { formatAmount } from "lib/numbers";
+
+import "./SocialFeed.css";
+
+function getFeedItemText(item, market) {
+  const side = item.isLong ? t`Long` : t`Short`;
+  const notional = formatAmount(item.notional, 18, 2, true);
+
+  if (item.type === "liquidation") {
+    return t`was liquidated on ${side} ${market} ($${notional})`;
+  }
+  if (item.type === "close") {
+    return t`closed ${side} ${market} ($${notional})`;
+  }
+  if (item.leverage) {
+    return t`opened ${side} ${market} ($${notional}) at ${formatAmount(item.leverage, 2, 2)}x`;
+  }
+  return t`opened ${side} ${market} ($${notional})`;
+}
+
+function FeedItemRow({ item, chainId, account, interactions, toggleReaction, addComment, onSelectMarket }) {
+  const [isCommentsOpen, setIsCommentsOpen] = useState(false);
+  const [comment, setComment] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const market = `${getPerpMarketInfo(chainId, item.baseToken).symbol}-PERP`;
+  const reactions = interactions?.reactions || {};
+  const comments = interactions?.comments || [];
+
+  const onReactionClick = async (reaction) => {
+    try {
+      await toggleReaction(item.id, reaction);
+    } catch (err) {
+      helperToast.error(t`Reaction failed: ${err.message}`);
+    }
+  };
+
+  const onCommentSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      await addComment(item.id, comment);
+      setComment("");
+    } catch (err) {
+      helperToast.error(t`Comment failed: ${err.message}`);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="SocialFeed-item">
+      <div className="SocialFeed-item-header">
+        <div>
+          <Link to={`/trader/${item.account}`}>{shortenAddress(item.account, 13)}</Link>{" "}
+          <span
+            className={cx({
+              positive: item.type === "open" && item.isLong,
+              negative: item.type === "liquidation" || (item.type === "open" && !item.isLong),
+            })}
+          >
+            {getFeedItemText(item, market)}
+          </span>
+        </div>
+        <ExternalLink className="muted" href={`${getExplorerUrl(chainId)}tx/${item.txHash}`}>
+          {formatDateTime(item.timestamp)}
+        </ExternalLink>
+      </div>
+      <div className="SocialFeed-item-actions">
+        {FEED_REACTIONS.map((reaction) => {
+          const reactors = reactions[reaction] || [];
+          const hasReacted = Boolean(account && reactors.includes(account.toLowerCase()));
+          return (
+            <button
+              key={reaction}
+              className={cx("SocialFeed-reaction", { active: hasReacted })}
+              onClick={() => onReactionClick(reaction)}
+              disabled={!account}
+            >
+              {reaction} {reactors.length > 0 && reactors.length}
+            </button>
+          );
+        })}
+        <button className="SocialFeed-reaction" onClick={() => setIsCommentsOpen(!isCommentsOpen)}>
+          <Trans>Comments</Trans> {comments.length > 0 && comments.length}
+        </button>
+        <button className="Exchange-list-action SocialFeed-trade" onClick={() => onSelectMarket(item.baseToken)}>
+          <Trans>Trade {market}</Trans>
+        </button>
+      </div>
+      {isCommentsOpen && (
+        <div className="SocialFeed-comments">
+          {comments.map((comment) => (
+            <div key={comment.id} className="SocialFeed-comment">
+              <Link to={`/trader/${comment.account}`}>{shortenAddress(comment.account, 13)}</Link>
+              <span>{comment.text}</span>
+            </div>
+          ))}
+          {account && (
+            <form className="SocialFeed-comment-form" onSubmit={onCommentSubmit}>
+              <input
+                type="text"
+                value={comment}
+                maxLength={MAX_COMMENT_LENGTH}
+                placeholder={t`Add a comment`}
+                onChange={(e) => setComment(e.target.value)}
+              />
+              <button className="App-button-option" type="submit" disabled={!comment.trim() || isSubmitting}>
+                <Trans>Post</Trans>
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function SocialFeed(props) {
+  const { account, chainId, library, onSelectMarket } = props;
+  const [followInput, setFollowInput] = useState("");
+  const { follows, follow, unfollow } = useFollows(chainId, account, library);
+  const { items, isLoading } = useSocialFeed(chainId, follows);
+  const { interactions, toggleReaction, addComment } = useFeedInteractions(
+    chainId,
+    (items || []).map((item) => item.id),
+    account,
+    library
+  );
+
+  const onFollowClick = async () => {
+    try {
+      await follow(followInput);
+      setFollowInput("");
+    } catch (err) {
+      helperToast.error(t`Follow failed: ${err.message}`);
+    }
+  };
+
+  const onUnfollowClick = async (address) => {
+    try {
+      await unfollow(address);
+    } catch (err) {
+      helperToast.error(t`Unfollow failed: ${err.message}`);
+    }
+  };
+
+  if (!account) {
+    return (
+      <div className="Exchange-list SocialFeed App-box">
+        <div className="Exchange-list-no-connect">
+          <span className="Exchange-list-no-connect-title">
+            <Trans>Wallet Required</Trans>
+          </span>
+          <span className="Exchange-list-no-connect-text">
+            <Trans>Connect wallet to follow traders</Trans>
+          </span>
+        </div>
+      </div>
+    );
+  }
+
+  const isFollowInputValid = ethers.utils.isAddress(followInput) && followInput.toLowerCase() !== account.toLowerCase();
+
+  return (
+    <div className="Exchange-list SocialFeed App-box">
+      <div className="SocialFeed-follows">
+        <div className="SocialFeed-follow-form">
+          <input
+            type="text"
+            value={followInput}
+            placeholder={t`Trader address`}
+            onChange={(e) => setFollowInput(e.target.value.trim())}
+          />
+          <button className="App-button-option" onClick={onFollowClick} disabled={!isFollowInputValid}>
+            <Trans>Follow</Trans>
+          </button>
+        </div>
+        {follows && follows.length > 0 && (
+          <div className="SocialFeed-follow-list">
+            {follows.map((address) => (
+              <span key={address} className="SocialFeed-follow">
+                <Link to={`/trader/${address}`}>{shortenAddress(address, 13)}</Link>
+                <button onClick={() => onUnfollowClick(address)} title={t`Unfollow`}>
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {follows && follows.length === 0 && (
+        <div className="muted">
+          <Trans>Follow traders to see their trades here.</Trans>
+        </div>
+      )}
+      {isLoading && (
+        <div className="muted">
+          <Trans>Loading...</Trans>
+        </div>
+      )}
+      {items && follows && follows.length > 0 && items.length === 0 && (
+        <div className="muted">
+          <Trans>No trades from the traders you follow yet.</Trans>
+        </div>
+      )}
+      {items &&
+        items.map((item) => (
+          <FeedItemRow
+            key={item.id}
+            item={item}
+            chainId={chainId}
+            account={account}
+            interactions={interactions?.[item.id]}
+            toggleReaction={toggleReaction}
+            addComment={addComment}
+            onSelectMarket={onSelectMarket}
+          />
+        ))}
+    </div>
+  );
+}
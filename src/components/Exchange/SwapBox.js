@@ -17,6 +17,7 @@ import {
   DEFAULT_HIGHER_SLIPPAGE_AMOUNT,
   DUST_BNB,
   getExchangeRate,
+  getDeltaStr,
   getExchangeRateDisplay,
   getLeverage,
   getLiquidationPrice,
@@ -30,11 +31,13 @@ import {
   MARGIN_FEE_BASIS_POINTS,
   MARKET,
   PRECISION,
+  SCALE,
   SHORT,
   STOP,
   SWAP,
   SWAP_OPTIONS,
   SWAP_ORDER_OPTIONS,
+  TWAP,
   USD_DECIMALS,
   USDG_ADDRESS,
   USDG_DECIMALS,
@@ -50,7 +53,6 @@ import ExchangeInfoRow from "./ExchangeInfoRow";
 import ConfirmationBox from "./ConfirmationBox";
 import OrdersToa from "./OrdersToa";
 
-import PositionRouter from "abis/PositionRouter.json";
 import Router from "abis/Router.json";
 import Token from "abis/Token.json";
 import WETH from "abis/WETH.json";
@@ -86,6 +88,18 @@ import ToggleSwitch from "components/ToggleSwitch/ToggleSwitch";
 import LeverageSlider from "./LeverageSlider";
 import BuyInputSection from "components/BuyInputSection/BuyInputSection";
 import FeesTooltip from "./FeesTooltip";
+import { useUserReferralCode } from "domain/referrals";
+import { getBracketPnl, getBracketPriceError } from "domain/brackets";
+import {
+  formatTwapInterval,
+  getScaleAveragePrice,
+  getScalePrices,
+  MAX_SCALE_ORDERS,
+  MAX_TWAP_ORDERS,
+  MIN_SPLIT_ORDERS,
+  MIN_TWAP_INTERVAL,
+  splitAmount,
+} from "domain/splitOrders";
 
 const SWAP_ICONS = {
   [LONG]: longImg,
@@ -98,6 +112,8 @@ const SWAP_ICONS = {
 
 const { AddressZero } = ethers.constants;
 
+const SCALE_DISTRIBUTIONS = ["linear", "geometric"];
+
 function getNextAveragePrice({ size, sizeDelta, hasProfit, delta, nextPrice, isLong }) {
   if (!size || !sizeDelta || !delta || !nextPrice) {
     return;
@@ -162,7 +178,10 @@ export default function SwapBox(props) {
     minExecutionFee,
     minExecutionFeeUSD,
     minExecutionFeeErrorMessage,
+    addBracket,
+    addTwapOrder,
   } = props;
+  const { attachedOnChain, userReferralCode } = useUserReferralCode(library, chainId, account);
   const [fromValue, setFromValue] = useState("");
   const [toValue, setToValue] = useState("");
   const [anchorOnFromAmount, setAnchorOnFromAmount] = useState(true);
@@ -271,12 +290,65 @@ export default function SwapBox(props) {
     setOrderOption(option);
   };
 
-  const isMarketOrder = orderOption === MARKET;
+  // Scale orders split the increase into limit orders across a price range, TWAP orders into market increases over time
+  const isScaleOrder = orderOption === SCALE;
+  const isTwapOrder = orderOption === TWAP;
+  const isSplitOrder = isScaleOrder || isTwapOrder;
+  const isMarketOrder = orderOption === MARKET || isTwapOrder;
   const orderOptions = isSwap ? SWAP_ORDER_OPTIONS : LEVERAGE_ORDER_OPTIONS;
-  const orderOptionLabels = { [STOP]: t`Trigger`, [MARKET]: t`Market`, [LIMIT]: t`Limit` };
+  const orderOptionLabels = {
+    [STOP]: t`Trigger`,
+    [MARKET]: t`Market`,
+    [LIMIT]: t`Limit`,
+    [SCALE]: t`Scale`,
+    [TWAP]: t`TWAP`,
+  };
+
+  const [splitCountValue, setSplitCountValue] = useState("");
+  const [scaleLowPriceValue, setScaleLowPriceValue] = useState("");
+  const [scaleHighPriceValue, setScaleHighPriceValue] = useState("");
+  const [scaleDistribution, setScaleDistribution] = useLocalStorageSerializeKey(
+    [chainId, "Exchange-scale-distribution"],
+    "linear"
+  );
+  const [twapDurationValue, setTwapDurationValue] = useState("");
+  const splitCount = parseInt(splitCountValue, 10);
+  const hasSplitCount = isSplitOrder && splitCount >= MIN_SPLIT_ORDERS;
+  const scaleLowPrice = isScaleOrder ? parseValue(scaleLowPriceValue, USD_DECIMALS) : undefined;
+  const scaleHighPrice = isScaleOrder ? parseValue(scaleHighPriceValue, USD_DECIMALS) : undefined;
+  const scalePrices =
+    hasSplitCount &&
+    splitCount <= MAX_SCALE_ORDERS &&
+    scaleLowPrice &&
+    scaleLowPrice.gt(0) &&
+    scaleHighPrice &&
+    scaleHighPrice.gt(scaleLowPrice)
+      ? getScalePrices(scaleLowPrice, scaleHighPrice, splitCount, scaleDistribution)
+      : undefined;
+  // Minutes, slices are spread evenly over the window starting right away
+  const twapDuration = isTwapOrder ? parseFloat(twapDurationValue) * 60 * 1000 : undefined;
+  const twapInterval = hasSplitCount && twapDuration > 0 ? Math.floor(twapDuration / splitCount) : undefined;
 
   const [triggerPriceValue, setTriggerPriceValue] = useState("");
-  const triggerPriceUsd = isMarketOrder ? 0 : parseValue(triggerPriceValue, USD_DECIMALS);
+  let triggerPriceUsd = isMarketOrder ? 0 : parseValue(triggerPriceValue, USD_DECIMALS);
+  if (isScaleOrder) {
+    triggerPriceUsd = scalePrices ? getScaleAveragePrice(scalePrices) : undefined;
+  }
+
+  // Take-profit and stop-loss orders created through the OrderBook once the increase executes
+  const [isBracketEnabled, setIsBracketEnabled] = useLocalStorageSerializeKey(
+    [chainId, "Exchange-bracket-enabled"],
+    false
+  );
+  const [takeProfitValue, setTakeProfitValue] = useState("");
+  const [stopLossValue, setStopLossValue] = useState("");
+  const showBracketSection = (isLong || isShort) && (orderOption === MARKET || orderOption === LIMIT);
+  const isBracketActive = showBracketSection && isBracketEnabled;
+  const takeProfitPrice = isBracketActive ? parseValue(takeProfitValue, USD_DECIMALS) : undefined;
+  const stopLossPrice = isBracketActive ? parseValue(stopLossValue, USD_DECIMALS) : undefined;
+  const hasTakeProfit = Boolean(takeProfitPrice && takeProfitPrice.gt(0));
+  const hasStopLoss = Boolean(stopLossPrice && stopLossPrice.gt(0));
+  const hasBracket = hasTakeProfit || hasStopLoss;
 
   const onTriggerPriceChange = (evt) => {
     setTriggerPriceValue(evt.target.value || "");
@@ -312,7 +384,7 @@ export default function SwapBox(props) {
     toTokens = shortableTokens;
   }
 
-  const needOrderBookApproval = !isMarketOrder && !orderBookApproved;
+  const needOrderBookApproval = (!isMarketOrder || hasBracket) && !orderBookApproved;
   const prevNeedOrderBookApproval = usePrevious(needOrderBookApproval);
 
   const needPositionRouterApproval = (isLong || isShort) && isMarketOrder && !positionRouterApproved;
@@ -786,6 +858,37 @@ export default function SwapBox(props) {
     leverage = bigNumberify(parseInt(leverageOption * BASIS_POINTS_DIVISOR));
   }
 
+  const getBracketPnlText = (price) => {
+    const pnl =
+      price &&
+      toUsdMax &&
+      getBracketPnl(price, { isLong, sizeDelta: toUsdMax, averagePrice: nextAveragePrice, collateral: fromUsdMin });
+    if (!pnl) {
+      return;
+    }
+    const { deltaStr, deltaPercentageStr } = getDeltaStr(pnl);
+    return `${deltaStr} (${deltaPercentageStr})`;
+  };
+
+  const getBracketError = () => {
+    const legs = [
+      hasTakeProfit && { leg: "takeProfit", triggerPrice: takeProfitPrice },
+      hasStopLoss && { leg: "stopLoss", triggerPrice: stopLossPrice },
+    ].filter(Boolean);
+    for (const { leg, triggerPrice } of legs) {
+      const error = getBracketPriceError({
+        isLong,
+        leg,
+        triggerPrice,
+        entryPrice: nextAveragePrice,
+        liquidationPrice: displayLiquidationPrice,
+      });
+      if (error) {
+        return error;
+      }
+    }
+  };
+
   const getSwapError = () => {
     if (IS_NETWORK_DISABLED[chainId]) {
       return [t`Swaps disabled, pending ${getChainName(chainId)} upgrade`];
@@ -881,6 +984,50 @@ export default function SwapBox(props) {
     return [false];
   };
 
+  const getSplitOrderError = () => {
+    const maxCount = isScaleOrder ? MAX_SCALE_ORDERS : MAX_TWAP_ORDERS;
+    if (!splitCount) {
+      return t`Enter the number of orders`;
+    }
+    if (splitCount < MIN_SPLIT_ORDERS) {
+      return t`Min orders: ${MIN_SPLIT_ORDERS}`;
+    }
+    if (splitCount > maxCount) {
+      return t`Max orders: ${maxCount}`;
+    }
+
+    if (isScaleOrder) {
+      if (!scaleLowPrice || scaleLowPrice.eq(0) || !scaleHighPrice || scaleHighPrice.eq(0)) {
+        return t`Enter a price range`;
+      }
+      if (scaleHighPrice.lte(scaleLowPrice)) {
+        return t`High price below Low price`;
+      }
+      // Every order of the range has to be a valid limit order
+      if (entryMarkPrice && !savedShouldDisableValidationForTesting) {
+        if (isLong && entryMarkPrice.lt(scaleHighPrice)) {
+          return t`Price above Mark Price`;
+        }
+        if (!isLong && entryMarkPrice.gt(scaleLowPrice)) {
+          return t`Price below Mark Price`;
+        }
+      }
+    }
+
+    if (isTwapOrder) {
+      if (!twapDuration || twapDuration <= 0) {
+        return t`Enter a duration`;
+      }
+      if (twapInterval < MIN_TWAP_INTERVAL) {
+        return t`Min interval: ${formatTwapInterval(MIN_TWAP_INTERVAL)}`;
+      }
+    }
+
+    if (fromUsdMin && fromUsdMin.div(splitCount).lt(expandDecimals(10, USD_DECIMALS))) {
+      return t`Min order: 10 USD per order`;
+    }
+  };
+
   const getLeverageError = () => {
     if (IS_NETWORK_DISABLED[chainId]) {
       return [t`Leverage disabled, pending ${getChainName(chainId)} upgrade`];
@@ -916,10 +1063,15 @@ export default function SwapBox(props) {
     if (leverage && leverage.eq(0)) {
       return [t`Enter an amount`];
     }
-    if (!isMarketOrder && (!triggerPriceValue || triggerPriceUsd.eq(0))) {
+    if (!isMarketOrder && !isScaleOrder && (!triggerPriceValue || triggerPriceUsd.eq(0))) {
       return [t`Enter a price`];
     }
 
+    const splitOrderError = isSplitOrder && getSplitOrderError();
+    if (splitOrderError) {
+      return [splitOrderError];
+    }
+
     if (!hasExistingPosition && fromUsdMin && fromUsdMin.lt(expandDecimals(10, USD_DECIMALS))) {
       return [t`Min order: 10 USD`];
     }
@@ -932,7 +1084,13 @@ export default function SwapBox(props) {
       return [t`Max leverage: ${(MAX_ALLOWED_LEVERAGE / BASIS_POINTS_DIVISOR).toFixed(1)}x`];
     }
 
-    if (!isMarketOrder && entryMarkPrice && triggerPriceUsd && !savedShouldDisableValidationForTesting) {
+    if (
+      !isMarketOrder &&
+      !isScaleOrder &&
+      entryMarkPrice &&
+      triggerPriceUsd &&
+      !savedShouldDisableValidationForTesting
+    ) {
       if (isLong && entryMarkPrice.lt(triggerPriceUsd)) {
         return [t`Price above Mark Price`];
       }
@@ -941,6 +1099,11 @@ export default function SwapBox(props) {
       }
     }
 
+    const bracketError = hasBracket && getBracketError();
+    if (bracketError) {
+      return [bracketError];
+    }
+
     if (isLong) {
       let requiredAmount = toAmount;
       if (fromTokenAddress !== toTokenAddress) {
@@ -1200,6 +1363,8 @@ export default function SwapBox(props) {
       return t`Enable Orders`;
     }
 
+    if (isScaleOrder) return t`Create ${splitCount} Limit Orders`;
+    if (isTwapOrder) return t`Start TWAP`;
     if (!isMarketOrder) return t`Create ${orderOption?.charAt(0) + orderOption.substring(1).toLowerCase()} Order`;
 
     if (isSwap) {
@@ -1434,7 +1599,26 @@ export default function SwapBox(props) {
       });
   };
 
-  const createIncreaseOrder = () => {
+  const saveBracket = (entryType) => {
+    if (!hasBracket || !addBracket) {
+      return;
+    }
+    addBracket({
+      indexToken: indexTokenAddress,
+      collateralToken: collateralTokenAddress,
+      isLong,
+      sizeDelta: toUsdMax.toString(),
+      entryType,
+      entryPrice: entryType === LIMIT ? triggerPriceUsd.toString() : undefined,
+      positionSize: hasExistingPosition ? existingPosition.size.toString() : "0",
+      takeProfit: hasTakeProfit ? { triggerPrice: takeProfitPrice.toString() } : undefined,
+      stopLoss: hasStopLoss ? { triggerPrice: stopLossPrice.toString() } : undefined,
+    });
+    setTakeProfitValue("");
+    setStopLossValue("");
+  };
+
+  const getIncreaseOrderPath = () => {
     let path = [fromTokenAddress];
 
     if (path[0] === USDG_ADDRESS) {
@@ -1446,6 +1630,11 @@ export default function SwapBox(props) {
       }
     }
 
+    return path;
+  };
+
+  const createIncreaseOrder = () => {
+    const path = getIncreaseOrderPath();
     const minOut = 0;
     const indexToken = getToken(chainId, indexTokenAddress);
     const successMsg = t`
@@ -1477,6 +1666,7 @@ export default function SwapBox(props) {
     )
       .then(() => {
         setIsConfirming(false);
+        saveBracket(LIMIT);
       })
       .finally(() => {
         setIsSubmitting(false);
@@ -1484,12 +1674,64 @@ export default function SwapBox(props) {
       });
   };
 
+  // Limit orders are created one after another, the ones after a rejected or failed order are not sent
+  const createScaleOrders = async () => {
+    setIsSubmitting(true);
+    const path = getIncreaseOrderPath();
+    const indexToken = getToken(chainId, indexTokenAddress);
+    const count = scalePrices.length;
+    const amountsIn = splitAmount(fromAmount, count);
+    const sizeDeltas = splitAmount(toUsdMax, count);
+    let createdCount = 0;
+
+    try {
+      for (let i = 0; i < count; i++) {
+        const orderText = `${i + 1}/${count}`;
+        const priceText = formatAmount(scalePrices[i], USD_DECIMALS, 2, true);
+        await Api.createIncreaseOrder(
+          chainId,
+          library,
+          nativeTokenAddress,
+          path,
+          amountsIn[i],
+          indexTokenAddress,
+          0,
+          sizeDeltas[i],
+          collateralTokenAddress,
+          isLong,
+          scalePrices[i],
+          {
+            pendingTxns,
+            setPendingTxns,
+            sentMsg: t`Limit order ${orderText} submitted!`,
+            successMsg: t`Created limit order ${orderText} for ${indexToken.symbol} ${
+              isLong ? "Long" : "Short"
+            } at ${priceText} USD!`,
+            failMsg: t`Limit order ${orderText} creation failed.`,
+          }
+        );
+        createdCount++;
+      }
+      setIsConfirming(false);
+    } catch (e) {
+      if (createdCount > 0) {
+        helperToast.error(t`Created ${createdCount} of ${count} limit orders.`);
+        setIsConfirming(false);
+      }
+    } finally {
+      setIsSubmitting(false);
+      setIsPendingConfirmation(false);
+    }
+  };
+
   let referralCode = ethers.constants.HashZero;
+  if (!attachedOnChain && userReferralCode) {
+    referralCode = userReferralCode;
+  }
 
-  const increasePosition = async () => {
-    setIsSubmitting(true);
+  // Swap path of the pay token into the position's collateral, undefined when there is not enough liquidity for it
+  const getIncreasePositionPath = () => {
     const tokenAddress0 = fromTokenAddress === AddressZero ? nativeTokenAddress : fromTokenAddress;
-    const indexTokenAddress = toTokenAddress === AddressZero ? nativeTokenAddress : toTokenAddress;
     let path = [indexTokenAddress]; // assume long
     if (toTokenAddress !== fromTokenAddress) {
       path = [tokenAddress0, indexTokenAddress];
@@ -1510,12 +1752,6 @@ export default function SwapBox(props) {
       }
     }
 
-    const refPrice = isLong ? toTokenInfo.maxPrice : toTokenInfo.minPrice;
-    const priceBasisPoints = isLong ? BASIS_POINTS_DIVISOR + allowedSlippage : BASIS_POINTS_DIVISOR - allowedSlippage;
-    const priceLimit = refPrice.mul(priceBasisPoints).div(BASIS_POINTS_DIVISOR);
-
-    const boundedFromAmount = fromAmount ? fromAmount : bigNumberify(0);
-
     if (fromAmount && fromAmount.gt(0) && fromTokenAddress === USDG_ADDRESS && isLong) {
       const { amount: nextToAmount, path: multiPath } = getNextToAmount(
         chainId,
@@ -1531,44 +1767,29 @@ export default function SwapBox(props) {
       );
       if (nextToAmount.eq(0)) {
         helperToast.error(t`Insufficient Liquidity`);
-        return;
+        return undefined;
       }
       if (multiPath) {
         path = replaceNativeTokenAddress(multiPath);
       }
     }
 
-    let params = [
-      path, // _path
-      indexTokenAddress, // _indexToken
-      boundedFromAmount, // _amountIn
-      0, // _minOut
-      toUsdMax, // _sizeDelta
-      isLong, // _isLong
-      priceLimit, // _acceptablePrice
-      minExecutionFee, // _executionFee
-      referralCode, // _referralCode
-      AddressZero, // _callbackTarget
-    ];
-
-    let method = "createIncreasePosition";
-    let value = minExecutionFee;
-    if (fromTokenAddress === AddressZero) {
-      method = "createIncreasePositionETH";
-      value = boundedFromAmount.add(minExecutionFee);
-      params = [
-        path, // _path
-        indexTokenAddress, // _indexToken
-        0, // _minOut
-        toUsdMax, // _sizeDelta
-        isLong, // _isLong
-        priceLimit, // _acceptablePrice
-        minExecutionFee, // _executionFee
-        referralCode, // _referralCode
-        AddressZero, // _callbackTarget
-      ];
+    return path;
+  };
+
+  const increasePosition = async () => {
+    setIsSubmitting(true);
+    const path = getIncreasePositionPath();
+    if (!path) {
+      return;
     }
 
+    const refPrice = isLong ? toTokenInfo.maxPrice : toTokenInfo.minPrice;
+    const priceBasisPoints = isLong ? BASIS_POINTS_DIVISOR + allowedSlippage : BASIS_POINTS_DIVISOR - allowedSlippage;
+    const priceLimit = refPrice.mul(priceBasisPoints).div(BASIS_POINTS_DIVISOR);
+
+    const boundedFromAmount = fromAmount ? fromAmount : bigNumberify(0);
+
     if (shouldRaiseGasError(getTokenInfo(infoTokens, fromTokenAddress), fromAmount)) {
       setIsSubmitting(false);
       setIsPendingConfirmation(false);
@@ -1578,8 +1799,6 @@ export default function SwapBox(props) {
       return;
     }
 
-    const contractAddress = getContract(chainId, "PositionRouter");
-    const contract = new ethers.Contract(contractAddress, PositionRouter.abi, library.getSigner());
     const indexToken = getTokenInfo(infoTokens, indexTokenAddress);
     const tokenSymbol = indexToken.isWrapped ? getConstant(chainId, "nativeTokenSymbol") : indexToken.symbol;
     const longOrShortText = isLong ? t`Long` : t`Short`;
@@ -1589,18 +1808,31 @@ export default function SwapBox(props) {
       2
     )} USD.`;
 
-    callContract(chainId, contract, method, params, {
-      value,
-      setPendingTxns,
-      sentMsg: `${longOrShortText} submitted.`,
-      failMsg: `${longOrShortText} failed.`,
-      successMsg,
-      // for Arbitrum, sometimes the successMsg shows after the position has already been executed
-      // hide the success message for Arbitrum as a workaround
-      hideSuccessMsg: chainId === ARBITRUM,
-    })
+    Api.createIncreasePosition(
+      chainId,
+      library,
+      path,
+      indexTokenAddress,
+      boundedFromAmount,
+      toUsdMax,
+      isLong,
+      priceLimit,
+      minExecutionFee,
+      referralCode,
+      fromTokenAddress === AddressZero,
+      {
+        setPendingTxns,
+        sentMsg: `${longOrShortText} submitted.`,
+        failMsg: `${longOrShortText} failed.`,
+        successMsg,
+        // for Arbitrum, sometimes the successMsg shows after the position has already been executed
+        // hide the success message for Arbitrum as a workaround
+        hideSuccessMsg: chainId === ARBITRUM,
+      }
+    )
       .then(async () => {
         setIsConfirming(false);
+        saveBracket(MARKET);
 
         const key = getPositionKey(account, path[path.length - 1], indexTokenAddress, isLong);
         let nextSize = toUsdMax;
@@ -1623,9 +1855,42 @@ export default function SwapBox(props) {
       });
   };
 
+  // The first slice is sent right away by the scheduler, the next ones while the exchange stays open
+  const startTwap = () => {
+    const path = getIncreasePositionPath();
+    if (!path) {
+      setIsPendingConfirmation(false);
+      return;
+    }
+
+    if (shouldRaiseGasError(getTokenInfo(infoTokens, fromTokenAddress), fromAmount)) {
+      setIsPendingConfirmation(false);
+      helperToast.error(
+        t`Leave at least ${formatAmount(DUST_BNB, 18, 3)} ${getConstant(chainId, "nativeTokenSymbol")} for gas`
+      );
+      return;
+    }
+
+    addTwapOrder({
+      indexToken: indexTokenAddress,
+      collateralToken: collateralTokenAddress,
+      isLong,
+      path,
+      isNativeIn: fromTokenAddress === AddressZero,
+      referralCode,
+      allowedSlippage,
+      amountsIn: splitAmount(fromAmount, splitCount).map((amount) => amount.toString()),
+      sizeDeltas: splitAmount(toUsdMax, splitCount).map((sizeDelta) => sizeDelta.toString()),
+      interval: twapInterval,
+    });
+    helperToast.success(t`TWAP started: ${splitCount} orders, one every ${formatTwapInterval(twapInterval)}.`);
+    setIsConfirming(false);
+    setIsPendingConfirmation(false);
+  };
+
   const onSwapOptionChange = (opt) => {
     setSwapOption(opt);
-    if (orderOption === STOP) {
+    if (orderOption === STOP || (opt === SWAP && isSplitOrder)) {
       setOrderOption(MARKET);
     }
     setAnchorOnFromAmount(true);
@@ -1633,6 +1898,8 @@ export default function SwapBox(props) {
     setToValue("");
     setTriggerPriceValue("");
     setTriggerRatioValue("");
+    setTakeProfitValue("");
+    setStopLossValue("");
 
     if (opt === SHORT && infoTokens) {
       const fromToken = getToken(chainId, tokenSelection[opt].from);
@@ -1668,6 +1935,16 @@ export default function SwapBox(props) {
       return;
     }
 
+    if (isScaleOrder) {
+      createScaleOrders();
+      return;
+    }
+
+    if (isTwapOrder) {
+      startTwap();
+      return;
+    }
+
     increasePosition();
   };
 
@@ -1743,7 +2020,7 @@ export default function SwapBox(props) {
 
   const isStopOrder = orderOption === STOP;
   const showFromAndToSection = !isStopOrder;
-  const showTriggerPriceSection = !isSwap && !isMarketOrder && !isStopOrder;
+  const showTriggerPriceSection = !isSwap && !isMarketOrder && !isStopOrder && !isScaleOrder;
   const showTriggerRatioSection = isSwap && !isMarketOrder && !isStopOrder;
 
   let fees;
@@ -1918,8 +2195,10 @@ export default function SwapBox(props) {
   const INCREASE_ORDER_EXECUTION_GAS_FEE = getConstant(chainId, "INCREASE_ORDER_EXECUTION_GAS_FEE");
   const executionFee = isSwap ? SWAP_ORDER_EXECUTION_GAS_FEE : INCREASE_ORDER_EXECUTION_GAS_FEE;
   const executionFeeUsd = getUsd(executionFee, nativeTokenAddress, false, infoTokens);
-  const currentExecutionFee = isMarketOrder ? minExecutionFee : executionFee;
-  const currentExecutionFeeUsd = isMarketOrder ? minExecutionFeeUSD : executionFeeUsd;
+  // Every order of a split pays its own execution fee
+  const executionFeeCount = hasSplitCount ? splitCount : 1;
+  const currentExecutionFee = (isMarketOrder ? minExecutionFee : executionFee)?.mul(executionFeeCount);
+  const currentExecutionFeeUsd = (isMarketOrder ? minExecutionFeeUSD : executionFeeUsd)?.mul(executionFeeCount);
 
   function renderPrimaryButton() {
     const [errorMessage, errorType, errorCode] = getError();
@@ -2078,6 +2357,129 @@ export default function SwapBox(props) {
               USD
             </BuyInputSection>
           )}
+          {isSplitOrder && (
+            <div className="Exchange-split-box">
+              {isScaleOrder && (
+                <>
+                  <BuyInputSection
+                    topLeftLabel={t`Low Price`}
+                    topRightLabel={t`Mark`}
+                    tokenBalance={formatAmount(entryMarkPrice, USD_DECIMALS, 2, true)}
+                    onClickTopRightLabel={() => setScaleLowPriceValue(formatAmountFree(entryMarkPrice, USD_DECIMALS, 2))}
+                    showMaxButton={false}
+                    inputValue={scaleLowPriceValue}
+                    onInputValueChange={(evt) => setScaleLowPriceValue(evt.target.value || "")}
+                  >
+                    USD
+                  </BuyInputSection>
+                  <BuyInputSection
+                    topLeftLabel={t`High Price`}
+                    topRightLabel={t`Mark`}
+                    tokenBalance={formatAmount(entryMarkPrice, USD_DECIMALS, 2, true)}
+                    onClickTopRightLabel={() => setScaleHighPriceValue(formatAmountFree(entryMarkPrice, USD_DECIMALS, 2))}
+                    showMaxButton={false}
+                    inputValue={scaleHighPriceValue}
+                    onInputValueChange={(evt) => setScaleHighPriceValue(evt.target.value || "")}
+                  >
+                    USD
+                  </BuyInputSection>
+                </>
+              )}
+              <BuyInputSection
+                topLeftLabel={t`Orders`}
+                topRightLabel={t`Max`}
+                tokenBalance={String(isScaleOrder ? MAX_SCALE_ORDERS : MAX_TWAP_ORDERS)}
+                showMaxButton={false}
+                inputValue={splitCountValue}
+                onInputValueChange={(evt) => setSplitCountValue(evt.target.value || "")}
+              >
+                <Trans>Orders</Trans>
+              </BuyInputSection>
+              {isTwapOrder && (
+                <BuyInputSection
+                  topLeftLabel={t`Duration`}
+                  topRightLabel={t`Interval`}
+                  tokenBalance={twapInterval ? formatTwapInterval(twapInterval) : "-"}
+                  showMaxButton={false}
+                  inputValue={twapDurationValue}
+                  onInputValueChange={(evt) => setTwapDurationValue(evt.target.value || "")}
+                >
+                  <Trans>Minutes</Trans>
+                </BuyInputSection>
+              )}
+              {isScaleOrder && (
+                <ExchangeInfoRow label={t`Distribution`}>
+                  <Tab
+                    options={SCALE_DISTRIBUTIONS}
+                    optionLabels={{ linear: t`Linear`, geometric: t`Geometric` }}
+                    option={scaleDistribution}
+                    onChange={setScaleDistribution}
+                    type="inline"
+                    className="Exchange-scale-distribution"
+                  />
+                </ExchangeInfoRow>
+              )}
+              {scalePrices && (
+                <ExchangeInfoRow label={t`Prices`}>
+                  <Tooltip
+                    handle={`$${formatAmount(scalePrices[0], USD_DECIMALS, 2, true)} - $${formatAmount(
+                      scalePrices[scalePrices.length - 1],
+                      USD_DECIMALS,
+                      2,
+                      true
+                    )}`}
+                    position="right-bottom"
+                    renderContent={() =>
+                      scalePrices.map((price, i) => (
+                        <StatsTooltipRow
+                          key={i}
+                          label={t`Order ${i + 1}`}
+                          value={formatAmount(price, USD_DECIMALS, 2, true)}
+                        />
+                      ))
+                    }
+                  />
+                </ExchangeInfoRow>
+              )}
+            </div>
+          )}
+          {showBracketSection && (
+            <div className="Exchange-bracket-box">
+              <ToggleSwitch
+                className="Exchange-leverage-toggle-wrapper"
+                isChecked={isBracketEnabled}
+                setIsChecked={setIsBracketEnabled}
+              >
+                <span className="text-primary fz-sm fw-400">
+                  <Trans>Take Profit / Stop Loss</Trans>
+                </span>
+              </ToggleSwitch>
+              {isBracketEnabled && (
+                <>
+                  <BuyInputSection
+                    topLeftLabel={t`Take Profit`}
+                    topRightLabel={t`PnL`}
+                    tokenBalance={getBracketPnlText(takeProfitPrice) || "-"}
+                    showMaxButton={false}
+                    inputValue={takeProfitValue}
+                    onInputValueChange={(evt) => setTakeProfitValue(evt.target.value || "")}
+                  >
+                    USD
+                  </BuyInputSection>
+                  <BuyInputSection
+                    topLeftLabel={t`Stop Loss`}
+                    topRightLabel={t`PnL`}
+                    tokenBalance={getBracketPnlText(stopLossPrice) || "-"}
+                    showMaxButton={false}
+                    inputValue={stopLossValue}
+                    onInputValueChange={(evt) => setStopLossValue(evt.target.value || "")}
+                  >
+                    USD
+                  </BuyInputSection>
+                </>
+              )}
+            </div>
+          )}
           {isSwap && (
             <div className="Exchange-swap-box-info">
               <ExchangeInfoRow label={t`Fees`}>
@@ -2497,6 +2899,13 @@ export default function SwapBox(props) {
           entryMarkPrice={entryMarkPrice}
           swapFees={swapFees}
           positionFee={positionFee}
+          takeProfitPrice={hasTakeProfit ? takeProfitPrice : undefined}
+          stopLossPrice={hasStopLoss ? stopLossPrice : undefined}
+          splitOrders={
+            hasSplitCount && toUsdMax
+              ? { count: splitCount, sizeDelta: toUsdMax.div(splitCount), prices: scalePrices, interval: twapInterval }
+              : undefined
+          }
         />
       )}
     </div>
@@ -0,0 +1,76 @@
+import React from "react";
+import { t, Trans } from "@lingui/macro";
+import { getToken } from "config/tokens";
+import { formatTwapInterval, getNextTwapSliceTime, getTwapSliceCount, isTwapOrderDone } from "domain/splitOrders";
+import { USD_DECIMALS } from "lib/legacy";
+import { formatAmount } from "lib/numbers";
+import Button from "components/Button/Button";
+import ExchangeInfoRow from "./ExchangeInfoRow";
+import "./TwapProgress.css";
+
+export default function TwapProgress({ chainId, twapOrders, now, cancelTwapOrder, removeTwapOrder }) {
+  if (twapOrders.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="TwapProgress App-box App-box-border">
+      <div className="Exchange-swap-market-box-title">
+        <Trans>TWAP Orders</Trans>
+      </div>
+      {twapOrders.map((order) => {
+        const indexToken = getToken(chainId, order.indexToken);
+        const count = getTwapSliceCount(order);
+        const isDone = isTwapOrderDone(order);
+        const nextSliceTime = getNextTwapSliceTime(order);
+        const sizeDelta = order.sizeDeltas[0];
+        let status = t`Sending`;
+        if (order.cancelledAt) {
+          status = t`Cancelled`;
+        } else if (isDone) {
+          status = t`Completed`;
+        } else if (nextSliceTime > now) {
+          status = t`Next in ${formatTwapInterval(nextSliceTime - now)}`;
+        }
+
+        return (
+          <div className="TwapProgress-order" key={order.id}>
+            <ExchangeInfoRow label={`${order.isLong ? t`Long` : t`Short`} ${indexToken.symbol}`}>
+              {count} x ${formatAmount(sizeDelta, USD_DECIMALS, 2, true)}
+            </ExchangeInfoRow>
+            <ExchangeInfoRow label={t`Progress`}>
+              {order.sent}/{count}
+              {order.failed > 0 && <span className="negative"> ({t`${order.failed} failed`})</span>}
+            </ExchangeInfoRow>
+            <div className="TwapProgress-bar">
+              <div
+                className="TwapProgress-bar-sent"
+                style={{ width: `${(order.sent / count) * 100}%` }}
+                title={t`Sent`}
+              />
+              <div
+                className="TwapProgress-bar-failed"
+                style={{ width: `${(order.failed / count) * 100}%` }}
+                title={t`Failed`}
+              />
+            </div>
+            <ExchangeInfoRow label={t`Status`}>{status}</ExchangeInfoRow>
+            <ExchangeInfoRow label={t`Interval`}>{formatTwapInterval(order.interval)}</ExchangeInfoRow>
+            <Button
+              variant="secondary"
+              className="w-full"
+              onClick={() => (isDone ? removeTwapOrder(order.id) : cancelTwapOrder(order.id))}
+            >
+              {isDone ? t`Dismiss` : t`Cancel`}
+            </Button>
+          </div>
+        );
+      })}
+      {twapOrders.some((order) => !isTwapOrderDone(order)) && (
+        <div className="TwapProgress-note muted">
+          <Trans>Keep this page open, orders are sent from it and paused while it is closed.</Trans>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { Trans } from "@lingui/macro";
+import { Link } from "react-router-dom";
 import ExternalLink from "components/ExternalLink/ExternalLink";
 import { getLeaderboardLink } from "config/links";
 import cx from "classnames";
@@ -34,6 +35,13 @@ export default function UsefulLinks({ className }) {
           </ExternalLink>
         </div>
       </div>
+      <div className="Exchange-info-row">
+        <div className="Exchange-info-label-button">
+          <Link to="/bridge" className="text-accent fz-sm fw-400">
+            <Trans>Bridge collateral</Trans>
+          </Link>
+        </div>
+      </div>
     </div>
   );
 }
@@ -0,0 +1,180 @@
+import React, { useCallback } from "react";
+import { useCopyToClipboard } from "react-use";
+import { BiCopy } from "react-icons/bi";
+import { Trans, t } from "@lingui/macro";
+
+import {
+  decodeReferralCode,
+  getReferralCodeUrl,
+  isReferralCodeTaken,
+  registerReferralCode,
+  useAffiliateCodes,
+  useReferralsData,
+  useReferrerTier,
+} from "domain/referrals";
+import { helperToast } from "lib/helperToast";
+import { USD_DECIMALS } from "lib/legacy";
+import { formatAmount } from "lib/numbers";
+import ReferralCodeForm from "./ReferralCodeForm";
+
+import "./Referrals.css";
+
+function formatUsd(value) {
+  return value ? `$${formatAmount(value, USD_DECIMALS, 2, true)}` : "...";
+}
+
+// Rebates are the share of the total rebate not passed on to traders as discounts
+function getRebateUsd(stats) {
+  return stats.totalRebateUsd.sub(stats.discountUsd);
+}
+
+export default function AffiliatesStats({ chainId, library, account, isOwnAccount, setPendingTxns }) {
+  const { referralsData, isLoading, mutate } = useReferralsData(chainId, account);
+  const { affiliateCodes, mutate: mutateAffiliateCodes } = useAffiliateCodes(chainId, account);
+  const tier = useReferrerTier(library, chainId, account);
+  const [, copyToClipboard] = useCopyToClipboard();
+
+  const total = referralsData?.affiliateTotal;
+  const codes = referralsData?.affiliateCodes || [];
+
+  const checkCode = useCallback(
+    async (code) => {
+      if (await isReferralCodeTaken(chainId, library, code)) {
+        return t`Code already taken`;
+      }
+    },
+    [chainId, library]
+  );
+
+  const createCode = async (code) => {
+    const tx = await registerReferralCode(chainId, code, library, {
+      sentMsg: t`Referral code submitted!`,
+      failMsg: t`Referral code creation failed.`,
+      successMsg: t`Referral code created!`,
+      setPendingTxns,
+    });
+    await tx.wait();
+    mutateAffiliateCodes();
+    mutate();
+  };
+
+  const copyLink = (code) => {
+    copyToClipboard(getReferralCodeUrl(code));
+    helperToast.success(t`Referral link copied to your clipboard`);
+  };
+
+  return (
+    <>
+      <div className="Referrals-stats">
+        <div className="App-card Referrals-stat">
+          <div className="Referrals-stat-label muted">
+            <Trans>Tier</Trans>
+          </div>
+          <div className="Referrals-stat-value">
+            {tier ? (
+              <Trans>
+                Tier {tier.tierId + 1} · {formatAmount(tier.totalRebate, 2, 2)}% rebate,{" "}
+                {formatAmount(tier.discountShare, 2, 0)}% to traders
+              </Trans>
+            ) : (
+              "..."
+            )}
+          </div>
+        </div>
+        <div className="App-card Referrals-stat">
+          <div className="Referrals-stat-label muted">
+            <Trans>Traders Referred</Trans>
+          </div>
+          <div className="Referrals-stat-value">{total ? total.tradedReferralsCount : "..."}</div>
+        </div>
+        <div className="App-card Referrals-stat">
+          <div className="Referrals-stat-label muted">
+            <Trans>Trading Volume</Trans>
+          </div>
+          <div className="Referrals-stat-value">{formatUsd(total?.volume)}</div>
+        </div>
+        <div className="App-card Referrals-stat">
+          <div className="Referrals-stat-label muted">
+            <Trans>Rebates</Trans>
+          </div>
+          <div className="Referrals-stat-value">{total ? formatUsd(getRebateUsd(total)) : "..."}</div>
+        </div>
+      </div>
+      {isOwnAccount && (
+        <div className="App-card Referrals-card">
+          <div className="App-card-title">
+            <Trans>Create Referral Code</Trans>
+          </div>
+          <div className="App-card-divider"></div>
+          <div className="App-card-content">
+            <div className="muted">
+              <Trans>Traders using your code get a fee discount and you earn rebates on their trading fees.</Trans>
+            </div>
+            <ReferralCodeForm
+              buttonText={t`Create Code`}
+              submittingText={t`Creating...`}
+              checkCode={checkCode}
+              onSubmit={createCode}
+            />
+          </div>
+        </div>
+      )}
+      <div className="App-card Referrals-card">
+        <div className="App-card-title">
+          <Trans>Referral Codes</Trans>
+        </div>
+        <div className="App-card-divider"></div>
+        {codes.length > 0 ? (
+          <table className="token-table Referrals-table">
+            <thead>
+              <tr>
+                <th className="token-table-label">
+                  <Trans>Code</Trans>
+                </th>
+                <th className="token-table-label">
+                  <Trans>Trades</Trans>
+                </th>
+                <th className="token-table-label">
+                  <Trans>Traders Referred</Trans>
+                </th>
+                <th className="token-table-label">
+                  <Trans>Volume</Trans>
+                </th>
+                <th className="token-table-label">
+                  <Trans>Trader Discounts</Trans>
+                </th>
+                <th className="token-table-label">
+                  <Trans>Rebates</Trans>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {codes.map((stats) => {
+                const code = decodeReferralCode(stats.referralCode);
+                return (
+                  <tr key={stats.referralCode}>
+                    <td>
+                      {code}
+                      <BiCopy className="Referrals-copy" title={t`Copy referral link`} onClick={() => copyLink(code)} />
+                    </td>
+                    <td>{stats.trades}</td>
+                    <td>{stats.tradedReferralsCount}</td>
+                    <td>{formatUsd(stats.volume)}</td>
+                    <td>{formatUsd(stats.discountUsd)}</td>
+                    <td className={getRebateUsd(stats).gt(0) ? "positive" : undefined}>
+                      {formatUsd(getRebateUsd(stats))}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        ) : (
+          <div className="App-card-content muted">
+            {isLoading || !affiliateCodes ? t`Loading...` : t`No referral codes yet`}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
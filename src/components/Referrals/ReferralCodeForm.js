@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from "react";
+import { t } from "@lingui/macro";
+import Button from "components/Button/Button";
+import { getReferralCodeError } from "domain/referrals";
+import { useDebounce } from "lib/useDebounce";
+
+/**
+ * Input for a referral code. `checkCode` resolves with an error message when the code can't be used (taken, unknown),
+ * and is run again whenever it changes, so callers memoize it.
+ * `onSubmit` resolves once the code is registered or bound.
+ */
+export default function ReferralCodeForm({ initialCode = "", buttonText, submittingText, checkCode, onSubmit }) {
+  const [code, setCode] = useState(initialCode);
+  const [isChecking, setIsChecking] = useState(false);
+  const [checkError, setCheckError] = useState();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const debouncedCode = useDebounce(code, 300);
+
+  useEffect(() => {
+    setCheckError(undefined);
+    if (getReferralCodeError(debouncedCode)) {
+      return;
+    }
+
+    let isCancelled = false;
+    setIsChecking(true);
+    checkCode(debouncedCode.trim())
+      .then((error) => {
+        if (!isCancelled) setCheckError(error);
+      })
+      .finally(() => {
+        if (!isCancelled) setIsChecking(false);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [debouncedCode, checkCode]);
+
+  const error = getReferralCodeError(code) || (code === debouncedCode ? checkError : undefined);
+
+  const getButtonText = () => {
+    if (code && error) {
+      return error;
+    }
+    if (isChecking || code !== debouncedCode) {
+      return t`Checking code...`;
+    }
+    if (isSubmitting) {
+      return submittingText;
+    }
+    return buttonText;
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    onSubmit(code.trim())
+      .then(() => setCode(""))
+      // Failures are already reported by callContract, the code is kept so it can be resubmitted
+      .catch(() => {})
+      .finally(() => setIsSubmitting(false));
+  };
+
+  return (
+    <form className="ReferralCodeForm" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        placeholder={t`Enter a code`}
+        className="text-input"
+        value={code}
+        onChange={(event) => setCode(event.target.value)}
+      />
+      <Button
+        variant="primary-action"
+        type="submit"
+        className="w-full"
+        disabled={Boolean(error) || isChecking || isSubmitting || code !== debouncedCode}
+      >
+        {getButtonText()}
+      </Button>
+    </form>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useCallback } from "react";
+import { Trans, t } from "@lingui/macro";
+import { ethers } from "ethers";
+
+import { REFERRAL_CODE_KEY } from "config/localStorage";
+import {
+  encodeReferralCode,
+  getCodeOwner,
+  setTraderReferralCodeByUser,
+  useReferralsData,
+  useUserReferralCode,
+} from "domain/referrals";
+import { USD_DECIMALS } from "lib/legacy";
+import { formatAmount } from "lib/numbers";
+import ReferralCodeForm from "./ReferralCodeForm";
+
+import "./Referrals.css";
+
+function formatUsd(value) {
+  return value ? `$${formatAmount(value, USD_DECIMALS, 2, true)}` : "...";
+}
+
+export default function TradersStats({ chainId, library, account, isOwnAccount, setPendingTxns }) {
+  const { referralsData, mutate } = useReferralsData(chainId, account);
+  const {
+    userReferralCodeString,
+    attachedOnChain,
+    mutate: mutateUserReferralCode,
+  } = useUserReferralCode(library, chainId, account);
+
+  const traderTotal = referralsData?.traderTotal;
+  // A code only captured from a link belongs to whoever opened it, not to the account being viewed
+  const activeCode = attachedOnChain || isOwnAccount ? userReferralCodeString : "";
+
+  const checkCode = useCallback(
+    async (code) => {
+      if (code === userReferralCodeString && attachedOnChain) {
+        return t`Same as current active code`;
+      }
+      const owner = await getCodeOwner(chainId, library, encodeReferralCode(code));
+      if (owner === ethers.constants.AddressZero) {
+        return t`Referral code does not exist`;
+      }
+    },
+    [chainId, library, userReferralCodeString, attachedOnChain]
+  );
+
+  const setCode = async (code) => {
+    const tx = await setTraderReferralCodeByUser(chainId, code, library, {
+      sentMsg: t`Referral code submitted!`,
+      failMsg: t`Referral code update failed.`,
+      successMsg: t`Referral code updated!`,
+      setPendingTxns,
+    });
+    window.localStorage.setItem(REFERRAL_CODE_KEY, encodeReferralCode(code));
+    await tx.wait();
+    mutateUserReferralCode();
+    mutate();
+  };
+
+  return (
+    <>
+      <div className="Referrals-stats">
+        <div className="App-card Referrals-stat">
+          <div className="Referrals-stat-label muted">
+            <Trans>Active Referral Code</Trans>
+          </div>
+          <div className="Referrals-stat-value">{activeCode || "-"}</div>
+          {activeCode && (
+            <div className="muted">
+              {attachedOnChain ? t`Bound to your account` : t`Will be bound on your next trade`}
+            </div>
+          )}
+        </div>
+        <div className="App-card Referrals-stat">
+          <div className="Referrals-stat-label muted">
+            <Trans>Trading Volume</Trans>
+          </div>
+          <div className="Referrals-stat-value">{formatUsd(traderTotal?.volume)}</div>
+        </div>
+        <div className="App-card Referrals-stat">
+          <div className="Referrals-stat-label muted">
+            <Trans>Discounts</Trans>
+          </div>
+          <div className="Referrals-stat-value">{formatUsd(traderTotal?.discountUsd)}</div>
+        </div>
+      </div>
+      {isOwnAccount && (
+        <div className="App-card Referrals-card">
+          <div className="App-card-title">
+            {activeCode ? <Trans>Edit Referral Code</Trans> : <Trans>Enter Referral Code</Trans>}
+          </div>
+          <div className="App-card-divider"></div>
+          <div className="App-card-content">
+            <div className="muted">
+              <Trans>Trading with a referral code gives you a discount on position fees.</Trans>
+            </div>
+            <ReferralCodeForm
+              buttonText={activeCode ? t`Update Code` : t`Submit Code`}
+              submittingText={t`Submitting...`}
+              checkCode={checkCode}
+              onSubmit={setCode}
+            />
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -12,6 +12,7 @@ import { TVDataProvider } from "domain/tradingview/TVDataProvider";
 import Loader from "components/Common/Loader";
 import { useLocalStorageSerializeKey } from "lib/localStorage";
 import { CHART_PERIODS } from "lib/legacy";
+import { isPerpTicker } from "domain/tradingview/perpCandles";
 
 type ChartLine = {
   price: number;
@@ -25,6 +26,8 @@ type Props = {
   chartLines: ChartLine[];
   onSelectToken: () => void;
   dataProvider?: TVDataProvider;
+  // Symbol drawn over the main series on the same scale, e.g. the index price of a perp market
+  overlaySymbol?: string;
 };
 
 export default function TVChartContainer({
@@ -34,6 +37,7 @@ export default function TVChartContainer({
   chartLines,
   onSelectToken,
   dataProvider,
+  overlaySymbol,
 }: Props) {
   let [period, setPeriod] = useLocalStorageSerializeKey([chainId, "Chart-period"], DEFAULT_PERIOD);
 
@@ -113,12 +117,36 @@ export default function TVChartContainer({
 
   useEffect(() => {
     if (chartReady && tvWidgetRef.current && symbol !== tvWidgetRef.current?.activeChart?.().symbol()) {
-      if (isChartAvailabeForToken(chainId, symbol)) {
+      if (isPerpTicker(symbol) || isChartAvailabeForToken(chainId, symbol)) {
         tvWidgetRef.current.setSymbol(symbol, tvWidgetRef.current.activeChart().resolution(), () => {});
       }
     }
   }, [symbol, chartReady, period, chainId]);
 
+  useEffect(
+    function updateOverlay() {
+      if (!chartReady || !overlaySymbol || !tvWidgetRef.current) {
+        return;
+      }
+      const chart = tvWidgetRef.current.activeChart();
+      let studyId;
+      let isRemoved = false;
+      chart.createStudy("Overlay", false, true, [overlaySymbol]).then((id) => {
+        if (isRemoved && id) {
+          chart.removeEntity(id);
+        }
+        studyId = id;
+      });
+      return () => {
+        isRemoved = true;
+        if (studyId) {
+          tvWidgetRef.current?.activeChart().removeEntity(studyId);
+        }
+      };
+    },
+    [overlaySymbol, chartReady]
+  );
+
   useEffect(() => {
     let retryCount = 0;
     const MAX_RETRIES = 50; // 5 seconds max wait time
@@ -2,6 +2,9 @@ import { FTM_TESTNET, U2U_TESTNET } from "./chains";
 
 export const UTX_STATS_API_URL = process.env.REACT_APP_UTX_STATS_API_URL;
 
+// Follows, reactions and comments for the trade feed, a local stand-in is used when unset
+export const SOCIAL_API_URL = process.env.REACT_APP_SOCIAL_API_URL;
+
 export const BACKEND_URLS = {
   default: process.env.REACT_APP_BACKEND_URLS_DEFAULT,
   [FTM_TESTNET]: process.env.REACT_APP_BACKEND_URLS_FTM,
@@ -8,6 +8,8 @@ const { parseEther } = ethers.utils;
 export const ARBITRUM = 42161;
 export const FTM_TESTNET = 4002;
 export const U2U_TESTNET = 2484;
+// Hardhat local network
+export const HARDHAT = 31337;
 export const FEES_HIGH_BPS = 50;
 
 // TODO take it from web3
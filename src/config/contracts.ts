@@ -1,8 +1,5 @@
 import { ethers } from "ethers";
-import { ARBITRUM, FTM_TESTNET, U2U_TESTNET } from "./chains";
-
-// Hardhat local network
-const HARDHAT = 31337;
+import { ARBITRUM, FTM_TESTNET, HARDHAT, U2U_TESTNET } from "./chains";
 
 const { AddressZero } = ethers.constants;
 
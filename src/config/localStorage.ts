@@ -17,5 +17,13 @@ export const TV_SAVE_LOAD_CHARTS_KEY = "tv-save-load-charts";
 export const TV_CHART_RELOAD_TIMESTAMP_KEY = "tv-chart-reload-timestamp";
 export const REDIRECT_POPUP_TIMESTAMP_KEY = "redirect-popup-timestamp";
 export const PRODUCTION_PREVIEW_KEY = "production-preview";
+export const PERP_COPY_TRADING_SETTINGS_KEY = "Perp-copy-trading-settings";
+export const SOCIAL_SESSION_KEY = "Social-session";
+export const SOCIAL_LOCAL_BACKEND_KEY = "Social-local-backend";
+export const OFT_TRANSFERS_KEY = "Oft-transfers";
+export const EARN_SELECTED_TAB_KEY = "Earn-selected-tab";
+export const BRACKET_ORDERS_KEY = "Bracket-orders";
+export const TRAILING_STOPS_KEY = "Trailing-stops";
+export const TWAP_ORDERS_KEY = "Twap-orders";
 
 export const getSubgraphUrlKey = (chainId: number, subgraph: string) => `subgraphUrl:${chainId}:${subgraph}`;
@@ -0,0 +1,49 @@
+import { isRouteSupported } from "perp/bridge/config";
+import { ARBITRUM, HARDHAT, U2U_TESTNET } from "./chains";
+
+export type OftToken = {
+  symbol: string;
+  name: string;
+  decimals: number;
+  address: string;
+  // The OFT trusts itself as its remote on this chain, transfers loop back to it (local mocks)
+  isLoopback?: boolean;
+};
+
+// LayerZero OFT collateral movable from the bridge page. A token bridges to every other chain listing the same symbol.
+// The Hardhat entry is the MockOFT deployed by perp/scripts/deploy-local.js.
+export const OFT_TOKENS: { [chainId: number]: OftToken[] } = {
+  [ARBITRUM]: [],
+  [U2U_TESTNET]: [],
+  [HARDHAT]: [
+    {
+      symbol: "USDC",
+      name: "USD Coin (OFT)",
+      decimals: 6,
+      address: "0x8A791620dd6260079BF849Dc5567aDC3F2FdC318",
+      isLoopback: true,
+    },
+  ],
+};
+
+export function getOftTokens(chainId: number): OftToken[] {
+  return OFT_TOKENS[chainId] || [];
+}
+
+export function getOftToken(chainId: number, symbol: string): OftToken | undefined {
+  return getOftTokens(chainId).find((token) => token.symbol === symbol);
+}
+
+/**
+ * Chains an OFT listed on `chainId` can be sent to, over routes LayerZero supports
+ */
+export function getOftDestinationChains(chainId: number, symbol: string): number[] {
+  const token = getOftToken(chainId, symbol);
+  if (!token) {
+    return [];
+  }
+  return Object.keys(OFT_TOKENS)
+    .map(Number)
+    .filter((dstChainId) => (dstChainId === chainId ? token.isLoopback : getOftToken(dstChainId, symbol)))
+    .filter((dstChainId) => isRouteSupported(chainId, dstChainId));
+}
@@ -0,0 +1,64 @@
+import { ARBITRUM, HARDHAT, U2U_TESTNET } from "./chains";
+import { getContract } from "./contracts";
+
+export type PerpMarketInfo = {
+  symbol: string;
+  name: string;
+  baseToken: string;
+};
+
+// Display metadata for perp markets. The market list itself is read from the ClearingHouse
+// (`markets` mapping + `MarketAdded` events); entries here only seed the registry and give
+// known base tokens a symbol and name. Markets are currently listed with their vAMM address
+// doubling as the base token.
+export const PERP_MARKETS: { [chainId: number]: PerpMarketInfo[] } = {
+  [ARBITRUM]: [
+    { symbol: "ETH", name: "Ethereum", baseToken: getContract(ARBITRUM, "PerpVammETH") },
+    { symbol: "BTC", name: "Bitcoin", baseToken: getContract(ARBITRUM, "PerpVammBTC") },
+  ],
+  [U2U_TESTNET]: [
+    { symbol: "ETH", name: "Ethereum", baseToken: getContract(U2U_TESTNET, "PerpVammETH") },
+    { symbol: "BTC", name: "Bitcoin", baseToken: getContract(U2U_TESTNET, "PerpVammBTC") },
+  ],
+  [HARDHAT]: [{ symbol: "ETH", name: "Ethereum", baseToken: getContract(HARDHAT, "PerpVammETH") }],
+};
+
+// First block to scan for perp contract logs (market listings, trades, liquidations)
+export const PERP_DEPLOY_BLOCKS: { [chainId: number]: number } = {
+  [ARBITRUM]: 0,
+  [U2U_TESTNET]: 0,
+  [HARDHAT]: 0,
+};
+
+export function getPerpDeployBlock(chainId: number): number {
+  return PERP_DEPLOY_BLOCKS[chainId] || 0;
+}
+
+// Contract addresses the perp SDK is initialised with
+export function getPerpAddresses(chainId: number) {
+  return {
+    clearingHouse: getContract(chainId, "PerpClearingHouse"),
+    accountBalance: getContract(chainId, "PerpAccountBalance"),
+    insuranceFund: getContract(chainId, "PerpInsuranceFund"),
+    funding: getContract(chainId, "PerpFunding"),
+    oracle: getContract(chainId, "PerpOracle"),
+    baseTokens: getPerpMarkets(chainId).map((market) => market.baseToken),
+    fromBlock: getPerpDeployBlock(chainId),
+    pool: getContract(chainId, "PerpPool"),
+    exchangeRouter: getContract(chainId, "PerpExchangeRouter"),
+  };
+}
+
+export function getPerpMarkets(chainId: number): PerpMarketInfo[] {
+  return PERP_MARKETS[chainId] || [];
+}
+
+export function getPerpMarketInfo(chainId: number, baseToken: string): PerpMarketInfo {
+  const market = getPerpMarkets(chainId).find((m) => m.baseToken.toLowerCase() === baseToken.toLowerCase());
+  if (market) {
+    return market;
+  }
+
+  const shortAddress = `${baseToken.substring(0, 6)}...${baseToken.substring(baseToken.length - 4)}`;
+  return { symbol: shortAddress, name: shortAddress, baseToken };
+}
@@ -0,0 +1,19 @@
+import { ARBITRUM } from "./chains";
+
+// Chainlink USD aggregators read when the stats stream is down. Perp base tokens are not listed here, their feeds are
+// read from the perp Oracle's `priceFeeds` registry instead.
+export const CHAINLINK_PRICE_FEEDS: { [chainId: number]: { [symbol: string]: string } } = {
+  [ARBITRUM]: {
+    WETH: "0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612",
+    BTC: "0x6ce185860a4963106506C203335A2910413708e9",
+    LINK: "0x86E53CF1B870786351Da77A57575e79CB55812CB",
+    UNI: "0x9C917083fDb403ab5ADbEC26Ee294f6EcAda2720",
+    USDC: "0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3",
+    USDT: "0x3f3f5dF88dC9F13eac63DF89EC16ef6e7E25DdE7",
+    DAI: "0xc5C8E77B397E531B8EC06BFb0048328B30E9eCfB",
+  },
+};
+
+export function getChainlinkPriceFeed(chainId: number, symbol: string): string | undefined {
+  return CHAINLINK_PRICE_FEEDS[chainId]?.[symbol];
+}
@@ -1,9 +1,16 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
 import { useWeb3React } from '@web3-react/core';
 import { ethers } from 'ethers';
-import { getContract } from 'config/contracts';
+import { t } from '@lingui/macro';
+import { PERP_COPY_TRADING_SETTINGS_KEY } from 'config/localStorage';
+import { getPerpAddresses, getPerpMarketInfo } from 'config/perpMarkets';
+import { getWsProvider } from 'domain/prices';
 import { useChainId } from 'lib/chains';
+import { helperToast } from 'lib/helperToast';
+import { useLocalStorageSerializeKey } from 'lib/localStorage';
+import { formatAmount } from 'lib/numbers';
 import PerpSDK from '../perp/frontend-sdk/perp-sdk';
+import CopyTradingEngine, { DEFAULT_FOLLOW_SETTINGS } from '../perp/frontend-sdk/copy-trading';
 
 const PerpContext = createContext();
 
@@ -20,10 +27,19 @@ export const PerpProvider = ({ children }) => {
   const { chainId } = useChainId();
   const [perpSDK, setPerpSDK] = useState(null);
   const [isInitialized, setIsInitialized] = useState(false);
+  const [markets, setMarkets] = useState([]);
   const [positions, setPositions] = useState({});
   const [accountInfo, setAccountInfo] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [copyProposals, setCopyProposals] = useState([]);
+  // Market shown in the perp trade box, shared so other panels can jump to a market
+  const [selectedBaseToken, setSelectedBaseToken] = useState();
+  const [followSettings, setFollowSettings] = useLocalStorageSerializeKey(
+    [chainId, PERP_COPY_TRADING_SETTINGS_KEY, account],
+    DEFAULT_FOLLOW_SETTINGS
+  );
+  const copyEngine = useMemo(() => perpSDK && new CopyTradingEngine(perpSDK), [perpSDK]);
 
   // Initialize PerpSDK when wallet connects
   useEffect(() => {
@@ -31,6 +47,8 @@ export const PerpProvider = ({ children }) => {
       if (!active || !library || !account || !chainId) {
         setPerpSDK(null);
         setIsInitialized(false);
+        setMarkets([]);
+        setPositions({});
         return;
       }
 
@@ -39,16 +57,7 @@ export const PerpProvider = ({ children }) => {
         setError(null);
 
         // Get contract addresses for current chain
-        const perpAddresses = {
-          clearingHouse: getContract(chainId, 'PerpClearingHouse'),
-          accountBalance: getContract(chainId, 'PerpAccountBalance'),
-          insuranceFund: getContract(chainId, 'PerpInsuranceFund'),
-          funding: getContract(chainId, 'PerpFunding'),
-          oracle: getContract(chainId, 'PerpOracle'),
-          vammETH: getContract(chainId, 'PerpVammETH'),
-          pool: getContract(chainId, 'PerpPool'),
-          exchangeRouter: getContract(chainId, 'PerpExchangeRouter'),
-        };
+        const perpAddresses = getPerpAddresses(chainId);
 
         // Create signer
         const signer = library.getSigner();
@@ -58,6 +67,12 @@ export const PerpProvider = ({ children }) => {
         await sdk.init();
 
         setPerpSDK(sdk);
+        setMarkets(
+          sdk.getMarkets().map((market) => ({
+            ...market,
+            ...getPerpMarketInfo(chainId, market.baseToken),
+          }))
+        );
         setIsInitialized(true);
 
         // Load initial data
@@ -74,6 +89,123 @@ export const PerpProvider = ({ children }) => {
     initializeSDK();
   }, [active, library, account, chainId]);
 
+  // Keep positions and account info in sync with on-chain events for the connected trader,
+  // including trades from other tabs, liquidations and funding settlements.
+  // The ClearingHouse logs the router as the trader of routed trades, those are seen through the router's events.
+  useEffect(() => {
+    if (!perpSDK || !isInitialized || !account) return;
+
+    let isCancelled = false;
+    const getMarketName = (baseToken) => `${getPerpMarketInfo(chainId, baseToken).symbol}-PERP`;
+
+    const refreshPosition = async (baseToken) => {
+      try {
+        const [position, info] = await Promise.all([
+          perpSDK.getPosition(account, baseToken),
+          perpSDK.getAccountInfo(account),
+        ]);
+        if (isCancelled) return;
+
+        setPositions((prevPositions) => {
+          const nextPositions = { ...prevPositions };
+          if (position.size.isZero()) {
+            delete nextPositions[baseToken];
+          } else {
+            nextPositions[baseToken] = position;
+          }
+          return nextPositions;
+        });
+        setAccountInfo(info);
+      } catch (err) {
+        console.error('Failed to refresh position:', err);
+      }
+    };
+
+    const unsubscribe = perpSDK.subscribeToTraderEvents(
+      account,
+      {
+        onPositionChanged: (trader, baseToken) => refreshPosition(baseToken),
+        onPositionOpened: (trader, baseToken, isLong, collateral, leverage, size) => {
+          const side = isLong ? t`Long` : t`Short`;
+          helperToast.success(
+            t`${getMarketName(baseToken)} ${side} opened: ${formatAmount(size, 18, 4, true)} at ${formatAmount(leverage, 2, 2)}x`
+          );
+          refreshPosition(baseToken);
+        },
+        onPositionClosed: (trader, baseToken, closeRatio, realizedPnL) => {
+          const ratio = formatAmount(closeRatio, 2, 0);
+          const pnl = `${realizedPnL.lt(0) ? '-' : '+'}${formatAmount(realizedPnL.abs(), 18, 2, true)}`;
+          helperToast.success(t`Closed ${ratio}% of ${getMarketName(baseToken)} position, PnL ${pnl} USDC`);
+          refreshPosition(baseToken);
+        },
+        onPositionLiquidated: (trader, baseToken, positionNotional, liquidationFee) => {
+          helperToast.error(
+            t`${getMarketName(baseToken)} position liquidated, fee ${formatAmount(liquidationFee, 18, 2, true)} USDC`
+          );
+          refreshPosition(baseToken);
+        },
+        onFundingPayment: (trader, baseToken, amount) => {
+          // Positive amounts are paid by the trader
+          const direction = amount.gt(0) ? t`paid` : t`received`;
+          helperToast.success(
+            t`Funding settled on ${getMarketName(baseToken)}: ${direction} ${formatAmount(amount.abs(), 18, 4, true)} USDC`
+          );
+          refreshPosition(baseToken);
+        },
+      },
+      getWsProvider(chainId) || library
+    );
+
+    return () => {
+      isCancelled = true;
+      unsubscribe();
+    };
+  }, [perpSDK, isInitialized, account, chainId, library]);
+
+  // Mirror the followed leader: each of their position changes queues a proposal for one-click confirmation
+  const { isActive, leader, copyRatio, maxNotional, maxLeverage } = followSettings || {};
+  const isCopying = Boolean(isActive && ethers.utils.isAddress(leader || ''));
+  // Only the fields the engine reads, saving other settings doesn't restart it
+  const copySettings = useMemo(
+    () => ({ leader, copyRatio, maxNotional, maxLeverage }),
+    [leader, copyRatio, maxNotional, maxLeverage]
+  );
+  useEffect(() => {
+    setCopyProposals([]);
+    if (!copyEngine || !account || !isCopying) return;
+
+    let isCancelled = false;
+    let unsubscribe;
+    copyEngine
+      .start({
+        follower: account,
+        settings: copySettings,
+        provider: getWsProvider(chainId) || library,
+        onProposal: (proposal) => {
+          setCopyProposals((prevProposals) =>
+            prevProposals.some((p) => p.id === proposal.id) ? prevProposals : [...prevProposals, proposal]
+          );
+          helperToast.success(t`New copy trade proposal on ${getPerpMarketInfo(chainId, proposal.baseToken).symbol}-PERP`);
+        },
+      })
+      .then((stop) => {
+        if (isCancelled) {
+          stop();
+        } else {
+          unsubscribe = stop;
+        }
+      })
+      .catch((err) => {
+        console.error('Failed to start copy trading:', err);
+        setError(err.message);
+      });
+
+    return () => {
+      isCancelled = true;
+      if (unsubscribe) unsubscribe();
+    };
+  }, [copyEngine, account, chainId, library, isCopying, copySettings]);
+
   // Load account data
   const loadAccountData = async (sdk, userAccount) => {
     try {
@@ -81,16 +213,9 @@ export const PerpProvider = ({ children }) => {
       const info = await sdk.getAccountInfo(userAccount);
       setAccountInfo(info);
 
-      // Get positions for ETH market (for now)
-      const ethTokenAddress = getContract(chainId, 'PerpVammETH');
-      const position = await sdk.getPosition(userAccount, ethTokenAddress);
-      
-      if (position.size !== 0) {
-        setPositions(prev => ({
-          ...prev,
-          [ethTokenAddress]: position
-        }));
-      }
+      // Get positions for every listed market
+      const accountPositions = await sdk.getPositions(userAccount);
+      setPositions(accountPositions);
     } catch (err) {
       console.error('Failed to load account data:', err);
     }
@@ -176,53 +301,295 @@ export const PerpProvider = ({ children }) => {
     }
   };
 
-  // Get mark price
-  const getMarkPrice = async (baseToken) => {
-    if (!perpSDK) return null;
+  // Contribute collateral to the insurance fund
+  const addInsuranceFund = async (amount) => {
+    if (!perpSDK) throw new Error('PerpSDK not initialized');
+
     try {
-      return await perpSDK.getMarkPrice(baseToken);
+      setLoading(true);
+      return await perpSDK.addInsuranceFund(amount);
     } catch (err) {
-      console.error('Failed to get mark price:', err);
-      return null;
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
     }
   };
 
-  // Get index price
-  const getIndexPrice = async (baseToken) => {
-    if (!perpSDK) return null;
+  // Deposit collateral into the vAMM liquidity pool
+  const addPoolLiquidity = async (amount) => {
+    if (!perpSDK) throw new Error('PerpSDK not initialized');
+
     try {
-      return await perpSDK.getIndexPrice(baseToken);
+      setLoading(true);
+      return await perpSDK.addPoolLiquidity(amount);
     } catch (err) {
-      console.error('Failed to get index price:', err);
-      return null;
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
     }
   };
 
-  // Get funding rate
-  const getFundingRate = async (baseToken) => {
-    if (!perpSDK) return null;
+  // Withdraw from the vAMM liquidity pool by burning LP shares
+  const removePoolLiquidity = async (shares) => {
+    if (!perpSDK) throw new Error('PerpSDK not initialized');
+
     try {
-      return await perpSDK.getFundingRate(baseToken);
+      setLoading(true);
+      return await perpSDK.removePoolLiquidity(shares);
     } catch (err) {
-      console.error('Failed to get funding rate:', err);
-      return null;
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
     }
   };
 
-  // Get price impact
-  const getPriceImpact = async (baseToken, isLong, amount) => {
-    if (!perpSDK) return null;
+  // Claim the connected account's share of pool trading fees
+  const claimPoolRewards = async () => {
+    if (!perpSDK) throw new Error('PerpSDK not initialized');
+
+    try {
+      setLoading(true);
+      return await perpSDK.claimPoolRewards();
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Execute a queued copy trade proposal
+  const confirmCopyProposal = async (id, slippageTolerance) => {
+    if (!copyEngine) throw new Error('PerpSDK not initialized');
+    const proposal = copyProposals.find((p) => p.id === id);
+    if (!proposal) throw new Error('Unknown copy trade proposal');
+
     try {
-      return await perpSDK.getPriceImpact(baseToken, isLong, amount);
+      setLoading(true);
+      const receipt = await copyEngine.executeProposal(proposal, slippageTolerance);
+      setCopyProposals((prevProposals) => prevProposals.filter((p) => p.id !== id));
+
+      // Reload account data after successful transaction
+      await loadAccountData(perpSDK, account);
+
+      return receipt;
     } catch (err) {
-      console.error('Failed to get price impact:', err);
-      return null;
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
     }
   };
 
+  const dismissCopyProposal = (id) => {
+    setCopyProposals((prevProposals) => prevProposals.filter((p) => p.id !== id));
+  };
+
+  // Get top traders to follow
+  const getTopTraders = useCallback(
+    async (limit) => {
+      if (!perpSDK) return [];
+      try {
+        return await perpSDK.getTopTraders(limit);
+      } catch (err) {
+        console.error('Failed to get top traders:', err);
+        return [];
+      }
+    },
+    [perpSDK]
+  );
+
+  // Get mark price
+  const getMarkPrice = useCallback(
+    async (baseToken) => {
+      if (!perpSDK) return null;
+      try {
+        return await perpSDK.getMarkPrice(baseToken);
+      } catch (err) {
+        console.error('Failed to get mark price:', err);
+        return null;
+      }
+    },
+    [perpSDK]
+  );
+
+  // Get index price
+  const getIndexPrice = useCallback(
+    async (baseToken) => {
+      if (!perpSDK) return null;
+      try {
+        return await perpSDK.getIndexPrice(baseToken);
+      } catch (err) {
+        console.error('Failed to get index price:', err);
+        return null;
+      }
+    },
+    [perpSDK]
+  );
+
+  // Get funding rate
+  const getFundingRate = useCallback(
+    async (baseToken) => {
+      if (!perpSDK) return null;
+      try {
+        return await perpSDK.getFundingRate(baseToken);
+      } catch (err) {
+        console.error('Failed to get funding rate:', err);
+        return null;
+      }
+    },
+    [perpSDK]
+  );
+
+  // Get funding rates, cumulative funding and next funding time of a market
+  const getFundingInfo = useCallback(
+    async (baseToken) => {
+      if (!perpSDK) return null;
+      try {
+        return await perpSDK.getFundingInfo(baseToken);
+      } catch (err) {
+        console.error('Failed to get funding info:', err);
+        return null;
+      }
+    },
+    [perpSDK]
+  );
+
+  // Get past funding rate updates of a market
+  const getFundingHistory = useCallback(
+    async (baseToken) => {
+      if (!perpSDK) return [];
+      try {
+        return await perpSDK.getFundingHistory(baseToken);
+      } catch (err) {
+        console.error('Failed to get funding history:', err);
+        return [];
+      }
+    },
+    [perpSDK]
+  );
+
+  // Get funding the connected account owes (positive) or is owed (negative) on a position
+  const getPendingFunding = useCallback(
+    async (baseToken, positionSize) => {
+      if (!perpSDK || !account) return null;
+      try {
+        return await perpSDK.getPendingFunding(account, baseToken, positionSize);
+      } catch (err) {
+        console.error('Failed to get pending funding:', err);
+        return null;
+      }
+    },
+    [perpSDK, account]
+  );
+
+  // Get the insurance fund balance, health and the connected account's contribution
+  const getInsuranceFundInfo = useCallback(
+    async () => {
+      if (!perpSDK) return null;
+      try {
+        return await perpSDK.getInsuranceFundInfo(account);
+      } catch (err) {
+        console.error('Failed to get insurance fund info:', err);
+        return null;
+      }
+    },
+    [perpSDK, account]
+  );
+
+  // Get insurance fund contributions, bad debt coverage and liquidation fee inflows
+  const getInsuranceFundHistory = useCallback(
+    async () => {
+      if (!perpSDK) return null;
+      try {
+        return await perpSDK.getInsuranceFundHistory();
+      } catch (err) {
+        console.error('Failed to get insurance fund history:', err);
+        return null;
+      }
+    },
+    [perpSDK]
+  );
+
+  // Get the vAMM liquidity pool state and the connected account's LP position
+  const getPoolInfo = useCallback(
+    async () => {
+      if (!perpSDK) return null;
+      try {
+        return await perpSDK.getPoolInfo(account);
+      } catch (err) {
+        console.error('Failed to get pool info:', err);
+        return null;
+      }
+    },
+    [perpSDK, account]
+  );
+
+  // Get trading fees collected by the vAMM liquidity pool since `fromTimestamp`
+  const getPoolFees = useCallback(
+    async (fromTimestamp) => {
+      if (!perpSDK) return null;
+      try {
+        return await perpSDK.getPoolFees(fromTimestamp);
+      } catch (err) {
+        console.error('Failed to get pool fees:', err);
+        return null;
+      }
+    },
+    [perpSDK]
+  );
+
+  // Get price impact
+  const getPriceImpact = useCallback(
+    async (baseToken, isLong, amount) => {
+      if (!perpSDK) return null;
+      try {
+        return await perpSDK.getPriceImpact(baseToken, isLong, amount);
+      } catch (err) {
+        console.error('Failed to get price impact:', err);
+        return null;
+      }
+    },
+    [perpSDK]
+  );
+
+  // Get expected fill, price impact and slippage bound for opening a position
+  const getOpenQuote = useCallback(
+    async (params) => {
+      if (!perpSDK) return null;
+      try {
+        return await perpSDK.getOpenQuote(params);
+      } catch (err) {
+        console.error('Failed to get open quote:', err);
+        return null;
+      }
+    },
+    [perpSDK]
+  );
+
+  // Get expected fill, price impact and slippage bound for closing (part of) the connected account's position
+  const getCloseQuote = useCallback(
+    async (params) => {
+      if (!perpSDK || !account) return null;
+      try {
+        return await perpSDK.getCloseQuote({ trader: account, ...params });
+      } catch (err) {
+        console.error('Failed to get close quote:', err);
+        return null;
+      }
+    },
+    [perpSDK, account]
+  );
+
   const value = {
     perpSDK,
     isInitialized,
+    markets,
+    selectedBaseToken,
+    setSelectedBaseToken,
     positions,
     accountInfo,
     loading,
@@ -231,10 +598,29 @@ export const PerpProvider = ({ children }) => {
     closePosition,
     addCollateral,
     removeCollateral,
+    addInsuranceFund,
+    addPoolLiquidity,
+    removePoolLiquidity,
+    claimPoolRewards,
     getMarkPrice,
     getIndexPrice,
     getFundingRate,
+    getFundingInfo,
+    getFundingHistory,
+    getPendingFunding,
+    getInsuranceFundInfo,
+    getInsuranceFundHistory,
+    getPoolInfo,
+    getPoolFees,
     getPriceImpact,
+    getOpenQuote,
+    getCloseQuote,
+    followSettings,
+    setFollowSettings,
+    copyProposals,
+    confirmCopyProposal,
+    dismissCopyProposal,
+    getTopTraders,
     loadAccountData: () => perpSDK && loadAccountData(perpSDK, account),
   };
 
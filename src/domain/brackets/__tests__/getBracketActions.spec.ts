@@ -0,0 +1,127 @@
+import {
+  BRACKET_PLACING_TIMEOUT,
+  getBracketActions,
+  MARKET_ENTRY_TIMEOUT,
+  ORDER_LISTING_TIMEOUT,
+} from "domain/brackets/utils";
+import { Bracket } from "domain/brackets/types";
+import { DECREASE, getPositionKey, INCREASE, ORDER_MISSING_GRACE } from "lib/legacy";
+import { expandDecimals } from "lib/numbers";
+
+describe("getBracketActions", function () {
+  const account = "0x0000000000000000000000000000000000000001";
+  const nativeTokenAddress = "0x00000000000000000000000000000000000000aa";
+  const indexToken = "0x00000000000000000000000000000000000000bb";
+  const now = 1700000000000;
+  const usd = (value: number) => expandDecimals(value, 30);
+  const positionKey = getPositionKey(account, indexToken, indexToken, true, nativeTokenAddress);
+
+  const bracket: Bracket = {
+    id: "bracket",
+    indexToken,
+    collateralToken: indexToken,
+    isLong: true,
+    sizeDelta: usd(1000).toString(),
+    entryType: "Market",
+    positionSize: "0",
+    takeProfit: { triggerPrice: usd(2200).toString() },
+    stopLoss: { triggerPrice: usd(1800).toString() },
+    status: "pending",
+    createdAt: now - 1000,
+  };
+  const activeBracket: Bracket = {
+    ...bracket,
+    status: "active",
+    updatedAt: now - 1000,
+    takeProfit: { triggerPrice: usd(2200).toString(), index: 3, seen: true },
+    stopLoss: { triggerPrice: usd(1800).toString(), index: 4, seen: true },
+  };
+  const decreaseOrder = (index: number, triggerPrice: number) => ({
+    type: DECREASE,
+    index,
+    indexToken,
+    isLong: true,
+    sizeDelta: usd(1000),
+    triggerPrice: usd(triggerPrice),
+  });
+
+  it("places the legs once the position grew by the bracket size", function () {
+    const positionsMap = { [positionKey]: { size: usd(1000) } };
+    expect(getBracketActions([bracket], [], positionsMap, account, nativeTokenAddress, now)).toEqual([
+      { type: "place", bracket },
+    ]);
+
+    const increased = { ...bracket, positionSize: usd(500).toString() };
+    expect(getBracketActions([increased], [], positionsMap, account, nativeTokenAddress, now)).toEqual([]);
+  });
+
+  it("drops market brackets whose request was never executed", function () {
+    const stale = { ...bracket, createdAt: now - MARKET_ENTRY_TIMEOUT - 1 };
+    expect(getBracketActions([stale], [], {}, account, nativeTokenAddress, now)).toEqual([
+      { type: "remove", bracket: stale },
+    ]);
+  });
+
+  it("waits on listed limit entries and drops the ones that left the book without filling", function () {
+    const limit: Bracket = {
+      ...bracket,
+      entryType: "Limit",
+      entryPrice: usd(1950).toString(),
+      createdAt: now - ORDER_LISTING_TIMEOUT - 1,
+    };
+    const entryOrder = { ...decreaseOrder(7, 1950), type: INCREASE };
+    expect(getBracketActions([limit], [entryOrder], {}, account, nativeTokenAddress, now)).toEqual([]);
+
+    expect(getBracketActions([limit], [], {}, account, nativeTokenAddress, now)).toEqual([
+      { type: "update", bracket: limit, changes: { missingSince: now } },
+    ]);
+    const missing = { ...limit, missingSince: now - ORDER_MISSING_GRACE - 1 };
+    expect(getBracketActions([missing], [], {}, account, nativeTokenAddress, now)).toEqual([
+      { type: "remove", bracket: missing },
+    ]);
+  });
+
+  it("marks legs as seen once they are listed", function () {
+    const placed: Bracket = {
+      ...activeBracket,
+      takeProfit: { ...activeBracket.takeProfit!, seen: undefined },
+      stopLoss: { ...activeBracket.stopLoss!, seen: undefined },
+    };
+    const orders = [decreaseOrder(3, 2200)];
+    expect(getBracketActions([placed], orders, {}, account, nativeTokenAddress, now)).toEqual([
+      { type: "update", bracket: placed, changes: { takeProfit: activeBracket.takeProfit } },
+    ]);
+  });
+
+  it("cancels the other leg when one leg is gone", function () {
+    const stopLossOrder = decreaseOrder(4, 1800);
+    expect(getBracketActions([activeBracket], [stopLossOrder], {}, account, nativeTokenAddress, now)).toEqual([
+      { type: "cancel", bracket: activeBracket, leg: "stopLoss", order: stopLossOrder },
+    ]);
+    expect(
+      getBracketActions([activeBracket], [decreaseOrder(3, 2200), stopLossOrder], {}, account, nativeTokenAddress, now)
+    ).toEqual([]);
+  });
+
+  it("forgets brackets whose legs are all gone after the grace period", function () {
+    expect(getBracketActions([activeBracket], [], {}, account, nativeTokenAddress, now)).toEqual([
+      { type: "update", bracket: activeBracket, changes: { missingSince: now } },
+    ]);
+    const missing = { ...activeBracket, missingSince: now - ORDER_MISSING_GRACE - 1 };
+    expect(getBracketActions([missing], [], {}, account, nativeTokenAddress, now)).toEqual([
+      { type: "remove", bracket: missing },
+    ]);
+  });
+
+  it("recovers brackets whose placement was interrupted", function () {
+    const updatedAt = now - BRACKET_PLACING_TIMEOUT - 1;
+    const interrupted: Bracket = { ...activeBracket, status: "placing", updatedAt, stopLoss: bracket.stopLoss };
+    expect(getBracketActions([interrupted], [], {}, account, nativeTokenAddress, now)).toEqual([
+      { type: "update", bracket: interrupted, changes: { status: "active", updatedAt: now } },
+    ]);
+    const unplaced: Bracket = { ...bracket, status: "placing", updatedAt };
+    expect(getBracketActions([unplaced], [], {}, account, nativeTokenAddress, now)).toEqual([
+      { type: "remove", bracket: unplaced },
+    ]);
+  });
+});
@@ -0,0 +1,4 @@
+export * from "./types";
+export * from "./utils";
+export * from "./orders";
+export * from "./useBracketOrders";
@@ -0,0 +1,47 @@
+import { BigNumber, ethers } from "ethers";
+import { Web3Provider } from "@ethersproject/providers";
+import OrderBook from "abis/OrderBook.json";
+import { createDecreaseOrder } from "domain/legacy";
+import { Bracket, BracketLegType } from "./types";
+import { getBracketTriggerAboveThreshold } from "./utils";
+
+const orderBookInterface = new ethers.utils.Interface(OrderBook.abi);
+
+export function getCreatedOrderIndex(receipt: ethers.providers.TransactionReceipt) {
+  for (const log of receipt.logs) {
+    try {
+      const parsed = orderBookInterface.parseLog(log);
+      if (parsed.name === "CreateDecreaseOrder") {
+        return (parsed.args.orderIndex as BigNumber).toNumber();
+      }
+    } catch (e) {
+      // Logs of the other contracts the transaction touched
+    }
+  }
+}
+
+/**
+ * Creates the decrease order of a bracket leg, resolves with its OrderBook index once mined
+ */
+export async function createBracketOrder(
+  chainId: number,
+  library: Web3Provider,
+  bracket: Bracket,
+  leg: BracketLegType,
+  opts: any
+) {
+  const tx = await createDecreaseOrder(
+    chainId,
+    library,
+    bracket.indexToken,
+    BigNumber.from(bracket.sizeDelta),
+    bracket.collateralToken,
+    0,
+    bracket.isLong,
+    BigNumber.from(bracket[leg]!.triggerPrice),
+    getBracketTriggerAboveThreshold(bracket.isLong, leg),
+    opts
+  );
+  const receipt = await tx.wait();
+  return getCreatedOrderIndex(receipt);
+}
@@ -0,0 +1,55 @@
+import { BigNumber } from "ethers";
+
+export type BracketLegType = "takeProfit" | "stopLoss";
+
+// Amounts are kept as decimal strings so brackets survive the JSON round trip through local storage
+export type BracketLeg = {
+  triggerPrice: string;
+  // OrderBook decrease order index, once the order is created
+  index?: number;
+  // Whether the order was ever listed, a leg missing from the list only counts as gone after it was seen
+  seen?: boolean;
+};
+
+export type BracketStatus = "pending" | "placing" | "active";
+
+/**
+ * Take-profit and stop-loss decrease orders attached to an increase. The legs are created once the increase has
+ * executed and cancel each other: when one of them is gone from the order book the other one is cancelled.
+ */
+export type Bracket = {
+  id: string;
+  indexToken: string;
+  collateralToken: string;
+  isLong: boolean;
+  // Size the legs close, the size of the increase
+  sizeDelta: string;
+  // Increase the bracket waits for: a PositionRouter request or a limit order at `entryPrice`
+  entryType: "Market" | "Limit";
+  entryPrice?: string;
+  // Position size when the increase was submitted, the increase executed once the size reaches it plus `sizeDelta`
+  positionSize: string;
+  takeProfit?: BracketLeg;
+  stopLoss?: BracketLeg;
+  status: BracketStatus;
+  createdAt: number;
+  updatedAt?: number;
+  // Set while the entry order or both legs are missing from the order list
+  missingSince?: number;
+};
+
+// Subset of the orders `useAccountOrders` returns that brackets are matched against
+export type BracketOrder = {
+  type: string;
+  index: number;
+  indexToken: string;
+  isLong: boolean;
+  sizeDelta: BigNumber;
+  triggerPrice: BigNumber;
+};
+
+export type BracketAction =
+  | { type: "place"; bracket: Bracket }
+  | { type: "update"; bracket: Bracket; changes: Partial<Bracket> }
+  | { type: "cancel"; bracket: Bracket; leg: BracketLegType; order: BracketOrder }
+  | { type: "remove"; bracket: Bracket };
@@ -0,0 +1,209 @@
+import { useCallback, useEffect, useRef } from "react";
+import { t } from "@lingui/macro";
+import { BigNumber } from "ethers";
+import { Web3Provider } from "@ethersproject/providers";
+import { BRACKET_ORDERS_KEY } from "config/localStorage";
+import { cancelDecreaseOrder } from "domain/legacy";
+import { useLocalStorageList } from "lib/localStorage";
+import { Bracket, BracketAction, BracketLeg, BracketOrder } from "./types";
+import { createBracketOrder } from "./orders";
+import { getBracketActions, getBracketLegs } from "./utils";
+
+const BRACKET_CHECK_INTERVAL = 5000;
+
+export type BracketParams = Omit<Bracket, "id" | "status" | "createdAt">;
+
+/**
+ * Take-profit/stop-loss brackets of an account, kept in local storage per chain. While the exchange is open the
+ * brackets are matched against the account's orders and positions: legs are created once their increase executed,
+ * and when one leg leaves the order book the other one is cancelled.
+ */
+export function useBracketOrders({
+  chainId,
+  library,
+  account,
+  orders,
+  positionsMap,
+  nativeTokenAddress,
+  setPendingTxns,
+}: {
+  chainId: number;
+  library?: Web3Provider;
+  account?: string | null;
+  orders: BracketOrder[];
+  positionsMap: { [key: string]: { size: BigNumber } };
+  nativeTokenAddress: string;
+  setPendingTxns: (txns: any) => void;
+}) {
+  const {
+    items: brackets,
+    itemsRef: bracketsRef,
+    saveItems: saveBrackets,
+    updateItem: updateBracket,
+    removeItem: removeBracket,
+    runExclusive,
+  } = useLocalStorageList<Bracket>([chainId, BRACKET_ORDERS_KEY, account]);
+  const ordersRef = useRef(orders);
+  ordersRef.current = orders;
+  const positionsMapRef = useRef(positionsMap);
+  positionsMapRef.current = positionsMap;
+
+  const addBracket = useCallback(
+    (params: BracketParams) => {
+      const createdAt = Date.now();
+      saveBrackets([
+        ...bracketsRef.current,
+        { ...params, id: `${createdAt}-${params.indexToken}`, status: "pending", createdAt },
+      ]);
+    },
+    [saveBrackets, bracketsRef]
+  );
+
+  // Detaches a leg from its bracket, so cancelling it by hand doesn't cancel the other leg
+  const unlinkBracketOrder = useCallback(
+    (index: number) => {
+      const nextBrackets = bracketsRef.current.flatMap((bracket) => {
+        const legs = getBracketLegs(bracket);
+        if (!legs.some((leg) => leg.index === index)) {
+          return [bracket];
+        }
+        const remainingLegs = legs.filter((leg) => leg.index !== index);
+        if (remainingLegs.length === 0) {
+          return [];
+        }
+        const nextBracket = { ...bracket };
+        legs.forEach(({ leg, index: legIndex }) => {
+          if (legIndex === index) delete nextBracket[leg];
+        });
+        return [nextBracket];
+      });
+      saveBrackets(nextBrackets);
+    },
+    [saveBrackets, bracketsRef]
+  );
+
+  const placeBracket = useCallback(
+    async (bracket: Bracket) => {
+      updateBracket(bracket.id, { status: "placing", updatedAt: Date.now() });
+
+      const changes: Partial<Bracket> = {};
+      for (const { leg } of getBracketLegs(bracket)) {
+        const isTakeProfit = leg === "takeProfit";
+        let placedLeg: BracketLeg | undefined;
+        try {
+          const index = await createBracketOrder(chainId, library!, bracket, leg, {
+            sentMsg: isTakeProfit ? t`Take profit order submitted!` : t`Stop loss order submitted!`,
+            successMsg: isTakeProfit ? t`Take profit order created.` : t`Stop loss order created.`,
+            failMsg: isTakeProfit ? t`Take profit order failed.` : t`Stop loss order failed.`,
+            setPendingTxns,
+          });
+          if (index !== undefined) {
+            placedLeg = { ...bracket[leg]!, index };
+          }
+        } catch (e) {
+          // Rejected or reverted, callContract already reported it and the bracket goes on without the leg
+        }
+        changes[leg] = placedLeg;
+      }
+
+      if (!changes.takeProfit && !changes.stopLoss) {
+        removeBracket(bracket.id);
+        return;
+      }
+      updateBracket(bracket.id, { ...changes, status: "active", updatedAt: Date.now() });
+    },
+    [chainId, library, setPendingTxns, updateBracket, removeBracket]
+  );
+
+  const cancelRemainingLegs = useCallback(
+    async (bracket: Bracket, actions: BracketAction[]) => {
+      for (const action of actions) {
+        if (action.type !== "cancel") continue;
+        try {
+          await cancelDecreaseOrder(chainId, library, action.order.index, {
+            sentMsg: t`Cancelling the other bracket order.`,
+            successMsg: t`Bracket order cancelled.`,
+            failMsg: t`Bracket order cancel failed.`,
+            setPendingTxns,
+          });
+        } catch (e) {
+          // Left as a standalone trigger order, callContract already reported the failure
+        }
+      }
+      removeBracket(bracket.id);
+    },
+    [chainId, library, setPendingTxns, removeBracket]
+  );
+
+  const checkBrackets = useCallback(() => {
+    if (!account || !library) {
+      return;
+    }
+    const getActions = (bracketList: Bracket[]) =>
+      getBracketActions(
+        bracketList,
+        ordersRef.current,
+        positionsMapRef.current,
+        account,
+        nativeTokenAddress,
+        Date.now()
+      );
+    const actions = getActions(bracketsRef.current);
+
+    const cancelsByBracket: { [id: string]: BracketAction[] } = {};
+    actions.forEach((action) => {
+      const { bracket } = action;
+      if (action.type === "update") {
+        updateBracket(bracket.id, action.changes);
+      } else if (action.type === "remove") {
+        removeBracket(bracket.id);
+      } else if (action.type === "cancel") {
+        cancelsByBracket[bracket.id] = [...(cancelsByBracket[bracket.id] || []), action];
+      } else {
+        // Every open exchange tab runs this, only the tab holding the bracket's lock places the legs and only if the
+        // bracket as last stored still waits for them
+        runExclusive(bracket.id, async (storedBracket) => {
+          if (getActions([storedBracket]).some(({ type }) => type === "place")) {
+            await placeBracket(storedBracket);
+          }
+        });
+      }
+    });
+
+    Object.keys(cancelsByBracket).forEach((id) => {
+      runExclusive(id, async (storedBracket) => {
+        const cancels = getActions([storedBracket]).filter(({ type }) => type === "cancel");
+        if (cancels.length > 0) {
+          await cancelRemainingLegs(storedBracket, cancels);
+        }
+      });
+    });
+  }, [
+    account,
+    library,
+    nativeTokenAddress,
+    bracketsRef,
+    updateBracket,
+    removeBracket,
+    runExclusive,
+    placeBracket,
+    cancelRemainingLegs,
+  ]);
+
+  const hasBrackets = brackets.length > 0;
+
+  useEffect(() => {
+    if (!hasBrackets) {
+      return;
+    }
+    checkBrackets();
+    const interval = setInterval(checkBrackets, BRACKET_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [hasBrackets, orders, checkBrackets]);
+
+  return {
+    brackets,
+    addBracket,
+    unlinkBracketOrder,
+  };
+}
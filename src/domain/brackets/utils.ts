@@ -0,0 +1,211 @@
+import { BigNumber } from "ethers";
+import { t } from "@lingui/macro";
+import { calculatePositionDelta, DECREASE, getPositionKey, INCREASE, MARKET, ORDER_MISSING_GRACE } from "lib/legacy";
+import { Bracket, BracketAction, BracketLegType, BracketOrder } from "./types";
+
+export const BRACKET_LEGS: BracketLegType[] = ["takeProfit", "stopLoss"];
+
+// PositionRouter requests are executed or cancelled by the keeper well within this
+export const MARKET_ENTRY_TIMEOUT = 10 * 60 * 1000;
+// Time for a created order to be mined and show up in the order list
+export const ORDER_LISTING_TIMEOUT = 10 * 60 * 1000;
+// Placement interrupted by a reload or a closed tab
+export const BRACKET_PLACING_TIMEOUT = 5 * 60 * 1000;
+
+export function getBracketTriggerAboveThreshold(isLong: boolean, leg: BracketLegType) {
+  return leg === "takeProfit" ? isLong : !isLong;
+}
+
+export function getBracketPriceError({
+  isLong,
+  leg,
+  triggerPrice,
+  entryPrice,
+  liquidationPrice,
+}: {
+  isLong: boolean;
+  leg: BracketLegType;
+  triggerPrice: BigNumber;
+  entryPrice?: BigNumber;
+  liquidationPrice?: BigNumber;
+}) {
+  if (!entryPrice) {
+    return;
+  }
+  if (leg === "takeProfit") {
+    if (isLong ? triggerPrice.lte(entryPrice) : triggerPrice.gte(entryPrice)) {
+      return isLong ? t`Take profit below entry price` : t`Take profit above entry price`;
+    }
+    return;
+  }
+  if (isLong ? triggerPrice.gte(entryPrice) : triggerPrice.lte(entryPrice)) {
+    return isLong ? t`Stop loss above entry price` : t`Stop loss below entry price`;
+  }
+  if (liquidationPrice && (isLong ? triggerPrice.lte(liquidationPrice) : triggerPrice.gte(liquidationPrice))) {
+    return isLong ? t`Stop loss below liq. price` : t`Stop loss above liq. price`;
+  }
+}
+
+/**
+ * PnL of closing `sizeDelta` of a position at `price`, before fees
+ */
+export function getBracketPnl(
+  price: BigNumber,
+  {
+    isLong,
+    sizeDelta,
+    averagePrice,
+    collateral,
+  }: { isLong: boolean; sizeDelta: BigNumber; averagePrice?: BigNumber; collateral?: BigNumber }
+) {
+  if (!averagePrice || averagePrice.eq(0) || !collateral || collateral.lte(0) || sizeDelta.eq(0)) {
+    return;
+  }
+  return calculatePositionDelta(
+    price,
+    { size: sizeDelta, collateral, isLong, averagePrice, lastIncreasedTime: 0 },
+    sizeDelta
+  );
+}
+
+export function getBracketLegs(bracket: Bracket) {
+  return BRACKET_LEGS.filter((leg) => bracket[leg]).map((leg) => ({ leg, ...bracket[leg]! }));
+}
+
+export function getBracketOrderKey(index: number) {
+  return `${DECREASE}-${index}`;
+}
+
+function isSameToken(a: string, b: string) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function findEntryOrder(bracket: Bracket, orders: BracketOrder[]) {
+  return orders.find(
+    (order) =>
+      order.type === INCREASE &&
+      order.isLong === bracket.isLong &&
+      isSameToken(order.indexToken, bracket.indexToken) &&
+      order.sizeDelta.eq(bracket.sizeDelta) &&
+      Boolean(bracket.entryPrice) &&
+      order.triggerPrice.eq(bracket.entryPrice!)
+  );
+}
+
+function findLegOrder(index: number | undefined, orders: BracketOrder[]) {
+  if (index === undefined) {
+    return;
+  }
+  return orders.find((order) => order.type === DECREASE && order.index === index);
+}
+
+function getMissingActions(bracket: Bracket, now: number): BracketAction[] {
+  if (!bracket.missingSince) {
+    return [{ type: "update", bracket, changes: { missingSince: now } }];
+  }
+  if (now - bracket.missingSince > ORDER_MISSING_GRACE) {
+    return [{ type: "remove", bracket }];
+  }
+  return [];
+}
+
+function getPendingActions(bracket: Bracket, orders: BracketOrder[], positionSize: BigNumber | undefined, now: number) {
+  const targetSize = BigNumber.from(bracket.positionSize).add(bracket.sizeDelta);
+  if (positionSize && positionSize.gte(targetSize)) {
+    return [{ type: "place", bracket } as BracketAction];
+  }
+
+  const age = now - bracket.createdAt;
+  if (bracket.entryType === MARKET) {
+    return age > MARKET_ENTRY_TIMEOUT ? [{ type: "remove", bracket } as BracketAction] : [];
+  }
+
+  const entryOrder = findEntryOrder(bracket, orders);
+  if (entryOrder) {
+    return bracket.missingSince
+      ? [{ type: "update", bracket, changes: { missingSince: undefined } } as BracketAction]
+      : [];
+  }
+  // The limit order either never made it to the book or left it without increasing the position
+  if (age > ORDER_LISTING_TIMEOUT) {
+    return getMissingActions(bracket, now);
+  }
+  return [];
+}
+
+function getActiveActions(bracket: Bracket, orders: BracketOrder[], now: number): BracketAction[] {
+  const actions: BracketAction[] = [];
+  const legs = getBracketLegs(bracket).map((leg) => ({ ...leg, order: findLegOrder(leg.index, orders) }));
+
+  const changes: Partial<Bracket> = {};
+  legs.forEach(({ leg, order }) => {
+    if (order && !bracket[leg]!.seen) {
+      changes[leg] = { ...bracket[leg]!, seen: true };
+    }
+  });
+
+  const listedLegs = legs.filter(({ order }) => order);
+  const goneLegs = legs.filter(({ order, seen }) => !order && seen);
+
+  if (listedLegs.length > 0 && goneLegs.length > 0) {
+    // One leg filled, the other one is cancelled
+    listedLegs.forEach(({ leg, order }) => actions.push({ type: "cancel", bracket, leg, order: order! }));
+    return actions;
+  }
+
+  if (listedLegs.length === 0) {
+    const placedAt = bracket.updatedAt || bracket.createdAt;
+    if (goneLegs.length > 0 || now - placedAt > ORDER_LISTING_TIMEOUT) {
+      return getMissingActions(bracket, now);
+    }
+    return actions;
+  }
+
+  if (bracket.missingSince) {
+    changes.missingSince = undefined;
+  }
+  if (Object.keys(changes).length > 0) {
+    actions.push({ type: "update", bracket, changes });
+  }
+  return actions;
+}
+
+/**
+ * What to do with each bracket given the current orders and positions: place the legs of brackets whose increase
+ * executed, cancel the remaining leg of filled brackets and drop the brackets that have nothing left to track.
+ */
+export function getBracketActions(
+  brackets: Bracket[],
+  orders: BracketOrder[],
+  positionsMap: { [key: string]: { size: BigNumber } },
+  account: string,
+  nativeTokenAddress: string,
+  now: number
+): BracketAction[] {
+  return brackets.flatMap((bracket) => {
+    if (bracket.status === "pending") {
+      const key = getPositionKey(
+        account,
+        bracket.collateralToken,
+        bracket.indexToken,
+        bracket.isLong,
+        nativeTokenAddress
+      );
+      return getPendingActions(bracket, orders, positionsMap[key]?.size, now);
+    }
+
+    if (bracket.status === "placing") {
+      if (now - (bracket.updatedAt || bracket.createdAt) < BRACKET_PLACING_TIMEOUT) {
+        return [];
+      }
+      const hasPlacedLeg = getBracketLegs(bracket).some(({ index }) => index !== undefined);
+      return [
+        hasPlacedLeg
+          ? ({ type: "update", bracket, changes: { status: "active", updatedAt: now } } as BracketAction)
+          : ({ type: "remove", bracket } as BracketAction),
+      ];
+    }
+
+    return getActiveActions(bracket, orders, now);
+  });
+}
@@ -0,0 +1,3 @@
+export * from "./types";
+export * from "./oftTransfers";
+export * from "./useOftTransfers";
@@ -0,0 +1,17 @@
+import { ethers } from "ethers";
+import { getOftTokens } from "config/oftTokens";
+import LayerZeroBridge from "perp/bridge/layerzero";
+
+// Transfers in flight are polled at this interval
+export const OFT_TRANSFER_POLL_INTERVAL = 15 * 1000;
+
+/**
+ * Bridge with every OFT listed on `chainId` registered. OFTs carry their own endpoint, so no LayerZero endpoint is
+ * looked up for the chain and local networks with a mock endpoint work the same way.
+ */
+export function getOftBridge(chainId: number, signerOrProvider: ethers.Signer | ethers.providers.Provider) {
+  const provider = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider.provider : signerOrProvider;
+  const bridge = new LayerZeroBridge(provider, signerOrProvider, chainId);
+  getOftTokens(chainId).forEach((token) => bridge.registerOFT(token.address, chainId));
+  return bridge;
+}
@@ -0,0 +1,25 @@
+// "pending" until the source transaction is mined, "inflight" until the destination endpoint delivers it
+export type OftTransferStatus = "pending" | "inflight" | "delivered" | "failed";
+
+export type OftTransfer = {
+  // Source transaction hash
+  id: string;
+  account: string;
+  recipient: string;
+  srcChainId: number;
+  dstChainId: number;
+  symbol: string;
+  // OFT addresses on the source and destination chains
+  srcToken: string;
+  dstToken: string;
+  // Wei strings so the history survives serialization
+  amount: string;
+  decimals: number;
+  nativeFee: string;
+  // Outbound nonce of the transfer, known once the source transaction is mined
+  nonce?: number;
+  status: OftTransferStatus;
+  createdAt: number;
+  confirmedAt?: number;
+  deliveredAt?: number;
+};
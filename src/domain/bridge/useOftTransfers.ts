@@ -0,0 +1,191 @@
+import { useCallback, useEffect, useRef } from "react";
+import { t } from "@lingui/macro";
+import { BigNumber, ethers } from "ethers";
+import { getOftToken } from "config/oftTokens";
+import { OFT_TRANSFERS_KEY } from "config/localStorage";
+import { helperToast } from "lib/helperToast";
+import { useLocalStorageSerializeKey } from "lib/localStorage";
+import { getProvider } from "lib/rpc";
+import { FEE_BUFFER_POLICY, applyFeeBuffer } from "perp/bridge/config";
+import { OFT_TRANSFER_POLL_INTERVAL, getOftBridge } from "./oftTransfers";
+import { OftTransfer } from "./types";
+
+export type OftTransferParams = {
+  symbol: string;
+  dstChainId: number;
+  recipient: string;
+  amount: BigNumber;
+  // Native gas airdropped to the recipient on the destination, in wei
+  airdropAmount?: BigNumber;
+};
+
+/**
+ * Send OFT collateral to other chains and keep a per account history in local storage.
+ * Transfers pay the fee estimate raised by the default fee buffer, the endpoint refunds what is not used.
+ * Transfers are polled on the source chain until mined, then on the destination until its endpoint's inbound nonce
+ * shows them delivered.
+ */
+export function useOftTransfers(chainId: number, account?: string | null, library?: ethers.providers.Web3Provider) {
+  const [transfers, setTransfers] = useLocalStorageSerializeKey<OftTransfer[]>([account, OFT_TRANSFERS_KEY], []);
+  const transfersRef = useRef<OftTransfer[]>([]);
+  transfersRef.current = transfers || [];
+
+  const getChainProvider = useCallback(
+    (targetChainId: number): ethers.providers.Provider =>
+      targetChainId === chainId && library
+        ? library
+        : (getProvider(undefined, targetChainId) as ethers.providers.Provider),
+    [chainId, library]
+  );
+
+  const estimateFee = useCallback(
+    async ({ symbol, dstChainId, recipient, amount, airdropAmount }: OftTransferParams): Promise<BigNumber> => {
+      const token = getOftToken(chainId, symbol);
+      if (!token) {
+        throw new Error(`${symbol} is not an OFT on chain ${chainId}`);
+      }
+      const bridge = getOftBridge(chainId, getChainProvider(chainId));
+      const { nativeFee } = await bridge.estimateOFTSendFee({
+        toChainId: dstChainId,
+        toAddress: recipient,
+        tokenAddress: token.address,
+        amount,
+        airdropAmount,
+      });
+      return nativeFee;
+    },
+    [chainId, getChainProvider]
+  );
+
+  const transfer = useCallback(
+    async (params: OftTransferParams) => {
+      const srcToken = getOftToken(chainId, params.symbol);
+      const dstToken = getOftToken(params.dstChainId, params.symbol);
+      if (!library || !account) {
+        throw new Error("Wallet not connected");
+      }
+      if (!srcToken || !dstToken) {
+        throw new Error(`${params.symbol} cannot be bridged from chain ${chainId} to chain ${params.dstChainId}`);
+      }
+
+      const nativeFee = applyFeeBuffer(await estimateFee(params), FEE_BUFFER_POLICY.defaultBps);
+      const bridge = getOftBridge(chainId, library.getSigner());
+      const tx = await bridge.sendOFT({
+        toChainId: params.dstChainId,
+        toAddress: params.recipient,
+        tokenAddress: srcToken.address,
+        amount: params.amount,
+        nativeFee,
+        airdropAmount: params.airdropAmount,
+      });
+
+      const record: OftTransfer = {
+        id: tx.hash,
+        account,
+        recipient: params.recipient,
+        srcChainId: chainId,
+        dstChainId: params.dstChainId,
+        symbol: params.symbol,
+        srcToken: srcToken.address,
+        dstToken: dstToken.address,
+        amount: params.amount.toString(),
+        decimals: srcToken.decimals,
+        nativeFee: nativeFee.toString(),
+        status: "pending",
+        createdAt: Date.now(),
+      };
+      setTransfers([record, ...transfersRef.current]);
+      return record;
+    },
+    [account, chainId, library, estimateFee, setTransfers]
+  );
+
+  const dismissTransfer = useCallback(
+    (id: string) => setTransfers(transfersRef.current.filter((transfer) => transfer.id !== id)),
+    [setTransfers]
+  );
+
+  const openKey = transfersRef.current
+    .filter(({ status }) => status === "pending" || status === "inflight")
+    .map(({ id, status }) => `${id}:${status}`)
+    .join(",");
+
+  useEffect(() => {
+    if (!openKey) {
+      return;
+    }
+    let isCancelled = false;
+
+    const getUpdate = async (transfer: OftTransfer): Promise<Partial<OftTransfer> | undefined> => {
+      if (transfer.status === "pending") {
+        const provider = getChainProvider(transfer.srcChainId);
+        const receipt = await provider.getTransactionReceipt(transfer.id);
+        if (!receipt) {
+          return undefined;
+        }
+        if (receipt.status === 0) {
+          helperToast.error(t`${transfer.symbol} bridge transaction failed`);
+          return { status: "failed" };
+        }
+        const bridge = getOftBridge(transfer.srcChainId, provider);
+        const nonce = await bridge.getOFTOutboundNonce({
+          toChainId: transfer.dstChainId,
+          tokenAddress: transfer.srcToken,
+          blockTag: receipt.blockNumber,
+        });
+        return { status: "inflight", nonce, confirmedAt: Date.now() };
+      }
+
+      const bridge = getOftBridge(transfer.dstChainId, getChainProvider(transfer.dstChainId));
+      const { status } = await bridge.getOFTTransferStatus({
+        srcChainId: transfer.srcChainId,
+        srcTokenAddress: transfer.srcToken,
+        tokenAddress: transfer.dstToken,
+        nonce: transfer.nonce,
+      });
+      if (status !== "delivered") {
+        return undefined;
+      }
+      helperToast.success(t`${transfer.symbol} bridge transfer delivered`);
+      return { status: "delivered", deliveredAt: Date.now() };
+    };
+
+    const checkTransfers = async () => {
+      const updates: { [id: string]: Partial<OftTransfer> } = {};
+      for (const transfer of transfersRef.current) {
+        if (transfer.status !== "pending" && transfer.status !== "inflight") {
+          continue;
+        }
+        try {
+          const update = await getUpdate(transfer);
+          if (update) {
+            updates[transfer.id] = update;
+          }
+        } catch (error) {
+          // Left as is, the next poll checks the transfer again
+        }
+      }
+      if (!isCancelled && Object.keys(updates).length > 0) {
+        setTransfers(
+          transfersRef.current.map((transfer) =>
+            updates[transfer.id] ? { ...transfer, ...updates[transfer.id] } : transfer
+          )
+        );
+      }
+    };
+
+    checkTransfers();
+    const interval = setInterval(checkTransfers, OFT_TRANSFER_POLL_INTERVAL);
+    return () => {
+      isCancelled = true;
+      clearInterval(interval);
+    };
+  }, [openKey, getChainProvider, setTransfers]);
+
+  return {
+    transfers: transfers || [],
+    estimateFee,
+    transfer,
+    dismissTransfer,
+  };
+}
@@ -0,0 +1,52 @@
+import { BigNumber } from "ethers";
+import { applyRouterLogs } from "domain/leaderboard/rpcIndexer";
+import { PerpTradeEvent } from "domain/leaderboard/types";
+
+describe("applyRouterLogs", function () {
+  const router = "0x00000000000000000000000000000000000000aa";
+  const trader = "0x00000000000000000000000000000000000000bb";
+  const baseToken = "0x00000000000000000000000000000000000000cc";
+
+  const getEvent = (overrides: Partial<PerpTradeEvent>): PerpTradeEvent => ({
+    id: "0x01-0",
+    type: "trade",
+    account: router,
+    baseToken,
+    size: BigNumber.from(10),
+    notional: BigNumber.from(1000),
+    fee: BigNumber.from(1),
+    realizedPnl: BigNumber.from(0),
+    liquidationFee: BigNumber.from(0),
+    blockNumber: 1,
+    timestamp: 1700000000,
+    txHash: "0x01",
+    ...overrides,
+  });
+
+  it("attributes a router-routed open to the router's caller with its leverage", function () {
+    const [event] = applyRouterLogs(
+      [getEvent({})],
+      [{ txHash: "0x01", trader, baseToken: baseToken.toUpperCase().replace("0X", "0x"), leverage: 1000 }]
+    );
+    expect(event.account).toBe(trader);
+    expect(event.leverage).toBe(1000);
+  });
+
+  it("attributes a router-routed close to the router's caller without a leverage", function () {
+    const [event] = applyRouterLogs([getEvent({ size: BigNumber.from(-10) })], [{ txHash: "0x01", trader, baseToken }]);
+    expect(event.account).toBe(trader);
+    expect(event.leverage).toBeUndefined();
+  });
+
+  it("keeps direct trades and liquidations as logged by the ClearingHouse", function () {
+    const events = applyRouterLogs(
+      [
+        getEvent({ account: trader, txHash: "0x02" }),
+        getEvent({ type: "liquidation", account: trader, size: BigNumber.from(0) }),
+      ],
+      [{ txHash: "0x01", trader: router, baseToken, leverage: 1000 }]
+    );
+    expect(events.map((event) => event.account)).toEqual([trader, trader]);
+    expect(events.map((event) => event.leverage)).toEqual([undefined, undefined]);
+  });
+});
@@ -0,0 +1,124 @@
+import { ethers } from "ethers";
+import ClearingHouse from "abis/ClearingHouse.json";
+import ExchangeRouter from "abis/ExchangeRouter.json";
+import { getContract } from "config/contracts";
+import { getPerpDeployBlock } from "config/perpMarkets";
+import { createLogScanner } from "lib/logScanner";
+import { PerpTradeEvent, PerpTradeIndexer } from "./types";
+
+function parseLog(log: ethers.Event, timestamp: number): PerpTradeEvent {
+  const zero = ethers.BigNumber.from(0);
+  const args = log.args!;
+  const base = {
+    id: `${log.transactionHash}-${log.logIndex}`,
+    account: args.trader,
+    baseToken: args.baseToken,
+    blockNumber: log.blockNumber,
+    timestamp,
+    txHash: log.transactionHash,
+  };
+
+  if (log.event === "PositionLiquidated") {
+    return {
+      ...base,
+      type: "liquidation",
+      size: zero,
+      notional: args.positionNotional,
+      fee: zero,
+      realizedPnl: zero,
+      liquidationFee: args.liquidationFee,
+    };
+  }
+
+  return {
+    ...base,
+    type: "trade",
+    size: args.exchangedPositionSize,
+    notional: args.exchangedPositionNotional,
+    fee: args.fee,
+    realizedPnl: args.realizedPnl,
+    liquidationFee: zero,
+  };
+}
+
+// An ExchangeRouter open or close, `leverage` is only logged for opens
+export type RouterPositionLog = {
+  txHash: string;
+  trader: string;
+  baseToken: string;
+  leverage?: number;
+};
+
+/**
+ * Attribute trades made through the ExchangeRouter to the router's caller.
+ * The ClearingHouse logs the router as the trader of a routed call, the router log of the same transaction and market
+ * names the account and, for opens, the leverage.
+ */
+export function applyRouterLogs(events: PerpTradeEvent[], routerLogs: RouterPositionLog[]): PerpTradeEvent[] {
+  const routerLogsByKey: { [key: string]: RouterPositionLog } = {};
+  routerLogs.forEach((routerLog) => {
+    routerLogsByKey[`${routerLog.txHash}-${routerLog.baseToken.toLowerCase()}`] = routerLog;
+  });
+
+  return events.map((event) => {
+    const routerLog = event.type === "trade" && routerLogsByKey[`${event.txHash}-${event.baseToken.toLowerCase()}`];
+    if (!routerLog) {
+      return event;
+    }
+    return { ...event, account: routerLog.trader, leverage: routerLog.leverage };
+  });
+}
+
+/**
+ * Index perp trades by scanning ClearingHouse logs over JSON-RPC.
+ * Logs are scanned once from the deploy block and then incrementally, so repeated queries only fetch new blocks.
+ */
+export function createRpcTradeIndexer(chainId: number, provider: ethers.providers.Provider): PerpTradeIndexer {
+  const clearingHouse = new ethers.Contract(getContract(chainId, "PerpClearingHouse"), ClearingHouse.abi, provider);
+  const exchangeRouter = new ethers.Contract(getContract(chainId, "PerpExchangeRouter"), ExchangeRouter.abi, provider);
+  const blockTimestamps: { [blockNumber: number]: number } = {};
+  const events: PerpTradeEvent[] = [];
+
+  async function getBlockTimestamp(blockNumber: number) {
+    if (!blockTimestamps[blockNumber]) {
+      const block = await provider.getBlock(blockNumber);
+      blockTimestamps[blockNumber] = block.timestamp;
+    }
+    return blockTimestamps[blockNumber];
+  }
+
+  const scan = createLogScanner(provider, getPerpDeployBlock(chainId), async (fromBlock, toBlock) => {
+    const [changes, liquidations, opens, closes] = await Promise.all([
+      clearingHouse.queryFilter(clearingHouse.filters.PositionChanged(), fromBlock, toBlock),
+      clearingHouse.queryFilter(clearingHouse.filters.PositionLiquidated(), fromBlock, toBlock),
+      exchangeRouter.queryFilter(exchangeRouter.filters.PositionOpened(), fromBlock, toBlock),
+      exchangeRouter.queryFilter(exchangeRouter.filters.PositionClosed(), fromBlock, toBlock),
+    ]);
+
+    const routerLogs = [...opens, ...closes].map(({ transactionHash, args }) => ({
+      txHash: transactionHash,
+      trader: args!.trader,
+      baseToken: args!.baseToken,
+      leverage: args!.leverage?.toNumber(),
+    }));
+
+    const logs = [...changes, ...liquidations].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    const chunkEvents: PerpTradeEvent[] = [];
+    for (const log of logs) {
+      chunkEvents.push(parseLog(log, await getBlockTimestamp(log.blockNumber)));
+    }
+    events.push(...applyRouterLogs(chunkEvents, routerLogs));
+  });
+
+  return {
+    async getTradeEvents({ account, fromTimestamp } = {}) {
+      await scan();
+
+      return events.filter(
+        (event) =>
+          (!account || event.account.toLowerCase() === account.toLowerCase()) &&
+          (!fromTimestamp || event.timestamp >= fromTimestamp)
+      );
+    },
+  };
+}
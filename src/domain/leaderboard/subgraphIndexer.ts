@@ -0,0 +1,86 @@
+import { gql } from "@apollo/client";
+import { createClient } from "lib/subgraph";
+import { bigNumberify } from "lib/numbers";
+import { PerpTradeEvent, PerpTradeIndexer } from "./types";
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Index perp trades from a subgraph exposing `positionChanges` and `positionLiquidations` entities.
+ * Entity fields mirror the ClearingHouse event args.
+ */
+export function createSubgraphTradeIndexer(chainId: number): PerpTradeIndexer {
+  const graphClient = createClient(chainId, "perp");
+
+  async function queryAll(entity: string, fields: string, where: string) {
+    const items: any[] = [];
+    for (let skip = 0; ; skip += PAGE_SIZE) {
+      const query = gql(`{
+        ${entity}(first: ${PAGE_SIZE}, skip: ${skip}, where: {${where}}, orderBy: timestamp, orderDirection: asc) {
+          id
+          trader
+          baseToken
+          blockNumber
+          timestamp
+          transactionHash
+          ${fields}
+        }
+      }`);
+      const res = await graphClient.query({ query });
+      items.push(...res.data[entity]);
+      if (res.data[entity].length < PAGE_SIZE) {
+        return items;
+      }
+    }
+  }
+
+  return {
+    async getTradeEvents({ account, fromTimestamp } = {}) {
+      const where = [
+        account && `trader: "${account.toLowerCase()}"`,
+        fromTimestamp && `timestamp_gte: ${fromTimestamp}`,
+      ]
+        .filter(Boolean)
+        .join(", ");
+
+      const [changes, liquidations] = await Promise.all([
+        queryAll("positionChanges", "exchangedPositionSize exchangedPositionNotional fee realizedPnl leverage", where),
+        queryAll("positionLiquidations", "positionNotional liquidationFee", where),
+      ]);
+
+      const zero = bigNumberify(0)!;
+      const toEvent = (item) => ({
+        id: item.id,
+        account: item.trader,
+        baseToken: item.baseToken,
+        blockNumber: Number(item.blockNumber),
+        timestamp: Number(item.timestamp),
+        txHash: item.transactionHash,
+      });
+
+      const events: PerpTradeEvent[] = [
+        ...changes.map((item) => ({
+          ...toEvent(item),
+          type: "trade" as const,
+          size: bigNumberify(item.exchangedPositionSize)!,
+          notional: bigNumberify(item.exchangedPositionNotional)!,
+          fee: bigNumberify(item.fee)!,
+          realizedPnl: bigNumberify(item.realizedPnl)!,
+          liquidationFee: zero,
+          leverage: item.leverage ? Number(item.leverage) : undefined,
+        })),
+        ...liquidations.map((item) => ({
+          ...toEvent(item),
+          type: "liquidation" as const,
+          size: zero,
+          notional: bigNumberify(item.positionNotional)!,
+          fee: zero,
+          realizedPnl: zero,
+          liquidationFee: bigNumberify(item.liquidationFee)!,
+        })),
+      ];
+
+      return events.sort((a, b) => a.blockNumber - b.blockNumber || a.id.localeCompare(b.id));
+    },
+  };
+}
@@ -0,0 +1,59 @@
+import { BigNumber } from "ethers";
+
+export type PerpTradeEventType = "trade" | "liquidation";
+
+// A ClearingHouse `PositionChanged` or `PositionLiquidated` log
+export type PerpTradeEvent = {
+  id: string;
+  type: PerpTradeEventType;
+  account: string;
+  baseToken: string;
+  // Signed exchanged base size, zero for liquidations
+  size: BigNumber;
+  notional: BigNumber;
+  fee: BigNumber;
+  realizedPnl: BigNumber;
+  liquidationFee: BigNumber;
+  // Leverage in hundredths of 1x (1000 is 10x), known for opens routed through the ExchangeRouter
+  leverage?: number;
+  blockNumber: number;
+  timestamp: number;
+  txHash: string;
+};
+
+export type PerpTradeEventsQuery = {
+  account?: string;
+  fromTimestamp?: number;
+};
+
+// Source of perp trade events, either the local log scanner or a subgraph
+export interface PerpTradeIndexer {
+  getTradeEvents(query?: PerpTradeEventsQuery): Promise<PerpTradeEvent[]>;
+}
+
+export type LeaderboardPeriod = "24h" | "7d" | "30d" | "all";
+
+export type LeaderboardSortKey = "realizedPnl" | "roi" | "volume" | "winRate";
+
+export type TraderStats = {
+  account: string;
+  realizedPnl: BigNumber;
+  volume: BigNumber;
+  trades: number;
+  // Trades with a non-zero realized PnL, plus liquidations
+  closedTrades: number;
+  wins: number;
+  liquidations: number;
+  // Realized PnL over traded notional, in basis points
+  roi: number;
+  // Winning closed trades over closed trades, in basis points
+  winRate: number;
+};
+
+export type TraderProfile = {
+  stats: TraderStats;
+  pnlHistory: { timestamp: number; cumulativePnl: number }[];
+  // Average leverage of opens with a known leverage, in hundredths of 1x
+  averageLeverage: number;
+  favouriteMarkets: { baseToken: string; trades: number; volume: BigNumber }[];
+};
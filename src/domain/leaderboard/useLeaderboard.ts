@@ -0,0 +1,21 @@
+import useSWR from "swr";
+import { LeaderboardPeriod } from "./types";
+import { getPeriodStartTimestamp, getTradeIndexer, getTraderStats } from "./utils";
+
+export function useLeaderboard(chainId: number, period: LeaderboardPeriod) {
+  const { data, error } = useSWR([chainId, "perpLeaderboard", period], {
+    fetcher: async () => {
+      const events = await getTradeIndexer(chainId).getTradeEvents({
+        fromTimestamp: getPeriodStartTimestamp(period),
+      });
+      return getTraderStats(events);
+    },
+    refreshInterval: 60000,
+  });
+
+  return {
+    traders: data,
+    isLoading: !data && !error,
+    error,
+  };
+}
@@ -0,0 +1,43 @@
+import useSWR from "swr";
+import { ethers } from "ethers";
+import ClearingHouse from "abis/ClearingHouse.json";
+import { getContract } from "config/contracts";
+import { getPerpMarkets } from "config/perpMarkets";
+import { getProvider } from "lib/rpc";
+import { getTradeIndexer, getTraderProfile } from "./utils";
+
+export function useTraderProfile(chainId: number, account?: string) {
+  const { data, error } = useSWR(account ? [chainId, "perpTraderProfile", account] : null, {
+    fetcher: async () => {
+      const events = await getTradeIndexer(chainId).getTradeEvents({ account });
+      return getTraderProfile(account!, events);
+    },
+    refreshInterval: 60000,
+  });
+
+  return {
+    profile: data,
+    isLoading: !data && !error,
+    error,
+  };
+}
+
+// Open positions of any account, read from `ClearingHouse.getPosition` for every configured market
+export function usePerpPositions(chainId: number, account?: string) {
+  const { data } = useSWR(account ? [chainId, "perpPositions", account] : null, {
+    fetcher: async () => {
+      const provider = getProvider(undefined, chainId) as ethers.providers.Provider;
+      const clearingHouse = new ethers.Contract(getContract(chainId, "PerpClearingHouse"), ClearingHouse.abi, provider);
+      const positions = await Promise.all(
+        getPerpMarkets(chainId).map(async ({ baseToken }) => {
+          const { size, collateral, entryPrice, openNotional } = await clearingHouse.getPosition(account, baseToken);
+          return { baseToken, size, collateral, entryPrice, openNotional };
+        })
+      );
+      return positions.filter((position) => !position.size.isZero());
+    },
+    refreshInterval: 30000,
+  });
+
+  return data;
+}
@@ -0,0 +1,152 @@
+import { ethers } from "ethers";
+import { getSubgraphUrl } from "config/subgraph";
+import { getProvider } from "lib/rpc";
+import { createRpcTradeIndexer } from "./rpcIndexer";
+import { createSubgraphTradeIndexer } from "./subgraphIndexer";
+import {
+  LeaderboardPeriod,
+  LeaderboardSortKey,
+  PerpTradeEvent,
+  PerpTradeIndexer,
+  TraderProfile,
+  TraderStats,
+} from "./types";
+
+export const LEADERBOARD_PERIODS: LeaderboardPeriod[] = ["24h", "7d", "30d", "all"];
+
+const PERIOD_SECONDS: { [period in LeaderboardPeriod]?: number } = {
+  "24h": 24 * 60 * 60,
+  "7d": 7 * 24 * 60 * 60,
+  "30d": 30 * 24 * 60 * 60,
+};
+
+const indexers: { [chainId: number]: PerpTradeIndexer } = {};
+
+/**
+ * Perp trade indexer for a chain: the `perp` subgraph when one is configured, otherwise the local log scanner
+ */
+export function getTradeIndexer(chainId: number): PerpTradeIndexer {
+  if (!indexers[chainId]) {
+    indexers[chainId] = getSubgraphUrl(chainId, "perp")
+      ? createSubgraphTradeIndexer(chainId)
+      : createRpcTradeIndexer(chainId, getProvider(undefined, chainId) as ethers.providers.Provider);
+  }
+  return indexers[chainId];
+}
+
+export function getPeriodStartTimestamp(period: LeaderboardPeriod) {
+  const seconds = PERIOD_SECONDS[period];
+  return seconds ? Math.floor(Date.now() / 1000) - seconds : undefined;
+}
+
+export function getTraderStats(events: PerpTradeEvent[]): TraderStats[] {
+  const zero = ethers.BigNumber.from(0);
+  const stats: { [account: string]: TraderStats } = {};
+
+  for (const event of events) {
+    const account = ethers.utils.getAddress(event.account);
+    if (!stats[account]) {
+      stats[account] = {
+        account,
+        realizedPnl: zero,
+        volume: zero,
+        trades: 0,
+        closedTrades: 0,
+        wins: 0,
+        liquidations: 0,
+        roi: 0,
+        winRate: 0,
+      };
+    }
+
+    const traderStats = stats[account];
+    if (event.type === "liquidation") {
+      traderStats.liquidations += 1;
+      traderStats.closedTrades += 1;
+      continue;
+    }
+
+    traderStats.trades += 1;
+    traderStats.volume = traderStats.volume.add(event.notional);
+    traderStats.realizedPnl = traderStats.realizedPnl.add(event.realizedPnl);
+    if (!event.realizedPnl.isZero()) {
+      traderStats.closedTrades += 1;
+      if (event.realizedPnl.gt(0)) {
+        traderStats.wins += 1;
+      }
+    }
+  }
+
+  return Object.values(stats).map((traderStats) => ({
+    ...traderStats,
+    roi: traderStats.volume.isZero() ? 0 : traderStats.realizedPnl.mul(10000).div(traderStats.volume).toNumber(),
+    winRate: traderStats.closedTrades === 0 ? 0 : Math.round((traderStats.wins * 10000) / traderStats.closedTrades),
+  }));
+}
+
+export function sortTraderStats(stats: TraderStats[], sortKey: LeaderboardSortKey) {
+  return [...stats].sort((a, b) => {
+    const valueA = a[sortKey];
+    const valueB = b[sortKey];
+    if (ethers.BigNumber.isBigNumber(valueA) && ethers.BigNumber.isBigNumber(valueB)) {
+      return valueA.eq(valueB) ? 0 : valueA.gt(valueB) ? -1 : 1;
+    }
+    return (valueB as number) - (valueA as number);
+  });
+}
+
+const FAVOURITE_MARKETS_COUNT = 3;
+
+export function getTraderProfile(account: string, events: PerpTradeEvent[]): TraderProfile {
+  const zero = ethers.BigNumber.from(0);
+  const [stats] = getTraderStats(events);
+
+  let cumulativePnl = zero;
+  const pnlHistory = events
+    .filter((event) => !event.realizedPnl.isZero())
+    .map((event) => {
+      cumulativePnl = cumulativePnl.add(event.realizedPnl);
+      return { timestamp: event.timestamp, cumulativePnl: parseFloat(ethers.utils.formatEther(cumulativePnl)) };
+    });
+
+  const leverages = events.filter((event) => event.leverage).map((event) => event.leverage!);
+  const averageLeverage = leverages.length
+    ? Math.round(leverages.reduce((sum, leverage) => sum + leverage, 0) / leverages.length)
+    : 0;
+
+  const markets: { [baseToken: string]: { baseToken: string; trades: number; volume: ethers.BigNumber } } = {};
+  events
+    .filter((event) => event.type === "trade")
+    .forEach((event) => {
+      if (!markets[event.baseToken]) {
+        markets[event.baseToken] = { baseToken: event.baseToken, trades: 0, volume: zero };
+      }
+      markets[event.baseToken].trades += 1;
+      markets[event.baseToken].volume = markets[event.baseToken].volume.add(event.notional);
+    });
+  const favouriteMarkets = Object.values(markets)
+    .sort((a, b) => b.trades - a.trades || (b.volume.eq(a.volume) ? 0 : b.volume.gt(a.volume) ? 1 : -1))
+    .slice(0, FAVOURITE_MARKETS_COUNT);
+
+  return {
+    stats: stats || emptyTraderStats(account),
+    pnlHistory,
+    averageLeverage,
+    favouriteMarkets,
+  };
+}
+
+function emptyTraderStats(account: string): TraderStats {
+  const zero = ethers.BigNumber.from(0);
+  return {
+    account,
+    realizedPnl: zero,
+    volume: zero,
+    trades: 0,
+    closedTrades: 0,
+    wins: 0,
+    liquidations: 0,
+    roi: 0,
+    winRate: 0,
+  };
+}
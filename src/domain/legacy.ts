@@ -705,6 +705,56 @@ export async function createIncreaseOrder(
   return callContract(chainId, contract, "createIncreaseOrder", params, opts);
 }
 
+export async function createIncreasePosition(
+  chainId,
+  library,
+  path,
+  indexTokenAddress,
+  amountIn,
+  sizeDelta,
+  isLong,
+  acceptablePrice,
+  executionFee,
+  referralCode,
+  isNativeIn,
+  opts: any = {}
+) {
+  const positionRouterAddress = getContract(chainId, "PositionRouter");
+  const contract = new ethers.Contract(positionRouterAddress, PositionRouter.abi, library.getSigner());
+
+  if (isNativeIn) {
+    const params = [
+      path,
+      indexTokenAddress,
+      0,
+      sizeDelta,
+      isLong,
+      acceptablePrice,
+      executionFee,
+      referralCode,
+      AddressZero,
+    ];
+    return callContract(chainId, contract, "createIncreasePositionETH", params, {
+      ...opts,
+      value: amountIn.add(executionFee),
+    });
+  }
+
+  const params = [
+    path,
+    indexTokenAddress,
+    amountIn,
+    0,
+    sizeDelta,
+    isLong,
+    acceptablePrice,
+    executionFee,
+    referralCode,
+    AddressZero,
+  ];
+  return callContract(chainId, contract, "createIncreasePosition", params, { ...opts, value: executionFee });
+}
+
 export async function createDecreaseOrder(
   chainId,
   library,
@@ -799,6 +849,28 @@ export async function cancelMultipleOrders(chainId, library, allIndexes = [], op
   return callContract(chainId, contract, method, params, opts);
 }
 
+const orderBookBatchCancelSupport: { [chainId: number]: Promise<boolean> } = {};
+
+// Older OrderBook deployments have no cancelMultiple, an empty batch then reverts. Probed once per chain.
+export function hasOrderBookBatchCancel(chainId, library) {
+  if (!orderBookBatchCancelSupport[chainId]) {
+    const orderBookAddress = getContract(chainId, "OrderBook");
+    const contract = new ethers.Contract(orderBookAddress, OrderBook.abi, library.getSigner());
+    orderBookBatchCancelSupport[chainId] = contract.callStatic.cancelMultiple([], [], []).then(
+      () => true,
+      (error) => {
+        if (error.code === ethers.errors.CALL_EXCEPTION) {
+          return false;
+        }
+        // Not an answer from the contract, probe again next time
+        delete orderBookBatchCancelSupport[chainId];
+        throw error;
+      }
+    );
+  }
+  return orderBookBatchCancelSupport[chainId];
+}
+
 export async function updateDecreaseOrder(
   chainId,
   library,
@@ -0,0 +1,71 @@
+import { getOrderMarket, getRepriceChanges, runOrderQueue } from "domain/orderBatch/utils";
+import { BatchOrder } from "domain/orderBatch/types";
+import { DECREASE, INCREASE, SWAP } from "lib/legacy";
+import { expandDecimals } from "lib/numbers";
+
+const usd = (value: number) => expandDecimals(value, 30);
+const indexToken = "0x00000000000000000000000000000000000000BB";
+
+describe("getOrderMarket", function () {
+  it("is the index token of position orders and the bought token of swaps", function () {
+    const swap: BatchOrder = { type: SWAP, index: 1, path: ["0xaa", "0xCC"], triggerAboveThreshold: false };
+    const increase: BatchOrder = { type: INCREASE, index: 2, indexToken, triggerAboveThreshold: false };
+    expect(getOrderMarket(swap)).toEqual("0xcc");
+    expect(getOrderMarket(increase)).toEqual(indexToken.toLowerCase());
+  });
+});
+
+describe("getRepriceChanges", function () {
+  const increase: BatchOrder = {
+    type: INCREASE,
+    index: 1,
+    isLong: true,
+    indexToken,
+    triggerPrice: usd(1800),
+    triggerAboveThreshold: false,
+  };
+  const stopLoss: BatchOrder = {
+    type: DECREASE,
+    index: 2,
+    isLong: true,
+    indexToken,
+    triggerPrice: usd(1500),
+    triggerAboveThreshold: false,
+  };
+  const swap: BatchOrder = { type: SWAP, index: 3, path: [indexToken], triggerAboveThreshold: false };
+
+  it("moves trigger prices by a percentage and skips swap orders", function () {
+    const changes = getRepriceChanges([increase, stopLoss, swap], -500, { markPrices: {}, liquidationPrices: {} });
+    expect(changes.map((change) => change.triggerPrice)).toEqual([usd(1710), usd(1425)]);
+    expect(changes.every((change) => !change.error)).toBe(true);
+  });
+
+  it("flags prices on the wrong side of the mark or liquidation price", function () {
+    const changes = getRepriceChanges([increase, stopLoss], 1500, {
+      markPrices: { "Increase-1": usd(2000) },
+      liquidationPrices: { "Decrease-2": usd(1400) },
+    });
+    expect(changes[0].error).toEqual("Price above Mark Price");
+    expect(changes[1].error).toBeUndefined();
+
+    const lower = getRepriceChanges([stopLoss], -1000, {
+      markPrices: {},
+      liquidationPrices: { "Decrease-2": usd(1400) },
+    });
+    expect(lower[0].error).toEqual("Price below Liq. Price");
+  });
+});
+
+describe("runOrderQueue", function () {
+  it("sends items one after another and stops at the first failure", async function () {
+    const sent: number[] = [];
+    const count = await runOrderQueue([1, 2, 3], async (item) => {
+      if (item === 2) {
+        throw new Error("rejected");
+      }
+      sent.push(item);
+    });
+    expect(count).toEqual(1);
+    expect(sent).toEqual([1]);
+  });
+});
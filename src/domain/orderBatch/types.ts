@@ -0,0 +1,19 @@
+import { BigNumber } from "ethers";
+
+// Subset of the orders `useAccountOrders` returns that batch actions work with
+export type BatchOrder = {
+  type: string;
+  index: number;
+  isLong?: boolean;
+  indexToken?: string;
+  path?: string[];
+  triggerPrice?: BigNumber;
+  triggerAboveThreshold: boolean;
+};
+
+export type RepriceChange = {
+  order: BatchOrder;
+  triggerPrice: BigNumber;
+  // Orders with an error are left as they are
+  error?: string;
+};
@@ -0,0 +1,70 @@
+import { t } from "@lingui/macro";
+import { BigNumber } from "ethers";
+import { BASIS_POINTS_DIVISOR, DECREASE, SWAP } from "lib/legacy";
+import { BatchOrder, RepriceChange } from "./types";
+
+// Ids in the "Decrease-3" form `cancelMultipleOrders` splits back into order type and index
+export function getOrderId(order: BatchOrder) {
+  return `${order.type}-${order.index}`;
+}
+
+// Swap orders are listed under the token they buy, position orders under their index token
+export function getOrderMarket(order: BatchOrder) {
+  const token = order.type === SWAP ? order.path![order.path!.length - 1] : order.indexToken!;
+  return token.toLowerCase();
+}
+
+/**
+ * Trigger prices of the orders moved by `changeBps` of their current price. Swap orders are priced by a ratio and
+ * are not repriced, orders whose new price would be rejected by the order editor keep an error instead.
+ */
+export function getRepriceChanges(
+  orders: BatchOrder[],
+  changeBps: number,
+  {
+    markPrices,
+    liquidationPrices,
+  }: {
+    markPrices: { [orderId: string]: BigNumber | undefined };
+    liquidationPrices: { [orderId: string]: BigNumber | undefined };
+  }
+): RepriceChange[] {
+  return orders
+    .filter((order) => order.type !== SWAP && order.triggerPrice)
+    .map((order) => {
+      const orderId = getOrderId(order);
+      const triggerPrice = order.triggerPrice!.mul(BASIS_POINTS_DIVISOR + changeBps).div(BASIS_POINTS_DIVISOR);
+      const markPrice = markPrices[orderId];
+      const liquidationPrice = liquidationPrices[orderId];
+
+      let error: string | undefined;
+      if (triggerPrice.lte(0)) {
+        error = t`Invalid price`;
+      } else if (order.type === DECREASE && liquidationPrice && order.isLong && triggerPrice.lte(liquidationPrice)) {
+        error = t`Price below Liq. Price`;
+      } else if (order.type === DECREASE && liquidationPrice && !order.isLong && triggerPrice.gte(liquidationPrice)) {
+        error = t`Price above Liq. Price`;
+      } else if (markPrice && order.triggerAboveThreshold && markPrice.gt(triggerPrice)) {
+        error = t`Price below Mark Price`;
+      } else if (markPrice && !order.triggerAboveThreshold && markPrice.lt(triggerPrice)) {
+        error = t`Price above Mark Price`;
+      }
+
+      return { order, triggerPrice, error };
+    });
+}
+
+/**
+ * Sends one transaction per item, each once the previous one was sent. A rejected or failed transaction stops the
+ * queue, the number of items sent before it is returned.
+ */
+export async function runOrderQueue<T>(items: T[], send: (item: T, i: number) => Promise<unknown>) {
+  for (let i = 0; i < items.length; i++) {
+    try {
+      await send(items[i], i);
+    } catch (e) {
+      return i;
+    }
+  }
+  return items.length;
+}
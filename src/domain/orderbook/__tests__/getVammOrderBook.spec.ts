@@ -0,0 +1,51 @@
+import { getTickSizes, getVammOrderBook, VAMM_FEE_BASIS_POINTS } from "domain/orderbook";
+
+describe("getVammOrderBook", function () {
+  // Same pool as the local deployment: 1000 ETH against 2,000,000 USD, spot price 2000
+  const reserves = { base: 1000, quote: 2000000 };
+  const feeFactor = 1 - VAMM_FEE_BASIS_POINTS / 10000;
+
+  it("places the first levels outside the fee spread and groups them on the tick", function () {
+    const { spotPrice, bids, asks } = getVammOrderBook(reserves, 1, 8);
+
+    expect(spotPrice).toBe(2000);
+    expect(asks).toHaveLength(8);
+    expect(bids).toHaveLength(8);
+    expect(asks[0].price).toBe(Math.ceil(2000 / feeFactor));
+    // 2000 * 0.997 sits exactly on a tick, an empty level there is skipped
+    expect(bids[0].price).toBe(2000 * feeFactor - 1);
+    asks.slice(1).forEach((level, i) => expect(level.price - asks[i].price).toBeCloseTo(1));
+    bids.slice(1).forEach((level, i) => expect(bids[i].price - level.price).toBeCloseTo(1));
+  });
+
+  it("matches the base a swap up to each level would move on x*y=k", function () {
+    const { asks, bids } = getVammOrderBook(reserves, 5, 10);
+    const k = reserves.base * reserves.quote;
+
+    const lastAsk = asks[asks.length - 1];
+    const askPoolPrice = lastAsk.price * feeFactor;
+    expect(lastAsk.cumulativeSize).toBeCloseTo(reserves.base - Math.sqrt(k / askPoolPrice), 9);
+    // Quote in, after the fee, lands the pool on the level's price
+    const quoteInAfterFee = lastAsk.cumulativeNotional * feeFactor;
+    expect((reserves.quote + quoteInAfterFee) / (k / (reserves.quote + quoteInAfterFee))).toBeCloseTo(askPoolPrice, 6);
+
+    const lastBid = bids[bids.length - 1];
+    const baseInAfterFee = lastBid.cumulativeSize * feeFactor;
+    expect(reserves.quote - k / (reserves.base + baseInAfterFee)).toBeCloseTo(lastBid.cumulativeNotional, 6);
+  });
+
+  it("sums level sizes to the cumulative depth", function () {
+    const { asks, bids } = getVammOrderBook(reserves, 0.5, 20);
+
+    [asks, bids].forEach((levels) => {
+      const total = levels.reduce((sum, level) => sum + level.size, 0);
+      expect(total).toBeCloseTo(levels[levels.length - 1].cumulativeSize, 9);
+      levels.forEach((level) => expect(level.size).toBeGreaterThan(0));
+    });
+  });
+
+  it("offers ticks between roughly 1bp and 1% of the price", function () {
+    expect(getTickSizes(2000)).toEqual([0.05, 0.1, 0.5, 1, 5, 10]);
+    expect(getTickSizes(0.5)).toEqual([0.01]);
+  });
+});
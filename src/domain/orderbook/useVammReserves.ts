@@ -0,0 +1,27 @@
+import useSWR from "swr";
+import { ethers } from "ethers";
+import Vamm from "abis/Vamm.json";
+import { getProvider } from "lib/rpc";
+import { VammReserves } from "./utils";
+
+/**
+ * Virtual reserves of a vAMM, a zero `getK()` means the pool was never seeded and has no book
+ */
+export function useVammReserves(chainId: number, vammAddress?: string) {
+  const { data, error } = useSWR<VammReserves>(vammAddress ? [chainId, "vammReserves", vammAddress] : null, {
+    fetcher: async () => {
+      const vamm = new ethers.Contract(vammAddress!, Vamm.abi, getProvider(undefined, chainId));
+      const [{ base, quote }, k] = await Promise.all([vamm.getReserves(), vamm.getK()]);
+      if (k.isZero() || base.value.isZero()) {
+        throw new Error(`vAMM ${vammAddress} has no liquidity`);
+      }
+      return {
+        base: parseFloat(ethers.utils.formatUnits(base.value, 18)),
+        quote: parseFloat(ethers.utils.formatUnits(quote.value, 18)),
+      };
+    },
+    refreshInterval: 5000,
+  });
+
+  return { reserves: data, error };
+}
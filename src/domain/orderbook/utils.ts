@@ -0,0 +1,102 @@
+// Fee the vAMM takes from every swap input, in basis points (Vamm.FEE_RATIO)
+export const VAMM_FEE_BASIS_POINTS = 30;
+
+// Candidate tick sizes as a fraction of the spot price, the book offers the ones that round to sensible USD steps
+const TICK_SIZES = [0.01, 0.05, 0.1, 0.5, 1, 5, 10, 50, 100];
+
+export type VammReserves = {
+  base: number;
+  quote: number;
+};
+
+export type OrderBookLevel = {
+  // Worst fill price inside the level, including the vAMM fee
+  price: number;
+  // Base size fillable inside the level
+  size: number;
+  // Cumulative base size from the spot price up to this level
+  cumulativeSize: number;
+  // Cumulative quote notional from the spot price up to this level
+  cumulativeNotional: number;
+};
+
+export type OrderBook = {
+  spotPrice: number;
+  bids: OrderBookLevel[];
+  asks: OrderBookLevel[];
+};
+
+/**
+ * Tick sizes worth offering for a price: from roughly 1bp up to roughly 1% of it
+ */
+export function getTickSizes(price: number) {
+  const ticks = TICK_SIZES.filter((tick) => tick >= price / 100000 && tick <= price / 100);
+  return ticks.length > 0 ? ticks : [TICK_SIZES[0]];
+}
+
+export function getDefaultTickSize(price: number) {
+  const ticks = getTickSizes(price);
+  return ticks[Math.min(1, ticks.length - 1)];
+}
+
+function roundUp(value: number, tick: number) {
+  return Math.ceil(value / tick - 1e-9) * tick;
+}
+
+function roundDown(value: number, tick: number) {
+  return Math.floor(value / tick + 1e-9) * tick;
+}
+
+/**
+ * Synthesize the order book an x*y=k pool implies.
+ * Moving the pool price from `p0 = quote / base` to `p` keeps `k = base * quote` constant, so the base reserve becomes
+ * `sqrt(k / p)` and the base exchanged between two prices is the difference of those reserves. The vAMM charges its fee
+ * on the swap input, which makes a long pay `p / (1 - fee)` and a short receive `p * (1 - fee)` at the margin; levels are
+ * grouped on those fill prices, asks rounded up and bids rounded down to `tickSize`.
+ */
+export function getVammOrderBook(reserves: VammReserves, tickSize: number, levels: number): OrderBook {
+  const { base, quote } = reserves;
+  const k = base * quote;
+  const spotPrice = quote / base;
+  const feeFactor = 1 - VAMM_FEE_BASIS_POINTS / 10000;
+  if (!(tickSize > 0) || !(spotPrice > 0)) {
+    return { spotPrice, bids: [], asks: [] };
+  }
+
+  const asks: OrderBookLevel[] = [];
+  let cumulativeSize = 0;
+  let askPrice = roundUp(spotPrice / feeFactor, tickSize);
+  for (; asks.length < levels; askPrice += tickSize) {
+    // Longs add quote and take base out of the pool
+    const poolPrice = askPrice * feeFactor;
+    const baseOut = base - Math.sqrt(k / poolPrice);
+    const quoteIn = (Math.sqrt(k * poolPrice) - quote) / feeFactor;
+    if (baseOut <= cumulativeSize) {
+      continue;
+    }
+    asks.push({
+      price: askPrice,
+      size: baseOut - cumulativeSize,
+      cumulativeSize: baseOut,
+      cumulativeNotional: quoteIn,
+    });
+    cumulativeSize = baseOut;
+  }
+
+  const bids: OrderBookLevel[] = [];
+  cumulativeSize = 0;
+  let bidPrice = roundDown(spotPrice * feeFactor, tickSize);
+  for (; bids.length < levels && bidPrice > 0; bidPrice -= tickSize) {
+    // Shorts add base and take quote out of the pool
+    const poolPrice = bidPrice / feeFactor;
+    const baseIn = (Math.sqrt(k / poolPrice) - base) / feeFactor;
+    const quoteOut = quote - Math.sqrt(k * poolPrice);
+    if (baseIn <= cumulativeSize) {
+      continue;
+    }
+    bids.push({ price: bidPrice, size: baseIn - cumulativeSize, cumulativeSize: baseIn, cumulativeNotional: quoteOut });
+    cumulativeSize = baseIn;
+  }
+
+  return { spotPrice, bids, asks };
+}
@@ -0,0 +1,300 @@
+import { ethers } from "ethers";
+import { UTX_STATS_API_URL } from "config/backend";
+import { shouldUseMockData } from "domain/mockData";
+import { getProvider } from "lib/rpc";
+import {
+  ChainlinkFeed,
+  fetchChainlinkPrice,
+  fetchStatsPrice,
+  getChainlinkFeed,
+  getMockPrice,
+  getPriceStreamUrl,
+  getPriceTokenAddress,
+  parsePriceStreamMessage,
+} from "./sources";
+import { PriceCallback, PriceSource, PriceState, PriceStreamTransport, PriceUpdate } from "./types";
+
+export const PRICE_POLL_INTERVAL = 2000;
+// A price nothing has confirmed for this long is flagged stale to subscribers
+export const STALE_PRICE_AGE = 30 * 1000;
+// Tokens the stream has not priced for this long are fetched by the fallbacks, feeds may skip quiet markets
+const STREAM_SILENCE_TIMEOUT = 10 * 1000;
+const STREAM_RECONNECT_DELAY = 1000;
+const MAX_BACKOFF_DELAY = 60 * 1000;
+
+type TokenState = {
+  callbacks: Set<PriceCallback>;
+  price?: PriceState;
+  streamUpdatedAt: number;
+  failures: number;
+  nextFetchAt: number;
+  isFetching: boolean;
+  // Last failure of the fallback sources, cleared by the next price they return
+  error?: unknown;
+  chainlinkFeed?: Promise<ChainlinkFeed | undefined>;
+};
+
+export function getBackoffDelay(failures: number, baseDelay: number) {
+  return Math.min(baseDelay * 2 ** failures, MAX_BACKOFF_DELAY);
+}
+
+/**
+ * Shared live prices for one chain. Subscriptions are multiplexed per token so every widget watching a token shares
+ * one feed. Prices come from the stats WebSocket (or SSE when WebSockets fail) and, for tokens the stream is not
+ * pricing, from Chainlink `latestRoundData` reads and then the stats REST endpoint on a single polling timer.
+ * Failing sources back off exponentially and subscribers are told when a price goes stale.
+ */
+export class PriceHub {
+  chainId: number;
+  provider: ethers.providers.Provider;
+  tokens: Map<string, TokenState>;
+  pollTimer?: ReturnType<typeof setInterval>;
+  stream?: WebSocket | EventSource;
+  streamTransport: PriceStreamTransport;
+  isStreamOpen: boolean;
+  streamFailures: number;
+  // Last stream failure, an unparsable message or a transport that could not be created, cleared on reconnect
+  streamError?: unknown;
+  reconnectTimer?: ReturnType<typeof setTimeout>;
+
+  constructor(chainId: number) {
+    this.chainId = chainId;
+    this.provider = getProvider(undefined, chainId) as ethers.providers.Provider;
+    this.tokens = new Map();
+    this.streamTransport = "websocket";
+    this.isStreamOpen = false;
+    this.streamFailures = 0;
+  }
+
+  subscribe(address: string, callback: PriceCallback) {
+    const token = getPriceTokenAddress(this.chainId, address);
+    let state = this.tokens.get(token);
+    if (!state) {
+      state = { callbacks: new Set(), streamUpdatedAt: 0, failures: 0, nextFetchAt: 0, isFetching: false };
+      this.tokens.set(token, state);
+      this.sendStreamSubscription("subscribe", token);
+    }
+    state.callbacks.add(callback);
+    if (state.price) {
+      callback(state.price);
+    }
+    this.start();
+
+    return () => {
+      const tokenState = this.tokens.get(token);
+      if (!tokenState?.callbacks.delete(callback) || tokenState.callbacks.size > 0) {
+        return;
+      }
+      this.tokens.delete(token);
+      if (this.tokens.size === 0) {
+        this.stop();
+      } else {
+        this.sendStreamSubscription("unsubscribe", token);
+      }
+    };
+  }
+
+  getPrice(address: string): PriceState | undefined {
+    return this.tokens.get(getPriceTokenAddress(this.chainId, address))?.price;
+  }
+
+  getPriceError(address: string): unknown {
+    return this.tokens.get(getPriceTokenAddress(this.chainId, address))?.error;
+  }
+
+  start() {
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => this.poll(), PRICE_POLL_INTERVAL);
+      this.poll();
+    }
+    this.connectStream();
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = undefined;
+    }
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = undefined;
+    }
+    this.closeStream();
+  }
+
+  poll() {
+    const now = Date.now();
+    this.tokens.forEach((state, token) => {
+      if (state.price && !state.price.isStale && now - state.price.updatedAt > STALE_PRICE_AGE) {
+        this.setPrice(state, { ...state.price, isStale: true });
+      }
+      const isStreamed = this.isStreamOpen && now - state.streamUpdatedAt < STREAM_SILENCE_TIMEOUT;
+      if (!isStreamed && !state.isFetching && now >= state.nextFetchAt) {
+        this.fetchPrice(token, state);
+      }
+    });
+  }
+
+  async fetchPrice(token: string, state: TokenState) {
+    state.isFetching = true;
+    try {
+      const { update, source } = await this.fetchFallbackPrice(token, state);
+      state.failures = 0;
+      state.nextFetchAt = 0;
+      state.error = undefined;
+      this.onPriceUpdate(update, source);
+    } catch (error) {
+      state.failures++;
+      state.nextFetchAt = Date.now() + getBackoffDelay(state.failures, PRICE_POLL_INTERVAL);
+      state.error = error;
+    } finally {
+      state.isFetching = false;
+    }
+  }
+
+  async fetchFallbackPrice(token: string, state: TokenState): Promise<{ update: PriceUpdate; source: PriceSource }> {
+    if (shouldUseMockData()) {
+      const update = getMockPrice(this.chainId, token);
+      if (!update) {
+        throw new Error(`No mock price for ${token}`);
+      }
+      return { update, source: "mock" };
+    }
+
+    if (!state.chainlinkFeed) {
+      state.chainlinkFeed = getChainlinkFeed(this.chainId, token, this.provider).catch(() => undefined);
+    }
+    const feed = await state.chainlinkFeed;
+    if (feed) {
+      try {
+        return { update: await fetchChainlinkPrice(token, feed, this.provider), source: "chainlink" };
+      } catch (error) {
+        if (!UTX_STATS_API_URL) {
+          throw error;
+        }
+      }
+    }
+
+    return { update: await fetchStatsPrice(this.chainId, token), source: "polling" };
+  }
+
+  onPriceUpdate({ token, price, updatedAt }: PriceUpdate, source: PriceSource) {
+    const state = this.tokens.get(token);
+    if (!state) {
+      return;
+    }
+    if (source === "stream") {
+      state.streamUpdatedAt = Date.now();
+    }
+    this.setPrice(state, { price, updatedAt, source, isStale: Date.now() - updatedAt > STALE_PRICE_AGE });
+  }
+
+  setPrice(state: TokenState, price: PriceState) {
+    state.price = price;
+    state.callbacks.forEach((callback) => callback(price));
+  }
+
+  connectStream() {
+    if (this.stream || this.reconnectTimer || this.tokens.size === 0 || shouldUseMockData()) {
+      return;
+    }
+    const url = getPriceStreamUrl(this.streamTransport, this.chainId, Array.from(this.tokens.keys()));
+    if (!url) {
+      return;
+    }
+
+    const onOpen = () => {
+      this.isStreamOpen = true;
+      this.streamFailures = 0;
+      this.streamError = undefined;
+    };
+    const onMessage = (event: MessageEvent) => {
+      try {
+        parsePriceStreamMessage(event.data).forEach((update) => this.onPriceUpdate(update, "stream"));
+      } catch (error) {
+        this.streamError = error;
+      }
+    };
+
+    try {
+      if (this.streamTransport === "websocket") {
+        const socket = new WebSocket(url);
+        socket.onopen = () => {
+          onOpen();
+          const subscribedTokens = Array.from(this.tokens.keys());
+          socket.send(JSON.stringify({ type: "subscribe", chainId: this.chainId, tokens: subscribedTokens }));
+        };
+        socket.onmessage = onMessage;
+        socket.onclose = () => this.onStreamClosed();
+        this.stream = socket;
+      } else {
+        const source = new EventSource(url);
+        source.onopen = onOpen;
+        source.onmessage = onMessage;
+        source.onerror = () => {
+          source.close();
+          this.onStreamClosed();
+        };
+        this.stream = source;
+      }
+    } catch (error) {
+      this.streamError = error;
+      this.onStreamClosed();
+    }
+  }
+
+  onStreamClosed() {
+    if (!this.isStreamOpen) {
+      // The stream never came up, try the other transport next time
+      this.streamFailures++;
+      this.streamTransport = this.streamTransport === "websocket" ? "sse" : "websocket";
+    }
+    this.isStreamOpen = false;
+    this.stream = undefined;
+    if (this.tokens.size > 0) {
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = undefined;
+        this.connectStream();
+      }, getBackoffDelay(this.streamFailures, STREAM_RECONNECT_DELAY));
+    }
+  }
+
+  closeStream() {
+    const stream = this.stream;
+    if (!stream) {
+      return;
+    }
+    if (stream instanceof WebSocket) {
+      stream.onclose = null;
+    } else {
+      stream.onerror = null;
+    }
+    stream.close();
+    this.stream = undefined;
+    this.isStreamOpen = false;
+  }
+
+  sendStreamSubscription(type: "subscribe" | "unsubscribe", token: string) {
+    if (!this.stream) {
+      return;
+    }
+    if (this.stream instanceof WebSocket) {
+      if (this.isStreamOpen) {
+        this.stream.send(JSON.stringify({ type, chainId: this.chainId, tokens: [token] }));
+      }
+      return;
+    }
+    // SSE streams carry their token list in the URL, reopen with the new list
+    this.closeStream();
+    this.connectStream();
+  }
+}
+
+const hubs: { [chainId: number]: PriceHub } = {};
+
+export function getPriceHub(chainId: number) {
+  if (!hubs[chainId]) {
+    hubs[chainId] = new PriceHub(chainId);
+  }
+  return hubs[chainId];
+}
@@ -0,0 +1,4 @@
+export * from "./types";
+export * from "./sources";
+export * from "./PriceHub";
+export * from "./useStreamedPrices";
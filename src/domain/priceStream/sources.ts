@@ -0,0 +1,135 @@
+import { ethers } from "ethers";
+import Oracle from "abis/Oracle.json";
+import PriceFeed from "abis/PriceFeed.json";
+import { UTX_STATS_API_URL } from "config/backend";
+import { getContract } from "config/contracts";
+import { getPerpMarkets } from "config/perpMarkets";
+import { getChainlinkPriceFeed } from "config/priceFeeds";
+import { getToken, getWrappedToken } from "config/tokens";
+import { generateMockCurrentPrice, generateMockStablePrice } from "domain/mockData";
+import { USD_DECIMALS } from "lib/legacy";
+import { PriceStreamTransport, PriceUpdate } from "./types";
+
+// Seconds, Chainlink USD feeds heartbeat at most daily
+const MAX_FEED_ROUND_AGE = 24 * 60 * 60 + 10 * 60;
+
+export type ChainlinkFeed = {
+  address: string;
+  decimals: number;
+};
+
+function toUsdDecimals(value: ethers.BigNumber, decimals: number) {
+  return decimals < USD_DECIMALS
+    ? value.mul(ethers.BigNumber.from(10).pow(USD_DECIMALS - decimals))
+    : value.div(ethers.BigNumber.from(10).pow(decimals - USD_DECIMALS));
+}
+
+/**
+ * Prices are keyed by the address the stats backend knows: the native token is priced through its wrapped token,
+ * addresses outside the token list (e.g. perp base tokens) are kept as they are
+ */
+export function getPriceTokenAddress(chainId: number, address: string) {
+  try {
+    const token = getToken(chainId, address);
+    return (token.isNative ? getWrappedToken(chainId).address : token.address).toLowerCase();
+  } catch {
+    return address.toLowerCase();
+  }
+}
+
+export function getPriceStreamUrl(transport: PriceStreamTransport, chainId: number, tokens: string[]) {
+  if (!UTX_STATS_API_URL) {
+    return undefined;
+  }
+  if (transport === "websocket") {
+    return `${UTX_STATS_API_URL.replace(/^http/, "ws")}/prices/ws?chainId=${chainId}`;
+  }
+  return `${UTX_STATS_API_URL}/prices/sse?chainId=${chainId}&tokens=${tokens.join(",")}`;
+}
+
+/**
+ * Stream messages carry one update or a batch of them: `{ token, price, timestamp? }`, price in USD with 30 decimals
+ * and timestamp in seconds
+ */
+export function parsePriceStreamMessage(data: string): PriceUpdate[] {
+  const message = JSON.parse(data);
+  const updates = Array.isArray(message) ? message : [message];
+  return updates
+    .filter((update) => update && update.token && update.price)
+    .map((update) => ({
+      token: update.token.toLowerCase(),
+      price: ethers.BigNumber.from(update.price),
+      updatedAt: update.timestamp ? update.timestamp * 1000 : Date.now(),
+    }));
+}
+
+export async function fetchStatsPrice(chainId: number, token: string): Promise<PriceUpdate> {
+  const response = await fetch(`${UTX_STATS_API_URL}/price/${token}?chainId=${chainId}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  const data = await response.json();
+  return {
+    token,
+    price: ethers.BigNumber.from(data.price),
+    updatedAt: data.timestamp ? data.timestamp * 1000 : Date.now(),
+  };
+}
+
+export function getMockPrice(chainId: number, token: string): PriceUpdate | undefined {
+  try {
+    const tokenInfo = getToken(chainId, token);
+    // Mock prices come with 18 decimals
+    const price = tokenInfo.isStable ? generateMockStablePrice() : generateMockCurrentPrice(tokenInfo.symbol);
+    return { token, price: toUsdDecimals(price, 18), updatedAt: Date.now() };
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * The Chainlink aggregator pricing a token: a configured feed for listed tokens, or the feed the perp Oracle
+ * registered for a perp base token
+ */
+export async function getChainlinkFeed(
+  chainId: number,
+  token: string,
+  provider: ethers.providers.Provider
+): Promise<ChainlinkFeed | undefined> {
+  let feedAddress: string | undefined;
+  try {
+    feedAddress = getChainlinkPriceFeed(chainId, getToken(chainId, token).symbol);
+  } catch {
+    feedAddress = undefined;
+  }
+
+  const isPerpBaseToken = getPerpMarkets(chainId).some((market) => market.baseToken.toLowerCase() === token);
+  if (!feedAddress && isPerpBaseToken) {
+    const oracle = new ethers.Contract(getContract(chainId, "PerpOracle"), Oracle.abi, provider);
+    const { feed, isActive } = await oracle.priceFeeds(token);
+    feedAddress = isActive && feed !== ethers.constants.AddressZero ? feed : undefined;
+  }
+
+  if (!feedAddress) {
+    return undefined;
+  }
+  const aggregator = new ethers.Contract(feedAddress, PriceFeed.abi, provider);
+  return { address: feedAddress, decimals: await aggregator.decimals() };
+}
+
+export async function fetchChainlinkPrice(
+  token: string,
+  feed: ChainlinkFeed,
+  provider: ethers.providers.Provider
+): Promise<PriceUpdate> {
+  const aggregator = new ethers.Contract(feed.address, PriceFeed.abi, provider);
+  const { answer, updatedAt } = await aggregator.latestRoundData();
+  if (answer.lte(0)) {
+    throw new Error(`Invalid answer from feed ${feed.address}`);
+  }
+  // Feeds only write a round on deviation or heartbeat, a round past the longest heartbeat means the feed stalled
+  if (Date.now() / 1000 - updatedAt.toNumber() > MAX_FEED_ROUND_AGE) {
+    throw new Error(`Feed ${feed.address} has not been updated since ${updatedAt.toString()}`);
+  }
+  return { token, price: toUsdDecimals(answer, feed.decimals), updatedAt: Date.now() };
+}
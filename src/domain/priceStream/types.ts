@@ -0,0 +1,24 @@
+import { BigNumber } from "ethers";
+
+export type PriceStreamTransport = "websocket" | "sse";
+
+// Where the latest price came from, in order of preference
+export type PriceSource = "stream" | "chainlink" | "polling" | "mock";
+
+export type PriceUpdate = {
+  token: string;
+  // USD price with USD_DECIMALS
+  price: BigNumber;
+  // Milliseconds
+  updatedAt: number;
+};
+
+export type PriceState = {
+  price: BigNumber;
+  updatedAt: number;
+  source: PriceSource;
+  // No source has confirmed the price for STALE_PRICE_AGE
+  isStale: boolean;
+};
+
+export type PriceCallback = (state: PriceState) => void;
@@ -0,0 +1,34 @@
+import { useEffect, useState } from "react";
+import { getPriceHub } from "./PriceHub";
+import { PriceState } from "./types";
+
+/**
+ * Live prices of `tokenAddresses` from the chain's shared price hub, keyed by the addresses passed in
+ */
+export function useStreamedPrices(chainId: number, tokenAddresses: string[]) {
+  const [prices, setPrices] = useState<{ [address: string]: PriceState }>({});
+  const tokensKey = tokenAddresses.join(",");
+
+  useEffect(() => {
+    if (!chainId || !tokensKey) {
+      return;
+    }
+    const hub = getPriceHub(chainId);
+    const unsubscribes = tokensKey.split(",").map((address) =>
+      hub.subscribe(address, (state) => {
+        setPrices((prev) => ({ ...prev, [address]: state }));
+      })
+    );
+    return () => {
+      unsubscribes.forEach((unsubscribe) => unsubscribe());
+      setPrices({});
+    };
+  }, [chainId, tokensKey]);
+
+  return prices;
+}
+
+export function useStreamedPrice(chainId: number, tokenAddress?: string): PriceState | undefined {
+  const prices = useStreamedPrices(chainId, tokenAddress ? [tokenAddress] : []);
+  return tokenAddress ? prices[tokenAddress] : undefined;
+}
@@ -6,16 +6,15 @@ import { USD_DECIMALS, CHART_PERIODS } from "lib/legacy";
 import { UTX_STATS_API_URL } from "config/backend";
 import { sleep } from "lib/sleep";
 import { formatAmount } from "lib/numbers";
-import { getNativeToken, getNormalizedTokenSymbol, isChartAvailabeForToken, getToken } from "config/tokens";
+import { getNativeToken, getNormalizedTokenSymbol, isChartAvailabeForToken } from "config/tokens";
 import { getAlchemyWsUrl, ARBITRUM, FTM_TESTNET, U2U_TESTNET } from "config/chains";
 import { 
   shouldUseMockData, 
   generateMockPriceData, 
-  generateMockCurrentPrice, 
-  generateMockStablePrice,
   generateMockFundingRates,
   generateMockVolumeData
 } from "./mockData";
+import { getPriceHub, PriceState } from "./priceStream";
 
 const BigNumber = ethers.BigNumber;
 
@@ -38,81 +37,34 @@ export function getWsProvider(chainId: number) {
   return null;
 }
 
-// WebSocket subscription manager for real-time price updates
+// Per-consumer handle on the chain's shared price hub, unsubscribeAll only drops this manager's own subscriptions
 export class PriceStreamManager {
-  private subscriptions: Map<string, any[]> = new Map();
-  private provider: ethers.providers.Provider | null = null;
+  private unsubscribes: Set<() => void> = new Set();
   private chainId: number;
 
   constructor(chainId: number) {
     this.chainId = chainId;
-    this.provider = getWsProvider(chainId);
   }
 
   // Subscribe to price updates for a token
-  subscribe(tokenAddress: string, callback: (price: ethers.BigNumber) => void) {
-    const key = `${this.chainId}-${tokenAddress}`;
-    if (!this.subscriptions.has(key)) {
-      this.subscriptions.set(key, []);
-    }
-    this.subscriptions.get(key)?.push(callback);
-
-    // Start polling for price updates (simplified version)
-    // In a real implementation, this would use Chainlink price feeds or a proper WebSocket
-    const intervalId = setInterval(async () => {
-      try {
-        const price = await this.fetchCurrentPrice(tokenAddress);
-        if (price) {
-          const callbacks = this.subscriptions.get(key) || [];
-          callbacks.forEach(cb => cb(price));
-        }
-      } catch (error) {
-        console.error('Error fetching price:', error);
-      }
-    }, 2000); // Poll every 2 seconds
+  subscribe(tokenAddress: string, callback: (price: ethers.BigNumber, state: PriceState) => void) {
+    const unsubscribe = getPriceHub(this.chainId).subscribe(tokenAddress, (state) => callback(state.price, state));
+    this.unsubscribes.add(unsubscribe);
 
     // Return unsubscribe function
     return () => {
-      clearInterval(intervalId);
-      const callbacks = this.subscriptions.get(key);
-      if (callbacks) {
-        const index = callbacks.indexOf(callback);
-        if (index > -1) {
-          callbacks.splice(index, 1);
-        }
-      }
+      unsubscribe();
+      this.unsubscribes.delete(unsubscribe);
     };
   }
 
-  private async fetchCurrentPrice(tokenAddress: string): Promise<ethers.BigNumber | null> {
-    // Use mock data in development mode
-    if (shouldUseMockData()) {
-      try {
-        const token = getToken(this.chainId, tokenAddress);
-        if (token.isStable) {
-          return generateMockStablePrice();
-        } else {
-          return generateMockCurrentPrice(token.symbol);
-        }
-      } catch (error) {
-        console.warn('Mock data generation failed:', error);
-        return null;
-      }
-    }
-
-    // Production: fetch from backend API
-    try {
-      const response = await fetch(`${UTX_STATS_API_URL}/price/${tokenAddress}?chainId=${this.chainId}`);
-      if (!response.ok) return null;
-      const data = await response.json();
-      return BigNumber.from(data.price);
-    } catch {
-      return null;
-    }
+  getPrice(tokenAddress: string): PriceState | undefined {
+    return getPriceHub(this.chainId).getPrice(tokenAddress);
   }
 
   unsubscribeAll() {
-    this.subscriptions.clear();
+    this.unsubscribes.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribes.clear();
   }
 }
 
@@ -0,0 +1,152 @@
+import { ethers } from "ethers";
+import PositionManager from "abis/PositionManager.json";
+import PositionRouter from "abis/PositionRouter.json";
+import ReferralStorage from "abis/ReferralStorage.json";
+import { getContract } from "config/contracts";
+import { BASIS_POINTS_DIVISOR } from "lib/legacy";
+import { createLogScanner, getDeployBlock } from "lib/logScanner";
+import { ReferralCodeStats, ReferralsIndexer, ReferrerTier } from "./types";
+import { emptyReferralCodeStats, getReferrerTier, sumReferralCodeStats } from "./utils";
+
+type ReferralTrade = {
+  account: string;
+  referrer: string;
+  referralCode: string;
+  sizeDelta: ethers.BigNumber;
+  marginFeeBasisPoints: ethers.BigNumber;
+};
+
+function sortLogs(logs: ethers.Event[]) {
+  return logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * Compute referral stats from ReferralStorage code ownership logs and the `IncreasePositionReferral` and
+ * `DecreasePositionReferral` logs of the PositionRouter and PositionManager, over JSON-RPC. Rebates apply the current
+ * tier of each referrer to past trades. Logs are scanned from the block ReferralStorage was deployed in, then
+ * incrementally.
+ */
+export function createRpcReferralsIndexer(chainId: number, provider: ethers.providers.Provider): ReferralsIndexer {
+  const referralStorage = new ethers.Contract(getContract(chainId, "ReferralStorage"), ReferralStorage.abi, provider);
+  const positionContracts = [
+    new ethers.Contract(getContract(chainId, "PositionRouter"), PositionRouter.abi, provider),
+    new ethers.Contract(getContract(chainId, "PositionManager"), PositionManager.abi, provider),
+  ].filter((contract) => contract.address !== ethers.constants.AddressZero);
+
+  // code => owner
+  const codeOwners: { [code: string]: string } = {};
+  const trades: ReferralTrade[] = [];
+
+  // No code can be registered, nor a trade referred, before ReferralStorage exists
+  let deployBlock: Promise<number> | undefined;
+  const startBlock = () => {
+    if (!deployBlock) {
+      deployBlock = getDeployBlock(provider, referralStorage.address).catch((error) => {
+        deployBlock = undefined;
+        throw error;
+      });
+    }
+    return deployBlock;
+  };
+
+  const scanCodes = createLogScanner(provider, startBlock, async (fromBlock, toBlock) => {
+    const logs = await Promise.all([
+      referralStorage.queryFilter(referralStorage.filters.RegisterCode(), fromBlock, toBlock),
+      referralStorage.queryFilter(referralStorage.filters.SetCodeOwner(), fromBlock, toBlock),
+      referralStorage.queryFilter(referralStorage.filters.GovSetCodeOwner(), fromBlock, toBlock),
+    ]);
+    sortLogs(logs.flat()).forEach(({ event, args }) => {
+      codeOwners[args!.code] = event === "RegisterCode" ? args!.account : args!.newAccount;
+    });
+  });
+
+  const scanTrades = createLogScanner(provider, startBlock, async (fromBlock, toBlock) => {
+    const logs = await Promise.all(
+      positionContracts.flatMap((contract) => [
+        contract.queryFilter(contract.filters.IncreasePositionReferral(), fromBlock, toBlock),
+        contract.queryFilter(contract.filters.DecreasePositionReferral(), fromBlock, toBlock),
+      ])
+    );
+    sortLogs(logs.flat()).forEach(({ args }) => {
+      trades.push({
+        account: args!.account,
+        referrer: args!.referrer,
+        referralCode: args!.referralCode,
+        sizeDelta: args!.sizeDelta,
+        marginFeeBasisPoints: args!.marginFeeBasisPoints,
+      });
+    });
+  });
+
+  async function getAffiliateCodes(account: string) {
+    await scanCodes();
+    return Object.keys(codeOwners).filter((code) => codeOwners[code].toLowerCase() === account.toLowerCase());
+  }
+
+  return {
+    getAffiliateCodes,
+
+    async getReferralsData(account) {
+      const [codes] = await Promise.all([getAffiliateCodes(account), scanTrades()]);
+      const isAccount = (address: string) => address.toLowerCase() === account.toLowerCase();
+      const affiliateTrades = trades.filter((trade) => isAccount(trade.referrer));
+      const traderTrades = trades.filter((trade) => isAccount(trade.account));
+
+      const tiers: { [referrer: string]: ReferrerTier } = {};
+      const referrers = Array.from(new Set([...affiliateTrades, ...traderTrades].map((trade) => trade.referrer)));
+      await Promise.all(
+        referrers.map(async (referrer) => {
+          tiers[referrer] = await getReferrerTier(chainId, provider, referrer);
+        })
+      );
+
+      const getRebates = (trade: ReferralTrade) => {
+        const { totalRebate, discountShare } = tiers[trade.referrer];
+        const fee = trade.sizeDelta.mul(trade.marginFeeBasisPoints).div(BASIS_POINTS_DIVISOR);
+        const totalRebateUsd = fee.mul(totalRebate).div(BASIS_POINTS_DIVISOR);
+        return { totalRebateUsd, discountUsd: totalRebateUsd.mul(discountShare).div(BASIS_POINTS_DIVISOR) };
+      };
+
+      const codeStats: { [code: string]: ReferralCodeStats } = {};
+      const codeTraders: { [code: string]: Set<string> } = {};
+      codes.forEach((code) => {
+        codeStats[code] = emptyReferralCodeStats(code);
+        codeTraders[code] = new Set();
+      });
+      affiliateTrades.forEach((trade) => {
+        const code = trade.referralCode;
+        if (!codeStats[code]) {
+          codeStats[code] = emptyReferralCodeStats(code);
+          codeTraders[code] = new Set();
+        }
+        const stats = codeStats[code];
+        const { totalRebateUsd, discountUsd } = getRebates(trade);
+        codeTraders[code].add(trade.account.toLowerCase());
+        stats.volume = stats.volume.add(trade.sizeDelta);
+        stats.trades += 1;
+        stats.tradedReferralsCount = codeTraders[code].size;
+        stats.totalRebateUsd = stats.totalRebateUsd.add(totalRebateUsd);
+        stats.discountUsd = stats.discountUsd.add(discountUsd);
+      });
+
+      const affiliateCodes = Object.values(codeStats).sort((a, b) =>
+        a.volume.eq(b.volume) ? 0 : a.volume.gt(b.volume) ? -1 : 1
+      );
+
+      const zero = ethers.BigNumber.from(0);
+      const traderTotal = traderTrades.reduce(
+        (total, trade) => ({
+          volume: total.volume.add(trade.sizeDelta),
+          discountUsd: total.discountUsd.add(getRebates(trade).discountUsd),
+        }),
+        { volume: zero, discountUsd: zero }
+      );
+
+      return {
+        affiliateCodes,
+        affiliateTotal: sumReferralCodeStats(affiliateCodes),
+        traderTotal,
+      };
+    },
+  };
+}
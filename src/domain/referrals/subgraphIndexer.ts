@@ -0,0 +1,79 @@
+import { ApolloClient, gql } from "@apollo/client";
+import { bigNumberify } from "lib/numbers";
+import { ReferralCodeStats, ReferralsIndexer } from "./types";
+import { emptyReferralCodeStats, sumReferralCodeStats } from "./utils";
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Read referral stats from the referrals subgraph. `referrerStats` and `referralStats` are aggregated by the subgraph,
+ * the `total` period covers all time.
+ */
+export function createSubgraphReferralsIndexer(graphClient: ApolloClient<any>): ReferralsIndexer {
+  async function getAffiliateCodes(account: string) {
+    const query = gql(`{
+      referralCodes(first: ${PAGE_SIZE}, where: { owner: "${account.toLowerCase()}" }) {
+        code
+      }
+    }`);
+    const res = await graphClient.query({ query });
+    return res.data.referralCodes.map(({ code }) => code);
+  }
+
+  return {
+    getAffiliateCodes,
+
+    async getReferralsData(account) {
+      const query = gql(`{
+        referrerStats(
+          first: ${PAGE_SIZE}
+          orderBy: volume
+          orderDirection: desc
+          where: { period: total, referrer: "${account.toLowerCase()}" }
+        ) {
+          referralCode
+          volume
+          trades
+          tradedReferralsCount
+          totalRebateUsd
+          discountUsd
+        }
+        referralStats(first: ${PAGE_SIZE}, where: { period: total, referral: "${account.toLowerCase()}" }) {
+          volume
+          discountUsd
+        }
+      }`);
+      const [res, codes] = await Promise.all([graphClient.query({ query }), getAffiliateCodes(account)]);
+
+      const codeStats: ReferralCodeStats[] = res.data.referrerStats.map((item) => ({
+        referralCode: item.referralCode,
+        volume: bigNumberify(item.volume)!,
+        trades: Number(item.trades),
+        tradedReferralsCount: Number(item.tradedReferralsCount),
+        totalRebateUsd: bigNumberify(item.totalRebateUsd)!,
+        discountUsd: bigNumberify(item.discountUsd)!,
+      }));
+      // Codes nobody traded with yet have no stats
+      const affiliateCodes = [
+        ...codeStats,
+        ...codes
+          .filter((code) => !codeStats.some((stats) => stats.referralCode === code))
+          .map((code) => emptyReferralCodeStats(code)),
+      ];
+
+      const traderTotal = res.data.referralStats.reduce(
+        (total, item) => ({
+          volume: total.volume.add(item.volume),
+          discountUsd: total.discountUsd.add(item.discountUsd),
+        }),
+        { volume: bigNumberify(0)!, discountUsd: bigNumberify(0)! }
+      );
+
+      return {
+        affiliateCodes,
+        affiliateTotal: sumReferralCodeStats(affiliateCodes),
+        traderTotal,
+      };
+    },
+  };
+}
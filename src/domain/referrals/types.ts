@@ -0,0 +1,40 @@
+import { BigNumber } from "ethers";
+
+// USD amounts have 30 decimals, like the rest of the position router flow
+
+export type ReferralCodeStats = {
+  // bytes32 encoded code
+  referralCode: string;
+  volume: BigNumber;
+  trades: number;
+  tradedReferralsCount: number;
+  // Rebate on the position fees of the code's traders, trader discounts included
+  totalRebateUsd: BigNumber;
+  // Part of `totalRebateUsd` going back to the traders
+  discountUsd: BigNumber;
+};
+
+export type ReferralsData = {
+  // Codes owned by the account, with what was traded through them
+  affiliateCodes: ReferralCodeStats[];
+  affiliateTotal: Omit<ReferralCodeStats, "referralCode">;
+  // What the account traded with a referral code attached
+  traderTotal: {
+    volume: BigNumber;
+    discountUsd: BigNumber;
+  };
+};
+
+// Source of referral stats, either the referrals subgraph or the local log scanner
+export interface ReferralsIndexer {
+  getAffiliateCodes(account: string): Promise<string[]>;
+  getReferralsData(account: string): Promise<ReferralsData>;
+}
+
+export type ReferrerTier = {
+  tierId: number;
+  // Share of position fees rebated, in basis points
+  totalRebate: number;
+  // Share of the rebate passed on to traders, in basis points
+  discountShare: number;
+};
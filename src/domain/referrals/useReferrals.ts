@@ -0,0 +1,66 @@
+import useSWR from "swr";
+import { ethers } from "ethers";
+import { Web3Provider } from "@ethersproject/providers";
+import ReferralStorage from "abis/ReferralStorage.json";
+import { getContract } from "config/contracts";
+import { REFERRAL_CODE_KEY } from "config/localStorage";
+import { contractFetcher } from "lib/contracts";
+import { getProvider } from "lib/rpc";
+import { decodeReferralCode, getReferralsIndexer, getReferrerTier } from "./utils";
+
+export function useReferralsData(chainId: number, account?: string) {
+  const { data, error, mutate } = useSWR(account ? [chainId, "referralsData", account] : null, {
+    fetcher: () => getReferralsIndexer(chainId).getReferralsData(account!),
+    refreshInterval: 60000,
+  });
+
+  return {
+    referralsData: data,
+    isLoading: !data && !error,
+    error,
+    mutate,
+  };
+}
+
+// Codes owned by `account`, bytes32 encoded
+export function useAffiliateCodes(chainId: number, account?: string) {
+  const { data, mutate } = useSWR(account ? [chainId, "affiliateCodes", account] : null, {
+    fetcher: () => getReferralsIndexer(chainId).getAffiliateCodes(account!),
+    refreshInterval: 60000,
+  });
+
+  return {
+    affiliateCodes: data,
+    mutate,
+  };
+}
+
+/**
+ * Referral code of a trader: the one bound on chain, else the one captured from a `?ref=` link. The PositionRouter
+ * binds the code passed with an increase, so it only needs to be sent while nothing is bound yet.
+ */
+export function useUserReferralCode(library: Web3Provider | undefined, chainId: number, account?: string) {
+  const { data: onChainCode, mutate } = useSWR<string>(
+    account ? ["ReferralStorage", chainId, getContract(chainId, "ReferralStorage"), "traderReferralCodes", account] : null,
+    { fetcher: contractFetcher(library, ReferralStorage) }
+  );
+
+  const localStorageCode = window.localStorage.getItem(REFERRAL_CODE_KEY) || undefined;
+  const attachedOnChain = Boolean(onChainCode && onChainCode !== ethers.constants.HashZero);
+  const userReferralCode = attachedOnChain ? onChainCode : localStorageCode;
+
+  return {
+    userReferralCode,
+    userReferralCodeString: decodeReferralCode(userReferralCode),
+    attachedOnChain,
+    mutate,
+  };
+}
+
+export function useReferrerTier(library: Web3Provider | undefined, chainId: number, account?: string) {
+  const { data } = useSWR(account ? [chainId, "referrerTier", account] : null, {
+    fetcher: () => getReferrerTier(chainId, getProvider(library, chainId), account!),
+  });
+
+  return data;
+}
@@ -0,0 +1,142 @@
+import { ethers } from "ethers";
+import { Web3Provider } from "@ethersproject/providers";
+import { t } from "@lingui/macro";
+import ReferralStorage from "abis/ReferralStorage.json";
+import { ARBITRUM } from "config/chains";
+import { getContract } from "config/contracts";
+import { callContract } from "lib/contracts";
+import { getAppBaseUrl, MAX_REFERRAL_CODE_LENGTH, REFERRAL_CODE_QUERY_PARAM } from "lib/legacy";
+import { getProvider } from "lib/rpc";
+import { arbitrumReferralsGraphClient } from "lib/subgraph";
+import { createRpcReferralsIndexer } from "./rpcIndexer";
+import { createSubgraphReferralsIndexer } from "./subgraphIndexer";
+import { ReferralCodeStats, ReferralsIndexer, ReferrerTier } from "./types";
+
+const { AddressZero, HashZero } = ethers.constants;
+
+export const REFERRAL_CODE_REGEX = /^\w+$/;
+
+const indexers: { [chainId: number]: ReferralsIndexer } = {};
+
+/**
+ * Referrals indexer for a chain: the referrals subgraph on Arbitrum, where it is deployed, otherwise the local log
+ * scanner
+ */
+export function getReferralsIndexer(chainId: number): ReferralsIndexer {
+  if (!indexers[chainId]) {
+    indexers[chainId] =
+      chainId === ARBITRUM
+        ? createSubgraphReferralsIndexer(arbitrumReferralsGraphClient)
+        : createRpcReferralsIndexer(chainId, getProvider(undefined, chainId) as ethers.providers.Provider);
+  }
+  return indexers[chainId];
+}
+
+export function encodeReferralCode(code: string) {
+  const finalCode = code.trim();
+  if (!finalCode || finalCode.length > MAX_REFERRAL_CODE_LENGTH || !REFERRAL_CODE_REGEX.test(finalCode)) {
+    return HashZero;
+  }
+  return ethers.utils.formatBytes32String(finalCode);
+}
+
+export function decodeReferralCode(hexCode?: string) {
+  if (!hexCode || hexCode === HashZero) {
+    return "";
+  }
+  try {
+    return ethers.utils.parseBytes32String(hexCode);
+  } catch (ex) {
+    // Codes set through the contracts directly may not be null terminated
+    return ethers.utils.toUtf8String(ethers.utils.stripZeros(hexCode));
+  }
+}
+
+export function getReferralCodeError(code: string) {
+  const finalCode = code.trim();
+  if (!finalCode) {
+    return t`Enter a code`;
+  }
+  if (finalCode.length > MAX_REFERRAL_CODE_LENGTH) {
+    return t`The referral code can't be more than ${MAX_REFERRAL_CODE_LENGTH} characters.`;
+  }
+  if (!REFERRAL_CODE_REGEX.test(finalCode)) {
+    return t`Only letters, numbers and underscores are allowed.`;
+  }
+}
+
+export function getReferralCodeUrl(code: string) {
+  return `${getAppBaseUrl()}/?${REFERRAL_CODE_QUERY_PARAM}=${code}`;
+}
+
+function getReferralStorage(chainId: number, provider: ethers.providers.Provider | ethers.Signer) {
+  return new ethers.Contract(getContract(chainId, "ReferralStorage"), ReferralStorage.abi, provider);
+}
+
+export async function getCodeOwner(chainId: number, library: Web3Provider | undefined, referralCode: string) {
+  return getReferralStorage(chainId, getProvider(library, chainId)).codeOwners(referralCode);
+}
+
+export async function isReferralCodeTaken(chainId: number, library: Web3Provider | undefined, code: string) {
+  const owner = await getCodeOwner(chainId, library, encodeReferralCode(code));
+  return owner !== AddressZero;
+}
+
+/**
+ * Rebate tier of a referrer. A discount share set by the referrer takes precedence over the tier's.
+ */
+export async function getReferrerTier(
+  chainId: number,
+  provider: ethers.providers.Provider | ethers.Signer,
+  referrer: string
+): Promise<ReferrerTier> {
+  const referralStorage = getReferralStorage(chainId, provider);
+  const [tierId, referrerDiscountShare] = await Promise.all([
+    referralStorage.referrerTiers(referrer),
+    referralStorage.referrerDiscountShares(referrer),
+  ]);
+  const tier = await referralStorage.tiers(tierId);
+
+  return {
+    tierId: tierId.toNumber(),
+    totalRebate: tier.totalRebate.toNumber(),
+    discountShare: referrerDiscountShare.gt(0) ? referrerDiscountShare.toNumber() : tier.discountShare.toNumber(),
+  };
+}
+
+export function registerReferralCode(chainId: number, code: string, library: Web3Provider, opts) {
+  const referralStorage = getReferralStorage(chainId, library.getSigner());
+  return callContract(chainId, referralStorage, "registerCode", [encodeReferralCode(code)], opts);
+}
+
+export function setTraderReferralCodeByUser(chainId: number, code: string, library: Web3Provider, opts) {
+  const referralStorage = getReferralStorage(chainId, library.getSigner());
+  return callContract(chainId, referralStorage, "setTraderReferralCodeByUser", [encodeReferralCode(code)], opts);
+}
+
+export function emptyReferralCodeStats(referralCode: string): ReferralCodeStats {
+  const zero = ethers.BigNumber.from(0);
+  return {
+    referralCode,
+    volume: zero,
+    trades: 0,
+    tradedReferralsCount: 0,
+    totalRebateUsd: zero,
+    discountUsd: zero,
+  };
+}
+
+export function sumReferralCodeStats(stats: ReferralCodeStats[]) {
+  const { referralCode, ...total } = stats.reduce(
+    (sum, codeStats) => ({
+      referralCode: sum.referralCode,
+      volume: sum.volume.add(codeStats.volume),
+      trades: sum.trades + codeStats.trades,
+      tradedReferralsCount: sum.tradedReferralsCount + codeStats.tradedReferralsCount,
+      totalRebateUsd: sum.totalRebateUsd.add(codeStats.totalRebateUsd),
+      discountUsd: sum.discountUsd.add(codeStats.discountUsd),
+    }),
+    emptyReferralCodeStats(HashZero)
+  );
+  return total;
+}
@@ -0,0 +1,48 @@
+import { ethers } from "ethers";
+import { SocialSession } from "./types";
+
+export const SOCIAL_SESSION_TTL = 7 * 24 * 60 * 60;
+
+export function getSocialAuthMessage(account: string, chainId: number, issuedAt: number) {
+  return [
+    "Sign in to the UTX trade feed.",
+    "This request will not trigger a blockchain transaction or cost any gas fees.",
+    "",
+    `Account: ${ethers.utils.getAddress(account)}`,
+    `Chain ID: ${chainId}`,
+    `Issued At: ${new Date(issuedAt * 1000).toISOString()}`,
+  ].join("\n");
+}
+
+export async function signSocialSession(
+  signer: ethers.Signer,
+  account: string,
+  chainId: number
+): Promise<SocialSession> {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const signature = await signer.signMessage(getSocialAuthMessage(account, chainId, issuedAt));
+  return { account: ethers.utils.getAddress(account), chainId, issuedAt, signature };
+}
+
+export function isSocialSessionExpired(session: SocialSession) {
+  return session.issuedAt + SOCIAL_SESSION_TTL < Date.now() / 1000;
+}
+
+/**
+ * Check that a session is unexpired and signed by its account, backends run this on every write
+ */
+export function verifySocialSession(session: SocialSession) {
+  if (!session || isSocialSessionExpired(session)) {
+    return false;
+  }
+
+  try {
+    const signer = ethers.utils.verifyMessage(
+      getSocialAuthMessage(session.account, session.chainId, session.issuedAt),
+      session.signature
+    );
+    return signer.toLowerCase() === session.account.toLowerCase();
+  } catch (e) {
+    return false;
+  }
+}
@@ -0,0 +1,55 @@
+import { SocialBackend } from "./types";
+
+/**
+ * Backend served over HTTP. Writes carry the signed session, which the server must verify
+ * with the same message as `getSocialAuthMessage`.
+ */
+export function createHttpSocialBackend(baseUrl: string): SocialBackend {
+  async function request(path: string, init?: RequestInit) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      ...init,
+      headers: { "Content-Type": "application/json" },
+    });
+    if (!res.ok) {
+      throw new Error(`Social API request failed with status ${res.status}`);
+    }
+    return res.status === 204 ? undefined : res.json();
+  }
+
+  return {
+    async getFollows(chainId, account) {
+      const data = await request(`/follows/${chainId}/${account.toLowerCase()}`);
+      return data.follows;
+    },
+
+    async setFollows(session, follows) {
+      await request(`/follows/${session.chainId}/${session.account.toLowerCase()}`, {
+        method: "PUT",
+        body: JSON.stringify({ session, follows }),
+      });
+    },
+
+    async getInteractions(chainId, itemIds) {
+      if (itemIds.length === 0) {
+        return {};
+      }
+      const data = await request(`/interactions/${chainId}?ids=${itemIds.map(encodeURIComponent).join(",")}`);
+      return data.interactions;
+    },
+
+    async toggleReaction(session, itemId, reaction) {
+      await request(`/interactions/${session.chainId}/${encodeURIComponent(itemId)}/reactions`, {
+        method: "POST",
+        body: JSON.stringify({ session, reaction }),
+      });
+    },
+
+    async addComment(session, itemId, text) {
+      const data = await request(`/interactions/${session.chainId}/${encodeURIComponent(itemId)}/comments`, {
+        method: "POST",
+        body: JSON.stringify({ session, text }),
+      });
+      return data.comment;
+    },
+  };
+}
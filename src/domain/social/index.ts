@@ -0,0 +1,6 @@
+export * from "./types";
+export * from "./auth";
+export * from "./utils";
+export * from "./useFollows";
+export * from "./useSocialFeed";
+export { MAX_COMMENT_LENGTH } from "./localBackend";
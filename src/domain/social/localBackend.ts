@@ -0,0 +1,102 @@
+import { ethers } from "ethers";
+import { SOCIAL_LOCAL_BACKEND_KEY } from "config/localStorage";
+import { verifySocialSession } from "./auth";
+import { FeedInteractions, SocialBackend, SocialSession } from "./types";
+
+export const MAX_COMMENT_LENGTH = 280;
+
+type LocalSocialState = {
+  follows: { [account: string]: string[] };
+  interactions: { [itemId: string]: FeedInteractions };
+};
+
+/**
+ * Stand-in backend keeping everything in this browser's localStorage.
+ * It enforces the same session checks a server would, so switching to a real backend needs no UI changes.
+ */
+export function createLocalSocialBackend(): SocialBackend {
+  function getStorageKey(chainId: number) {
+    return `${SOCIAL_LOCAL_BACKEND_KEY}:${chainId}`;
+  }
+
+  function read(chainId: number): LocalSocialState {
+    try {
+      const state = JSON.parse(localStorage.getItem(getStorageKey(chainId)) || "null");
+      if (state) {
+        return state;
+      }
+    } catch (e) {
+      // corrupted state is reset below
+    }
+    return { follows: {}, interactions: {} };
+  }
+
+  function write(chainId: number, state: LocalSocialState) {
+    localStorage.setItem(getStorageKey(chainId), JSON.stringify(state));
+  }
+
+  function authorize(session: SocialSession) {
+    if (!verifySocialSession(session)) {
+      throw new Error("Invalid or expired social session");
+    }
+    return session.account.toLowerCase();
+  }
+
+  function getItemInteractions(state: LocalSocialState, itemId: string) {
+    if (!state.interactions[itemId]) {
+      state.interactions[itemId] = { reactions: {}, comments: [] };
+    }
+    return state.interactions[itemId];
+  }
+
+  return {
+    async getFollows(chainId, account) {
+      return read(chainId).follows[account.toLowerCase()] || [];
+    },
+
+    async setFollows(session, follows) {
+      const account = authorize(session);
+      const state = read(session.chainId);
+      state.follows[account] = Array.from(new Set(follows.map((follow) => ethers.utils.getAddress(follow))));
+      write(session.chainId, state);
+    },
+
+    async getInteractions(chainId, itemIds) {
+      const state = read(chainId);
+      return itemIds.reduce((acc, itemId) => {
+        acc[itemId] = state.interactions[itemId] || { reactions: {}, comments: [] };
+        return acc;
+      }, {} as { [itemId: string]: FeedInteractions });
+    },
+
+    async toggleReaction(session, itemId, reaction) {
+      const account = authorize(session);
+      const state = read(session.chainId);
+      const interactions = getItemInteractions(state, itemId);
+      const accounts = interactions.reactions[reaction] || [];
+      interactions.reactions[reaction] = accounts.includes(account)
+        ? accounts.filter((reactor) => reactor !== account)
+        : [...accounts, account];
+      write(session.chainId, state);
+    },
+
+    async addComment(session, itemId, text) {
+      const account = authorize(session);
+      const trimmed = text.trim();
+      if (!trimmed || trimmed.length > MAX_COMMENT_LENGTH) {
+        throw new Error(`Comments must be 1 to ${MAX_COMMENT_LENGTH} characters`);
+      }
+
+      const state = read(session.chainId);
+      const comment = {
+        id: `${itemId}-${Date.now()}-${account}`,
+        account,
+        text: trimmed,
+        timestamp: Math.floor(Date.now() / 1000),
+      };
+      getItemInteractions(state, itemId).comments.push(comment);
+      write(session.chainId, state);
+      return comment;
+    },
+  };
+}
@@ -0,0 +1,51 @@
+import { BigNumber } from "ethers";
+
+// Proof that `account` controls its key, signed once and reused for every write until it expires
+export type SocialSession = {
+  account: string;
+  chainId: number;
+  issuedAt: number;
+  signature: string;
+};
+
+export type FeedItemType = "open" | "close" | "liquidation";
+
+export type FeedItem = {
+  // Id of the underlying ClearingHouse log, reactions and comments are keyed by it
+  id: string;
+  type: FeedItemType;
+  account: string;
+  baseToken: string;
+  isLong: boolean;
+  // Absolute exchanged base size, zero for liquidations
+  size: BigNumber;
+  notional: BigNumber;
+  realizedPnl: BigNumber;
+  // Leverage in hundredths of 1x (1000 is 10x), known for opens routed through the ExchangeRouter
+  leverage?: number;
+  blockNumber: number;
+  timestamp: number;
+  txHash: string;
+};
+
+export type FeedComment = {
+  id: string;
+  account: string;
+  text: string;
+  timestamp: number;
+};
+
+export type FeedInteractions = {
+  // Reaction to the accounts that reacted with it
+  reactions: { [reaction: string]: string[] };
+  comments: FeedComment[];
+};
+
+// Storage for follow lists, reactions and comments. Writes must be rejected unless the session signature is valid
+export interface SocialBackend {
+  getFollows(chainId: number, account: string): Promise<string[]>;
+  setFollows(session: SocialSession, follows: string[]): Promise<void>;
+  getInteractions(chainId: number, itemIds: string[]): Promise<{ [itemId: string]: FeedInteractions }>;
+  toggleReaction(session: SocialSession, itemId: string, reaction: string): Promise<void>;
+  addComment(session: SocialSession, itemId: string, text: string): Promise<FeedComment>;
+}
@@ -0,0 +1,68 @@
+import { useCallback } from "react";
+import useSWR from "swr";
+import { ethers } from "ethers";
+import { Web3Provider } from "@ethersproject/providers";
+import { SOCIAL_SESSION_KEY } from "config/localStorage";
+import { useLocalStorageSerializeKey } from "lib/localStorage";
+import { isSocialSessionExpired, signSocialSession } from "./auth";
+import { SocialSession } from "./types";
+import { getSocialBackend } from "./utils";
+
+/**
+ * Signed session of the connected wallet, `getSession` only prompts for a signature when none is stored or it expired
+ */
+export function useSocialSession(chainId: number, account?: string, library?: Web3Provider) {
+  const [session, setSession] = useLocalStorageSerializeKey<SocialSession | undefined>(
+    [chainId, SOCIAL_SESSION_KEY, account],
+    undefined
+  );
+
+  const getSession = useCallback(async () => {
+    if (session && !isSocialSessionExpired(session)) {
+      return session;
+    }
+    if (!account || !library) {
+      throw new Error("Wallet is not connected");
+    }
+
+    const newSession = await signSocialSession(library.getSigner(), account, chainId);
+    setSession(newSession);
+    return newSession;
+  }, [session, setSession, account, library, chainId]);
+
+  return { session, getSession };
+}
+
+export function useFollows(chainId: number, account?: string, library?: Web3Provider) {
+  const { getSession } = useSocialSession(chainId, account, library);
+  const { data: follows, mutate } = useSWR<string[]>(account ? [chainId, "socialFollows", account] : null, {
+    fetcher: () => getSocialBackend().getFollows(chainId, account!),
+  });
+
+  const setFollows = useCallback(
+    async (nextFollows: string[]) => {
+      const session = await getSession();
+      await getSocialBackend().setFollows(session, nextFollows);
+      mutate(nextFollows, false);
+    },
+    [getSession, mutate]
+  );
+
+  const follow = useCallback(
+    (address: string) => {
+      const checksummed = ethers.utils.getAddress(address);
+      if (follows?.includes(checksummed) || checksummed.toLowerCase() === account?.toLowerCase()) {
+        return Promise.resolve();
+      }
+      return setFollows([...(follows || []), checksummed]);
+    },
+    [follows, setFollows, account]
+  );
+
+  const unfollow = useCallback(
+    (address: string) => setFollows((follows || []).filter((follow) => follow.toLowerCase() !== address.toLowerCase())),
+    [follows, setFollows]
+  );
+
+  return { follows, follow, unfollow, getSession };
+}
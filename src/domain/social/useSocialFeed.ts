@@ -0,0 +1,104 @@
+import { useCallback, useEffect } from "react";
+import useSWR from "swr";
+import { ethers } from "ethers";
+import { Web3Provider } from "@ethersproject/providers";
+import ClearingHouse from "abis/ClearingHouse.json";
+import ExchangeRouter from "abis/ExchangeRouter.json";
+import { getContract } from "config/contracts";
+import { getTradeIndexer } from "domain/leaderboard";
+import { getWsProvider } from "domain/prices";
+import { getProvider } from "lib/rpc";
+import { useSocialSession } from "./useFollows";
+import { FeedInteractions, FeedItem } from "./types";
+import { getFeedItems, getSocialBackend } from "./utils";
+
+const FEED_SIZE = 50;
+
+/**
+ * Latest opens, closes and liquidations of the followed accounts, refreshed as soon as
+ * the ClearingHouse or, for trades routed through it, the ExchangeRouter logs a change for one of them.
+ * Refreshed items come from the trade indexer, which credits routed trades to the router's caller.
+ */
+export function useSocialFeed(chainId: number, follows?: string[]) {
+  const followsKey = (follows || []).join(",");
+  const {
+    data: items,
+    error,
+    mutate,
+  } = useSWR<FeedItem[]>(follows && follows.length > 0 ? [chainId, "socialFeed", followsKey] : null, {
+    fetcher: async () => {
+      const indexer = getTradeIndexer(chainId);
+      const histories = await Promise.all(follows!.map((account) => indexer.getTradeEvents({ account })));
+      return histories
+        .flatMap(getFeedItems)
+        .sort((a, b) => b.blockNumber - a.blockNumber || b.id.localeCompare(a.id))
+        .slice(0, FEED_SIZE);
+    },
+    refreshInterval: 60000,
+  });
+
+  useEffect(() => {
+    if (!followsKey) {
+      return;
+    }
+
+    const provider = getWsProvider(chainId) || getProvider(undefined, chainId);
+    const clearingHouse = new ethers.Contract(getContract(chainId, "PerpClearingHouse"), ClearingHouse.abi, provider);
+    const exchangeRouter = new ethers.Contract(
+      getContract(chainId, "PerpExchangeRouter"),
+      ExchangeRouter.abi,
+      provider
+    );
+    const accounts = followsKey.split(",");
+    const subscriptions: [ethers.Contract, ethers.EventFilter][] = [
+      [clearingHouse, clearingHouse.filters.PositionChanged(accounts)],
+      [clearingHouse, clearingHouse.filters.PositionLiquidated(accounts)],
+      [exchangeRouter, exchangeRouter.filters.PositionOpened(accounts)],
+      [exchangeRouter, exchangeRouter.filters.PositionClosed(accounts)],
+    ];
+    const onEvent = () => mutate();
+
+    subscriptions.forEach(([contract, filter]) => contract.on(filter, onEvent));
+    return () => {
+      subscriptions.forEach(([contract, filter]) => contract.off(filter, onEvent));
+    };
+  }, [chainId, followsKey, mutate]);
+
+  return {
+    items: follows && follows.length === 0 ? [] : items,
+    isLoading: Boolean(follows && follows.length > 0 && !items && !error),
+    error,
+  };
+}
+
+export function useFeedInteractions(chainId: number, itemIds: string[], account?: string, library?: Web3Provider) {
+  const { getSession } = useSocialSession(chainId, account, library);
+  const idsKey = itemIds.join(",");
+  const { data: interactions, mutate } = useSWR<{ [itemId: string]: FeedInteractions }>(
+    idsKey ? [chainId, "socialInteractions", idsKey] : null,
+    {
+      fetcher: () => getSocialBackend().getInteractions(chainId, idsKey.split(",")),
+      refreshInterval: 30000,
+    }
+  );
+
+  const toggleReaction = useCallback(
+    async (itemId: string, reaction: string) => {
+      const session = await getSession();
+      await getSocialBackend().toggleReaction(session, itemId, reaction);
+      mutate();
+    },
+    [getSession, mutate]
+  );
+
+  const addComment = useCallback(
+    async (itemId: string, text: string) => {
+      const session = await getSession();
+      await getSocialBackend().addComment(session, itemId, text);
+      mutate();
+    },
+    [getSession, mutate]
+  );
+
+  return { interactions, toggleReaction, addComment };
+}
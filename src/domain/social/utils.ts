@@ -0,0 +1,67 @@
+import { ethers } from "ethers";
+import { SOCIAL_API_URL } from "config/backend";
+import { PerpTradeEvent } from "domain/leaderboard";
+import { createHttpSocialBackend } from "./httpBackend";
+import { createLocalSocialBackend } from "./localBackend";
+import { FeedItem, SocialBackend } from "./types";
+
+export const FEED_REACTIONS = ["🚀", "🔥", "😂", "💀"];
+
+let backend: SocialBackend | undefined;
+
+/**
+ * Social backend: the HTTP API when `REACT_APP_SOCIAL_API_URL` is set, otherwise the localStorage stand-in
+ */
+export function getSocialBackend(): SocialBackend {
+  if (!backend) {
+    backend = SOCIAL_API_URL ? createHttpSocialBackend(SOCIAL_API_URL) : createLocalSocialBackend();
+  }
+  return backend;
+}
+
+/**
+ * Turn a trader's ClearingHouse events into feed items. `PositionChanged` carries only the signed size,
+ * so events are replayed per market to tell opens from closes: a close always logs a negative size,
+ * which is a reduce for a long and, for a short, a reduce unless it carries router leverage or outgrows the position.
+ * `events` must be the account's full history in block order.
+ */
+export function getFeedItems(events: PerpTradeEvent[]): FeedItem[] {
+  const zero = ethers.BigNumber.from(0);
+  const sizes: { [key: string]: ethers.BigNumber } = {};
+
+  return events.map((event) => {
+    const key = `${event.account.toLowerCase()}-${event.baseToken.toLowerCase()}`;
+    const size = sizes[key] || zero;
+    const item = {
+      id: event.id,
+      account: ethers.utils.getAddress(event.account),
+      baseToken: event.baseToken,
+      size: event.size.abs(),
+      notional: event.notional,
+      realizedPnl: event.realizedPnl,
+      leverage: event.leverage,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      txHash: event.txHash,
+    };
+
+    if (event.type === "liquidation") {
+      sizes[key] = zero;
+      return { ...item, type: "liquidation" as const, isLong: size.gte(0) };
+    }
+
+    const isOpen =
+      size.isZero() ||
+      event.leverage !== undefined ||
+      (size.gt(0) && event.size.gt(0)) ||
+      (size.lt(0) && event.size.abs().gt(size.abs()));
+
+    if (isOpen) {
+      sizes[key] = size.add(event.size);
+      return { ...item, type: "open" as const, isLong: event.size.gt(0) };
+    }
+
+    sizes[key] = size.gt(0) ? size.add(event.size) : size.sub(event.size);
+    return { ...item, type: "close" as const, isLong: size.gt(0) };
+  });
+}
@@ -0,0 +1,75 @@
+import { BigNumber } from "ethers";
+import {
+  getDueTwapSlice,
+  getNextTwapSliceTime,
+  getScaleAveragePrice,
+  getScalePrices,
+  isTwapOrderDone,
+  splitAmount,
+} from "domain/splitOrders/utils";
+import { TwapOrder } from "domain/splitOrders/types";
+import { expandDecimals } from "lib/numbers";
+
+const usd = (value: number) => expandDecimals(value, 30);
+
+describe("splitAmount", function () {
+  it("splits into equal parts with the remainder in the last one", function () {
+    expect(splitAmount(BigNumber.from(100), 3)).toEqual([BigNumber.from(33), BigNumber.from(33), BigNumber.from(34)]);
+  });
+});
+
+describe("getScalePrices", function () {
+  it("spreads linear prices the same USD apart", function () {
+    expect(getScalePrices(usd(1000), usd(1300), 4, "linear")).toEqual([usd(1000), usd(1100), usd(1200), usd(1300)]);
+  });
+
+  it("spreads geometric prices the same percentage apart", function () {
+    expect(getScalePrices(usd(1000), usd(4000), 3, "geometric")).toEqual([usd(1000), usd(2000), usd(4000)]);
+  });
+});
+
+describe("getScaleAveragePrice", function () {
+  it("is the harmonic mean of the prices", function () {
+    expect(getScaleAveragePrice([usd(1000), usd(4000)])).toEqual(usd(1600));
+  });
+});
+
+describe("TWAP schedule", function () {
+  const startedAt = 1700000000000;
+  const interval = 60 * 1000;
+  const order: TwapOrder = {
+    id: "twap",
+    indexToken: "0x00000000000000000000000000000000000000bb",
+    collateralToken: "0x00000000000000000000000000000000000000bb",
+    isLong: true,
+    path: ["0x00000000000000000000000000000000000000bb"],
+    isNativeIn: false,
+    referralCode: "0x",
+    allowedSlippage: 30,
+    amountsIn: ["1", "1", "1"],
+    sizeDeltas: ["10", "10", "10"],
+    interval,
+    startedAt,
+    sent: 0,
+    failed: 0,
+  };
+
+  it("sends the first slice right away and the next ones an interval apart", function () {
+    expect(getDueTwapSlice(order, startedAt)).toEqual(0);
+    const afterFirst = { ...order, sent: 1, lastSliceAt: startedAt };
+    expect(getDueTwapSlice(afterFirst, startedAt + interval - 1)).toBeUndefined();
+    expect(getDueTwapSlice(afterFirst, startedAt + interval)).toEqual(1);
+  });
+
+  it("catches up missed slices one interval apart", function () {
+    const late = { ...order, sent: 1, failed: 1, lastSliceAt: startedAt + 10 * interval };
+    expect(getNextTwapSliceTime(late)).toEqual(startedAt + 11 * interval);
+  });
+
+  it("is done once every slice was sent or failed, or when cancelled", function () {
+    expect(isTwapOrderDone({ ...order, sent: 2, failed: 1 })).toBe(true);
+    expect(isTwapOrderDone({ ...order, cancelledAt: startedAt })).toBe(true);
+    expect(getDueTwapSlice({ ...order, cancelledAt: startedAt }, startedAt)).toBeUndefined();
+    expect(isTwapOrderDone(order)).toBe(false);
+  });
+});
@@ -0,0 +1,3 @@
+export * from "./types";
+export * from "./utils";
+export * from "./useTwapOrders";
@@ -0,0 +1,27 @@
+// How scale order prices are spread over the range, same USD step or same percentage step between orders
+export type ScaleDistribution = "linear" | "geometric";
+
+/**
+ * A market increase split into slices that are sent one by one through the PositionRouter while the exchange is open.
+ * Amounts are kept as decimal strings so orders survive the JSON round trip through local storage.
+ */
+export type TwapOrder = {
+  id: string;
+  indexToken: string;
+  collateralToken: string;
+  isLong: boolean;
+  path: string[];
+  isNativeIn: boolean;
+  referralCode: string;
+  allowedSlippage: number;
+  // Pay token amount and USD size of each slice
+  amountsIn: string[];
+  sizeDeltas: string[];
+  interval: number;
+  startedAt: number;
+  lastSliceAt?: number;
+  // Slices sent, and slices that were rejected or failed to send, the next slice is the one after both
+  sent: number;
+  failed: number;
+  cancelledAt?: number;
+};
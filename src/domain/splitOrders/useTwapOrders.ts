@@ -0,0 +1,142 @@
+import { useCallback, useEffect, useState } from "react";
+import { t } from "@lingui/macro";
+import { BigNumber } from "ethers";
+import { Web3Provider } from "@ethersproject/providers";
+import { TWAP_ORDERS_KEY } from "config/localStorage";
+import { createIncreasePosition } from "domain/legacy";
+import { getTokenInfo } from "domain/tokens/utils";
+import { BASIS_POINTS_DIVISOR, USD_DECIMALS } from "lib/legacy";
+import { useLocalStorageList } from "lib/localStorage";
+import { formatAmount } from "lib/numbers";
+import { TwapOrder } from "./types";
+import { getDueTwapSlice, getTwapSliceCount, isTwapOrderDone } from "./utils";
+
+export type TwapOrderParams = Omit<TwapOrder, "id" | "startedAt" | "sent" | "failed">;
+
+// How often due slices are looked for, also the refresh rate of the progress countdown
+const TWAP_CHECK_INTERVAL = 5 * 1000;
+
+/**
+ * TWAP orders of an account, kept in local storage per chain. While the exchange is open each due slice is sent as a
+ * market increase at the current price within the order's allowed slippage.
+ */
+export function useTwapOrders({
+  chainId,
+  library,
+  account,
+  infoTokens,
+  minExecutionFee,
+  setPendingTxns,
+}: {
+  chainId: number;
+  library?: Web3Provider;
+  account?: string | null;
+  infoTokens: any;
+  minExecutionFee?: BigNumber;
+  setPendingTxns: (txns: any) => void;
+}) {
+  const {
+    items: twapOrders,
+    itemsRef: ordersRef,
+    saveItems: saveOrders,
+    updateItem: updateOrder,
+    removeItem: removeTwapOrder,
+    runExclusive,
+  } = useLocalStorageList<TwapOrder>([chainId, TWAP_ORDERS_KEY, account]);
+  const [now, setNow] = useState(Date.now());
+  const hasPendingOrders = twapOrders.some((order) => !isTwapOrderDone(order));
+
+  const addTwapOrder = useCallback(
+    (params: TwapOrderParams) => {
+      const startedAt = Date.now();
+      saveOrders([
+        ...ordersRef.current,
+        { ...params, id: `${startedAt}-${params.indexToken}`, startedAt, sent: 0, failed: 0 },
+      ]);
+      setNow(startedAt);
+    },
+    [saveOrders, ordersRef]
+  );
+
+  // Stops sending the remaining slices, the order stays listed with its progress until removed
+  const cancelTwapOrder = useCallback((id: string) => updateOrder(id, { cancelledAt: Date.now() }), [updateOrder]);
+
+  const sendSlice = useCallback(
+    async (order: TwapOrder, index: number) => {
+      const indexToken = getTokenInfo(infoTokens, order.indexToken);
+      const refPrice = order.isLong ? indexToken?.maxPrice : indexToken?.minPrice;
+      if (!refPrice || !minExecutionFee) {
+        return;
+      }
+      const priceBasisPoints = order.isLong
+        ? BASIS_POINTS_DIVISOR + order.allowedSlippage
+        : BASIS_POINTS_DIVISOR - order.allowedSlippage;
+      const acceptablePrice = refPrice.mul(priceBasisPoints).div(BASIS_POINTS_DIVISOR);
+      const sizeDelta = BigNumber.from(order.sizeDeltas[index]);
+      const sliceText = `${index + 1}/${getTwapSliceCount(order)}`;
+
+      updateOrder(order.id, { lastSliceAt: Date.now() });
+      try {
+        await createIncreasePosition(
+          chainId,
+          library,
+          order.path,
+          order.indexToken,
+          BigNumber.from(order.amountsIn[index]),
+          sizeDelta,
+          order.isLong,
+          acceptablePrice,
+          minExecutionFee,
+          order.referralCode,
+          order.isNativeIn,
+          {
+            setPendingTxns,
+            sentMsg: t`TWAP slice ${sliceText} submitted.`,
+            failMsg: t`TWAP slice ${sliceText} failed.`,
+            successMsg: t`Requested TWAP slice ${sliceText}: ${formatAmount(sizeDelta, USD_DECIMALS, 2)} USD.`,
+          }
+        );
+        updateOrder(order.id, (current) => ({ sent: current.sent + 1 }));
+      } catch (e) {
+        // Rejected or failed to send, callContract already reported it
+        updateOrder(order.id, (current) => ({ failed: current.failed + 1 }));
+      }
+    },
+    [chainId, library, infoTokens, minExecutionFee, setPendingTxns, updateOrder]
+  );
+
+  useEffect(() => {
+    if (!account || !library || !hasPendingOrders) {
+      return;
+    }
+    const interval = setInterval(() => setNow(Date.now()), TWAP_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [account, library, hasPendingOrders]);
+
+  useEffect(() => {
+    if (!account || !library) {
+      return;
+    }
+    ordersRef.current.forEach((order) => {
+      if (getDueTwapSlice(order, now) === undefined) {
+        return;
+      }
+      // Every open exchange tab runs this, only the tab holding the order's lock sends and only if the slice is still
+      // due in the order as last stored
+      runExclusive(order.id, async (storedOrder) => {
+        const index = getDueTwapSlice(storedOrder, Date.now());
+        if (index !== undefined) {
+          await sendSlice(storedOrder, index);
+        }
+      });
+    });
+  }, [account, library, now, ordersRef, runExclusive, sendSlice]);
+
+  return {
+    twapOrders,
+    now,
+    addTwapOrder,
+    cancelTwapOrder,
+    removeTwapOrder,
+  };
+}
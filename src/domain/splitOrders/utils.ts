@@ -0,0 +1,101 @@
+import { BigNumber, ethers } from "ethers";
+import { ScaleDistribution, TwapOrder } from "./types";
+
+export const MIN_SPLIT_ORDERS = 2;
+export const MAX_SCALE_ORDERS = 20;
+export const MAX_TWAP_ORDERS = 50;
+const MINUTE = 60 * 1000;
+export const MIN_TWAP_INTERVAL = MINUTE;
+
+// Fixed point precision of the geometric step between scale prices
+const RATIO_PRECISION = 9;
+const RATIO_DIVISOR = BigNumber.from(10).pow(RATIO_PRECISION);
+// Precision of the inverse prices summed by the harmonic mean
+const INVERSE_PRICE_DIVISOR = BigNumber.from(10).pow(60);
+
+// Equal parts of an amount, the rounding remainder goes to the last one
+export function splitAmount(amount: BigNumber, count: number) {
+  const part = amount.div(count);
+  const parts = Array.from({ length: count }, () => part);
+  parts[count - 1] = amount.sub(part.mul(count - 1));
+  return parts;
+}
+
+/**
+ * Prices of `count` orders from `lowPrice` to `highPrice`, both included. Linear prices are the same USD apart,
+ * geometric prices the same percentage apart, which puts more orders close to the low price.
+ */
+export function getScalePrices(
+  lowPrice: BigNumber,
+  highPrice: BigNumber,
+  count: number,
+  distribution: ScaleDistribution
+) {
+  if (count < 2) {
+    return [lowPrice];
+  }
+  const prices: BigNumber[] = [];
+  const totalRatio = parseFloat(ethers.utils.formatUnits(highPrice.mul(RATIO_DIVISOR).div(lowPrice), RATIO_PRECISION));
+  for (let i = 0; i < count - 1; i++) {
+    if (distribution === "linear") {
+      prices.push(
+        lowPrice.add(
+          highPrice
+            .sub(lowPrice)
+            .mul(i)
+            .div(count - 1)
+        )
+      );
+    } else {
+      const ratio = Math.pow(totalRatio, i / (count - 1));
+      prices.push(lowPrice.mul(Math.round(ratio * RATIO_DIVISOR.toNumber())).div(RATIO_DIVISOR));
+    }
+  }
+  prices.push(highPrice);
+  return prices;
+}
+
+// Average entry of orders of the same USD size, the harmonic mean of their prices
+export function getScaleAveragePrice(prices: BigNumber[]) {
+  const inverseSum = prices.reduce((total, price) => total.add(INVERSE_PRICE_DIVISOR.div(price)), BigNumber.from(0));
+  return INVERSE_PRICE_DIVISOR.mul(prices.length).div(inverseSum);
+}
+
+export function getTwapSliceCount(order: TwapOrder) {
+  return order.amountsIn.length;
+}
+
+export function isTwapOrderDone(order: TwapOrder) {
+  return Boolean(order.cancelledAt) || order.sent + order.failed >= getTwapSliceCount(order);
+}
+
+/**
+ * When the next slice of the order is due. Slices are spread over the window from the start, slices missed while the
+ * exchange was closed are caught up one interval apart rather than all at once.
+ */
+export function getNextTwapSliceTime(order: TwapOrder) {
+  if (isTwapOrderDone(order)) {
+    return undefined;
+  }
+  const index = order.sent + order.failed;
+  const scheduledAt = order.startedAt + index * order.interval;
+  if (!order.lastSliceAt) {
+    return scheduledAt;
+  }
+  return Math.max(scheduledAt, order.lastSliceAt + order.interval);
+}
+
+// Index of the slice to send now, if any
+export function getDueTwapSlice(order: TwapOrder, now: number) {
+  const nextSliceTime = getNextTwapSliceTime(order);
+  if (nextSliceTime === undefined || nextSliceTime > now) {
+    return undefined;
+  }
+  return order.sent + order.failed;
+}
+
+export function formatTwapInterval(interval: number) {
+  const minutes = Math.floor(interval / MINUTE);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
@@ -0,0 +1,206 @@
+import { ethers } from "ethers";
+import ClearingHouse from "abis/ClearingHouse.json";
+import Oracle from "abis/Oracle.json";
+import Vamm from "abis/Vamm.json";
+import { getContract } from "config/contracts";
+import { getPerpDeployBlock, getPerpMarkets } from "config/perpMarkets";
+import { SUPPORTED_RESOLUTIONS } from "config/tradingview";
+import { getWsProvider } from "domain/prices";
+import { CHART_PERIODS } from "lib/legacy";
+import { scanBlockRanges } from "lib/logScanner";
+import { getProvider } from "lib/rpc";
+import { CandleCacheEntry, getCachedCandles, getCandleCacheKey, setCachedCandles } from "./candleCache";
+import { mergePricePoints, parsePerpTicker, PricePoint } from "./perpCandles";
+import { Bar } from "./types";
+
+// The Oracle only logs prices when someone caches them, the live index price is read from its feeds instead
+const INDEX_PRICE_POLL_INTERVAL = 10000;
+
+type PerpChartMarket = {
+  baseToken: string;
+  vamm: string;
+};
+
+function toNumber(value: ethers.BigNumber) {
+  return parseFloat(ethers.utils.formatUnits(value, 18));
+}
+
+function getSwapPoint(args: ethers.utils.Result, timestamp: number): PricePoint {
+  return {
+    timestamp,
+    // The pool price right after the swap is the mark price traders see next
+    price: toNumber(args.newQuoteReserve) / toNumber(args.newBaseReserve),
+    volume: toNumber(args.quoteAmount),
+  };
+}
+
+/**
+ * Candles for perp markets built from on-chain logs: `Vamm.Swapped` for the mark price and `Oracle.PriceUpdated` for
+ * the index price. Logs are scanned incrementally from the last cached block and folded into bars for every supported
+ * resolution at once, so switching resolutions never rescans.
+ */
+export class PerpCandleSource {
+  chainId: number;
+  provider: ethers.providers.Provider;
+  markets: { [symbol: string]: Promise<PerpChartMarket | undefined> };
+  entries: { [ticker: string]: CandleCacheEntry };
+  pendingSyncs: { [ticker: string]: Promise<CandleCacheEntry> | undefined };
+  blockTimestamps: { [blockNumber: number]: number };
+
+  constructor(chainId: number) {
+    this.chainId = chainId;
+    this.provider = getProvider(undefined, chainId) as ethers.providers.Provider;
+    this.markets = {};
+    this.entries = {};
+    this.pendingSyncs = {};
+    this.blockTimestamps = {};
+  }
+
+  getMarket(symbol: string) {
+    if (!this.markets[symbol]) {
+      this.markets[symbol] = this.resolveMarket(symbol);
+    }
+    return this.markets[symbol];
+  }
+
+  async resolveMarket(symbol: string): Promise<PerpChartMarket | undefined> {
+    const market = getPerpMarkets(this.chainId).find((m) => m.symbol === symbol);
+    if (!market) {
+      return undefined;
+    }
+    const clearingHouse = new ethers.Contract(
+      getContract(this.chainId, "PerpClearingHouse"),
+      ClearingHouse.abi,
+      this.provider
+    );
+    try {
+      const { vamm } = await clearingHouse.markets(market.baseToken);
+      if (vamm !== ethers.constants.AddressZero) {
+        return { baseToken: market.baseToken, vamm };
+      }
+    } catch (error) {
+      // Falls back to the listed market below
+    }
+    // Markets are listed with their vAMM doubling as the base token
+    return { baseToken: market.baseToken, vamm: market.baseToken };
+  }
+
+  async getBlockTimestamp(blockNumber: number) {
+    if (!this.blockTimestamps[blockNumber]) {
+      const block = await this.provider.getBlock(blockNumber);
+      this.blockTimestamps[blockNumber] = block.timestamp;
+    }
+    return this.blockTimestamps[blockNumber];
+  }
+
+  async getPricePoints(market: PerpChartMarket, isIndex: boolean, fromBlock: number, toBlock: number) {
+    if (isIndex) {
+      const oracle = new ethers.Contract(getContract(this.chainId, "PerpOracle"), Oracle.abi, this.provider);
+      const logs = await oracle.queryFilter(oracle.filters.PriceUpdated(market.baseToken), fromBlock, toBlock);
+      return logs.map(({ args }) => ({
+        timestamp: args!.timestamp.toNumber(),
+        price: toNumber(args!.price),
+        volume: 0,
+      }));
+    }
+
+    const vamm = new ethers.Contract(market.vamm, Vamm.abi, this.provider);
+    const logs = await vamm.queryFilter(vamm.filters.Swapped(), fromBlock, toBlock);
+    const points: PricePoint[] = [];
+    for (const log of logs) {
+      points.push(getSwapPoint(log.args!, await this.getBlockTimestamp(log.blockNumber)));
+    }
+    return points;
+  }
+
+  async sync(ticker: string): Promise<CandleCacheEntry> {
+    const perpTicker = parsePerpTicker(ticker);
+    const market = perpTicker && (await this.getMarket(perpTicker.symbol));
+    if (!perpTicker || !market) {
+      throw new Error(`No perp market for ${ticker}`);
+    }
+
+    const cacheKey = getCandleCacheKey(
+      this.chainId,
+      perpTicker.isIndex ? market.baseToken : market.vamm,
+      perpTicker.isIndex
+    );
+    const entry = this.entries[ticker] ||
+      (await getCachedCandles(cacheKey)) || { toBlock: getPerpDeployBlock(this.chainId) - 1, bars: {} };
+
+    const latestBlock = await this.provider.getBlockNumber();
+    await scanBlockRanges(entry.toBlock + 1, latestBlock, async (fromBlock, toBlock) => {
+      const points = await this.getPricePoints(market, perpTicker.isIndex, fromBlock, toBlock);
+      Object.values(SUPPORTED_RESOLUTIONS).forEach((period) => {
+        entry.bars[period] = mergePricePoints(entry.bars[period] || [], points, CHART_PERIODS[period]);
+      });
+      entry.toBlock = toBlock;
+    });
+
+    this.entries[ticker] = entry;
+    await setCachedCandles(cacheKey, entry);
+    return entry;
+  }
+
+  /**
+   * Bars for `period` in UTC seconds, brought up to date with the chain first
+   */
+  async getBars(ticker: string, period: string): Promise<Bar[]> {
+    if (!this.pendingSyncs[ticker]) {
+      this.pendingSyncs[ticker] = this.sync(ticker).finally(() => {
+        this.pendingSyncs[ticker] = undefined;
+      });
+    }
+    const entry = await this.pendingSyncs[ticker]!;
+    return entry.bars[period] || [];
+  }
+
+  /**
+   * Stream new prices for a perp ticker: every swap on the vAMM, or the Oracle's index price on an interval
+   */
+  subscribe(ticker: string, callback: (point: PricePoint) => void): () => void {
+    const perpTicker = parsePerpTicker(ticker);
+    let isActive = true;
+    let unsubscribe = () => {
+      isActive = false;
+    };
+    if (!perpTicker) {
+      return unsubscribe;
+    }
+
+    this.getMarket(perpTicker.symbol).then((market) => {
+      if (!market || !isActive) {
+        return;
+      }
+      const provider = getWsProvider(this.chainId) || this.provider;
+
+      if (perpTicker.isIndex) {
+        const oracle = new ethers.Contract(getContract(this.chainId, "PerpOracle"), Oracle.abi, provider);
+        const poll = () =>
+          oracle
+            .getIndexPrice(market.baseToken)
+            .then(({ value }) => callback({ timestamp: Date.now() / 1000, price: toNumber(value), volume: 0 }))
+            // A failed poll keeps the last bar, the next one retries
+            .catch(() => undefined);
+        poll();
+        const interval = setInterval(poll, INDEX_PRICE_POLL_INTERVAL);
+        unsubscribe = () => clearInterval(interval);
+        return;
+      }
+
+      const vamm = new ethers.Contract(market.vamm, Vamm.abi, provider);
+      const filter = vamm.filters.Swapped();
+      // Live swaps are stamped with the local clock, fetching each block would lag the bar behind the trade
+      const onSwapped = (...args) => {
+        const event: ethers.Event = args[args.length - 1];
+        callback(getSwapPoint(event.args!, Date.now() / 1000));
+      };
+      vamm.on(filter, onSwapped);
+      unsubscribe = () => {
+        vamm.off(filter, onSwapped);
+      };
+    });
+
+    return () => unsubscribe();
+  }
+}
@@ -7,6 +7,9 @@ import { formatTimeInBarToMs, getCurrentCandleTime } from "./utils";
 import { fillBarGaps, getCurrentPriceOfToken, getStableCoinPrice, getTokenChartPrice } from "./requests";
 import { BigNumberish, BigNumber } from "ethers";
 import { PeriodParams } from "charting_library";
+import { getTokenBySymbol } from "config/tokens";
+import { PerpCandleSource } from "./PerpCandleSource";
+import { isPerpTicker, PricePoint } from "./perpCandles";
 
 const initialHistoryBarsInfo = {
   period: "",
@@ -14,6 +17,26 @@ const initialHistoryBarsInfo = {
   ticker: "",
 };
 
+function filterBarsByPeriodParams(data: Bar[], periodParams: PeriodParams) {
+  const { from, to, countBack } = periodParams;
+  const toWithOffset = to + timezoneOffset;
+  const fromWithOffset = from + timezoneOffset;
+  const bars = data.filter((bar) => bar.time > fromWithOffset && bar.time <= toWithOffset);
+
+  // if no bars returned, return empty array
+  if (!bars.length) {
+    return [];
+  }
+
+  // if bars are fewer than countBack, return all of them
+  if (bars.length < countBack) {
+    return bars;
+  }
+
+  // if bars are more than countBack, return latest bars
+  return bars.slice(bars.length - countBack, bars.length);
+}
+
 export class TVDataProvider {
   lastBar: Bar | null;
   startTime: number;
@@ -28,6 +51,9 @@ export class TVDataProvider {
   chainId: number;
   realtimeUpdateCallback: ((bar: Bar) => void) | null;
   priceSubscriptionUnsubscribe: (() => void) | null;
+  perpCandleSource: PerpCandleSource | null;
+  // Live bars of perp tickers keyed by ticker and period, the chart streams the mark and index series side by side
+  perpLastBars: { [key: string]: Bar };
 
   constructor(chainId?: number) {
     this.lastBar = null;
@@ -39,6 +65,8 @@ export class TVDataProvider {
     this.priceStreamManager = chainId ? new PriceStreamManager(chainId) : null;
     this.realtimeUpdateCallback = null;
     this.priceSubscriptionUnsubscribe = null;
+    this.perpCandleSource = chainId ? new PerpCandleSource(chainId) : null;
+    this.perpLastBars = {};
   }
 
   setChainId(chainId: number) {
@@ -47,9 +75,25 @@ export class TVDataProvider {
       this.priceStreamManager.unsubscribeAll();
     }
     this.priceStreamManager = new PriceStreamManager(chainId);
+    this.perpCandleSource = new PerpCandleSource(chainId);
+    this.perpLastBars = {};
+  }
+
+  // Chart tickers are token symbols, the price hub is keyed by address
+  getTickerAddress(ticker: string) {
+    try {
+      return getTokenBySymbol(this.chainId, ticker).address;
+    } catch {
+      return ticker;
+    }
   }
 
   async getCurrentPriceOfToken(chainId: number, ticker: string): Promise<BigNumberish> {
+    // Reuse the hub's price while it is fresh rather than requesting it again
+    const streamedPrice = this.priceStreamManager?.getPrice(this.getTickerAddress(ticker));
+    if (chainId === this.chainId && streamedPrice && !streamedPrice.isStale) {
+      return streamedPrice.price;
+    }
     return getCurrentPriceOfToken(chainId, ticker);
   }
 
@@ -88,23 +132,23 @@ export class TVDataProvider {
       }
     }
 
-    const { from, to, countBack } = periodParams;
-    const toWithOffset = to + timezoneOffset;
-    const fromWithOffset = from + timezoneOffset;
-    const bars = barsInfo.data.filter((bar) => bar.time > fromWithOffset && bar.time <= toWithOffset);
+    return filterBarsByPeriodParams(barsInfo.data, periodParams);
+  }
 
-    // if no bars returned, return empty array
-    if (!bars.length) {
+  async getPerpHistoryBars(ticker: string, period: string, periodParams: PeriodParams): Promise<Bar[]> {
+    if (!this.perpCandleSource) {
       return [];
     }
-
-    // if bars are fewer than countBack, return all of them
-    if (bars.length < countBack) {
-      return bars;
+    const bars = await this.perpCandleSource.getBars(ticker, period);
+    const filledBars = fillBarGaps(
+      bars.map((bar) => ({ ...bar, time: bar.time + timezoneOffset })),
+      CHART_PERIODS[period]
+    );
+    const lastBar = filledBars[filledBars.length - 1];
+    if (lastBar) {
+      this.perpLastBars[`${ticker}-${period}`] = { ...lastBar, ticker };
     }
-
-    // if bars are more than countBack, return latest bars
-    return bars.slice(bars.length - countBack, bars.length);
+    return filterBarsByPeriodParams(filledBars, periodParams);
   }
 
   async getBars(
@@ -119,9 +163,14 @@ export class TVDataProvider {
     const { from, to } = periodParams;
 
     try {
-      const bars = isStable
-        ? getStableCoinPrice(period, from, to)
-        : await this.getTokenHistoryBars(chainId, ticker, period, periodParams, shouldRefetchBars);
+      let bars: Bar[];
+      if (isStable) {
+        bars = getStableCoinPrice(period, from, to);
+      } else if (isPerpTicker(ticker)) {
+        bars = await this.getPerpHistoryBars(ticker, period, periodParams);
+      } else {
+        bars = await this.getTokenHistoryBars(chainId, ticker, period, periodParams, shouldRefetchBars);
+      }
 
       return bars.map(formatTimeInBarToMs);
     } catch {
@@ -208,7 +257,7 @@ export class TVDataProvider {
 
     // Subscribe to price updates
     this.priceSubscriptionUnsubscribe = this.priceStreamManager.subscribe(
-      tokenAddress,
+      this.getTickerAddress(tokenAddress),
       (price: BigNumber) => {
         const currentCandleTime = getCurrentCandleTime(period);
         const averagePriceValue = parseFloat(formatAmount(price, USD_DECIMALS, 4));
@@ -254,6 +303,41 @@ export class TVDataProvider {
     return this.priceSubscriptionUnsubscribe;
   }
 
+  // Subscribe to mark or index prices of a perp ticker, returns its own unsubscribe so several series can stream at once
+  subscribeToPerpPrices(ticker: string, callback: (bar: Bar) => void, resolution: string) {
+    if (!this.perpCandleSource) return null;
+
+    const period = SUPPORTED_RESOLUTIONS[resolution];
+    const key = `${ticker}-${period}`;
+
+    return this.perpCandleSource.subscribe(ticker, ({ price, volume }: PricePoint) => {
+      const currentCandleTime = getCurrentCandleTime(period);
+      const lastBar = this.perpLastBars[key];
+
+      if (lastBar && lastBar.time === currentCandleTime) {
+        this.perpLastBars[key] = {
+          ...lastBar,
+          close: price,
+          high: Math.max(lastBar.high, price),
+          low: Math.min(lastBar.low, price),
+          volume: (lastBar.volume || 0) + volume,
+        };
+      } else {
+        const open = lastBar ? lastBar.close : price;
+        this.perpLastBars[key] = {
+          time: currentCandleTime,
+          open,
+          close: price,
+          high: Math.max(open, price),
+          low: Math.min(open, price),
+          volume,
+          ticker,
+        };
+      }
+      callback(this.perpLastBars[key]);
+    });
+  }
+
   // Unsubscribe from real-time price updates
   unsubscribeFromRealtimePrices() {
     if (this.priceSubscriptionUnsubscribe) {
@@ -0,0 +1,56 @@
+import { getPerpIndexTicker, getPerpTicker, mergePricePoints, parsePerpTicker } from "domain/tradingview/perpCandles";
+
+describe("mergePricePoints", function () {
+  const period = 300;
+
+  it("folds swaps inside one period into a single OHLCV bar", function () {
+    const bars = mergePricePoints(
+      [],
+      [
+        { timestamp: 610, price: 2000, volume: 100 },
+        { timestamp: 700, price: 2030, volume: 50 },
+        { timestamp: 650, price: 1990, volume: 25 },
+      ],
+      period
+    );
+
+    expect(bars).toEqual([{ time: 600, open: 2000, close: 2030, high: 2030, low: 1990, volume: 175 }]);
+  });
+
+  it("opens a new bar at the previous close", function () {
+    const bars = mergePricePoints(
+      [],
+      [
+        { timestamp: 610, price: 2000, volume: 1 },
+        { timestamp: 1210, price: 2100, volume: 2 },
+      ],
+      period
+    );
+
+    expect(bars).toHaveLength(2);
+    expect(bars[1]).toEqual({ time: 1200, open: 2000, close: 2100, high: 2100, low: 2000, volume: 2 });
+  });
+
+  it("continues the last cached bar and skips points it already covers", function () {
+    const cached = [{ time: 600, open: 2000, close: 2010, high: 2020, low: 1995, volume: 10 }];
+    const bars = mergePricePoints(
+      cached,
+      [
+        { timestamp: 300, price: 1500, volume: 99 },
+        { timestamp: 890, price: 2025, volume: 5 },
+      ],
+      period
+    );
+
+    expect(bars).toEqual([{ time: 600, open: 2000, close: 2025, high: 2025, low: 1995, volume: 15 }]);
+    expect(cached[0].close).toBe(2010);
+  });
+});
+
+describe("perp tickers", function () {
+  it("round-trips mark and index tickers", function () {
+    expect(parsePerpTicker(getPerpTicker("ETH"))).toEqual({ symbol: "ETH", isIndex: false });
+    expect(parsePerpTicker(getPerpIndexTicker("ETH"))).toEqual({ symbol: "ETH", isIndex: true });
+    expect(parsePerpTicker("ETH")).toBeUndefined();
+  });
+});
@@ -0,0 +1,66 @@
+import { Bar } from "./types";
+
+const DB_NAME = "perp-candles";
+const DB_VERSION = 1;
+const STORE_NAME = "candles";
+
+export type CandleCacheEntry = {
+  // Last block whose logs are folded into the bars
+  toBlock: number;
+  // Bars per chart period, e.g. "5m" or "1d"
+  bars: { [period: string]: Bar[] };
+};
+
+let dbPromise: Promise<IDBDatabase | undefined> | undefined;
+
+function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDb() {
+  if (!dbPromise) {
+    if (typeof indexedDB === "undefined") {
+      dbPromise = Promise.resolve(undefined);
+    } else {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      // Private browsing modes may refuse IndexedDB, candles are then rebuilt from logs on every load
+      dbPromise = requestToPromise(request).catch(() => undefined);
+    }
+  }
+  return dbPromise;
+}
+
+export function getCandleCacheKey(chainId: number, address: string, isIndex: boolean) {
+  return [chainId, address.toLowerCase(), isIndex ? "index" : "mark"].join("-");
+}
+
+export async function getCachedCandles(key: string): Promise<CandleCacheEntry | undefined> {
+  const db = await openDb();
+  if (!db) {
+    return undefined;
+  }
+  try {
+    return await requestToPromise(db.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME).get(key));
+  } catch (error) {
+    // An unreadable entry is treated as a miss
+    return undefined;
+  }
+}
+
+export async function setCachedCandles(key: string, entry: CandleCacheEntry) {
+  const db = await openDb();
+  if (!db) {
+    return;
+  }
+  try {
+    await requestToPromise(db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME).put(entry, key));
+  } catch (error) {
+    // Not caching only costs a rebuild on the next load
+  }
+}
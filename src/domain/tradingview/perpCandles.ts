@@ -0,0 +1,85 @@
+import { Bar } from "./types";
+
+// Perp markets are charted under their own tickers so they never collide with the spot token symbols
+export const PERP_TICKER_SUFFIX = "-PERP";
+export const INDEX_TICKER_SUFFIX = "-INDEX";
+
+// Older bars are dropped once a resolution holds this many, keeps the IndexedDB cache bounded
+export const MAX_CACHED_BARS = 5000;
+
+export type PricePoint = {
+  // Unix timestamp in seconds
+  timestamp: number;
+  price: number;
+  // Quote notional traded, zero for index price updates
+  volume: number;
+};
+
+export type PerpTicker = {
+  symbol: string;
+  isIndex: boolean;
+};
+
+export function getPerpTicker(symbol: string) {
+  return `${symbol}${PERP_TICKER_SUFFIX}`;
+}
+
+export function getPerpIndexTicker(symbol: string) {
+  return `${getPerpTicker(symbol)}${INDEX_TICKER_SUFFIX}`;
+}
+
+export function parsePerpTicker(ticker: string): PerpTicker | undefined {
+  if (ticker.endsWith(`${PERP_TICKER_SUFFIX}${INDEX_TICKER_SUFFIX}`)) {
+    return { symbol: ticker.slice(0, -(PERP_TICKER_SUFFIX + INDEX_TICKER_SUFFIX).length), isIndex: true };
+  }
+  if (ticker.endsWith(PERP_TICKER_SUFFIX)) {
+    return { symbol: ticker.slice(0, -PERP_TICKER_SUFFIX.length), isIndex: false };
+  }
+  return undefined;
+}
+
+export function isPerpTicker(ticker?: string) {
+  return Boolean(ticker && parsePerpTicker(ticker));
+}
+
+/**
+ * Fold price points into OHLCV bars of `periodSeconds`, bar times are UTC seconds.
+ * A bar opens at the previous bar's close so consecutive candles connect; points older than the last bar were already
+ * merged by an earlier scan and are skipped.
+ */
+export function mergePricePoints(bars: Bar[], points: PricePoint[], periodSeconds: number): Bar[] {
+  const merged = bars.slice();
+  const sortedPoints = points.slice().sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const { timestamp, price, volume } of sortedPoints) {
+    const time = Math.floor(timestamp / periodSeconds) * periodSeconds;
+    const lastBar = merged[merged.length - 1];
+
+    if (lastBar && time < lastBar.time) {
+      continue;
+    }
+
+    if (lastBar && time === lastBar.time) {
+      merged[merged.length - 1] = {
+        ...lastBar,
+        close: price,
+        high: Math.max(lastBar.high, price),
+        low: Math.min(lastBar.low, price),
+        volume: (lastBar.volume || 0) + volume,
+      };
+      continue;
+    }
+
+    const open = lastBar ? lastBar.close : price;
+    merged.push({
+      time,
+      open,
+      close: price,
+      high: Math.max(open, price),
+      low: Math.min(open, price),
+      volume,
+    });
+  }
+
+  return merged.length > MAX_CACHED_BARS ? merged.slice(merged.length - MAX_CACHED_BARS) : merged;
+}
@@ -6,6 +6,7 @@ import { useEffect, useMemo, useRef } from "react";
 import { TVDataProvider } from "./TVDataProvider";
 import { SymbolInfo } from "./types";
 import { formatTimeInBarToMs } from "./utils";
+import { parsePerpTicker } from "./perpCandles";
 
 const configurationData = {
   supported_resolutions: Object.keys(SUPPORTED_RESOLUTIONS),
@@ -26,6 +27,8 @@ export default function useTVDatafeed({ dataProvider }: Props) {
   const activeTicker = useRef<string | undefined>();
   const tvDataProvider = useRef<TVDataProvider>();
   const shouldRefetchBars = useRef<boolean>(false);
+  // Perp series are streamed per subscriber, the chart runs the mark price and its index overlay at the same time
+  const perpSubscriptions = useRef<{ [subscriberUID: string]: (() => void) | null }>({});
 
   useEffect(() => {
     if (dataProvider && tvDataProvider.current !== dataProvider) {
@@ -45,7 +48,8 @@ export default function useTVDatafeed({ dataProvider }: Props) {
           setTimeout(() => callback(configurationData));
         },
         resolveSymbol(symbolName, onSymbolResolvedCallback) {
-          if (!isChartAvailabeForToken(chainId, symbolName)) {
+          const perpTicker = parsePerpTicker(symbolName);
+          if (!perpTicker && !isChartAvailabeForToken(chainId, symbolName)) {
             symbolName = getNativeToken(chainId).symbol;
           }
 
@@ -55,7 +59,9 @@ export default function useTVDatafeed({ dataProvider }: Props) {
           const symbolInfo = {
             name: symbolName,
             type: "crypto",
-            description: symbolName + " / USD",
+            description: perpTicker
+              ? `${perpTicker.symbol} ${perpTicker.isIndex ? "Index" : "Perp"} / USD`
+              : symbolName + " / USD",
             ticker: symbolName,
             session: "24x7",
             minmov: 1,
@@ -64,7 +70,7 @@ export default function useTVDatafeed({ dataProvider }: Props) {
             has_intraday: true,
             has_daily: true,
             currency_code: "USD",
-            visible_plots_set: "ohlc",
+            visible_plots_set: perpTicker && !perpTicker.isIndex ? "ohlcv" : "ohlc",
             data_status: "streaming",
             isStable: stableTokens.includes(symbolName),
           };
@@ -82,7 +88,7 @@ export default function useTVDatafeed({ dataProvider }: Props) {
             return onErrorCallback("[getBars] Invalid resolution");
           }
           const { ticker, isStable } = symbolInfo;
-          if (activeTicker.current !== ticker) {
+          if (activeTicker.current !== ticker && !parsePerpTicker(ticker!)) {
             activeTicker.current = ticker;
           }
 
@@ -100,7 +106,7 @@ export default function useTVDatafeed({ dataProvider }: Props) {
               shouldRefetchBars.current
             );
             const noData = !bars || bars.length === 0;
-            onHistoryCallback(bars, { noData });
+            onHistoryCallback(bars || [], { noData });
           } catch {
             onErrorCallback("Unable to load historical data!");
           }
@@ -109,13 +115,21 @@ export default function useTVDatafeed({ dataProvider }: Props) {
           symbolInfo: SymbolInfo,
           resolution: ResolutionString,
           onRealtimeCallback: SubscribeBarsCallback,
-          _subscribeUID,
+          subscribeUID,
           onResetCacheNeededCallback: () => void
         ) {
           const { ticker, isStable } = symbolInfo;
           if (!ticker) {
             return;
           }
+          if (parsePerpTicker(ticker)) {
+            perpSubscriptions.current[subscribeUID] = tvDataProvider.current?.subscribeToPerpPrices(
+              ticker,
+              (bar) => onRealtimeCallback(formatTimeInBarToMs(bar)),
+              resolution
+            ) ?? null;
+            return;
+          }
           intervalRef.current && clearInterval(intervalRef.current);
           resetCacheRef.current = onResetCacheNeededCallback;
           
@@ -149,7 +163,12 @@ export default function useTVDatafeed({ dataProvider }: Props) {
             }, 1500);
           }
         },
-        unsubscribeBars: () => {
+        unsubscribeBars: (subscriberUID: string) => {
+          if (subscriberUID in perpSubscriptions.current) {
+            perpSubscriptions.current[subscriberUID]?.();
+            delete perpSubscriptions.current[subscriberUID];
+            return;
+          }
           intervalRef.current && clearInterval(intervalRef.current);
           // Cleanup WebSocket subscriptions
           tvDataProvider.current?.unsubscribeFromRealtimePrices();
@@ -0,0 +1,102 @@
+import { BigNumber } from "ethers";
+import {
+  getTrailingStopActions,
+  getTrailingStopTriggerPrice,
+  TRAILING_STOP_RETRY_DELAY,
+} from "domain/trailingStops/utils";
+import { TrailingStop } from "domain/trailingStops/types";
+import { DECREASE, ORDER_MISSING_GRACE } from "lib/legacy";
+import { expandDecimals } from "lib/numbers";
+
+describe("getTrailingStopTriggerPrice", function () {
+  const usd = (value: number) => expandDecimals(value, 30);
+
+  it("trails the best price by a percentage or a USD amount", function () {
+    expect(getTrailingStopTriggerPrice(usd(2000), true, "percent", BigNumber.from(500))).toEqual(usd(1900));
+    expect(getTrailingStopTriggerPrice(usd(2000), false, "percent", BigNumber.from(500))).toEqual(usd(2100));
+    expect(getTrailingStopTriggerPrice(usd(2000), true, "usd", usd(150))).toEqual(usd(1850));
+    expect(getTrailingStopTriggerPrice(usd(2000), false, "usd", usd(150))).toEqual(usd(2150));
+  });
+
+  it("has no trigger price when the offset is larger than the price", function () {
+    expect(getTrailingStopTriggerPrice(usd(2000), true, "usd", usd(2000))).toBeUndefined();
+  });
+});
+
+describe("getTrailingStopActions", function () {
+  const indexToken = "0x00000000000000000000000000000000000000bb";
+  const now = 1700000000000;
+  const usd = (value: number) => expandDecimals(value, 30);
+
+  const stop: TrailingStop = {
+    id: "stop",
+    orderIndex: 7,
+    indexToken,
+    collateralToken: indexToken,
+    isLong: true,
+    offsetType: "percent",
+    offset: "500",
+    bestPrice: usd(2000).toString(),
+    createdAt: now - 1000,
+  };
+  const order = {
+    type: DECREASE,
+    index: 7,
+    sizeDelta: usd(1000),
+    collateralDelta: BigNumber.from(0),
+    triggerPrice: usd(1900),
+    triggerAboveThreshold: false,
+  };
+
+  it("records a new best price and moves the trigger behind it", function () {
+    expect(getTrailingStopActions([stop], [order], { [indexToken]: usd(2100) }, now)).toEqual([
+      { type: "update", stop, changes: { bestPrice: usd(2100).toString() } },
+      { type: "move", stop, order, triggerPrice: usd(1995) },
+    ]);
+  });
+
+  it("keeps the trigger when the price moves against the position or too little", function () {
+    expect(getTrailingStopActions([stop], [order], { [indexToken]: usd(1950) }, now)).toEqual([]);
+    expect(getTrailingStopActions([stop], [order], { [indexToken]: usd(2001) }, now)).toEqual([
+      { type: "update", stop, changes: { bestPrice: usd(2001).toString() } },
+    ]);
+  });
+
+  it("doesn't repeat a move the order list doesn't show yet", function () {
+    const moved = { ...stop, bestPrice: usd(2100).toString(), triggerPrice: usd(1995).toString() };
+    expect(getTrailingStopActions([moved], [order], { [indexToken]: usd(2100) }, now)).toEqual([]);
+  });
+
+  it("trails shorts from the lowest price", function () {
+    const short = { ...stop, isLong: false };
+    const shortOrder = { ...order, triggerPrice: usd(2100), triggerAboveThreshold: true };
+    expect(getTrailingStopActions([short], [shortOrder], { [indexToken]: usd(1900) }, now)).toEqual([
+      { type: "update", stop: short, changes: { bestPrice: usd(1900).toString() } },
+      { type: "move", stop: short, order: shortOrder, triggerPrice: usd(1995) },
+    ]);
+    expect(getTrailingStopActions([short], [shortOrder], { [indexToken]: usd(2050) }, now)).toEqual([]);
+  });
+
+  it("waits after a failed move", function () {
+    const failed = { ...stop, bestPrice: usd(2100).toString(), failedAt: now - 1000 };
+    expect(getTrailingStopActions([failed], [order], {}, now)).toEqual([]);
+    expect(getTrailingStopActions([failed], [order], {}, now + TRAILING_STOP_RETRY_DELAY)).toEqual([
+      { type: "move", stop: failed, order, triggerPrice: usd(1995) },
+    ]);
+  });
+
+  it("drops stops whose order is gone", function () {
+    expect(getTrailingStopActions([stop], [], {}, now)).toEqual([
+      { type: "update", stop, changes: { missingSince: now } },
+    ]);
+
+    const missing = { ...stop, missingSince: now - 1000 };
+    expect(getTrailingStopActions([missing], [], {}, now)).toEqual([]);
+    expect(getTrailingStopActions([missing], [], {}, now + ORDER_MISSING_GRACE)).toEqual([
+      { type: "remove", stop: missing },
+    ]);
+    expect(getTrailingStopActions([missing], [order], {}, now)).toEqual([
+      { type: "update", stop: missing, changes: { missingSince: undefined } },
+    ]);
+  });
+});
@@ -0,0 +1,43 @@
+import { BigNumber } from "ethers";
+
+// Offsets are in basis points of the best price or in USD with USD_DECIMALS
+export type TrailingOffsetType = "percent" | "usd";
+
+/**
+ * An OrderBook decrease order whose trigger price follows the best price seen since the stop was activated,
+ * `offset` behind it. Amounts are kept as decimal strings so stops survive the JSON round trip through local storage.
+ */
+export type TrailingStop = {
+  id: string;
+  orderIndex: number;
+  indexToken: string;
+  collateralToken: string;
+  isLong: boolean;
+  offsetType: TrailingOffsetType;
+  offset: string;
+  // Highest price for longs, lowest for shorts
+  bestPrice: string;
+  // Trigger price of the last move, ahead of the order list until it refreshes
+  triggerPrice?: string;
+  createdAt: number;
+  updatedAt?: number;
+  // Last update that was rejected or reverted, the next one waits for TRAILING_STOP_RETRY_DELAY
+  failedAt?: number;
+  // Set while the order is missing from the order list
+  missingSince?: number;
+};
+
+// Subset of the orders `useAccountOrders` returns that trailing stops are matched against
+export type TrailingStopOrder = {
+  type: string;
+  index: number;
+  sizeDelta: BigNumber;
+  collateralDelta: BigNumber;
+  triggerPrice: BigNumber;
+  triggerAboveThreshold: boolean;
+};
+
+export type TrailingStopAction =
+  | { type: "update"; stop: TrailingStop; changes: Partial<TrailingStop> }
+  | { type: "move"; stop: TrailingStop; order: TrailingStopOrder; triggerPrice: BigNumber }
+  | { type: "remove"; stop: TrailingStop };
@@ -0,0 +1,122 @@
+import { useCallback, useEffect, useMemo } from "react";
+import { t } from "@lingui/macro";
+import { BigNumber } from "ethers";
+import { Web3Provider } from "@ethersproject/providers";
+import { TRAILING_STOPS_KEY } from "config/localStorage";
+import { updateDecreaseOrder } from "domain/legacy";
+import { useStreamedPrices } from "domain/priceStream";
+import { useLocalStorageList } from "lib/localStorage";
+import { TrailingStop, TrailingStopOrder } from "./types";
+import { getTrailingStopActions } from "./utils";
+
+export type TrailingStopParams = Omit<TrailingStop, "id" | "createdAt">;
+
+/**
+ * Trailing stops of an account, kept in local storage per chain. While the exchange is open the streamed price of each
+ * stop's index token is tracked and the trigger price of its decrease order is moved up behind the best price.
+ */
+export function useTrailingStops({
+  chainId,
+  library,
+  account,
+  orders,
+  setPendingTxns,
+}: {
+  chainId: number;
+  library?: Web3Provider;
+  account?: string | null;
+  orders: TrailingStopOrder[];
+  setPendingTxns: (txns: any) => void;
+}) {
+  const {
+    items: trailingStops,
+    itemsRef: stopsRef,
+    saveItems: saveStops,
+    updateItem: updateStop,
+    removeItem: removeStop,
+    runExclusive,
+  } = useLocalStorageList<TrailingStop>([chainId, TRAILING_STOPS_KEY, account]);
+
+  const indexTokens = useMemo(() => Array.from(new Set(trailingStops.map((stop) => stop.indexToken))), [trailingStops]);
+  const streamedPrices = useStreamedPrices(chainId, indexTokens);
+
+  const addTrailingStop = useCallback(
+    (params: TrailingStopParams) => {
+      const createdAt = Date.now();
+      saveStops([...stopsRef.current, { ...params, id: `${createdAt}-${params.orderIndex}`, createdAt }]);
+    },
+    [saveStops, stopsRef]
+  );
+
+  // Stops trailing the order, e.g. when it is cancelled or edited by hand
+  const removeTrailingStop = useCallback(
+    (orderIndex: number) => saveStops(stopsRef.current.filter((stop) => stop.orderIndex !== orderIndex)),
+    [saveStops, stopsRef]
+  );
+
+  const moveStop = useCallback(
+    async (stop: TrailingStop, order: TrailingStopOrder, triggerPrice: BigNumber) => {
+      try {
+        const tx = await updateDecreaseOrder(
+          chainId,
+          library,
+          order.index,
+          order.collateralDelta,
+          order.sizeDelta,
+          triggerPrice,
+          order.triggerAboveThreshold,
+          {
+            sentMsg: t`Trailing stop update submitted!`,
+            successMsg: t`Trailing stop moved.`,
+            failMsg: t`Trailing stop update failed.`,
+            setPendingTxns,
+          }
+        );
+        await tx.wait();
+        updateStop(stop.id, { triggerPrice: triggerPrice.toString(), failedAt: undefined, updatedAt: Date.now() });
+      } catch (e) {
+        // Rejected or reverted, callContract already reported it
+        updateStop(stop.id, { failedAt: Date.now() });
+      }
+    },
+    [chainId, library, setPendingTxns, updateStop]
+  );
+
+  useEffect(() => {
+    if (!account || !library || stopsRef.current.length === 0) {
+      return;
+    }
+    const prices: { [token: string]: BigNumber } = {};
+    Object.keys(streamedPrices).forEach((token) => {
+      if (!streamedPrices[token].isStale) {
+        prices[token] = streamedPrices[token].price;
+      }
+    });
+
+    const actions = getTrailingStopActions(stopsRef.current, orders, prices, Date.now());
+    actions.forEach((action) => {
+      const { stop } = action;
+      if (action.type === "update") {
+        updateStop(stop.id, action.changes);
+      } else if (action.type === "remove") {
+        removeStop(stop.id);
+      } else {
+        // Every open exchange tab runs this, only the tab holding the stop's lock moves the order and only if the stop
+        // as last stored still needs the move
+        runExclusive(stop.id, async (storedStop) => {
+          for (const storedAction of getTrailingStopActions([storedStop], orders, prices, Date.now())) {
+            if (storedAction.type === "move") {
+              await moveStop(storedStop, storedAction.order, storedAction.triggerPrice);
+            }
+          }
+        });
+      }
+    });
+  }, [account, library, orders, streamedPrices, stopsRef, updateStop, removeStop, runExclusive, moveStop]);
+
+  return {
+    trailingStops,
+    addTrailingStop,
+    removeTrailingStop,
+  };
+}
@@ -0,0 +1,99 @@
+import { BigNumber } from "ethers";
+import { BASIS_POINTS_DIVISOR, DECREASE, ORDER_MISSING_GRACE } from "lib/legacy";
+import { TrailingOffsetType, TrailingStop, TrailingStopAction, TrailingStopOrder } from "./types";
+
+// Every move is a transaction, the trigger only follows the price once it can move by this much
+export const TRAILING_STOP_MIN_MOVE_BPS = 20;
+export const TRAILING_STOP_RETRY_DELAY = 60 * 1000;
+
+export function getTrailingStopTriggerPrice(
+  bestPrice: BigNumber,
+  isLong: boolean,
+  offsetType: TrailingOffsetType,
+  offset: BigNumber
+) {
+  const offsetUsd = offsetType === "percent" ? bestPrice.mul(offset).div(BASIS_POINTS_DIVISOR) : offset;
+  const triggerPrice = isLong ? bestPrice.sub(offsetUsd) : bestPrice.add(offsetUsd);
+  return triggerPrice.gt(0) ? triggerPrice : undefined;
+}
+
+// Trigger price behind the best price seen so far, the order's own trigger follows it in TRAILING_STOP_MIN_MOVE_BPS steps
+export function getTrailingStopLiveTriggerPrice(stop: TrailingStop) {
+  return getTrailingStopTriggerPrice(
+    BigNumber.from(stop.bestPrice),
+    stop.isLong,
+    stop.offsetType,
+    BigNumber.from(stop.offset)
+  );
+}
+
+// Prices moving up are favourable to longs, down to shorts
+export function isTrailingPriceBetter(isLong: boolean, price: BigNumber, than: BigNumber) {
+  return isLong ? price.gt(than) : price.lt(than);
+}
+
+export function getTrailingStopOrderKey(index: number) {
+  return `${DECREASE}-${index}`;
+}
+
+/**
+ * What to do with each trailing stop given the account's orders and the latest index token prices: record a new best
+ * price, move the order's trigger behind it, or drop stops whose order is gone
+ */
+export function getTrailingStopActions(
+  stops: TrailingStop[],
+  orders: TrailingStopOrder[],
+  prices: { [indexToken: string]: BigNumber | undefined },
+  now: number
+): TrailingStopAction[] {
+  const actions: TrailingStopAction[] = [];
+
+  stops.forEach((stop) => {
+    const order = orders.find((item) => item.type === DECREASE && item.index === stop.orderIndex);
+    if (!order) {
+      if (!stop.missingSince) {
+        actions.push({ type: "update", stop, changes: { missingSince: now } });
+      } else if (now - stop.missingSince > ORDER_MISSING_GRACE) {
+        actions.push({ type: "remove", stop });
+      }
+      return;
+    }
+
+    const changes: Partial<TrailingStop> = {};
+    if (stop.missingSince) {
+      changes.missingSince = undefined;
+    }
+
+    let bestPrice = BigNumber.from(stop.bestPrice);
+    const price = prices[stop.indexToken];
+    if (price && isTrailingPriceBetter(stop.isLong, price, bestPrice)) {
+      bestPrice = price;
+      changes.bestPrice = price.toString();
+    }
+
+    if (Object.keys(changes).length > 0) {
+      actions.push({ type: "update", stop, changes });
+    }
+
+    if (stop.failedAt && now - stop.failedAt < TRAILING_STOP_RETRY_DELAY) {
+      return;
+    }
+    const triggerPrice = getTrailingStopLiveTriggerPrice({ ...stop, bestPrice: bestPrice.toString() });
+    let currentTriggerPrice = order.triggerPrice;
+    if (
+      stop.triggerPrice &&
+      isTrailingPriceBetter(stop.isLong, BigNumber.from(stop.triggerPrice), currentTriggerPrice)
+    ) {
+      currentTriggerPrice = BigNumber.from(stop.triggerPrice);
+    }
+    if (!triggerPrice || !isTrailingPriceBetter(stop.isLong, triggerPrice, currentTriggerPrice)) {
+      return;
+    }
+    const minMove = currentTriggerPrice.mul(TRAILING_STOP_MIN_MOVE_BPS).div(BASIS_POINTS_DIVISOR);
+    if (triggerPrice.sub(currentTriggerPrice).abs().gte(minMove)) {
+      actions.push({ type: "move", stop, order, triggerPrice });
+    }
+  });
+
+  return actions;
+}
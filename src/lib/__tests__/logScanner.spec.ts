@@ -0,0 +1,93 @@
+import { createLogScanner, getDeployBlock, LOG_BLOCK_RANGE, scanBlockRanges } from "lib/logScanner";
+
+const ADDRESS = "0x00000000000000000000000000000000000000aa";
+
+describe("scanBlockRanges", function () {
+  it("scans in chunks of at most LOG_BLOCK_RANGE blocks, oldest first", async function () {
+    const ranges: number[][] = [];
+    await scanBlockRanges(10, 10 + 2 * LOG_BLOCK_RANGE, async (fromBlock, toBlock) => {
+      ranges.push([fromBlock, toBlock]);
+    });
+    expect(ranges).toEqual([
+      [10, 9 + LOG_BLOCK_RANGE],
+      [10 + LOG_BLOCK_RANGE, 9 + 2 * LOG_BLOCK_RANGE],
+      [10 + 2 * LOG_BLOCK_RANGE, 10 + 2 * LOG_BLOCK_RANGE],
+    ]);
+  });
+});
+
+describe("getDeployBlock", function () {
+  it("finds the first block with code at the address", async function () {
+    const provider = {
+      getBlockNumber: async () => 1000,
+      getCode: async (address: string, blockTag: any) => (blockTag >= 737 ? "0x6080" : "0x"),
+    };
+    await expect(getDeployBlock(provider, ADDRESS)).resolves.toBe(737);
+  });
+
+  it("falls back to genesis when past state is not served", async function () {
+    const provider = {
+      getBlockNumber: async () => 1000,
+      getCode: async () => {
+        throw new Error("missing trie node");
+      },
+    };
+    await expect(getDeployBlock(provider, ADDRESS)).resolves.toBe(0);
+  });
+});
+
+describe("createLogScanner", function () {
+  it("scans from the start block, then only the blocks mined since", async function () {
+    let latestBlock = 100;
+    const ranges: number[][] = [];
+    const scan = createLogScanner({ getBlockNumber: async () => latestBlock }, 50, async (fromBlock, toBlock) => {
+      ranges.push([fromBlock, toBlock]);
+    });
+
+    await scan();
+    await scan();
+    latestBlock = 120;
+    await scan();
+
+    expect(ranges).toEqual([
+      [50, 100],
+      [101, 120],
+    ]);
+  });
+
+  it("shares the scan in progress and resolves the start block once", async function () {
+    const getStartBlock = jest.fn(async () => 10);
+    const scanRange = jest.fn(async () => undefined);
+    const scan = createLogScanner({ getBlockNumber: async () => 20 }, getStartBlock, scanRange);
+
+    await Promise.all([scan(), scan()]);
+    await scan();
+
+    expect(getStartBlock).toHaveBeenCalledTimes(1);
+    expect(scanRange).toHaveBeenCalledTimes(1);
+  });
+
+  it("scans a failed chunk again on the next call", async function () {
+    const ranges: number[][] = [];
+    let shouldFail = true;
+    const scan = createLogScanner(
+      { getBlockNumber: async () => 2 * LOG_BLOCK_RANGE - 1 },
+      0,
+      async (fromBlock, toBlock) => {
+        if (fromBlock > 0 && shouldFail) {
+          shouldFail = false;
+          throw new Error("Range too large");
+        }
+        ranges.push([fromBlock, toBlock]);
+      }
+    );
+
+    await expect(scan()).rejects.toThrow("Range too large");
+    await scan();
+
+    expect(ranges).toEqual([
+      [0, LOG_BLOCK_RANGE - 1],
+      [LOG_BLOCK_RANGE, 2 * LOG_BLOCK_RANGE - 1],
+    ]);
+  });
+});
@@ -69,9 +69,16 @@ export const SHORT = "Short";
 export const MARKET = "Market";
 export const LIMIT = "Limit";
 export const STOP = "Stop";
-export const LEVERAGE_ORDER_OPTIONS = [MARKET, LIMIT, STOP];
+// Decrease order whose trigger price follows the best price, kept up to date by the client
+export const TRAILING_STOP = "TrailingStop";
+// Increases split into limit orders across a price range, or into market increases over time
+export const SCALE = "Scale";
+export const TWAP = "Twap";
+export const LEVERAGE_ORDER_OPTIONS = [MARKET, LIMIT, SCALE, TWAP, STOP];
 export const SWAP_ORDER_OPTIONS = [MARKET, LIMIT];
 export const SWAP_OPTIONS = [LONG, SHORT, SWAP];
+// Orders missing from the order list for longer than this were executed or cancelled rather than not refreshed yet
+export const ORDER_MISSING_GRACE = 60 * 1000;
 export const DEFAULT_SLIPPAGE_AMOUNT = 30;
 export const DEFAULT_HIGHER_SLIPPAGE_AMOUNT = 100;
 
@@ -1,5 +1,5 @@
 import { useLocalStorage } from "react-use";
-import { useCallback } from "react";
+import { MutableRefObject, useCallback, useEffect, useRef } from "react";
 
 export function useLocalStorageByChainId<T>(
   chainId: number,
@@ -49,3 +49,101 @@ export function useLocalStorageSerializeKey<T>(
 
   return useLocalStorage<T>(key, value, opts);
 }
+
+// The list last stored under `storageKey` by any tab, undefined when storage can't be read
+function readStoredList<T>(storageKey: string): T[] | undefined {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey) || "[]") || [];
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Run `task` holding the cross-tab lock `name`, skip it while another tab holds the lock. Without the Web Locks API
+ * (older browsers) `task` runs right away.
+ */
+function runWithTabLock(name: string, task: () => Promise<unknown>) {
+  if (typeof navigator === "undefined" || !navigator.locks) {
+    return task();
+  }
+  return navigator.locks.request(name, { ifAvailable: true }, (lock) => (lock ? task() : undefined));
+}
+
+/**
+ * A list of items kept in local storage under `key`. Updates apply to the latest list, so several of them in a row or
+ * from async callbacks don't overwrite each other, and writes from other tabs are picked up.
+ * `runExclusive` starts a task for an item unless one is still running for it in this or another tab. The task gets
+ * the item as last stored, so it can check whether another tab already did the work.
+ */
+export function useLocalStorageList<T extends { id: string }>(key: string | any[]) {
+  const storageKey = JSON.stringify(key);
+  const [items, setItems] = useLocalStorageSerializeKey<T[]>(key, []);
+  const itemsRef = useRef<T[]>([]) as MutableRefObject<T[]>;
+  itemsRef.current = items || [];
+  // The storage setter closes over the value it was created with, updates go through the latest one
+  const setItemsRef = useRef(setItems);
+  setItemsRef.current = setItems;
+  const runningRef = useRef(new Set<string>());
+
+  const saveItems = useCallback((nextItems: T[]) => {
+    itemsRef.current = nextItems;
+    setItemsRef.current(nextItems);
+  }, []);
+
+  const loadStoredItems = useCallback(() => {
+    const storedItems = readStoredList<T>(storageKey);
+    if (storedItems) {
+      // Storing the same value again doesn't notify the other tabs
+      saveItems(storedItems);
+    }
+  }, [storageKey, saveItems]);
+
+  useEffect(() => {
+    const onStorage = (event: StorageEvent) => {
+      if (event.key === storageKey) {
+        loadStoredItems();
+      }
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [storageKey, loadStoredItems]);
+
+  const updateItem = useCallback(
+    (id: string, changes: Partial<T> | ((item: T) => Partial<T>)) =>
+      saveItems(
+        itemsRef.current.map((item) =>
+          item.id === id ? { ...item, ...(typeof changes === "function" ? changes(item) : changes) } : item
+        )
+      ),
+    [saveItems]
+  );
+
+  const removeItem = useCallback(
+    (id: string) => saveItems(itemsRef.current.filter((item) => item.id !== id)),
+    [saveItems]
+  );
+
+  const runExclusive = useCallback(
+    (id: string, task: (item: T) => Promise<unknown>) => {
+      if (runningRef.current.has(id)) {
+        return;
+      }
+      runningRef.current.add(id);
+      runWithTabLock(`${storageKey}:${id}`, async () => {
+        // Another tab may have updated the item before its lock was released
+        loadStoredItems();
+        const item = itemsRef.current.find((storedItem) => storedItem.id === id);
+        if (item) {
+          await task(item);
+        }
+      })
+        // Tasks report their own failures, a rejection they let through is dropped rather than left unhandled
+        .catch(() => undefined)
+        .finally(() => runningRef.current.delete(id));
+    },
+    [storageKey, loadStoredItems]
+  );
+
+  return { items: items || [], itemsRef, saveItems, updateItem, removeItem, runExclusive };
+}
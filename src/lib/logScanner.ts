@@ -0,0 +1,74 @@
+import { ethers } from "ethers";
+
+// Many public RPCs cap eth_getLogs ranges, scan in chunks below the usual limits
+export const LOG_BLOCK_RANGE = 5000;
+
+export type LogRangeScan = (fromBlock: number, toBlock: number) => Promise<void>;
+
+/**
+ * Run `scanRange` from `fromBlock` to `toBlock` in chunks of at most LOG_BLOCK_RANGE blocks, oldest first
+ */
+export async function scanBlockRanges(fromBlock: number, toBlock: number, scanRange: LogRangeScan) {
+  for (let nextBlock = fromBlock; nextBlock <= toBlock; nextBlock += LOG_BLOCK_RANGE) {
+    await scanRange(nextBlock, Math.min(nextBlock + LOG_BLOCK_RANGE - 1, toBlock));
+  }
+}
+
+/**
+ * Block the contract at `address` was deployed in, bisecting `getCode` over past blocks. RPCs not serving historical
+ * state fail the lookup, the chain is then scanned from genesis.
+ */
+export async function getDeployBlock(
+  provider: Pick<ethers.providers.Provider, "getBlockNumber" | "getCode">,
+  address: string
+): Promise<number> {
+  let low = 0;
+  let high = await provider.getBlockNumber();
+  try {
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if ((await provider.getCode(address, middle)) !== "0x") {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+  } catch (error) {
+    return 0;
+  }
+  return low;
+}
+
+/**
+ * Scan logs from `startBlock` on the first call, then incrementally from where the last scan stopped. Concurrent calls
+ * share the scan in progress. A failed chunk is scanned again on the next call.
+ * @param startBlock First block to scan, or a function resolving it when the first scan starts
+ */
+export function createLogScanner(
+  provider: Pick<ethers.providers.Provider, "getBlockNumber">,
+  startBlock: number | (() => Promise<number>),
+  scanRange: LogRangeScan
+) {
+  let nextBlock: number | undefined;
+  let pendingScan: Promise<void> | undefined;
+
+  async function scan() {
+    if (nextBlock === undefined) {
+      nextBlock = typeof startBlock === "number" ? startBlock : await startBlock();
+    }
+    const latestBlock = await provider.getBlockNumber();
+    await scanBlockRanges(nextBlock, latestBlock, async (fromBlock, toBlock) => {
+      await scanRange(fromBlock, toBlock);
+      nextBlock = toBlock + 1;
+    });
+  }
+
+  return () => {
+    if (!pendingScan) {
+      pendingScan = scan().finally(() => {
+        pendingScan = undefined;
+      });
+    }
+    return pendingScan;
+  };
+}
@@ -0,0 +1,369 @@
+import React, { useEffect, useMemo, useState } from "react";
+import useSWR from "swr";
+import { ethers } from "ethers";
+import { useWeb3React } from "@web3-react/core";
+import { Trans, t } from "@lingui/macro";
+import cx from "classnames";
+
+import Token from "abis/Token.json";
+import Button from "components/Button/Button";
+import SEO from "components/Common/SEO";
+import ExternalLink from "components/ExternalLink/ExternalLink";
+import Footer from "components/Footer/Footer";
+import InputSection from "components/InputSection/InputSection";
+import { getChainName, getConstant, getExplorerUrl } from "config/chains";
+import { getOftDestinationChains, getOftTokens } from "config/oftTokens";
+import { useOftTransfers } from "domain/bridge";
+import { useChainId } from "lib/chains";
+import { contractFetcher } from "lib/contracts";
+import { helperToast } from "lib/helperToast";
+import { getPageTitle, shortenAddress } from "lib/legacy";
+import { formatDateTime } from "lib/dates";
+import { formatAmount, parseValue } from "lib/numbers";
+
+import "./Bridge.css";
+
+function getNetworkName(chainId) {
+  return getChainName(chainId) || t`Chain ${chainId}`;
+}
+
+function getNativeSymbol(chainId) {
+  try {
+    return getConstant(chainId, "nativeTokenSymbol");
+  } catch {
+    return "ETH";
+  }
+}
+
+export default function Bridge() {
+  const { active, account, library, chainId: walletChainId } = useWeb3React();
+  const { chainId: appChainId } = useChainId();
+  // Bridging happens from the chain the wallet is on, which may be a network only listing OFTs (e.g. local Hardhat)
+  const chainId = walletChainId && getOftTokens(walletChainId).length > 0 ? walletChainId : appChainId;
+
+  const tokens = getOftTokens(chainId);
+  const [symbol, setSymbol] = useState();
+  const token = tokens.find((oftToken) => oftToken.symbol === symbol) || tokens[0];
+  const destinations = token ? getOftDestinationChains(chainId, token.symbol) : [];
+  const [dstChainId, setDstChainId] = useState();
+  const destination = destinations.includes(dstChainId) ? dstChainId : destinations[0];
+
+  const [amountValue, setAmountValue] = useState("");
+  const [recipient, setRecipient] = useState("");
+  const [airdropValue, setAirdropValue] = useState("");
+  const [nativeFee, setNativeFee] = useState();
+  const [feeError, setFeeError] = useState();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { transfers, estimateFee, transfer, dismissTransfer } = useOftTransfers(chainId, account, library);
+
+  const { data: balance } = useSWR(active && token && [active, chainId, token.address, "balanceOf", account], {
+    fetcher: contractFetcher(library, Token),
+  });
+
+  const tokenSymbol = token?.symbol;
+  const tokenDecimals = token?.decimals;
+  const amount = useMemo(
+    () => (tokenDecimals !== undefined ? parseValue(amountValue, tokenDecimals) : undefined),
+    [amountValue, tokenDecimals]
+  );
+  const toAddress = recipient || account;
+  const isRecipientValid = Boolean(toAddress) && ethers.utils.isAddress(toAddress);
+  // Native gas for the recipient on the destination, paid on top of the LayerZero fee
+  const airdropAmount = useMemo(() => parseValue(airdropValue, 18), [airdropValue]);
+
+  useEffect(() => {
+    setNativeFee(undefined);
+    setFeeError(undefined);
+    if (!tokenSymbol || !destination || !amount || amount.lte(0) || !isRecipientValid) {
+      return;
+    }
+    let isCancelled = false;
+    const timeout = setTimeout(() => {
+      estimateFee({ symbol: tokenSymbol, dstChainId: destination, recipient: toAddress, amount, airdropAmount })
+        .then((fee) => !isCancelled && setNativeFee(fee))
+        .catch((error) => !isCancelled && setFeeError(error));
+    }, 300);
+    return () => {
+      isCancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [tokenSymbol, destination, amount, toAddress, isRecipientValid, airdropAmount, estimateFee]);
+
+  const getError = () => {
+    if (!active) {
+      return t`Connect Wallet`;
+    }
+    if (!token) {
+      return t`No OFT collateral on ${getNetworkName(chainId)}`;
+    }
+    if (!destination) {
+      return t`No destination chain`;
+    }
+    if (!amount || amount.lte(0)) {
+      return t`Enter an amount`;
+    }
+    if (balance && amount.gt(balance)) {
+      return t`Insufficient ${token.symbol} balance`;
+    }
+    if (!isRecipientValid) {
+      return t`Invalid recipient`;
+    }
+    if (airdropValue && (!airdropAmount || airdropAmount.lt(0))) {
+      return t`Invalid destination gas`;
+    }
+    if (feeError) {
+      return t`Fee estimate failed`;
+    }
+    return undefined;
+  };
+
+  const error = getError();
+
+  const onClickPrimary = async () => {
+    setIsSubmitting(true);
+    try {
+      const record = await transfer({
+        symbol: token.symbol,
+        dstChainId: destination,
+        recipient: toAddress,
+        amount,
+        airdropAmount,
+      });
+      helperToast.success(
+        <div>
+          <Trans>
+            {token.symbol} transfer to {getNetworkName(destination)} submitted.
+          </Trans>{" "}
+          <ExternalLink href={`${getExplorerUrl(chainId)}tx/${record.id}`}>
+            <Trans>View status.</Trans>
+          </ExternalLink>
+        </div>
+      );
+      setAmountValue("");
+    } catch (e) {
+      // Wallet rejections and reverts end up here too
+      helperToast.error(t`Bridge transfer failed.`);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const statusLabels = {
+    pending: t`Confirming on source`,
+    inflight: t`In flight`,
+    delivered: t`Delivered`,
+    failed: t`Failed`,
+  };
+
+  return (
+    <SEO title={getPageTitle(t`Bridge`)}>
+      <div className="default-container Bridge page-layout">
+        <div className="section-title-block">
+          <div className="section-title-icon"></div>
+          <div className="section-title-content">
+            <div className="Page-title">
+              <Trans>Bridge</Trans>
+            </div>
+            <div className="Page-description">
+              <Trans>Move OFT collateral between chains through LayerZero.</Trans>
+            </div>
+          </div>
+        </div>
+        <div className="Bridge-content">
+          <div className="Bridge-form App-card">
+            <div className="App-card-title">
+              <Trans>Transfer</Trans>
+            </div>
+            <div className="App-card-divider"></div>
+            {tokens.length === 0 && (
+              <div className="Bridge-message muted">
+                <Trans>No OFT collateral is registered on {getNetworkName(chainId)}.</Trans>
+              </div>
+            )}
+            {token && (
+              <>
+                <div className="Bridge-row">
+                  <label className="muted">
+                    <Trans>From</Trans>
+                  </label>
+                  <span>{getNetworkName(chainId)}</span>
+                </div>
+                <div className="Bridge-row">
+                  <label className="muted">
+                    <Trans>To</Trans>
+                  </label>
+                  <select value={destination || ""} onChange={(e) => setDstChainId(Number(e.target.value))}>
+                    {destinations.map((id) => (
+                      <option key={id} value={id}>
+                        {getNetworkName(id)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <InputSection
+                  topLeftLabel={t`Amount`}
+                  topRightLabel={
+                    balance ? t`Balance: ${formatAmount(balance, token.decimals, 4, true)}` : t`Balance: -`
+                  }
+                  inputValue={amountValue}
+                  onInputValueChange={(e) => setAmountValue(e.target.value)}
+                  showMaxButton={balance && !balance.eq(amount || 0)}
+                  onClickMax={() => setAmountValue(ethers.utils.formatUnits(balance, token.decimals))}
+                >
+                  <select value={token.symbol} onChange={(e) => setSymbol(e.target.value)}>
+                    {tokens.map((oftToken) => (
+                      <option key={oftToken.address} value={oftToken.symbol}>
+                        {oftToken.symbol}
+                      </option>
+                    ))}
+                  </select>
+                </InputSection>
+                <div className="Bridge-row">
+                  <label className="muted">
+                    <Trans>Recipient</Trans>
+                  </label>
+                  <input
+                    type="text"
+                    className="text-input"
+                    placeholder={account || ""}
+                    value={recipient}
+                    onChange={(e) => setRecipient(e.target.value)}
+                  />
+                </div>
+                <div className="Bridge-row">
+                  <label className="muted">
+                    <Trans>Destination Gas</Trans>
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    className="text-input"
+                    placeholder={`0.0 ${getNativeSymbol(destination)}`}
+                    value={airdropValue}
+                    onChange={(e) => setAirdropValue(e.target.value)}
+                  />
+                </div>
+                <div className="Bridge-row">
+                  <label className="muted">
+                    <Trans>LayerZero Fee</Trans>
+                  </label>
+                  <span>{nativeFee ? `${formatAmount(nativeFee, 18, 6, true)} ${getNativeSymbol(chainId)}` : "-"}</span>
+                </div>
+                <Button
+                  variant="primary-action"
+                  className="w-full Bridge-submit"
+                  disabled={Boolean(error) || !nativeFee || isSubmitting}
+                  onClick={onClickPrimary}
+                >
+                  {error || (isSubmitting ? t`Sending...` : t`Bridge ${token.symbol}`)}
+                </Button>
+              </>
+            )}
+          </div>
+          <div className="Bridge-tokens App-card">
+            <div className="App-card-title">
+              <Trans>OFT Collateral on {getNetworkName(chainId)}</Trans>
+            </div>
+            <div className="App-card-divider"></div>
+            <table className="token-table Bridge-table">
+              <thead>
+                <tr>
+                  <th className="token-table-label">
+                    <Trans>Token</Trans>
+                  </th>
+                  <th className="token-table-label">
+                    <Trans>Address</Trans>
+                  </th>
+                  <th className="token-table-label">
+                    <Trans>Destinations</Trans>
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {tokens.map((oftToken) => (
+                  <tr key={oftToken.address}>
+                    <td>
+                      {oftToken.symbol} <span className="muted">{oftToken.name}</span>
+                    </td>
+                    <td>
+                      <ExternalLink href={`${getExplorerUrl(chainId)}address/${oftToken.address}`}>
+                        {shortenAddress(oftToken.address, 13)}
+                      </ExternalLink>
+                    </td>
+                    <td>{getOftDestinationChains(chainId, oftToken.symbol).map(getNetworkName).join(", ")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+        <div className="Bridge-history App-card">
+          <div className="App-card-title">
+            <Trans>Transfer History</Trans>
+          </div>
+          <div className="App-card-divider"></div>
+          {transfers.length === 0 && (
+            <div className="Bridge-message muted">
+              <Trans>No transfers yet</Trans>
+            </div>
+          )}
+          {transfers.length > 0 && (
+            <table className="token-table Bridge-table">
+              <thead>
+                <tr>
+                  <th className="token-table-label">
+                    <Trans>Time</Trans>
+                  </th>
+                  <th className="token-table-label">
+                    <Trans>Route</Trans>
+                  </th>
+                  <th className="token-table-label">
+                    <Trans>Amount</Trans>
+                  </th>
+                  <th className="token-table-label">
+                    <Trans>Recipient</Trans>
+                  </th>
+                  <th className="token-table-label">
+                    <Trans>Status</Trans>
+                  </th>
+                  <th className="token-table-label"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {transfers.map((item) => (
+                  <tr key={item.id}>
+                    <td>{formatDateTime(item.createdAt / 1000)}</td>
+                    <td>
+                      {getNetworkName(item.srcChainId)} → {getNetworkName(item.dstChainId)}
+                    </td>
+                    <td>
+                      {formatAmount(item.amount, item.decimals, 4, true)} {item.symbol}
+                    </td>
+                    <td>{shortenAddress(item.recipient, 13)}</td>
+                    <td>
+                      <ExternalLink
+                        href={`${getExplorerUrl(item.srcChainId)}tx/${item.id}`}
+                        className={cx({ positive: item.status === "delivered", negative: item.status === "failed" })}
+                      >
+                        {statusLabels[item.status]}
+                      </ExternalLink>
+                    </td>
+                    <td>
+                      {(item.status === "delivered" || item.status === "failed") && (
+                        <button className="Bridge-dismiss" onClick={() => dismissTransfer(item.id)}>
+                          <Trans>Dismiss</Trans>
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+      <Footer />
+    </SEO>
+  );
+}
@@ -37,6 +37,7 @@ import Footer from "components/Footer/Footer";
 import "./DashboardV2.css";
 
 import AssetDropdown from "./AssetDropdown";
+import InsuranceFund from "./InsuranceFund";
 import ExternalLink from "components/ExternalLink/ExternalLink";
 import SEO from "components/Common/SEO";
 import { useTotalVolume, useVolumeInfo, useFeesSummary } from "domain/stats";
@@ -683,6 +684,7 @@ export default function DashboardV2() {
               </div>
             </div>
           </div>
+          <InsuranceFund />
           <div className="Tab-title-section">
             <div className="Page-title dashboard">
               <Trans>Token Stats</Trans>
@@ -0,0 +1,286 @@
+import React, { useEffect, useState } from "react";
+import { Trans, t } from "@lingui/macro";
+import { Area, AreaChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { ethers } from "ethers";
+import { usePerp } from "contexts/PerpContext";
+import Button from "components/Button/Button";
+import BuyInputSection from "components/BuyInputSection/BuyInputSection";
+import ExternalLink from "components/ExternalLink/ExternalLink";
+import { getExplorerUrl } from "config/chains";
+import { helperToast } from "lib/helperToast";
+import { useChainId } from "lib/chains";
+import { formatDate, formatDateTime } from "lib/dates";
+import { shortenAddress } from "lib/legacy";
+import { formatAmount, formatAmountFree, parseValue } from "lib/numbers";
+
+const { AddressZero } = ethers.constants;
+
+const INSURANCE_FUND_REFRESH_INTERVAL = 30000;
+// Perp collateral amounts are 18 decimals when the fund's token can't be read
+const DEFAULT_COLLATERAL_DECIMALS = 18;
+
+export default function InsuranceFund() {
+  const { chainId } = useChainId();
+  const { isInitialized, loading, getInsuranceFundInfo, getInsuranceFundHistory, addInsuranceFund } = usePerp();
+  const [fundInfo, setFundInfo] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [value, setValue] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [updateCount, setUpdateCount] = useState(0);
+
+  useEffect(() => {
+    if (!isInitialized) return;
+
+    let isCancelled = false;
+    const load = () => {
+      Promise.all([getInsuranceFundInfo(), getInsuranceFundHistory()]).then(([info, fundHistory]) => {
+        if (isCancelled) return;
+        setFundInfo(info);
+        setHistory(fundHistory);
+      });
+    };
+
+    load();
+    const interval = setInterval(load, INSURANCE_FUND_REFRESH_INTERVAL);
+    return () => {
+      isCancelled = true;
+      clearInterval(interval);
+    };
+  }, [isInitialized, updateCount, getInsuranceFundInfo, getInsuranceFundHistory]);
+
+  if (!isInitialized) {
+    return null;
+  }
+
+  const collateralToken = fundInfo?.collateralToken;
+  const decimals = collateralToken?.decimals ?? DEFAULT_COLLATERAL_DECIMALS;
+  const symbol = collateralToken?.symbol || "";
+  const canContribute = collateralToken && collateralToken.address !== AddressZero;
+
+  // Contributors own the fund pro rata to what they put in
+  const contribution = fundInfo?.contribution;
+  const totalContributed = history?.totalContributed;
+  const shareBps =
+    contribution && totalContributed && totalContributed.gt(0)
+      ? contribution.mul(10000).div(totalContributed)
+      : undefined;
+  const shareOfBalance = fundInfo && shareBps !== undefined ? fundInfo.balance.mul(shareBps).div(10000) : undefined;
+
+  let cumulativeFees = ethers.BigNumber.from(0);
+  const feeChartData = (history?.liquidationFees || []).map((fee) => {
+    cumulativeFees = cumulativeFees.add(fee.amount);
+    return { timestamp: fee.timestamp, total: parseFloat(ethers.utils.formatUnits(cumulativeFees, decimals)) };
+  });
+  const totalBadDebtCovered = (history?.badDebtCoverage || []).reduce(
+    (total, coverage) => total.add(coverage.amount),
+    ethers.BigNumber.from(0)
+  );
+
+  const amount = parseValue(value, decimals);
+
+  const getError = () => {
+    if (!canContribute) {
+      return t`Contributions are not open`;
+    }
+    if (!amount || amount.eq(0)) {
+      return t`Enter an amount`;
+    }
+    if (fundInfo.tokenBalance && amount.gt(fundInfo.tokenBalance)) {
+      return t`Insufficient ${symbol} balance`;
+    }
+  };
+
+  const getPrimaryText = () => {
+    const error = getError();
+    if (error) {
+      return error;
+    }
+    if (isSubmitting) {
+      return t`Contributing...`;
+    }
+    if (fundInfo.allowance && amount.gt(fundInfo.allowance)) {
+      return t`Approve and Contribute`;
+    }
+    return t`Contribute`;
+  };
+
+  const onClickPrimary = async () => {
+    setIsSubmitting(true);
+    try {
+      await addInsuranceFund(amount);
+      helperToast.success(t`Contributed ${formatAmount(amount, decimals, 2, true)} ${symbol} to the insurance fund`);
+      setValue("");
+      setUpdateCount((count) => count + 1);
+    } catch (err) {
+      helperToast.error(t`Contribution failed: ${err.reason || err.message}`);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const formatCollateral = (collateralAmount) =>
+    collateralAmount ? `${formatAmount(collateralAmount, decimals, 2, true)} ${symbol}` : "...";
+
+  return (
+    <>
+      <div className="Tab-title-section">
+        <div className="Page-title dashboard">
+          <Trans>Insurance Fund</Trans>
+        </div>
+        <div className="Page-description">
+          <Trans>Covers bad debt left by liquidations, funded by liquidation fees and contributors.</Trans>
+        </div>
+      </div>
+      <div className="DashboardV2-cards">
+        <div className="App-card">
+          <div className="App-card-title dashboard">
+            <div className="dashboard-card-title-left">
+              <div className="dashboard-card-title-mark-left"></div>
+              <span>
+                <Trans>Fund</Trans>
+              </span>
+            </div>
+          </div>
+          <div className="App-card-divider"></div>
+          <div className="App-card-content">
+            <div className="App-card-row dashboard">
+              <div className="label">
+                <Trans>Balance</Trans>
+              </div>
+              <div>{formatCollateral(fundInfo?.balance)}</div>
+            </div>
+            <div className="App-card-row dashboard">
+              <div className="label">
+                <Trans>Health</Trans>
+              </div>
+              <div className={fundInfo?.isHealthy ? "positive" : "negative"}>
+                {fundInfo ? (fundInfo.isHealthy ? t`Healthy` : t`Depleted`) : "..."}
+              </div>
+            </div>
+            <div className="App-card-row dashboard">
+              <div className="label">
+                <Trans>Bad Debt Covered</Trans>
+              </div>
+              <div>{history ? formatCollateral(totalBadDebtCovered) : "..."}</div>
+            </div>
+            <div className="App-card-row dashboard">
+              <div className="label">
+                <Trans>Your Contribution</Trans>
+              </div>
+              <div>{contribution ? formatCollateral(contribution) : "-"}</div>
+            </div>
+            <div className="App-card-row dashboard">
+              <div className="label">
+                <Trans>Your Share</Trans>
+              </div>
+              <div>
+                {shareBps !== undefined
+                  ? `${formatAmount(shareBps, 2, 2, true)}% (${formatCollateral(shareOfBalance)})`
+                  : "-"}
+              </div>
+            </div>
+            <BuyInputSection
+              topLeftLabel={t`Contribute`}
+              topRightLabel={t`Balance`}
+              tokenBalance={formatAmount(fundInfo?.tokenBalance, decimals, 4, true)}
+              onClickTopRightLabel={() => setValue(formatAmountFree(fundInfo.tokenBalance, decimals, decimals))}
+              onClickMax={() => setValue(formatAmountFree(fundInfo.tokenBalance, decimals, decimals))}
+              inputValue={value}
+              onInputValueChange={(e) => setValue(e.target.value)}
+              showMaxButton={Boolean(fundInfo?.tokenBalance)}
+            >
+              {symbol}
+            </BuyInputSection>
+            <Button
+              variant="primary-action"
+              className="w-full"
+              onClick={onClickPrimary}
+              disabled={Boolean(getError()) || isSubmitting || loading}
+            >
+              {getPrimaryText()}
+            </Button>
+          </div>
+        </div>
+        <div className="App-card">
+          <div className="App-card-title dashboard">
+            <div className="dashboard-card-title-left">
+              <div className="dashboard-card-title-mark-right"></div>
+              <span>
+                <Trans>Liquidation Fee Inflows</Trans>
+              </span>
+            </div>
+          </div>
+          <div className="App-card-divider"></div>
+          <div className="App-card-content">
+            {feeChartData.length > 0 ? (
+              <ResponsiveContainer width="100%" height={240}>
+                <AreaChart data={feeChartData}>
+                  <XAxis dataKey="timestamp" tickFormatter={formatDate} minTickGap={30} />
+                  <YAxis width={60} />
+                  <Tooltip
+                    labelFormatter={formatDateTime}
+                    formatter={(total) => [`${total.toFixed(2)} ${symbol}`, t`Total Fees Received`]}
+                  />
+                  <Area type="stepAfter" dataKey="total" stroke="#3b82f6" fill="rgba(59, 130, 246, 0.2)" />
+                </AreaChart>
+              </ResponsiveContainer>
+            ) : (
+              <div className="muted">{history ? t`No liquidation fees received yet` : t`Loading...`}</div>
+            )}
+          </div>
+        </div>
+      </div>
+      <div className="token-table-wrapper App-card">
+        <div className="App-card-title">
+          <div className="dashboard-card-title-mark-left"></div>
+          <Trans>Bad Debt Coverage</Trans>
+        </div>
+        <div className="App-card-divider"></div>
+        {history && history.badDebtCoverage.length > 0 ? (
+          <table className="token-table dashboard">
+            <thead>
+              <tr>
+                <th className="token-table-label">
+                  <Trans>Date</Trans>
+                </th>
+                <th className="token-table-label">
+                  <Trans>Trader</Trans>
+                </th>
+                <th className="token-table-label">
+                  <Trans>Bad Debt</Trans>
+                </th>
+                <th className="token-table-label">
+                  <Trans>Covered</Trans>
+                </th>
+                <th className="token-table-label">
+                  <Trans>Transaction</Trans>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...history.badDebtCoverage].reverse().map((coverage) => (
+                <tr key={coverage.txHash}>
+                  <td>{formatDateTime(coverage.timestamp)}</td>
+                  <td>{shortenAddress(coverage.trader, 13)}</td>
+                  <td>{formatCollateral(coverage.badDebt)}</td>
+                  <td className={coverage.amount.lt(coverage.badDebt) ? "negative" : undefined}>
+                    {formatCollateral(coverage.amount)}
+                  </td>
+                  <td>
+                    <ExternalLink href={`${getExplorerUrl(chainId)}tx/${coverage.txHash}`}>
+                      {shortenAddress(coverage.txHash, 13)}
+                    </ExternalLink>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="App-card-content muted">
+            {history ? t`The insurance fund has not covered any bad debt yet` : t`Loading...`}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -1,5 +1,5 @@
 import React, { useEffect, useState, useMemo, useCallback, forwardRef, useImperativeHandle } from "react";
-import { Trans, t, Plural } from "@lingui/macro";
+import { Trans, t } from "@lingui/macro";
 import { useWeb3React } from "@web3-react/core";
 import useSWR from "swr";
 import { ethers } from "ethers";
@@ -8,6 +8,7 @@ import {
   BASIS_POINTS_DIVISOR,
   MARGIN_FEE_BASIS_POINTS,
   SWAP,
+  DECREASE,
   LONG,
   SHORT,
   USD_DECIMALS,
@@ -21,10 +22,22 @@ import {
   getLeverageStr,
 } from "lib/legacy";
 import { getConstant, getExplorerUrl } from "config/chains";
-import { approvePlugin, useExecutionFee, cancelMultipleOrders } from "domain/legacy";
+import {
+  approvePlugin,
+  useExecutionFee,
+  cancelMultipleOrders,
+  handleCancelOrder,
+  hasOrderBookBatchCancel,
+} from "domain/legacy";
+import { useBracketOrders } from "domain/brackets";
+import { useTrailingStops } from "domain/trailingStops";
+import { useTwapOrders } from "domain/splitOrders";
+import { getOrderId, runOrderQueue } from "domain/orderBatch";
 import { mockDataProvider, shouldUseMockData } from "domain/mockDataProvider";
 
 import { getContract } from "config/contracts";
+import { getPerpMarketInfo, getPerpMarkets } from "config/perpMarkets";
+import { usePerp } from "contexts/PerpContext";
 
 import Reader from "abis/ReaderV2.json";
 import VaultV2 from "abis/VaultV2.json";
@@ -34,10 +47,14 @@ import Token from "abis/Token.json";
 import Checkbox from "components/Checkbox/Checkbox";
 import SwapBox from "components/Exchange/SwapBox";
 import PerpSwapBox from "components/Exchange/PerpSwapBox";
+import PerpFundingPanel from "components/Exchange/PerpFundingPanel";
+import TwapProgress from "components/Exchange/TwapProgress";
 import ExchangeTVChart, { getChartToken } from "components/Exchange/ExchangeTVChart";
 import PositionsList from "components/Exchange/PositionsList";
 import OrdersList from "components/Exchange/OrdersList";
 import TradeHistory from "components/Exchange/TradeHistory";
+import CopyTradingList from "components/Exchange/CopyTradingList";
+import SocialFeed from "components/Exchange/SocialFeed";
 import ExchangeWalletTokens from "components/Exchange/ExchangeWalletTokens";
 import Tab from "components/Tab/Tab";
 import Footer from "components/Footer/Footer";
@@ -703,6 +720,30 @@ export const Exchange = forwardRef((props, ref) => {
 
   const flagOrdersEnabled = true;
   const [orders] = useAccountOrders(flagOrdersEnabled);
+  const { brackets, addBracket, unlinkBracketOrder } = useBracketOrders({
+    chainId,
+    library,
+    account,
+    orders,
+    positionsMap,
+    nativeTokenAddress,
+    setPendingTxns,
+  });
+  const { trailingStops, addTrailingStop, removeTrailingStop } = useTrailingStops({
+    chainId,
+    library,
+    account,
+    orders,
+    setPendingTxns,
+  });
+  const { twapOrders, now, addTwapOrder, cancelTwapOrder, removeTwapOrder } = useTwapOrders({
+    chainId,
+    library,
+    account,
+    infoTokens,
+    minExecutionFee,
+    setPendingTxns,
+  });
   // console.log("exchange_orders", orders);
 
   const [isWaitingForPluginApproval, setIsWaitingForPluginApproval] = useState(false);
@@ -712,21 +753,54 @@ export const Exchange = forwardRef((props, ref) => {
   const [isCancelMultipleOrderProcessing, setIsCancelMultipleOrderProcessing] = useState(false);
   const [cancelOrderIdList, setCancelOrderIdList] = useState([]);
   const [tradingMode, setTradingMode] = useState('spot'); // 'spot' or 'perp'
+  const { selectedBaseToken, setSelectedBaseToken } = usePerp();
+
+  // Open the perp trade box on a market, and point the chart at the matching spot token when there is one
+  const onSelectPerpMarket = (baseToken) => {
+    setTradingMode('perp');
+    setSelectedBaseToken(baseToken);
+    const { symbol } = getPerpMarketInfo(chainId, baseToken);
+    const chartToken = tokens.find((token) => token.symbol === symbol || token.baseSymbol === symbol);
+    if (chartToken) {
+      setMarket(swapOption === SWAP ? LONG : swapOption, chartToken.address);
+    }
+  };
+
+  // Cancels the orders in one transaction through the OrderBook's batch cancel, or one transaction per order in
+  // sequence when the deployed OrderBook doesn't have it
+  const cancelOrders = useCallback(
+    async function (orderIds) {
+      const onCancelled = (cancelledIds) => {
+        setCancelOrderIdList((ids) => ids.filter((id) => !cancelledIds.includes(id)));
+        orders
+          .filter((order) => order.type === DECREASE && cancelledIds.includes(getOrderId(order)))
+          .forEach((order) => {
+            // Cancelled by hand, other bracket legs stay open
+            unlinkBracketOrder(order.index);
+            removeTrailingStop(order.index);
+          });
+      };
 
-  const onMultipleCancelClick = useCallback(
-    async function () {
       setIsCancelMultipleOrderProcessing(true);
       try {
-        const tx = await cancelMultipleOrders(chainId, library, cancelOrderIdList, {
-          successMsg: t`Orders cancelled.`,
-          failMsg: t`Cancel failed.`,
-          sentMsg: t`Cancel submitted.`,
-          pendingTxns,
-          setPendingTxns,
-        });
-        const receipt = await tx.wait();
-        if (receipt.status === 1) {
-          setCancelOrderIdList([]);
+        if (await hasOrderBookBatchCancel(chainId, library)) {
+          const tx = await cancelMultipleOrders(chainId, library, orderIds, {
+            successMsg: t`Orders cancelled.`,
+            failMsg: t`Cancel failed.`,
+            sentMsg: t`Cancel submitted.`,
+            pendingTxns,
+            setPendingTxns,
+          });
+          const receipt = await tx.wait();
+          if (receipt.status === 1) {
+            onCancelled(orderIds);
+          }
+        } else {
+          const ordersToCancel = orders.filter((order) => orderIds.includes(getOrderId(order)));
+          const cancelledCount = await runOrderQueue(ordersToCancel, (order) =>
+            handleCancelOrder(chainId, library, order, { pendingTxns, setPendingTxns })
+          );
+          onCancelled(ordersToCancel.slice(0, cancelledCount).map(getOrderId));
         }
       } catch (error) {
         // eslint-disable-next-line no-console
@@ -738,11 +812,13 @@ export const Exchange = forwardRef((props, ref) => {
     [
       chainId,
       library,
+      orders,
       pendingTxns,
       setPendingTxns,
       setCancelOrderIdList,
-      cancelOrderIdList,
       setIsCancelMultipleOrderProcessing,
+      unlinkBracketOrder,
+      removeTrailingStop,
     ]
   );
 
@@ -782,13 +858,17 @@ export const Exchange = forwardRef((props, ref) => {
   const POSITIONS = "Positions";
   const ORDERS = "Orders";
   const TRADES = "Trades";
+  const COPYING = "Copying";
+  const FEED = "Feed";
 
-  const LIST_SECTIONS = [POSITIONS, flagOrdersEnabled && ORDERS, TRADES].filter(Boolean);
+  const LIST_SECTIONS = [POSITIONS, COPYING, FEED, flagOrdersEnabled && ORDERS, TRADES].filter(Boolean);
   let [listSection, setListSection] = useLocalStorageByChainId(chainId, "List-section-v2", LIST_SECTIONS[0]);
   const LIST_SECTIONS_LABELS = {
     [ORDERS]: t`Open Orders (${orders.length})`,
     [POSITIONS]: t`Positions (${positions.length})`,
     [TRADES]: t`Trade History`,
+    [COPYING]: t`Copying`,
+    [FEED]: t`Feed`,
   };
   if (!LIST_SECTIONS.includes(listSection)) {
     listSection = LIST_SECTIONS[0];
@@ -798,20 +878,6 @@ export const Exchange = forwardRef((props, ref) => {
     return null;
   }
 
-  const renderCancelOrderButton = () => {
-    if (cancelOrderIdList.length === 0) return;
-    return (
-      <button
-        className="muted font-base cancel-order-btn"
-        disabled={isCancelMultipleOrderProcessing}
-        type="button"
-        onClick={onMultipleCancelClick}
-      >
-        <Plural value={cancelOrderIdList.length} one="Cancel order" other="Cancel # orders" />
-      </button>
-    );
-  };
-
   const getListSection = () => {
     return (
       <div className="position-manager-container">
@@ -825,7 +891,6 @@ export const Exchange = forwardRef((props, ref) => {
             className="Exchange-list-tabs"
           />
           <div className="align-right Exchange-should-show-position-lines">
-            {renderCancelOrderButton()}
             <Checkbox
               isChecked={savedShouldShowPositionLines}
               setIsChecked={setSavedShouldShowPositionLines}
@@ -874,8 +939,15 @@ export const Exchange = forwardRef((props, ref) => {
             usdgSupply={usdgSupply}
             totalTokenWeights={totalTokenWeights}
             openSettings={openSettings}
+            addTrailingStop={addTrailingStop}
           />
         )}
+        {listSection === COPYING && (
+          <CopyTradingList account={account} chainId={chainId} savedSlippageAmount={savedSlippageAmount} />
+        )}
+        {listSection === FEED && (
+          <SocialFeed account={account} chainId={chainId} library={library} onSelectMarket={onSelectPerpMarket} />
+        )}
         {listSection === ORDERS && (
           <OrdersList
             account={account}
@@ -892,6 +964,12 @@ export const Exchange = forwardRef((props, ref) => {
             savedShouldDisableValidationForTesting={savedShouldDisableValidationForTesting}
             cancelOrderIdList={cancelOrderIdList}
             setCancelOrderIdList={setCancelOrderIdList}
+            cancelOrders={cancelOrders}
+            isCancelMultipleOrderProcessing={isCancelMultipleOrderProcessing}
+            brackets={brackets}
+            unlinkBracketOrder={unlinkBracketOrder}
+            trailingStops={trailingStops}
+            removeTrailingStop={removeTrailingStop}
           />
         )}
         {listSection === TRADES && (
@@ -924,7 +1002,9 @@ export const Exchange = forwardRef((props, ref) => {
         positions={positions}
         savedShouldShowPositionLines={savedShouldShowPositionLines}
         orders={orders}
+        trailingStops={trailingStops}
         setToTokenAddress={setToTokenAddress}
+        perpBaseToken={tradingMode === 'perp' ? selectedBaseToken || getPerpMarkets(chainId)[0]?.baseToken : undefined}
       />
     );
   };
@@ -957,6 +1037,7 @@ export const Exchange = forwardRef((props, ref) => {
             token={toToken}
             infoTokens={infoTokens}
             chainId={chainId}
+            perpBaseToken={tradingMode === 'perp' ? selectedBaseToken : undefined}
           />
           
           {/* Trading Mode Toggle */}
@@ -1026,9 +1107,23 @@ export const Exchange = forwardRef((props, ref) => {
             minExecutionFee={minExecutionFee}
             minExecutionFeeUSD={minExecutionFeeUSD}
             minExecutionFeeErrorMessage={minExecutionFeeErrorMessage}
+            addBracket={addBracket}
+            addTwapOrder={addTwapOrder}
           />
           ) : (
-            <PerpSwapBox />
+            <>
+              <PerpSwapBox />
+              <PerpFundingPanel />
+            </>
+          )}
+          {tradingMode === 'spot' && (
+            <TwapProgress
+              chainId={chainId}
+              twapOrders={twapOrders}
+              now={now}
+              cancelTwapOrder={cancelTwapOrder}
+              removeTwapOrder={removeTwapOrder}
+            />
           )}
           <div className="Exchange-wallet-tokens">
             <div className="Exchange-wallet-tokens-content">
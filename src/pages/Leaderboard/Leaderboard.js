@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { Trans, t } from "@lingui/macro";
+import cx from "classnames";
+
+import SEO from "components/Common/SEO";
+import Footer from "components/Footer/Footer";
+import Tab from "components/Tab/Tab";
+import { LEADERBOARD_PERIODS, sortTraderStats, useLeaderboard } from "domain/leaderboard";
+import { useChainId } from "lib/chains";
+import { getPageTitle, shortenAddress } from "lib/legacy";
+import { formatAmount } from "lib/numbers";
+
+import "./Leaderboard.css";
+
+function formatSignedUsd(value) {
+  return `${value.lt(0) ? "-" : "+"}$${formatAmount(value.abs(), 18, 2, true)}`;
+}
+
+export default function Leaderboard() {
+  const { chainId } = useChainId();
+  const [period, setPeriod] = useState("7d");
+  const [sortKey, setSortKey] = useState("realizedPnl");
+  const { traders, isLoading, error } = useLeaderboard(chainId, period);
+
+  const rankedTraders = traders ? sortTraderStats(traders, sortKey) : [];
+
+  const periodLabels = {
+    "24h": t`24h`,
+    "7d": t`7d`,
+    "30d": t`30d`,
+    all: t`All Time`,
+  };
+  const sortColumns = [
+    { key: "realizedPnl", label: t`Realized PnL` },
+    { key: "roi", label: t`ROI` },
+    { key: "volume", label: t`Volume` },
+    { key: "winRate", label: t`Win Rate` },
+  ];
+
+  return (
+    <SEO title={getPageTitle(t`Leaderboard`)}>
+      <div className="default-container Leaderboard page-layout">
+        <div className="section-title-block">
+          <div className="section-title-icon"></div>
+          <div className="section-title-content">
+            <div className="Page-title">
+              <Trans>Leaderboard</Trans>
+            </div>
+            <div className="Page-description">
+              <Trans>Top perpetual traders ranked by realized PnL, ROI, volume and win rate.</Trans>
+            </div>
+          </div>
+        </div>
+        <div className="Leaderboard-content App-card">
+          <Tab
+            options={LEADERBOARD_PERIODS}
+            optionLabels={periodLabels}
+            option={period}
+            onChange={setPeriod}
+            type="inline"
+            className="Leaderboard-periods"
+          />
+          <table className="token-table Leaderboard-table">
+            <thead>
+              <tr>
+                <th className="token-table-label">#</th>
+                <th className="token-table-label">
+                  <Trans>Trader</Trans>
+                </th>
+                {sortColumns.map((column) => (
+                  <th
+                    key={column.key}
+                    className={cx("token-table-label", "Leaderboard-sortable", { active: sortKey === column.key })}
+                    onClick={() => setSortKey(column.key)}
+                  >
+                    {column.label}
+                  </th>
+                ))}
+                <th className="token-table-label">
+                  <Trans>Trades</Trans>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {rankedTraders.map((trader, index) => (
+                <tr key={trader.account}>
+                  <td>{index + 1}</td>
+                  <td>
+                    <Link to={`/trader/${trader.account}`}>{shortenAddress(trader.account, 13)}</Link>
+                  </td>
+                  <td className={trader.realizedPnl.lt(0) ? "negative" : "positive"}>
+                    {formatSignedUsd(trader.realizedPnl)}
+                  </td>
+                  <td className={trader.roi < 0 ? "negative" : "positive"}>{formatAmount(trader.roi, 2, 2)}%</td>
+                  <td>${formatAmount(trader.volume, 18, 2, true)}</td>
+                  <td>{formatAmount(trader.winRate, 2, 2)}%</td>
+                  <td>{trader.trades}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {isLoading && (
+            <div className="Leaderboard-message muted">
+              <Trans>Loading...</Trans>
+            </div>
+          )}
+          {error && (
+            <div className="Leaderboard-message negative">
+              <Trans>Failed to load trades</Trans>
+            </div>
+          )}
+          {traders && rankedTraders.length === 0 && (
+            <div className="Leaderboard-message muted">
+              <Trans>No trades in this period</Trans>
+            </div>
+          )}
+        </div>
+      </div>
+      <Footer />
+    </SEO>
+  );
+}
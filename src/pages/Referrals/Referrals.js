@@ -0,0 +1,87 @@
+import React from "react";
+import { useParams } from "react-router-dom";
+import { useLocalStorage } from "react-use";
+import { Trans, t } from "@lingui/macro";
+import { useWeb3React } from "@web3-react/core";
+import { ethers } from "ethers";
+
+import SEO from "components/Common/SEO";
+import Button from "components/Button/Button";
+import Footer from "components/Footer/Footer";
+import Tab from "components/Tab/Tab";
+import AffiliatesStats from "components/Referrals/AffiliatesStats";
+import TradersStats from "components/Referrals/TradersStats";
+import { REFERRALS_SELECTED_TAB_KEY } from "config/localStorage";
+import { useChainId } from "lib/chains";
+import { getPageTitle, shortenAddress } from "lib/legacy";
+
+import "./Referrals.css";
+
+const AFFILIATES = "Affiliates";
+const TRADERS = "Traders";
+
+export default function Referrals({ connectWallet, setPendingTxns, pendingTxns }) {
+  const { active, account: walletAccount, library } = useWeb3React();
+  const { account: queryAccount } = useParams();
+  const { chainId } = useChainId();
+  const [activeTab, setActiveTab] = useLocalStorage(REFERRALS_SELECTED_TAB_KEY, AFFILIATES);
+
+  // `/referrals/:account` shows another account's stats without the forms
+  const account = queryAccount && ethers.utils.isAddress(queryAccount) ? queryAccount : walletAccount;
+  const isOwnAccount = Boolean(walletAccount) && account?.toLowerCase() === walletAccount.toLowerCase();
+
+  const renderContent = () => {
+    if (!account) {
+      return (
+        <div className="App-card Referrals-connect">
+          <div className="App-card-content">
+            <div className="muted">
+              <Trans>Connect your wallet to create referral codes or use one.</Trans>
+            </div>
+            {!active && (
+              <Button variant="primary-action" onClick={() => connectWallet()}>
+                <Trans>Connect Wallet</Trans>
+              </Button>
+            )}
+          </div>
+        </div>
+      );
+    }
+
+    const props = { chainId, library, account, isOwnAccount, setPendingTxns, pendingTxns };
+    return activeTab === TRADERS ? <TradersStats {...props} /> : <AffiliatesStats {...props} />;
+  };
+
+  return (
+    <SEO title={getPageTitle(t`Referrals`)}>
+      <div className="default-container Referrals page-layout">
+        <div className="section-title-block">
+          <div className="section-title-icon"></div>
+          <div className="section-title-content">
+            <div className="Page-title">
+              <Trans>Referrals</Trans>
+            </div>
+            <div className="Page-description">
+              {account && !isOwnAccount ? (
+                <Trans>Referral stats of {shortenAddress(account, 13)}.</Trans>
+              ) : (
+                <Trans>
+                  Earn rebates on the fees of traders you refer, and fee discounts when trading with a code.
+                </Trans>
+              )}
+            </div>
+          </div>
+        </div>
+        <Tab
+          options={[AFFILIATES, TRADERS]}
+          optionLabels={{ [AFFILIATES]: t`Affiliates`, [TRADERS]: t`Traders` }}
+          option={activeTab}
+          onChange={setActiveTab}
+          className="Referrals-tabs"
+        />
+        {renderContent()}
+      </div>
+      <Footer />
+    </SEO>
+  );
+}
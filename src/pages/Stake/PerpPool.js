@@ -0,0 +1,316 @@
+import React, { useEffect, useState } from "react";
+import { Trans, t } from "@lingui/macro";
+import { Area, AreaChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { ethers } from "ethers";
+import { useWeb3React } from "@web3-react/core";
+import { usePerp } from "contexts/PerpContext";
+import Button from "components/Button/Button";
+import BuyInputSection from "components/BuyInputSection/BuyInputSection";
+import Footer from "components/Footer/Footer";
+import Tab from "components/Tab/Tab";
+import TooltipComponent from "components/Tooltip/Tooltip";
+import { helperToast } from "lib/helperToast";
+import { formatDate, formatDateTime } from "lib/dates";
+import { formatAmount, formatAmountFree, parseValue } from "lib/numbers";
+
+import "./PerpPool.css";
+
+const { AddressZero } = ethers.constants;
+
+const DEPOSIT = "Deposit";
+const WITHDRAW = "Withdraw";
+const POOL_REFRESH_INTERVAL = 30000;
+// Perp collateral amounts are 18 decimals when the pool's token can't be read
+const DEFAULT_COLLATERAL_DECIMALS = 18;
+const BASIS_POINTS = 10000;
+const SECONDS_PER_DAY = 24 * 60 * 60;
+// Fee APR annualizes the fees of the trailing window, only that window's fees are fetched
+const FEE_APR_WINDOW_DAYS = 7;
+
+function getFeeApr(fees, totalValue, now) {
+  if (!totalValue || totalValue.eq(0)) {
+    return undefined;
+  }
+  const windowStart = now - FEE_APR_WINDOW_DAYS * SECONDS_PER_DAY;
+  const windowFees = fees
+    .filter((fee) => fee.timestamp >= windowStart)
+    .reduce((total, fee) => total.add(fee.amount), ethers.BigNumber.from(0));
+  return windowFees.mul(BASIS_POINTS * 365).div(totalValue.mul(FEE_APR_WINDOW_DAYS));
+}
+
+export default function PerpPool({ connectWallet, earnTabs }) {
+  const { active } = useWeb3React();
+  const { isInitialized, loading, getPoolInfo, getPoolFees, addPoolLiquidity, removePoolLiquidity, claimPoolRewards } =
+    usePerp();
+  const [poolInfo, setPoolInfo] = useState(null);
+  const [fees, setFees] = useState(null);
+  const [action, setAction] = useState(DEPOSIT);
+  const [value, setValue] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isClaiming, setIsClaiming] = useState(false);
+  const [updateCount, setUpdateCount] = useState(0);
+
+  useEffect(() => {
+    if (!isInitialized) return;
+
+    let isCancelled = false;
+    const load = () => {
+      const feesFromTimestamp = Math.floor(Date.now() / 1000) - FEE_APR_WINDOW_DAYS * SECONDS_PER_DAY;
+      Promise.all([getPoolInfo(), getPoolFees(feesFromTimestamp)]).then(([info, poolFees]) => {
+        if (isCancelled) return;
+        setPoolInfo(info);
+        setFees(poolFees);
+      });
+    };
+
+    load();
+    const interval = setInterval(load, POOL_REFRESH_INTERVAL);
+    return () => {
+      isCancelled = true;
+      clearInterval(interval);
+    };
+  }, [isInitialized, updateCount, getPoolInfo, getPoolFees]);
+
+  const collateralToken = poolInfo?.collateralToken;
+  const decimals = collateralToken?.decimals ?? DEFAULT_COLLATERAL_DECIMALS;
+  const symbol = collateralToken?.symbol || "";
+  const isPoolOpen = collateralToken && collateralToken.address !== AddressZero;
+
+  const shareBps =
+    poolInfo?.shares && poolInfo.totalSupply.gt(0)
+      ? poolInfo.shares.mul(BASIS_POINTS).div(poolInfo.totalSupply)
+      : undefined;
+  const feeApr = fees && poolInfo ? getFeeApr(fees, poolInfo.totalValue, Math.floor(Date.now() / 1000)) : undefined;
+
+  let cumulativeFees = ethers.BigNumber.from(0);
+  const feeChartData = (fees || []).map((fee) => {
+    cumulativeFees = cumulativeFees.add(fee.amount);
+    return { timestamp: fee.timestamp, total: parseFloat(ethers.utils.formatUnits(cumulativeFees, decimals)) };
+  });
+
+  const maxAmount = action === DEPOSIT ? poolInfo?.tokenBalance : poolInfo?.liquidityValue;
+  const amount = parseValue(value, decimals);
+
+  // Shares are burnt in proportion to the value withdrawn, all of them when withdrawing the whole position
+  const getWithdrawShares = () => {
+    if (amount.gte(poolInfo.liquidityValue)) {
+      return poolInfo.shares;
+    }
+    return amount.mul(poolInfo.shares).div(poolInfo.liquidityValue);
+  };
+
+  const getError = () => {
+    if (!isPoolOpen) {
+      return t`Pool is not open`;
+    }
+    if (!amount || amount.eq(0)) {
+      return t`Enter an amount`;
+    }
+    if (maxAmount && amount.gt(maxAmount)) {
+      return action === DEPOSIT ? t`Insufficient ${symbol} balance` : t`Max amount exceeded`;
+    }
+  };
+
+  const getPrimaryText = () => {
+    const error = getError();
+    if (error) {
+      return error;
+    }
+    if (action === DEPOSIT) {
+      if (isSubmitting) {
+        return t`Depositing...`;
+      }
+      return poolInfo.allowance && amount.gt(poolInfo.allowance) ? t`Approve and Deposit` : t`Deposit`;
+    }
+    return isSubmitting ? t`Withdrawing...` : t`Withdraw`;
+  };
+
+  const onClickPrimary = async () => {
+    setIsSubmitting(true);
+    try {
+      if (action === DEPOSIT) {
+        await addPoolLiquidity(amount);
+        helperToast.success(t`Deposited ${formatAmount(amount, decimals, 2, true)} ${symbol}`);
+      } else {
+        await removePoolLiquidity(getWithdrawShares());
+        helperToast.success(t`Withdrew ${formatAmount(amount, decimals, 2, true)} ${symbol}`);
+      }
+      setValue("");
+      setUpdateCount((count) => count + 1);
+    } catch (err) {
+      const reason = err.reason || err.message;
+      helperToast.error(action === DEPOSIT ? t`Deposit failed: ${reason}` : t`Withdrawal failed: ${reason}`);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const onClickClaim = async () => {
+    setIsClaiming(true);
+    try {
+      await claimPoolRewards();
+      helperToast.success(t`Claimed ${formatAmount(poolInfo.pendingRewards, decimals, 2, true)} ${symbol}`);
+      setUpdateCount((count) => count + 1);
+    } catch (err) {
+      helperToast.error(t`Claim failed: ${err.reason || err.message}`);
+    } finally {
+      setIsClaiming(false);
+    }
+  };
+
+  const formatCollateral = (collateralAmount) =>
+    collateralAmount ? `${formatAmount(collateralAmount, decimals, 2, true)} ${symbol}` : "...";
+
+  return (
+    <div className="default-container page-layout PerpPool">
+      <div className="section-title-block">
+        <div className="section-title-icon"></div>
+        <div className="section-title-content">
+          <div className="Page-title">
+            <Trans>Stake & Earn</Trans>
+          </div>
+          <div className="Page-description" style={{ color: "var(--text-secondary)" }}>
+            <Trans>Provide liquidity to the perp vAMM pool and earn its trading fees.</Trans>
+          </div>
+        </div>
+      </div>
+      {earnTabs}
+      {!isInitialized ? (
+        <div className="App-card PerpPool-connect">
+          <div className="App-card-content">
+            <div className="muted">
+              <Trans>Connect your wallet to provide liquidity to the perp pool.</Trans>
+            </div>
+            {!active && (
+              <Button variant="primary-action" onClick={() => connectWallet()}>
+                <Trans>Connect Wallet</Trans>
+              </Button>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="PerpPool-cards">
+          <div className="App-card">
+            <div className="App-card-title">
+              <Trans>Perp Pool</Trans>
+            </div>
+            <div className="App-card-divider"></div>
+            <div className="App-card-content">
+              <div className="App-card-row">
+                <div className="label">
+                  <Trans>Pool Value</Trans>
+                </div>
+                <div>{formatCollateral(poolInfo?.totalValue)}</div>
+              </div>
+              <div className="App-card-row">
+                <div className="label">
+                  <Trans>Fee APR</Trans>
+                </div>
+                <div>
+                  <TooltipComponent
+                    handle={feeApr !== undefined ? `${formatAmount(feeApr, 2, 2, true)}%` : "..."}
+                    position="right-bottom"
+                    renderContent={() => (
+                      <Trans>
+                        Trading fees collected over the last {FEE_APR_WINDOW_DAYS} days, annualized over the pool value.
+                      </Trans>
+                    )}
+                  />
+                </div>
+              </div>
+              <div className="App-card-row">
+                <div className="label">
+                  <Trans>Undistributed Fees</Trans>
+                </div>
+                <div>{formatCollateral(poolInfo?.accumulatedFees)}</div>
+              </div>
+              <div className="App-card-row">
+                <div className="label">
+                  <Trans>Your Liquidity</Trans>
+                </div>
+                <div>{formatCollateral(poolInfo?.liquidityValue)}</div>
+              </div>
+              <div className="App-card-row">
+                <div className="label">
+                  <Trans>Your Share</Trans>
+                </div>
+                <div>{shareBps !== undefined ? `${formatAmount(shareBps, 2, 2, true)}%` : "-"}</div>
+              </div>
+              <div className="App-card-row">
+                <div className="label">
+                  <Trans>Pending Rewards</Trans>
+                </div>
+                <div>{formatCollateral(poolInfo?.pendingRewards)}</div>
+              </div>
+              <Button
+                variant="secondary"
+                className="w-full"
+                onClick={onClickClaim}
+                disabled={!poolInfo?.pendingRewards || poolInfo.pendingRewards.eq(0) || isClaiming || loading}
+              >
+                {isClaiming ? t`Claiming...` : t`Claim Rewards`}
+              </Button>
+            </div>
+          </div>
+          <div className="App-card">
+            <Tab
+              options={[DEPOSIT, WITHDRAW]}
+              optionLabels={{ [DEPOSIT]: t`Deposit`, [WITHDRAW]: t`Withdraw` }}
+              option={action}
+              onChange={(option) => {
+                setAction(option);
+                setValue("");
+              }}
+            />
+            <BuyInputSection
+              topLeftLabel={action === DEPOSIT ? t`Deposit` : t`Withdraw`}
+              topRightLabel={action === DEPOSIT ? t`Balance` : t`Available`}
+              tokenBalance={formatAmount(maxAmount, decimals, 4, true)}
+              onClickTopRightLabel={() => setValue(formatAmountFree(maxAmount, decimals, decimals))}
+              onClickMax={() => setValue(formatAmountFree(maxAmount, decimals, decimals))}
+              inputValue={value}
+              onInputValueChange={(e) => setValue(e.target.value)}
+              showMaxButton={Boolean(maxAmount && maxAmount.gt(0))}
+            >
+              {symbol}
+            </BuyInputSection>
+            <Button
+              variant="primary-action"
+              className="w-full"
+              onClick={onClickPrimary}
+              disabled={Boolean(getError()) || isSubmitting || loading}
+            >
+              {getPrimaryText()}
+            </Button>
+          </div>
+          <div className="App-card PerpPool-fees">
+            <div className="App-card-title">
+              <Trans>Fees Collected, Last {FEE_APR_WINDOW_DAYS} Days</Trans>
+            </div>
+            <div className="App-card-divider"></div>
+            <div className="App-card-content">
+              {feeChartData.length > 0 ? (
+                <ResponsiveContainer width="100%" height={240}>
+                  <AreaChart data={feeChartData}>
+                    <XAxis dataKey="timestamp" tickFormatter={formatDate} minTickGap={30} />
+                    <YAxis width={60} />
+                    <Tooltip
+                      labelFormatter={formatDateTime}
+                      formatter={(total) => [`${total.toFixed(2)} ${symbol}`, t`Total Fees Collected`]}
+                    />
+                    <Area type="stepAfter" dataKey="total" stroke="#3b82f6" fill="rgba(59, 130, 246, 0.2)" />
+                  </AreaChart>
+                </ResponsiveContainer>
+              ) : (
+                <div className="muted">
+                  {fees ? t`No trading fees collected in the last ${FEE_APR_WINDOW_DAYS} days` : t`Loading...`}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+      <Footer />
+    </div>
+  );
+}
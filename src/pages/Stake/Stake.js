@@ -1,11 +1,38 @@
 import React from "react";
+import { t } from "@lingui/macro";
+import { useLocalStorage } from "react-use";
 
 import { getConstant } from "config/chains";
+import { EARN_SELECTED_TAB_KEY } from "config/localStorage";
+import Tab from "components/Tab/Tab";
 
 import StakeV1 from "./StakeV1";
 import StakeV2 from "./StakeV2";
+import PerpPool from "./PerpPool";
+
+import "./Stake.css";
+
+const STAKING = "Staking";
+const PERP_POOL = "Perp Pool";
+const EARN_TABS = [STAKING, PERP_POOL];
 
 export default function Stake(props) {
   const isV2 = true;
-  return isV2 ? <StakeV2 {...props} /> : <StakeV1 {...props} />;
+  const [earnTab, setEarnTab] = useLocalStorage(EARN_SELECTED_TAB_KEY, STAKING);
+
+  const earnTabs = (
+    <Tab
+      options={EARN_TABS}
+      optionLabels={{ [STAKING]: t`Staking`, [PERP_POOL]: t`Perp Pool` }}
+      option={earnTab}
+      onChange={setEarnTab}
+      type="inline"
+      className="Stake-tabs"
+    />
+  );
+
+  if (earnTab === PERP_POOL) {
+    return <PerpPool {...props} earnTabs={earnTabs} />;
+  }
+  return isV2 ? <StakeV2 {...props} earnTabs={earnTabs} /> : <StakeV1 {...props} />;
 }
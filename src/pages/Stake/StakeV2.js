@@ -952,7 +952,7 @@ function ClaimModal(props) {
   );
 }
 
-export default function StakeV2({ setPendingTxns, connectWallet }) {
+export default function StakeV2({ setPendingTxns, connectWallet, earnTabs }) {
   const { active, library, account } = useWeb3React();
   const { chainId } = useChainId();
 
@@ -1575,6 +1575,7 @@ export default function StakeV2({ setPendingTxns, connectWallet }) {
           {earnMsg && <div className="Page-description">{earnMsg}</div>}
         </div>
       </div>
+      {earnTabs}
       <div className="StakeV2-content">
         <div className="StakeV2-cards asset-and-reward">
           <div className="App-card StakeV2-utx-card Asset">
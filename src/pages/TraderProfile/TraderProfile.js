@@ -0,0 +1,246 @@
+import React from "react";
+import useSWR from "swr";
+import { ethers } from "ethers";
+import { useWeb3React } from "@web3-react/core";
+import { useHistory, useParams } from "react-router-dom";
+import { Trans, t } from "@lingui/macro";
+import { Area, AreaChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+
+import { usePerp } from "contexts/PerpContext";
+import { getContract } from "config/contracts";
+import { getPerpMarketInfo } from "config/perpMarkets";
+import { getWhitelistedTokens } from "config/tokens";
+import { usePerpPositions, useTraderProfile } from "domain/leaderboard";
+import { useFollows } from "domain/social";
+import { useInfoTokens } from "domain/tokens";
+import { getTokenInfo } from "domain/tokens/utils";
+import { useChainId } from "lib/chains";
+import { contractFetcher } from "lib/contracts";
+import { formatDate, formatDateTime } from "lib/dates";
+import { helperToast } from "lib/helperToast";
+import { BASIS_POINTS_DIVISOR, getPageTitle, shortenAddress } from "lib/legacy";
+import { formatAmount } from "lib/numbers";
+
+import SEO from "components/Common/SEO";
+import Footer from "components/Footer/Footer";
+import TradeHistory from "components/Exchange/TradeHistory";
+import Reader from "abis/Reader.json";
+
+import "./TraderProfile.css";
+
+function formatSignedUsd(value) {
+  return `${value.lt(0) ? "-" : "+"}$${formatAmount(value.abs(), 18, 2, true)}`;
+}
+
+// The ClearingHouse opens `collateral * leverage / BASIS_POINTS_DIVISOR` of notional, leverage is in hundredths of 1x
+// like the router's `PositionOpened.leverage`
+function formatPositionLeverage(position) {
+  if (position.collateral.isZero()) {
+    return "-";
+  }
+  const leverage = position.openNotional.mul(BASIS_POINTS_DIVISOR).div(position.collateral);
+  return `${formatAmount(leverage, 2, 2)}x`;
+}
+
+export default function TraderProfile() {
+  const { account } = useParams();
+  const history = useHistory();
+  const { active, library, account: connectedAccount } = useWeb3React();
+  const { chainId } = useChainId();
+  const { followSettings, setFollowSettings } = usePerp();
+  const nativeTokenAddress = getContract(chainId, "NATIVE_TOKEN");
+  const vaultAddress = getContract(chainId, "Vault");
+  const readerAddress = getContract(chainId, "Reader");
+
+  let checkSummedAccount = "";
+  if (ethers.utils.isAddress(account)) {
+    checkSummedAccount = ethers.utils.getAddress(account);
+  }
+
+  const { profile, isLoading } = useTraderProfile(chainId, checkSummedAccount || undefined);
+  const positions = usePerpPositions(chainId, checkSummedAccount || undefined);
+  const { follows, follow, unfollow } = useFollows(chainId, connectedAccount, library);
+  const isFollowing = Boolean(follows?.includes(checkSummedAccount));
+
+  const whitelistedTokenAddresses = getWhitelistedTokens(chainId).map((token) => token.address);
+  const { data: fundingRateInfo } = useSWR([active, chainId, readerAddress, "getFundingRates"], {
+    fetcher: contractFetcher(library, Reader, [vaultAddress, nativeTokenAddress, whitelistedTokenAddresses]),
+  });
+  const { infoTokens } = useInfoTokens(library, chainId, active, undefined, fundingRateInfo);
+
+  const onCopyClick = () => {
+    setFollowSettings({ ...followSettings, leader: checkSummedAccount, isActive: false });
+    history.push("/trade");
+  };
+
+  const onFollowClick = async () => {
+    try {
+      await (isFollowing ? unfollow(checkSummedAccount) : follow(checkSummedAccount));
+    } catch (err) {
+      helperToast.error(t`Follow failed: ${err.message}`);
+    }
+  };
+
+  if (!checkSummedAccount) {
+    return (
+      <div className="default-container TraderProfile page-layout">
+        <Trans>Invalid account</Trans>
+      </div>
+    );
+  }
+
+  const stats = profile?.stats;
+
+  return (
+    <SEO title={getPageTitle(t`Trader`)}>
+      <div className="default-container TraderProfile page-layout">
+        <div className="section-title-block">
+          <div className="section-title-icon"></div>
+          <div className="section-title-content">
+            <div className="Page-title">
+              <Trans>Trader</Trans> {shortenAddress(checkSummedAccount, 13)}
+            </div>
+            <div className="Page-description">{checkSummedAccount}</div>
+          </div>
+          <div className="TraderProfile-actions">
+            {connectedAccount && connectedAccount.toLowerCase() !== checkSummedAccount.toLowerCase() && (
+              <button className="App-button-option" onClick={onFollowClick}>
+                {isFollowing ? t`Unfollow` : t`Follow`}
+              </button>
+            )}
+            <button className="App-button-option" onClick={onCopyClick}>
+              <Trans>Copy Trader</Trans>
+            </button>
+          </div>
+        </div>
+
+        <div className="TraderProfile-stats">
+          <div className="App-card">
+            <div className="muted">
+              <Trans>Realized PnL</Trans>
+            </div>
+            <div className={stats?.realizedPnl.lt(0) ? "negative" : "positive"}>
+              {stats ? formatSignedUsd(stats.realizedPnl) : "..."}
+            </div>
+          </div>
+          <div className="App-card">
+            <div className="muted">
+              <Trans>Win Rate</Trans>
+            </div>
+            <div>{stats ? `${formatAmount(stats.winRate, 2, 2)}%` : "..."}</div>
+          </div>
+          <div className="App-card">
+            <div className="muted">
+              <Trans>Avg. Leverage</Trans>
+            </div>
+            <div>{profile ? `${formatAmount(profile.averageLeverage, 2, 2)}x` : "..."}</div>
+          </div>
+          <div className="App-card">
+            <div className="muted">
+              <Trans>Volume</Trans>
+            </div>
+            <div>{stats ? `$${formatAmount(stats.volume, 18, 2, true)}` : "..."}</div>
+          </div>
+          <div className="App-card">
+            <div className="muted">
+              <Trans>Favourite Markets</Trans>
+            </div>
+            <div>
+              {profile && profile.favouriteMarkets.length > 0
+                ? profile.favouriteMarkets
+                    .map((market) => `${getPerpMarketInfo(chainId, market.baseToken).symbol}-PERP`)
+                    .join(", ")
+                : "-"}
+            </div>
+          </div>
+        </div>
+
+        <div className="TraderProfile-section App-card">
+          <div className="App-card-title">
+            <Trans>Cumulative PnL</Trans>
+          </div>
+          <div className="App-card-divider"></div>
+          {profile && profile.pnlHistory.length > 0 ? (
+            <ResponsiveContainer width="100%" height={240}>
+              <AreaChart data={profile.pnlHistory}>
+                <XAxis dataKey="timestamp" tickFormatter={formatDate} minTickGap={30} />
+                <YAxis width={80} tickFormatter={(value) => `$${value.toFixed(0)}`} />
+                <Tooltip
+                  labelFormatter={formatDateTime}
+                  formatter={(value) => [`$${value.toFixed(2)}`, t`Cumulative PnL`]}
+                />
+                <Area type="monotone" dataKey="cumulativePnl" stroke="#3fb68b" fill="rgba(63, 182, 139, 0.2)" />
+              </AreaChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="muted">{isLoading ? t`Loading...` : t`No closed trades yet`}</div>
+          )}
+        </div>
+
+        <div className="TraderProfile-section App-card">
+          <div className="App-card-title">
+            <Trans>Open Positions</Trans>
+          </div>
+          <div className="App-card-divider"></div>
+          {positions && positions.length > 0 ? (
+            <table className="token-table TraderProfile-positions">
+              <thead>
+                <tr>
+                  <th className="token-table-label">
+                    <Trans>Market</Trans>
+                  </th>
+                  <th className="token-table-label">
+                    <Trans>Side</Trans>
+                  </th>
+                  <th className="token-table-label">
+                    <Trans>Size</Trans>
+                  </th>
+                  <th className="token-table-label">
+                    <Trans>Collateral</Trans>
+                  </th>
+                  <th className="token-table-label">
+                    <Trans>Entry Price</Trans>
+                  </th>
+                  <th className="token-table-label">
+                    <Trans>Leverage</Trans>
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {positions.map((position) => (
+                  <tr key={position.baseToken}>
+                    <td>{getPerpMarketInfo(chainId, position.baseToken).symbol}-PERP</td>
+                    <td className={position.size.gt(0) ? "positive" : "negative"}>
+                      {position.size.gt(0) ? t`Long` : t`Short`}
+                    </td>
+                    <td>{formatAmount(position.size.abs(), 18, 4, true)}</td>
+                    <td>${formatAmount(position.collateral, 18, 2, true)}</td>
+                    <td>${formatAmount(position.entryPrice, 18, 2, true)}</td>
+                    <td>{formatPositionLeverage(position)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="muted">{positions ? t`No open positions` : t`Loading...`}</div>
+          )}
+        </div>
+
+        <div className="TraderProfile-section">
+          <div className="TraderProfile-title">
+            <Trans>Trade History</Trans>
+          </div>
+          <TradeHistory
+            account={checkSummedAccount}
+            infoTokens={infoTokens}
+            getTokenInfo={getTokenInfo}
+            chainId={chainId}
+            nativeTokenAddress={nativeTokenAddress}
+            shouldShowPaginationButtons={true}
+          />
+        </div>
+      </div>
+      <Footer />
+    </SEO>
+  );
+}
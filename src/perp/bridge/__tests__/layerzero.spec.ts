@@ -0,0 +1,153 @@
+import { BigNumber, ethers } from "ethers";
+import {
+  DEFAULT_DST_GAS_LIMITS,
+  MESSAGE_TYPES,
+  applyFeeBuffer,
+  getAdapterParams,
+  getRouteConfig,
+  isRouteSupported,
+} from "perp/bridge/config";
+import LayerZeroBridge from "perp/bridge/layerzero";
+
+const ARBITRUM = 42161;
+const ETHEREUM = 1;
+const U2U_TESTNET = 2484;
+const ARBITRUM_SEPOLIA = 421614;
+const ACCOUNT = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const OFT = "0x8A791620dd6260079BF849Dc5567aDC3F2FdC318";
+const CLEARING_HOUSE = "0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9";
+
+function decodeAdapterParams(adapterParams: string) {
+  const bytes = ethers.utils.arrayify(adapterParams);
+  const params: any = {
+    version: BigNumber.from(bytes.slice(0, 2)).toNumber(),
+    gasLimit: BigNumber.from(bytes.slice(2, 34)).toNumber(),
+  };
+  if (params.version === 2) {
+    params.airdropAmount = BigNumber.from(bytes.slice(34, 66));
+    params.airdropAddress = ethers.utils.getAddress(ethers.utils.hexlify(bytes.slice(66, 86)));
+  }
+  return params;
+}
+
+function createMockEndpoint(nativeFee: BigNumber) {
+  const tx = { hash: "0x01", wait: async () => ({ transactionHash: "0x01" }) };
+  return {
+    estimateFees: jest.fn(async () => ({ nativeFee, zroFee: BigNumber.from(0) })),
+    estimateSendFee: jest.fn(async () => ({ nativeFee, zroFee: BigNumber.from(0) })),
+    send: jest.fn(async () => tx),
+    sendFrom: jest.fn(async () => tx),
+    getOutboundNonce: jest.fn(async () => BigNumber.from(7)),
+  };
+}
+
+function createBridge(chainId: number, endpoint: ReturnType<typeof createMockEndpoint>) {
+  const signer = { getAddress: async () => ACCOUNT };
+  const bridge: any = new LayerZeroBridge(undefined, signer, chainId);
+  // The same mock answers the endpoint and the OFT calls
+  bridge.endpoint = endpoint;
+  bridge.oftTokens = { [chainId]: { [OFT]: endpoint } };
+  bridge.getOFTEndpoint = async () => endpoint;
+  return bridge;
+}
+
+describe("LayerZero routes", function () {
+  it("rejects chains without an endpoint and mixed networks", function () {
+    expect(isRouteSupported(ETHEREUM, ARBITRUM)).toBe(true);
+    expect(isRouteSupported(ARBITRUM, ARBITRUM)).toBe(false);
+    expect(isRouteSupported(ARBITRUM, U2U_TESTNET)).toBe(false);
+    expect(isRouteSupported(ARBITRUM, ARBITRUM_SEPOLIA)).toBe(false);
+    expect(isRouteSupported(31337, 31337)).toBe(true);
+    expect(isRouteSupported(31337, ARBITRUM)).toBe(false);
+  });
+
+  it("resolves destination gas per route and message type", function () {
+    expect(getRouteConfig(ETHEREUM, ARBITRUM, MESSAGE_TYPES.OPEN_POSITION)).toEqual({
+      srcLzChainId: 101,
+      dstLzChainId: 110,
+      gasLimit: 600000,
+    });
+    expect(getRouteConfig(ARBITRUM, ETHEREUM, MESSAGE_TYPES.OPEN_POSITION).gasLimit).toBe(
+      DEFAULT_DST_GAS_LIMITS[MESSAGE_TYPES.OPEN_POSITION]
+    );
+    expect(() => getRouteConfig(U2U_TESTNET, ARBITRUM)).toThrow("LayerZero is not supported on chain 2484");
+  });
+});
+
+describe("LayerZero adapter params and fees", function () {
+  it("encodes v1 without an airdrop and v2 with one", function () {
+    expect(decodeAdapterParams(getAdapterParams({ gasLimit: 250000 }))).toEqual({ version: 1, gasLimit: 250000 });
+
+    const airdropAmount = ethers.utils.parseEther("0.01");
+    const params = decodeAdapterParams(getAdapterParams({ gasLimit: 250000, airdropAmount, airdropAddress: ACCOUNT }));
+    expect(params.version).toBe(2);
+    expect(params.airdropAmount.eq(airdropAmount)).toBe(true);
+    expect(params.airdropAddress).toBe(ACCOUNT);
+    expect(() => getAdapterParams({ gasLimit: 250000, airdropAmount })).toThrow();
+  });
+
+  it("adds the buffer on top of the quoted fee", function () {
+    expect(applyFeeBuffer(BigNumber.from(1000000)).toNumber()).toBe(1100000);
+    expect(applyFeeBuffer(BigNumber.from(1000000), 50).toNumber()).toBe(1005000);
+    expect(() => applyFeeBuffer(BigNumber.from(1000000), 9000)).toThrow();
+  });
+});
+
+describe("LayerZeroBridge with a mocked endpoint", function () {
+  const nativeFee = ethers.utils.parseEther("0.002");
+
+  it("pays the buffered estimate when bridging tokens", async function () {
+    const endpoint = createMockEndpoint(nativeFee);
+    const bridge = createBridge(ETHEREUM, endpoint);
+
+    const result = await bridge.bridgeTokens({
+      toChainId: ARBITRUM,
+      toAddress: ACCOUNT,
+      tokenAddress: OFT,
+      amount: BigNumber.from(100),
+      feeBufferBps: 50,
+    });
+
+    const sendArgs: any[] = endpoint.sendFrom.mock.calls[0];
+    expect(sendArgs[1]).toBe(110);
+    expect(decodeAdapterParams(sendArgs[6])).toEqual({ version: 1, gasLimit: 400000 });
+    expect(sendArgs[7].value.eq(nativeFee.mul(10050).div(10000))).toBe(true);
+    expect(result.nonce).toBe(7);
+  });
+
+  it("rejects unsupported routes before calling the endpoint", async function () {
+    const endpoint = createMockEndpoint(nativeFee);
+    const bridge = createBridge(ARBITRUM, endpoint);
+
+    await expect(
+      bridge.bridgeTokens({ toChainId: U2U_TESTNET, toAddress: ACCOUNT, tokenAddress: OFT, amount: BigNumber.from(1) })
+    ).rejects.toThrow("LayerZero is not supported on chain 2484");
+    await expect(
+      bridge.estimateMessageFee({ toChainId: ARBITRUM_SEPOLIA, targetContract: CLEARING_HOUSE, payload: "0x" })
+    ).rejects.toThrow("not on the same LayerZero network");
+    expect(endpoint.estimateSendFee).not.toHaveBeenCalled();
+    expect(endpoint.estimateFees).not.toHaveBeenCalled();
+  });
+
+  it("airdrops native gas on the destination through the message adapter params", async function () {
+    const endpoint = createMockEndpoint(nativeFee);
+    const bridge = createBridge(ARBITRUM, endpoint);
+    const nativeForDst = ethers.utils.parseEther("0.005");
+
+    await bridge.sendCrossChainMessage({
+      toChainId: ETHEREUM,
+      targetContract: CLEARING_HOUSE,
+      payload: "0x1234",
+      messageType: MESSAGE_TYPES.CLOSE_POSITION,
+      nativeForDst,
+    });
+
+    const sendArgs: any[] = endpoint.send.mock.calls[0];
+    const params = decodeAdapterParams(sendArgs[5]);
+    expect(params).toMatchObject({ version: 2, gasLimit: DEFAULT_DST_GAS_LIMITS[MESSAGE_TYPES.CLOSE_POSITION] });
+    expect(params.airdropAmount.eq(nativeForDst)).toBe(true);
+    expect(params.airdropAddress).toBe(ACCOUNT);
+    // The quote already prices the airdrop, only the buffer is added
+    expect(sendArgs[6].value.eq(applyFeeBuffer(nativeFee))).toBe(true);
+  });
+});
@@ -0,0 +1,196 @@
+import { ethers } from "ethers";
+import { HARDHAT } from "../../config/chains";
+
+/**
+ * LayerZero routes, destination gas and fee policy for the bridge
+ */
+
+// LayerZero Chain IDs (different from EVM chain IDs)
+export const LZ_CHAIN_IDS = {
+  ARBITRUM: 110, // Arbitrum LayerZero ID
+  ETHEREUM: 101, // Ethereum LayerZero ID
+  OPTIMISM: 111, // Optimism LayerZero ID
+  POLYGON: 109, // Polygon LayerZero ID
+  BSC: 102, // BSC LayerZero ID
+  AVALANCHE: 106, // Avalanche LayerZero ID
+  // U2U would need to be added to LayerZero
+  U2U_TESTNET: 159, // Assuming U2U gets LayerZero integration
+  HARDHAT: HARDHAT, // Mock endpoint, local routes only
+};
+
+// LayerZero Endpoint addresses per EVM chain. Chains without an endpoint (e.g. U2U until LayerZero supports it) are
+// left out so every route touching them is rejected.
+export const LZ_ENDPOINTS = {
+  // Mainnet Endpoints
+  1: "0x66A71Dcef29A0fFBDBE3c6a460a3B5BC225Cd675", // Ethereum
+  42161: "0x3c2269811836af69497E5F486A85D7316753cf62", // Arbitrum
+  10: "0x3c2269811836af69497E5F486A85D7316753cf62", // Optimism
+  137: "0x3c2269811836af69497E5F486A85D7316753cf62", // Polygon
+
+  // Testnet Endpoints
+  421614: "0x6098e96a28E02f27B1e6BD381f870F1C8Bd169d3", // Arbitrum Sepolia
+  11155111: "0xae92d5aD7583AD66E49A0c67BAd18F6ba52dDDc1", // Ethereum Sepolia
+
+  // Local
+  [HARDHAT]: "0x2279B7A0a67DB372996a5FaB50D91eAA73d2eBe6", // MockLZEndpoint from scripts/deploy-local.js, deterministic on a fresh node
+};
+
+// EVM chain ID => LayerZero chain ID
+export const EVM_TO_LZ_CHAIN_IDS = {
+  1: LZ_CHAIN_IDS.ETHEREUM,
+  42161: LZ_CHAIN_IDS.ARBITRUM,
+  10: LZ_CHAIN_IDS.OPTIMISM,
+  137: LZ_CHAIN_IDS.POLYGON,
+  56: LZ_CHAIN_IDS.BSC,
+  43114: LZ_CHAIN_IDS.AVALANCHE,
+  159: LZ_CHAIN_IDS.U2U_TESTNET,
+  2484: LZ_CHAIN_IDS.U2U_TESTNET, // U2U Nebulas testnet as configured in the app
+  // Add testnets
+  421614: LZ_CHAIN_IDS.ARBITRUM, // Arbitrum Sepolia maps to Arbitrum LZ ID
+  11155111: LZ_CHAIN_IDS.ETHEREUM, // Ethereum Sepolia maps to Ethereum LZ ID
+  [HARDHAT]: LZ_CHAIN_IDS.HARDHAT,
+};
+
+// Messages never cross between these groups
+const TESTNET_CHAIN_IDS = [159, 2484, 421614, 11155111];
+const LOCAL_CHAIN_IDS = [HARDHAT];
+
+export const MESSAGE_TYPES = {
+  OFT_TRANSFER: "oftTransfer",
+  OPEN_POSITION: "openPosition",
+  CLOSE_POSITION: "closePosition",
+  MESSAGE: "message",
+};
+
+// Gas the destination gets to execute each kind of message
+export const DEFAULT_DST_GAS_LIMITS = {
+  [MESSAGE_TYPES.OFT_TRANSFER]: 200000,
+  [MESSAGE_TYPES.OPEN_POSITION]: 300000,
+  [MESSAGE_TYPES.CLOSE_POSITION]: 300000,
+  [MESSAGE_TYPES.MESSAGE]: 200000,
+};
+
+// Per route overrides keyed by getRouteKey. Arbitrum bills L1 calldata in L2 gas, deliveries there need headroom.
+export const ROUTE_DST_GAS_LIMITS = {
+  [getRouteKey(1, 42161)]: {
+    [MESSAGE_TYPES.OFT_TRANSFER]: 400000,
+    [MESSAGE_TYPES.OPEN_POSITION]: 600000,
+    [MESSAGE_TYPES.CLOSE_POSITION]: 600000,
+  },
+  [getRouteKey(10, 42161)]: {
+    [MESSAGE_TYPES.OFT_TRANSFER]: 400000,
+    [MESSAGE_TYPES.OPEN_POSITION]: 600000,
+    [MESSAGE_TYPES.CLOSE_POSITION]: 600000,
+  },
+  [getRouteKey(137, 42161)]: {
+    [MESSAGE_TYPES.OFT_TRANSFER]: 400000,
+    [MESSAGE_TYPES.OPEN_POSITION]: 600000,
+    [MESSAGE_TYPES.CLOSE_POSITION]: 600000,
+  },
+};
+
+// Fees are quoted then paid in a later transaction, the buffer absorbs price moves in between. Endpoints refund what
+// the relayer does not use to the refund address.
+export const FEE_BUFFER_POLICY = {
+  defaultBps: 1000,
+  maxBps: 5000,
+};
+
+const BASIS_POINTS_DIVISOR = 10000;
+
+export function getRouteKey(srcChainId, dstChainId) {
+  return `${srcChainId}-${dstChainId}`;
+}
+
+export function getLayerZeroChainId(evmChainId) {
+  return EVM_TO_LZ_CHAIN_IDS[evmChainId];
+}
+
+export function hasLayerZeroEndpoint(chainId) {
+  const endpoint = LZ_ENDPOINTS[chainId];
+  return Boolean(endpoint && endpoint !== ethers.constants.AddressZero);
+}
+
+function getNetworkGroup(chainId) {
+  if (LOCAL_CHAIN_IDS.includes(chainId)) {
+    return "local";
+  }
+  return TESTNET_CHAIN_IDS.includes(chainId) ? "testnet" : "mainnet";
+}
+
+/**
+ * Why a message cannot go from `srcChainId` to `dstChainId`, undefined when the route is supported.
+ * Local networks only route to themselves, OFT mocks loop back there.
+ */
+export function getRouteError(srcChainId, dstChainId) {
+  if (!getLayerZeroChainId(srcChainId) || !hasLayerZeroEndpoint(srcChainId)) {
+    return `LayerZero is not supported on chain ${srcChainId}`;
+  }
+  if (!getLayerZeroChainId(dstChainId) || !hasLayerZeroEndpoint(dstChainId)) {
+    return `LayerZero is not supported on chain ${dstChainId}`;
+  }
+  if (getNetworkGroup(srcChainId) !== getNetworkGroup(dstChainId)) {
+    return `Chains ${srcChainId} and ${dstChainId} are not on the same LayerZero network`;
+  }
+  const isLocal = getNetworkGroup(srcChainId) === "local";
+  if (isLocal ? srcChainId !== dstChainId : srcChainId === dstChainId) {
+    return `No LayerZero route from chain ${srcChainId} to chain ${dstChainId}`;
+  }
+  return undefined;
+}
+
+export function isRouteSupported(srcChainId, dstChainId) {
+  return !getRouteError(srcChainId, dstChainId);
+}
+
+/**
+ * Validate a route and resolve what a message of `messageType` needs on it
+ * @return LayerZero chain ids of both ends and the destination gas limit
+ */
+export function getRouteConfig(srcChainId, dstChainId, messageType = MESSAGE_TYPES.MESSAGE) {
+  const error = getRouteError(srcChainId, dstChainId);
+  if (error) {
+    throw new Error(error);
+  }
+  const gasLimit =
+    ROUTE_DST_GAS_LIMITS[getRouteKey(srcChainId, dstChainId)]?.[messageType] || DEFAULT_DST_GAS_LIMITS[messageType];
+  if (!gasLimit) {
+    throw new Error(`Unknown LayerZero message type ${messageType}`);
+  }
+
+  return {
+    srcLzChainId: getLayerZeroChainId(srcChainId),
+    dstLzChainId: getLayerZeroChainId(dstChainId),
+    gasLimit,
+  };
+}
+
+/**
+ * Adapter parameters: v1 sets the destination gas limit, v2 also airdrops `airdropAmount` of native gas to
+ * `airdropAddress` on the destination
+ * @param {{ gasLimit: number, airdropAmount?: ethers.BigNumberish, airdropAddress?: string }} params
+ */
+export function getAdapterParams({ gasLimit, airdropAmount, airdropAddress }) {
+  if (!airdropAmount || ethers.BigNumber.from(airdropAmount).isZero()) {
+    return ethers.utils.solidityPack(["uint16", "uint256"], [1, gasLimit]);
+  }
+  if (!airdropAddress || !ethers.utils.isAddress(airdropAddress)) {
+    throw new Error("Airdropped native gas needs a destination address");
+  }
+  return ethers.utils.solidityPack(
+    ["uint16", "uint256", "uint256", "address"],
+    [2, gasLimit, airdropAmount, airdropAddress]
+  );
+}
+
+/**
+ * Fee to send for a quoted `nativeFee`, raised by `bufferBps`
+ */
+export function applyFeeBuffer(nativeFee, bufferBps = FEE_BUFFER_POLICY.defaultBps) {
+  if (!Number.isInteger(bufferBps) || bufferBps < 0 || bufferBps > FEE_BUFFER_POLICY.maxBps) {
+    throw new Error(`Fee buffer must be between 0 and ${FEE_BUFFER_POLICY.maxBps} basis points`);
+  }
+  return ethers.BigNumber.from(nativeFee)
+    .mul(BASIS_POINTS_DIVISOR + bufferBps)
+    .div(BASIS_POINTS_DIVISOR);
+}
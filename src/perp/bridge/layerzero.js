@@ -1,38 +1,23 @@
 import { ethers } from "ethers";
+import {
+  EVM_TO_LZ_CHAIN_IDS,
+  FEE_BUFFER_POLICY,
+  LZ_CHAIN_IDS,
+  LZ_ENDPOINTS,
+  MESSAGE_TYPES,
+  applyFeeBuffer,
+  getAdapterParams,
+  getLayerZeroChainId,
+  getRouteConfig,
+  hasLayerZeroEndpoint,
+  isRouteSupported,
+} from "./config";
 
 /**
  * LayerZero Bridge for Cross-Chain Perpetual Protocol
  * Enables seamless trading across U2U, Arbitrum, and other chains
  */
 
-// LayerZero Chain IDs (different from EVM chain IDs)
-const LZ_CHAIN_IDS = {
-  ARBITRUM: 110, // Arbitrum LayerZero ID
-  ETHEREUM: 101, // Ethereum LayerZero ID
-  OPTIMISM: 111, // Optimism LayerZero ID
-  POLYGON: 109, // Polygon LayerZero ID
-  BSC: 102, // BSC LayerZero ID
-  AVALANCHE: 106, // Avalanche LayerZero ID
-  // U2U would need to be added to LayerZero
-  U2U_TESTNET: 159, // Assuming U2U gets LayerZero integration
-};
-
-// LayerZero Endpoint addresses per chain
-const LZ_ENDPOINTS = {
-  // Mainnet Endpoints
-  1: "0x66A71Dcef29A0fFBDBE3c6a460a3B5BC225Cd675", // Ethereum
-  42161: "0x3c2269811836af69497E5F486A85D7316753cf62", // Arbitrum
-  10: "0x3c2269811836af69497E5F486A85D7316753cf62", // Optimism
-  137: "0x3c2269811836af69497E5F486A85D7316753cf62", // Polygon
-
-  // Testnet Endpoints
-  421614: "0x6098e96a28E02f27B1e6BD381f870F1C8Bd169d3", // Arbitrum Sepolia
-  11155111: "0xae92d5aD7583AD66E49A0c67BAd18F6ba52dDDc1", // Ethereum Sepolia
-
-  // U2U Testnet (if/when supported)
-  159: "0x0000000000000000000000000000000000000000", // TODO: Update when U2U supports LayerZero
-};
-
 // LayerZero Endpoint ABI (simplified)
 const LZ_ENDPOINT_ABI = [
   "function send(uint16 _dstChainId, bytes calldata _destination, bytes calldata _payload, address payable _refundAddress, address _zroPaymentAddress, bytes calldata _adapterParams) external payable",
@@ -45,6 +30,7 @@ const LZ_ENDPOINT_ABI = [
 const OFT_ABI = [
   "function sendFrom(address _from, uint16 _dstChainId, bytes calldata _toAddress, uint256 _amount, address payable _refundAddress, address _zroPaymentAddress, bytes calldata _adapterParams) external payable",
   "function estimateSendFee(uint16 _dstChainId, bytes calldata _toAddress, uint256 _amount, bool _useZro, bytes calldata _adapterParams) external view returns (uint256 nativeFee, uint256 zroFee)",
+  "function lzEndpoint() external view returns (address)",
 ];
 
 class LayerZeroBridge {
@@ -60,13 +46,12 @@ class LayerZeroBridge {
    * Initialize LayerZero endpoint
    */
   async init() {
-    const endpointAddress = LZ_ENDPOINTS[this.chainId];
-    if (!endpointAddress || endpointAddress === ethers.constants.AddressZero) {
+    if (!hasLayerZeroEndpoint(this.chainId)) {
       console.warn(`LayerZero not supported on chain ${this.chainId}`);
       return this;
     }
 
-    this.endpoint = new ethers.Contract(endpointAddress, LZ_ENDPOINT_ABI, this.signer);
+    this.endpoint = new ethers.Contract(LZ_ENDPOINTS[this.chainId], LZ_ENDPOINT_ABI, this.signer);
     return this;
   }
 
@@ -81,46 +66,91 @@ class LayerZeroBridge {
   }
 
   /**
-   * Bridge tokens cross-chain using LayerZero OFT
+   * Get a registered OFT contract
    */
-  async bridgeTokens({ toChainId, toAddress, tokenAddress, amount, slippageTolerancePercent = 0.5 }) {
-    try {
-      if (!this.oftTokens[this.chainId]?.[tokenAddress]) {
-        throw new Error(`Token ${tokenAddress} not registered as OFT on chain ${this.chainId}`);
-      }
+  getOFT(tokenAddress, chainId = this.chainId) {
+    const oftContract = this.oftTokens[chainId]?.[tokenAddress];
+    if (!oftContract) {
+      throw new Error(`Token ${tokenAddress} not registered as OFT on chain ${chainId}`);
+    }
+    return oftContract;
+  }
 
-      const oftContract = this.oftTokens[this.chainId][tokenAddress];
-      const lzDstChainId = this.getLayerZeroChainId(toChainId);
+  /**
+   * Destination gas and adapter parameters of an OFT transfer, rejects unsupported routes
+   * @param airdropAmount Native gas to airdrop to the recipient on the destination, in wei
+   */
+  getOFTSendParams({ toChainId, toAddress, airdropAmount = 0 }) {
+    const { dstLzChainId, gasLimit } = getRouteConfig(this.chainId, toChainId, MESSAGE_TYPES.OFT_TRANSFER);
+    return {
+      dstLzChainId,
+      toAddressBytes: ethers.utils.solidityPack(["address"], [toAddress]),
+      adapterParams: getAdapterParams({ gasLimit, airdropAmount, airdropAddress: toAddress }),
+    };
+  }
 
-      // Encode destination address for LayerZero
-      const toAddressBytes = ethers.utils.solidityPack(["address"], [toAddress]);
+  /**
+   * Estimate the LayerZero fee of an OFT transfer
+   * @param {{ toChainId: number, toAddress: string, tokenAddress: string, amount: ethers.BigNumberish, airdropAmount?: ethers.BigNumberish }} transfer
+   * @return nativeFee and zroFee in wei
+   */
+  async estimateOFTSendFee({ toChainId, toAddress, tokenAddress, amount, airdropAmount = 0 }) {
+    const { dstLzChainId, toAddressBytes, adapterParams } = this.getOFTSendParams({
+      toChainId,
+      toAddress,
+      airdropAmount,
+    });
+    return this.getOFT(tokenAddress).estimateSendFee(
+      dstLzChainId,
+      toAddressBytes,
+      amount,
+      false, // Don't pay in ZRO
+      adapterParams
+    );
+  }
 
-      // Adapter parameters (empty for default settings)
-      const adapterParams = ethers.utils.solidityPack(["uint16", "uint256"], [1, 200000]); // Version 1, gas limit
+  /**
+   * Submit an OFT transfer paying `nativeFee`, resolves once the transaction is sent
+   * @param {{ toChainId: number, toAddress: string, tokenAddress: string, amount: ethers.BigNumberish, nativeFee: ethers.BigNumberish, airdropAmount?: ethers.BigNumberish }} transfer
+   */
+  async sendOFT({ toChainId, toAddress, tokenAddress, amount, nativeFee, airdropAmount = 0 }) {
+    const { dstLzChainId, toAddressBytes, adapterParams } = this.getOFTSendParams({
+      toChainId,
+      toAddress,
+      airdropAmount,
+    });
+    const from = await this.signer.getAddress();
+    return this.getOFT(tokenAddress).sendFrom(
+      from,
+      dstLzChainId,
+      toAddressBytes,
+      amount,
+      from, // Refund address
+      ethers.constants.AddressZero, // No ZRO payment
+      adapterParams,
+      { value: nativeFee }
+    );
+  }
 
+  /**
+   * Bridge tokens cross-chain using LayerZero OFT
+   * @param feeBufferBps Added to the fee estimate, the endpoint refunds what is not used
+   */
+  async bridgeTokens({
+    toChainId,
+    toAddress,
+    tokenAddress,
+    amount,
+    airdropAmount = 0,
+    feeBufferBps = FEE_BUFFER_POLICY.defaultBps,
+  }) {
+    try {
       // Estimate fees
-      const { nativeFee } = await oftContract.estimateSendFee(
-        lzDstChainId,
-        toAddressBytes,
-        amount,
-        false, // Don't pay in ZRO
-        adapterParams
-      );
-
-      // Add slippage to fee estimate
-      const nativeFeeWithSlippage = nativeFee.mul(100 + slippageTolerancePercent * 100).div(10000);
+      const transfer = { toChainId, toAddress, tokenAddress, amount, airdropAmount };
+      const { nativeFee } = await this.estimateOFTSendFee(transfer);
 
       // Execute cross-chain transfer
-      const tx = await oftContract.sendFrom(
-        await this.signer.getAddress(),
-        lzDstChainId,
-        toAddressBytes,
-        amount,
-        await this.signer.getAddress(), // Refund address
-        ethers.constants.AddressZero, // No ZRO payment
-        adapterParams,
-        { value: nativeFeeWithSlippage }
-      );
+      const tx = await this.sendOFT({ ...transfer, nativeFee: applyFeeBuffer(nativeFee, feeBufferBps) });
 
       console.log(`Bridge transaction sent: ${tx.hash}`);
       const receipt = await tx.wait();
@@ -132,6 +162,7 @@ class LayerZeroBridge {
         fromChain: this.chainId,
         toChain: toChainId,
         amount: amount.toString(),
+        nonce: await this.getOFTOutboundNonce({ toChainId, tokenAddress, blockTag: receipt.blockNumber }),
       };
     } catch (error) {
       console.error("Error bridging tokens:", error);
@@ -139,51 +170,99 @@ class LayerZeroBridge {
     }
   }
 
+  /**
+   * The endpoint an OFT sends and receives through. OFTs carry their own endpoint, so transfers can be tracked on
+   * chains missing from LZ_ENDPOINTS, e.g. local networks running a mock endpoint.
+   */
+  async getOFTEndpoint(tokenAddress, chainId = this.chainId) {
+    const endpointAddress = await this.getOFT(tokenAddress, chainId).lzEndpoint();
+    return new ethers.Contract(endpointAddress, LZ_ENDPOINT_ABI, this.provider);
+  }
+
+  /**
+   * Outbound nonce of an OFT towards `toChainId`, at `blockTag` or the latest block. Read at the block of a transfer it
+   * is that transfer's nonce, unless the block carries several transfers of the token.
+   */
+  async getOFTOutboundNonce({ toChainId, tokenAddress, blockTag }) {
+    const endpoint = await this.getOFTEndpoint(tokenAddress);
+    const { dstLzChainId } = getRouteConfig(this.chainId, toChainId, MESSAGE_TYPES.OFT_TRANSFER);
+    const nonce = await endpoint.getOutboundNonce(dstLzChainId, tokenAddress, { blockTag });
+    return nonce.toNumber();
+  }
+
+  /**
+   * Delivery status on this chain of an OFT transfer sent from `srcChainId`
+   * @param srcTokenAddress OFT on the source chain
+   * @param tokenAddress OFT on this chain, registered with this bridge
+   */
+  async getOFTTransferStatus({ srcChainId, srcTokenAddress, tokenAddress, nonce }) {
+    const { srcLzChainId } = getRouteConfig(srcChainId, this.chainId, MESSAGE_TYPES.OFT_TRANSFER);
+    const endpoint = await this.getOFTEndpoint(tokenAddress);
+    // Inbound nonces are kept per path: the source OFT, then the receiving OFT
+    const path = ethers.utils.solidityPack(["address", "address"], [srcTokenAddress, tokenAddress]);
+    const inboundNonce = await endpoint.getInboundNonce(srcLzChainId, path);
+
+    return {
+      expectedNonce: nonce,
+      receivedNonce: inboundNonce.toNumber(),
+      status: inboundNonce.toNumber() >= nonce ? "delivered" : "pending",
+    };
+  }
+
+  /**
+   * Destination gas and adapter parameters of a custom message, rejects unsupported routes
+   * @param airdropAmount Native gas to airdrop on the destination, in wei
+   * @param airdropAddress Receiver of the airdrop, the sender by default
+   */
+  async getMessageParams({ toChainId, messageType = MESSAGE_TYPES.MESSAGE, airdropAmount = 0, airdropAddress }) {
+    const { dstLzChainId, gasLimit } = getRouteConfig(this.chainId, toChainId, messageType);
+    if (!this.endpoint) {
+      throw new Error("LayerZero endpoint not initialized");
+    }
+    return {
+      dstLzChainId,
+      adapterParams: getAdapterParams({
+        gasLimit,
+        airdropAmount,
+        airdropAddress: airdropAmount ? airdropAddress || (await this.signer.getAddress()) : undefined,
+      }),
+    };
+  }
+
   /**
    * Send custom cross-chain message via LayerZero
    * Useful for cross-chain position management
+   * @param nativeForDst Native gas airdropped on the destination through adapter parameters v2
+   * @param feeBufferBps Added to the fee estimate, the endpoint refunds what is not used
    */
   async sendCrossChainMessage({
     toChainId,
     targetContract,
     payload,
-    gasLimit = 200000,
+    messageType = MESSAGE_TYPES.MESSAGE,
     nativeForDst = 0,
+    airdropAddress,
+    feeBufferBps = FEE_BUFFER_POLICY.defaultBps,
   }) {
     try {
-      if (!this.endpoint) {
-        throw new Error("LayerZero endpoint not initialized");
-      }
-
-      const lzDstChainId = this.getLayerZeroChainId(toChainId);
+      const message = { toChainId, targetContract, payload, messageType, airdropAmount: nativeForDst, airdropAddress };
+      const { dstLzChainId, adapterParams } = await this.getMessageParams(message);
 
       // Encode destination address
       const destination = ethers.utils.solidityPack(["address", "address"], [targetContract, targetContract]);
 
-      // Adapter parameters
-      const adapterParams = ethers.utils.solidityPack(
-        ["uint16", "uint256"],
-        [1, gasLimit] // Version 1, custom gas limit
-      );
-
-      // Estimate fees
-      const { nativeFee } = await this.endpoint.estimateFees(
-        lzDstChainId,
-        targetContract,
-        payload,
-        false,
-        adapterParams
-      );
+      // The quote covers the airdrop, adapter parameters v2 carry it to the destination
+      const { nativeFee } = await this.estimateMessageFee(message);
 
       // Send message
       const tx = await this.endpoint.send(
-        lzDstChainId,
+        dstLzChainId,
         destination,
         payload,
         await this.signer.getAddress(),
         ethers.constants.AddressZero,
         adapterParams,
-        { value: nativeFee.add(nativeForDst) }
+        { value: applyFeeBuffer(nativeFee, feeBufferBps) }
       );
 
       console.log(`Cross-chain message sent: ${tx.hash}`);
@@ -194,9 +273,48 @@ class LayerZeroBridge {
     }
   }
 
+  /**
+   * Estimate the LayerZero fee of a custom message
+   * @return nativeFee and zroFee in wei
+   */
+  async estimateMessageFee({ toChainId, targetContract, payload, messageType, airdropAmount, airdropAddress }) {
+    const { dstLzChainId, adapterParams } = await this.getMessageParams({
+      toChainId,
+      messageType,
+      airdropAmount,
+      airdropAddress,
+    });
+
+    return this.endpoint.estimateFees(dstLzChainId, targetContract, payload, false, adapterParams);
+  }
+
+  /**
+   * Encode the remote open call, the trader is the account sending the message
+   */
+  encodeOpenPositionPayload({ trader, baseToken, isLong, collateralAmount, leverage, minBaseAmount }) {
+    return ethers.utils.defaultAbiCoder.encode(
+      ["address", "address", "bool", "uint256", "uint256", "uint256"],
+      [trader, baseToken, isLong, collateralAmount, leverage, minBaseAmount]
+    );
+  }
+
+  /**
+   * Estimate the LayerZero fee of opening a position on another chain
+   */
+  async estimateOpenPositionFee({ targetChainId, clearingHouseAddress, ...position }) {
+    const payload = this.encodeOpenPositionPayload({ trader: await this.signer.getAddress(), ...position });
+    return this.estimateMessageFee({
+      toChainId: targetChainId,
+      targetContract: clearingHouseAddress,
+      payload,
+      messageType: MESSAGE_TYPES.OPEN_POSITION,
+    });
+  }
+
   /**
    * Open position on another chain via LayerZero
    * This allows users to open positions on Arbitrum from U2U, or vice versa
+   * @return Source transaction hash and the outbound nonce the destination acknowledges on delivery
    */
   async openCrossChainPosition({
     targetChainId,
@@ -208,17 +326,22 @@ class LayerZeroBridge {
     minBaseAmount,
   }) {
     try {
+      const trader = await this.signer.getAddress();
       // Encode the function call for remote execution
-      const payload = ethers.utils.defaultAbiCoder.encode(
-        ["address", "address", "bool", "uint256", "uint256", "uint256"],
-        [await this.signer.getAddress(), baseToken, isLong, collateralAmount, leverage, minBaseAmount]
-      );
+      const payload = this.encodeOpenPositionPayload({
+        trader,
+        baseToken,
+        isLong,
+        collateralAmount,
+        leverage,
+        minBaseAmount,
+      });
 
       const receipt = await this.sendCrossChainMessage({
         toChainId: targetChainId,
         targetContract: clearingHouseAddress,
         payload,
-        gasLimit: 300000, // Higher gas for position opening
+        messageType: MESSAGE_TYPES.OPEN_POSITION,
       });
 
       return {
@@ -226,6 +349,7 @@ class LayerZeroBridge {
         txHash: receipt.transactionHash,
         fromChain: this.chainId,
         toChain: targetChainId,
+        nonce: await this.getOutboundNonce(targetChainId, trader),
       };
     } catch (error) {
       console.error("Error opening cross-chain position:", error);
@@ -253,7 +377,7 @@ class LayerZeroBridge {
         toChainId: targetChainId,
         targetContract: clearingHouseAddress,
         payload,
-        gasLimit: 300000,
+        messageType: MESSAGE_TYPES.CLOSE_POSITION,
       });
 
       return {
@@ -273,22 +397,12 @@ class LayerZeroBridge {
    */
   async estimateBridgeFee({ toChainId, tokenAddress, amount }) {
     try {
-      if (!this.oftTokens[this.chainId]?.[tokenAddress]) {
-        throw new Error(`Token ${tokenAddress} not registered as OFT`);
-      }
-
-      const oftContract = this.oftTokens[this.chainId][tokenAddress];
-      const lzDstChainId = this.getLayerZeroChainId(toChainId);
-      const toAddressBytes = ethers.utils.solidityPack(["address"], [await this.signer.getAddress()]);
-      const adapterParams = ethers.utils.solidityPack(["uint16", "uint256"], [1, 200000]);
-
-      const { nativeFee, zroFee } = await oftContract.estimateSendFee(
-        lzDstChainId,
-        toAddressBytes,
+      const { nativeFee, zroFee } = await this.estimateOFTSendFee({
+        toChainId,
+        toAddress: await this.signer.getAddress(),
+        tokenAddress,
         amount,
-        false,
-        adapterParams
-      );
+      });
 
       return {
         nativeFee: ethers.utils.formatEther(nativeFee),
@@ -305,28 +419,18 @@ class LayerZeroBridge {
    * Check if LayerZero is supported on current chain
    */
   isSupported() {
-    const endpointAddress = LZ_ENDPOINTS[this.chainId];
-    return endpointAddress && endpointAddress !== ethers.constants.AddressZero;
+    return hasLayerZeroEndpoint(this.chainId);
   }
 
   /**
    * Get LayerZero chain ID from EVM chain ID
    */
   getLayerZeroChainId(evmChainId) {
-    const mapping = {
-      1: LZ_CHAIN_IDS.ETHEREUM,
-      42161: LZ_CHAIN_IDS.ARBITRUM,
-      10: LZ_CHAIN_IDS.OPTIMISM,
-      137: LZ_CHAIN_IDS.POLYGON,
-      56: LZ_CHAIN_IDS.BSC,
-      43114: LZ_CHAIN_IDS.AVALANCHE,
-      159: LZ_CHAIN_IDS.U2U_TESTNET,
-      // Add testnets
-      421614: LZ_CHAIN_IDS.ARBITRUM, // Arbitrum Sepolia maps to Arbitrum LZ ID
-      11155111: LZ_CHAIN_IDS.ETHEREUM, // Ethereum Sepolia maps to Ethereum LZ ID
-    };
-
-    return mapping[evmChainId] || evmChainId;
+    const lzChainId = getLayerZeroChainId(evmChainId);
+    if (!lzChainId) {
+      throw new Error(`No LayerZero chain ID for chain ${evmChainId}`);
+    }
+    return lzChainId;
   }
 
   /**
@@ -334,23 +438,26 @@ class LayerZeroBridge {
    */
   getSupportedChains() {
     return Object.keys(LZ_ENDPOINTS)
-      .filter((chainId) => LZ_ENDPOINTS[chainId] !== ethers.constants.AddressZero)
-      .map((chainId) => parseInt(chainId));
+      .map((chainId) => parseInt(chainId))
+      .filter((chainId) => isRouteSupported(this.chainId, chainId));
   }
 
   /**
    * Monitor cross-chain transaction status
+   * @param srcAddress Application that sent the message on `srcChainId`
+   * @param dstAddress Application the message is sent to on this chain
    */
-  async getMessageStatus(srcChainId, srcAddress, nonce) {
+  async getMessageStatus(srcChainId, srcAddress, dstAddress, nonce) {
     try {
       if (!this.endpoint) {
         throw new Error("LayerZero endpoint not initialized");
       }
 
       const lzSrcChainId = this.getLayerZeroChainId(srcChainId);
-      const srcAddressBytes = ethers.utils.solidityPack(["address"], [srcAddress]);
+      // Inbound nonces are kept per path: the source application, then the destination application
+      const path = ethers.utils.solidityPack(["address", "address"], [srcAddress, dstAddress]);
 
-      const inboundNonce = await this.endpoint.getInboundNonce(lzSrcChainId, srcAddressBytes);
+      const inboundNonce = await this.endpoint.getInboundNonce(lzSrcChainId, path);
 
       return {
         expectedNonce: nonce,
@@ -386,5 +493,5 @@ class LayerZeroBridge {
 export default LayerZeroBridge;
 
 // Export constants for use in other files
-export { LZ_CHAIN_IDS, LZ_ENDPOINTS };
+export { LZ_CHAIN_IDS, LZ_ENDPOINTS, EVM_TO_LZ_CHAIN_IDS };
 
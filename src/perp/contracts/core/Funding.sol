@@ -31,6 +31,7 @@ contract Funding {
     
     address public clearingHouse;
     address public admin;
+    address public keeper; // Updates funding rates on schedule alongside ClearingHouse
     
     // Events
     event FundingRateUpdated(
@@ -47,11 +48,18 @@ contract Funding {
         int256 amount
     );
 
+    event KeeperUpdated(address indexed keeper);
+
     modifier onlyClearingHouse() {
         require(msg.sender == clearingHouse, "Only ClearingHouse");
         _;
     }
 
+    modifier onlyClearingHouseOrKeeper() {
+        require(msg.sender == clearingHouse || msg.sender == keeper, "Only ClearingHouse or keeper");
+        _;
+    }
+
     modifier onlyAdmin() {
         require(msg.sender == admin, "Only admin");
         _;
@@ -71,7 +79,7 @@ contract Funding {
         int256 indexPrice,
         uint256 longOpenInterest,
         uint256 shortOpenInterest
-    ) external onlyClearingHouse returns (SignedDecimal.S256 memory) {
+    ) external onlyClearingHouseOrKeeper returns (SignedDecimal.S256 memory) {
         FundingGrowth storage growth = fundingGrowth[baseToken];
         require(block.timestamp >= growth.timestamp + fundingPeriod, "Too early");
         
@@ -167,4 +175,9 @@ contract Funding {
         require(_maxFundingRate <= BASIS_POINTS, "Rate too high");
         maxFundingRate = _maxFundingRate;
     }
+
+    function setKeeper(address _keeper) external onlyAdmin {
+        keeper = _keeper;
+        emit KeeperUpdated(_keeper);
+    }
 }
@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+interface ILayerZeroReceiver {
+    function lzReceive(uint16 _srcChainId, bytes calldata _srcAddress, uint64 _nonce, bytes calldata _payload) external;
+}
+
+/**
+ * @title MockLZEndpoint
+ * @notice LayerZero v1 endpoint stand-in for local networks. Messages are delivered on the same chain to the
+ * application named in the path, right away or when `deliverQueued` is called while delivery is held, so apps can
+ * watch a message go from sent to delivered.
+ */
+contract MockLZEndpoint {
+    struct QueuedMessage {
+        uint16 srcChainId;
+        address dstAddress;
+        bytes srcPath;
+        uint64 nonce;
+        bytes payload;
+    }
+
+    uint16 public immutable chainId;
+    uint256 public baseFee;
+    uint256 public feePerByte;
+    bool public holdDelivery;
+
+    // srcChainId => path (source app, destination app) => last delivered nonce
+    mapping(uint16 => mapping(bytes => uint64)) public inboundNonce;
+    // dstChainId => source app => last sent nonce
+    mapping(uint16 => mapping(address => uint64)) public outboundNonce;
+
+    QueuedMessage[] public queuedMessages;
+    uint256 public nextQueuedMessage;
+
+    event MessageSent(uint16 indexed dstChainId, address indexed srcAddress, address dstAddress, uint64 nonce);
+    event MessageDelivered(uint16 indexed srcChainId, address indexed dstAddress, uint64 nonce);
+
+    constructor(uint16 _chainId, uint256 _baseFee, uint256 _feePerByte) {
+        chainId = _chainId;
+        baseFee = _baseFee;
+        feePerByte = _feePerByte;
+    }
+
+    function setFees(uint256 _baseFee, uint256 _feePerByte) external {
+        baseFee = _baseFee;
+        feePerByte = _feePerByte;
+    }
+
+    function setHoldDelivery(bool _holdDelivery) external {
+        holdDelivery = _holdDelivery;
+    }
+
+    function estimateFees(
+        uint16,
+        address,
+        bytes calldata _payload,
+        bool,
+        bytes calldata
+    ) external view returns (uint256 nativeFee, uint256 zroFee) {
+        return (_nativeFee(_payload), 0);
+    }
+
+    /**
+     * @param _destination Path as LayerZero v1 apps send it: destination app then source app, 40 bytes
+     */
+    function send(
+        uint16 _dstChainId,
+        bytes calldata _destination,
+        bytes calldata _payload,
+        address payable _refundAddress,
+        address,
+        bytes calldata
+    ) external payable {
+        require(_destination.length == 40, "MockLZEndpoint: invalid destination");
+        uint256 nativeFee = _nativeFee(_payload);
+        require(msg.value >= nativeFee, "MockLZEndpoint: not enough native for fees");
+
+        uint64 nonce = ++outboundNonce[_dstChainId][msg.sender];
+        address dstAddress = address(bytes20(_destination[0:20]));
+        emit MessageSent(_dstChainId, msg.sender, dstAddress, nonce);
+
+        // The destination identifies the message by the path seen from its side: source app, then itself
+        QueuedMessage memory message = QueuedMessage(
+            chainId,
+            dstAddress,
+            abi.encodePacked(msg.sender, dstAddress),
+            nonce,
+            _payload
+        );
+        if (holdDelivery) {
+            queuedMessages.push(message);
+        } else {
+            _deliver(message);
+        }
+
+        if (msg.value > nativeFee) {
+            (bool success, ) = _refundAddress.call{ value: msg.value - nativeFee }("");
+            require(success, "MockLZEndpoint: refund failed");
+        }
+    }
+
+    /**
+     * @notice Deliver messages sent while delivery was held, oldest first
+     */
+    function deliverQueued(uint256 _count) external {
+        uint256 end = nextQueuedMessage + _count;
+        if (end > queuedMessages.length) {
+            end = queuedMessages.length;
+        }
+        for (; nextQueuedMessage < end; nextQueuedMessage++) {
+            _deliver(queuedMessages[nextQueuedMessage]);
+        }
+    }
+
+    function getInboundNonce(uint16 _srcChainId, bytes calldata _srcAddress) external view returns (uint64) {
+        return inboundNonce[_srcChainId][_srcAddress];
+    }
+
+    function getOutboundNonce(uint16 _dstChainId, address _srcAddress) external view returns (uint64) {
+        return outboundNonce[_dstChainId][_srcAddress];
+    }
+
+    function _nativeFee(bytes calldata _payload) internal view returns (uint256) {
+        return baseFee + feePerByte * _payload.length;
+    }
+
+    function _deliver(QueuedMessage memory _message) internal {
+        inboundNonce[_message.srcChainId][_message.srcPath] = _message.nonce;
+        ILayerZeroReceiver(_message.dstAddress).lzReceive(
+            _message.srcChainId,
+            _message.srcPath,
+            _message.nonce,
+            _message.payload
+        );
+        emit MessageDelivered(_message.srcChainId, _message.dstAddress, _message.nonce);
+    }
+}
@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import { ILayerZeroReceiver, MockLZEndpoint } from "./MockLZEndpoint.sol";
+
+/**
+ * @title MockOFT
+ * @notice Collateral token with the LayerZero v1 OFT interface (`estimateSendFee`, `sendFrom`) for local networks.
+ * Tokens are burnt on send and minted to the recipient when the endpoint delivers the message.
+ */
+contract MockOFT is ERC20, ILayerZeroReceiver {
+    uint16 public constant PT_SEND = 0;
+
+    uint8 private immutable _decimals;
+    MockLZEndpoint public immutable lzEndpoint;
+
+    // Remote chain => path (remote OFT, this OFT)
+    mapping(uint16 => bytes) public trustedRemoteLookup;
+
+    event SendToChain(uint16 indexed _dstChainId, address indexed _from, bytes _toAddress, uint256 _amount);
+    event ReceiveFromChain(uint16 indexed _srcChainId, address indexed _to, uint256 _amount);
+
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        uint8 decimals_,
+        address _lzEndpoint
+    ) ERC20(_name, _symbol) {
+        _decimals = decimals_;
+        lzEndpoint = MockLZEndpoint(_lzEndpoint);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * @notice Open faucet, local networks only
+     */
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+
+    function setTrustedRemoteAddress(uint16 _remoteChainId, address _remoteAddress) external {
+        trustedRemoteLookup[_remoteChainId] = abi.encodePacked(_remoteAddress, address(this));
+    }
+
+    function estimateSendFee(
+        uint16 _dstChainId,
+        bytes calldata _toAddress,
+        uint256 _amount,
+        bool _useZro,
+        bytes calldata _adapterParams
+    ) external view returns (uint256 nativeFee, uint256 zroFee) {
+        bytes memory payload = abi.encode(PT_SEND, _toAddress, _amount);
+        return lzEndpoint.estimateFees(_dstChainId, address(this), payload, _useZro, _adapterParams);
+    }
+
+    function sendFrom(
+        address _from,
+        uint16 _dstChainId,
+        bytes calldata _toAddress,
+        uint256 _amount,
+        address payable _refundAddress,
+        address _zroPaymentAddress,
+        bytes calldata _adapterParams
+    ) external payable {
+        bytes memory path = trustedRemoteLookup[_dstChainId];
+        require(path.length != 0, "MockOFT: destination chain is not a trusted source");
+        if (_from != msg.sender) {
+            _spendAllowance(_from, msg.sender, _amount);
+        }
+        _burn(_from, _amount);
+
+        lzEndpoint.send{ value: msg.value }(
+            _dstChainId,
+            path,
+            abi.encode(PT_SEND, _toAddress, _amount),
+            _refundAddress,
+            _zroPaymentAddress,
+            _adapterParams
+        );
+        emit SendToChain(_dstChainId, _from, _toAddress, _amount);
+    }
+
+    function lzReceive(uint16 _srcChainId, bytes calldata _srcAddress, uint64, bytes calldata _payload) external {
+        require(msg.sender == address(lzEndpoint), "MockOFT: invalid endpoint caller");
+        require(keccak256(_srcAddress) == keccak256(trustedRemoteLookup[_srcChainId]), "MockOFT: invalid source");
+
+        (, bytes memory toAddressBytes, uint256 amount) = abi.decode(_payload, (uint16, bytes, uint256));
+        address to = address(bytes20(toAddressBytes));
+        _mint(to, amount);
+        emit ReceiveFromChain(_srcChainId, to, amount);
+    }
+}
@@ -0,0 +1,80 @@
+import { BigNumber, ethers } from "ethers";
+import CopyTradingEngine, { DEFAULT_FOLLOW_SETTINGS } from "perp/frontend-sdk/copy-trading";
+
+const LEADER = "0x00000000000000000000000000000000000000bb";
+const FOLLOWER = "0x00000000000000000000000000000000000000dd";
+const BASE_TOKEN = "0x00000000000000000000000000000000000000cc";
+
+const parseEther = ethers.utils.parseEther;
+
+function createPosition(size: BigNumber, collateral: BigNumber, openNotional: BigNumber) {
+  return { size, collateral, openNotional, entryPrice: parseEther("1"), fundingIndex: 0, lastUpdated: 0 };
+}
+
+const NO_POSITION = createPosition(BigNumber.from(0), BigNumber.from(0), BigNumber.from(0));
+
+function createSdk(positions: { [account: string]: ReturnType<typeof createPosition> }) {
+  const sdk = {
+    handlers: {} as { [name: string]: (...args: any[]) => Promise<void> },
+    getPositions: jest.fn(async () => ({})),
+    getPosition: jest.fn(async (account: string) => positions[account] || NO_POSITION),
+    getMarket: () => ({ baseToken: BASE_TOKEN, maxLeverage: BigNumber.from(5000) }),
+    subscribeToTraderEvents: jest.fn((trader, handlers) => {
+      sdk.handlers = handlers;
+      return () => undefined;
+    }),
+  };
+  return sdk;
+}
+
+describe("CopyTradingEngine", function () {
+  const settings = { ...DEFAULT_FOLLOW_SETTINGS, leader: LEADER, isActive: true };
+
+  function startEngine(sdk: ReturnType<typeof createSdk>, proposals: any[]) {
+    const engine: any = new CopyTradingEngine(sdk);
+    return engine.start({ follower: FOLLOWER, settings, onProposal: (proposal) => proposals.push(proposal) });
+  }
+  const event = { transactionHash: "0x01", logIndex: 3 };
+
+  it("mirrors a leader open routed through the ExchangeRouter", async function () {
+    const collateral = parseEther("100");
+    const positions = { [LEADER]: createPosition(parseEther("500"), collateral, parseEther("500")) };
+    const sdk = createSdk(positions);
+    const proposals: any[] = [];
+
+    await startEngine(sdk, proposals);
+    await sdk.handlers.onPositionOpened(
+      LEADER,
+      BASE_TOKEN,
+      true,
+      collateral,
+      BigNumber.from(50000),
+      parseEther("500"),
+      event
+    );
+
+    expect(sdk.subscribeToTraderEvents.mock.calls[0][0]).toBe(LEADER);
+    expect(proposals).toHaveLength(1);
+    expect(proposals[0]).toMatchObject({ type: "open", isLong: true, baseToken: BASE_TOKEN, leaderTxHash: "0x01" });
+    // 500 notional capped by the default 1000 max notional, leverage capped by the 10x max leverage
+    expect(proposals[0].notional.toString()).toBe(parseEther("500").toString());
+    expect(proposals[0].leverage).toBe(1000);
+  });
+
+  it("mirrors a leader close routed through the ExchangeRouter", async function () {
+    const positions = {
+      [LEADER]: createPosition(parseEther("500"), parseEther("100"), parseEther("500")),
+      [FOLLOWER]: createPosition(parseEther("50"), parseEther("10"), parseEther("50")),
+    };
+    const sdk = createSdk(positions);
+    sdk.getPositions.mockResolvedValueOnce({ [BASE_TOKEN]: positions[LEADER] });
+    const proposals: any[] = [];
+
+    await startEngine(sdk, proposals);
+    positions[LEADER] = createPosition(parseEther("125"), parseEther("25"), parseEther("125"));
+    await sdk.handlers.onPositionClosed(LEADER, BASE_TOKEN, BigNumber.from(7500), BigNumber.from(0), event);
+
+    expect(proposals).toHaveLength(1);
+    expect(proposals[0]).toMatchObject({ type: "close", isLong: true, closeRatio: 7500 });
+  });
+});
@@ -0,0 +1,81 @@
+import { BigNumber, ethers } from "ethers";
+import PerpSDK from "perp/frontend-sdk/perp-sdk";
+
+const TRADER = "0x00000000000000000000000000000000000000bb";
+const BASE_TOKEN = "0x00000000000000000000000000000000000000cc";
+
+const parseEther = ethers.utils.parseEther;
+
+// ExchangeRouter mock paying out the PnL the ClearingHouse returns, checked against minQuoteAmount like the contract
+function createExchangeRouter(clearingHousePnl: BigNumber) {
+  const closePositionToCollateral = jest.fn(async (baseToken, closeRatio, minQuoteAmount: BigNumber) => {
+    const collateralOut = clearingHousePnl.gt(0) ? clearingHousePnl : BigNumber.from(0);
+    if (collateralOut.lt(minQuoteAmount)) {
+      throw new Error("Slippage exceeded");
+    }
+    return clearingHousePnl;
+  });
+  const exchangeRouter = {
+    closePositionToCollateral: jest.fn(async (...args: any[]) => {
+      await closePositionToCollateral(args[0], args[1], args[2]);
+      return { wait: async () => ({ transactionHash: "0x01" }) };
+    }),
+    callStatic: { closePositionToCollateral },
+    connect: () => exchangeRouter,
+  };
+  return exchangeRouter;
+}
+
+function createSDK(clearingHousePnl: BigNumber) {
+  const sdk: any = new PerpSDK(undefined, { getAddress: async () => TRADER }, {});
+  sdk.contracts = {
+    clearingHouse: {
+      positions: async () => ({
+        size: parseEther("10"),
+        collateral: parseEther("20"),
+        entryPrice: parseEther("10"),
+        fundingIndex: 0,
+        lastUpdated: 0,
+        openNotional: parseEther("100"),
+      }),
+    },
+    exchangeRouter: createExchangeRouter(clearingHousePnl),
+  };
+  sdk.markets = {
+    [ethers.utils.getAddress(BASE_TOKEN)]: {
+      baseToken: BASE_TOKEN,
+      // Selling the 10 base of the long back into the vAMM returns 120, a profit of 20
+      vammContract: {
+        getAmountOut: async () => parseEther("120"),
+        getPriceImpact: async () => BigNumber.from(50),
+      },
+    },
+  };
+  return sdk;
+}
+
+describe("PerpSDK close quote", function () {
+  it("bounds a profitable close by the router payout, not the vAMM PnL", async function () {
+    // The ClearingHouse returns no PnL, so the router pays nothing out
+    const sdk = createSDK(BigNumber.from(0));
+
+    const quote = await sdk.getCloseQuote({ trader: TRADER, baseToken: BASE_TOKEN, slippageTolerance: 0.01 });
+
+    expect(quote.realizedPnl.toString()).toBe(parseEther("20").toString());
+    expect(quote.minQuoteAmount.toString()).toBe("0");
+    await expect(sdk.closePosition({ baseToken: BASE_TOKEN, slippageTolerance: 0.01 })).resolves.toEqual({
+      transactionHash: "0x01",
+    });
+  });
+
+  it("applies the slippage tolerance to the PnL the router pays out", async function () {
+    const sdk = createSDK(parseEther("20"));
+
+    const quote = await sdk.getCloseQuote({ trader: TRADER, baseToken: BASE_TOKEN, slippageTolerance: 0.01 });
+
+    expect(quote.minQuoteAmount.toString()).toBe(parseEther("19.8").toString());
+    await expect(sdk.closePosition({ baseToken: BASE_TOKEN, slippageTolerance: 0.01 })).resolves.toEqual({
+      transactionHash: "0x01",
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import { ethers } from "ethers";
+
+const BASIS_POINTS = 10000;
+
+export const DEFAULT_FOLLOW_SETTINGS = {
+  leader: "",
+  copyRatio: 10000, // basis points of the leader's notional
+  maxNotional: "1000", // USDC per mirrored trade
+  maxLeverage: 10,
+  isActive: false,
+};
+
+function minBigNumber(...values) {
+  return values.reduce((min, value) => (value.lt(min) ? value : min));
+}
+
+/**
+ * Mirror engine for copy trading
+ * Watches a leader's trades and turns them into proposed follower trades on the ExchangeRouter. Direct trades are
+ * seen through `PositionChanged`, trades routed through the ExchangeRouter (where the ClearingHouse logs the router as
+ * the trader) through `PositionOpened` and `PositionClosed`. Proposals are only built here; executing them is left to
+ * the caller so every mirrored trade can be confirmed by the follower.
+ */
+class CopyTradingEngine {
+  constructor(sdk) {
+    this.sdk = sdk;
+    this.leaderPositions = {};
+  }
+
+  /**
+   * Start mirroring `settings.leader` for `follower`
+   * @return Function stopping the engine
+   */
+  async start({ follower, settings, onProposal, onError, provider }) {
+    const { leader } = settings;
+    this.leaderPositions = await this.sdk.getPositions(leader);
+
+    const mirror = async (baseToken, exchangedPositionNotional, event) => {
+      try {
+        const proposals = await this.buildProposals({
+          follower,
+          settings,
+          baseToken,
+          exchangedPositionNotional,
+          event,
+        });
+        proposals.forEach(onProposal);
+      } catch (error) {
+        console.error("Error mirroring leader trade:", error);
+        if (onError) onError(error);
+      }
+    };
+
+    return this.sdk.subscribeToTraderEvents(
+      leader,
+      {
+        onPositionChanged: (
+          trader,
+          baseToken,
+          exchangedPositionSize,
+          exchangedPositionNotional,
+          fee,
+          realizedPnl,
+          event
+        ) => mirror(baseToken, exchangedPositionNotional, event),
+        onPositionOpened: (trader, baseToken, isLong, collateral, leverage, size, event) =>
+          mirror(baseToken, collateral.mul(leverage).div(BASIS_POINTS), event),
+        // Closes only reduce the position, their notional is not used
+        onPositionClosed: (trader, baseToken, closeRatio, realizedPnl, event) =>
+          mirror(baseToken, ethers.BigNumber.from(0), event),
+      },
+      provider
+    );
+  }
+
+  /**
+   * Build the follower trades mirroring a change of the leader's position
+   * The change is measured against the last known leader position, so it does not depend on the sign
+   * convention of `exchangedPositionSize`.
+   */
+  async buildProposals({ follower, settings, baseToken, exchangedPositionNotional, event }) {
+    const { leader } = settings;
+    const zero = ethers.BigNumber.from(0);
+    const prevSize = this.leaderPositions[baseToken]?.size || zero;
+    const leaderPosition = await this.sdk.getPosition(leader, baseToken);
+    const nextSize = leaderPosition.size;
+
+    if (nextSize.isZero()) {
+      delete this.leaderPositions[baseToken];
+    } else {
+      this.leaderPositions[baseToken] = leaderPosition;
+    }
+
+    if (nextSize.eq(prevSize)) {
+      return [];
+    }
+
+    const proposalBase = {
+      leader,
+      baseToken,
+      leaderTxHash: event.transactionHash,
+      createdAt: Date.now(),
+    };
+    const proposals = [];
+    const isFlip = !prevSize.isZero() && !nextSize.isZero() && prevSize.gt(0) !== nextSize.gt(0);
+    const isReduce = isFlip || nextSize.abs().lt(prevSize.abs());
+
+    if (isReduce) {
+      const followerPosition = await this.sdk.getPosition(follower, baseToken);
+      const followerIsOnSameSide = !followerPosition.size.isZero() && followerPosition.size.gt(0) === prevSize.gt(0);
+
+      if (followerIsOnSameSide) {
+        const closedSize = isFlip ? prevSize.abs() : prevSize.abs().sub(nextSize.abs());
+        const closeRatio = Math.max(1, closedSize.mul(BASIS_POINTS).div(prevSize.abs()).toNumber());
+        proposals.push({
+          ...proposalBase,
+          id: `${event.transactionHash}-${event.logIndex}-close`,
+          type: "close",
+          isLong: prevSize.gt(0),
+          closeRatio,
+        });
+      }
+    }
+
+    if (!isReduce || isFlip) {
+      // After a flip the leader's whole new position is mirrored as a fresh open
+      const openNotional = isFlip ? leaderPosition.openNotional : exchangedPositionNotional;
+      const openProposal = await this.buildOpenProposal({ settings, baseToken, leaderPosition, openNotional });
+      if (openProposal) {
+        proposals.push({
+          ...proposalBase,
+          ...openProposal,
+          id: `${event.transactionHash}-${event.logIndex}-open`,
+        });
+      }
+    }
+
+    return proposals;
+  }
+
+  /**
+   * Size a mirrored open from the leader's notional, capped by the follow settings and the market
+   */
+  async buildOpenProposal({ settings, baseToken, leaderPosition, openNotional }) {
+    const market = this.sdk.getMarket(baseToken);
+    const maxNotional = ethers.utils.parseEther(String(settings.maxNotional || 0));
+    const notional = minBigNumber(openNotional.mul(settings.copyRatio).div(BASIS_POINTS), maxNotional);
+
+    if (notional.isZero() || leaderPosition.collateral.isZero()) {
+      return null;
+    }
+
+    const leaderLeverage = leaderPosition.openNotional.mul(BASIS_POINTS).div(leaderPosition.collateral);
+    const leverage = minBigNumber(
+      leaderLeverage,
+      ethers.BigNumber.from(Math.round(settings.maxLeverage * 100)),
+      market.maxLeverage
+    );
+
+    if (leverage.isZero()) {
+      return null;
+    }
+
+    return {
+      type: "open",
+      isLong: leaderPosition.size.gt(0),
+      notional,
+      leverage: leverage.toNumber(),
+      collateralAmount: notional.mul(BASIS_POINTS).div(leverage),
+    };
+  }
+
+  /**
+   * Send a proposed trade through the ExchangeRouter
+   */
+  async executeProposal(proposal, slippageTolerance) {
+    if (proposal.type === "open") {
+      return this.sdk.openPosition({
+        baseToken: proposal.baseToken,
+        isLong: proposal.isLong,
+        collateralAmount: proposal.collateralAmount,
+        leverage: proposal.leverage,
+        slippageTolerance,
+      });
+    }
+
+    return this.sdk.closePosition({
+      baseToken: proposal.baseToken,
+      closeRatio: proposal.closeRatio,
+      slippageTolerance,
+    });
+  }
+}
+
+export default CopyTradingEngine;
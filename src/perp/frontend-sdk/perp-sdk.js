@@ -1,4 +1,23 @@
 import { ethers } from "ethers";
+import { applyRouterLogs } from "../../domain/leaderboard/rpcIndexer";
+import { createLogScanner } from "../../lib/logScanner";
+
+const BASIS_POINTS = 10000;
+const VAMM_FEE_RATIO = 30; // Vamm.FEE_RATIO, 0.3%
+const PRICE_PRECISION = ethers.utils.parseEther("1");
+
+// Input needed to take `amountOut` out of the `reserveOut` side of an x * y = k curve, fee included
+function getAmountIn(amountOut, reserveIn, reserveOut) {
+  if (amountOut.gte(reserveOut)) {
+    throw new Error("Insufficient vAMM liquidity");
+  }
+  const amountInAfterFee = reserveIn.mul(reserveOut).div(reserveOut.sub(amountOut)).sub(reserveIn);
+  return amountInAfterFee.mul(BASIS_POINTS).div(BASIS_POINTS - VAMM_FEE_RATIO);
+}
+
+function applySlippage(amount, slippageTolerance) {
+  return amount.mul(BASIS_POINTS - Math.round(slippageTolerance * BASIS_POINTS)).div(BASIS_POINTS);
+}
 
 /**
  * Perpetual Protocol SDK for React Frontend
@@ -11,46 +30,133 @@ class PerpSDK {
     this.signer = signer;
     this.addresses = addresses;
     this.contracts = {};
+    this.markets = {}; // baseToken => market
+    this.logScans = {}; // key => { scan, logs }
+    this.blockTimestamps = {}; // blockNumber => timestamp
   }
 
   /**
-   * Initialize all contract instances
+   * Initialize all contract instances and load the market registry
    */
   async init() {
     // Import ABIs (these are in src/abis/)
     const ClearingHouseABI = require("../../abis/ClearingHouse.json");
-    const VammABI = require("../../abis/Vamm.json");
     const ExchangeRouterABI = require("../../abis/ExchangeRouter.json");
-    // Note: AccountBalance and Oracle ABIs need to be added to src/abis/ if used
-    // For now, we'll import from the contracts if available
+    const AccountBalanceABI = require("../../abis/AccountBalance.json");
+    const FundingABI = require("../../abis/Funding.json");
+    const OracleABI = require("../../abis/Oracle.json");
+    const InsuranceFundABI = require("../../abis/InsuranceFund.json");
+    const PoolABI = require("../../abis/Pool.json");
 
     // Initialize contracts
     this.contracts.clearingHouse = new ethers.Contract(
       this.addresses.clearingHouse,
-      ClearingHouseABI,
+      ClearingHouseABI.abi,
       this.signer
     );
 
-    // Initialize contracts with available ABIs
-    this.contracts.vamm = new ethers.Contract(
-      this.addresses.vamm || this.addresses.vammETH,
-      VammABI,
+    this.contracts.exchangeRouter = new ethers.Contract(
+      this.addresses.exchangeRouter,
+      ExchangeRouterABI.abi,
       this.signer
     );
 
-    this.contracts.exchangeRouter = new ethers.Contract(
-      this.addresses.exchangeRouter,
-      ExchangeRouterABI,
+    // AccountBalance, Funding and Oracle are only read from
+    this.contracts.accountBalance = new ethers.Contract(
+      this.addresses.accountBalance,
+      AccountBalanceABI.abi,
+      this.provider
+    );
+
+    this.contracts.funding = new ethers.Contract(this.addresses.funding, FundingABI.abi, this.provider);
+
+    this.contracts.oracle = new ethers.Contract(this.addresses.oracle, OracleABI.abi, this.provider);
+
+    this.contracts.insuranceFund = new ethers.Contract(
+      this.addresses.insuranceFund,
+      InsuranceFundABI.abi,
       this.signer
     );
 
-    // AccountBalance and Oracle contracts are read-only
-    // We'll use the ClearingHouse for position queries
-    // If we need these contracts, we'll need to add their ABIs to src/abis/
+    this.contracts.pool = new ethers.Contract(this.addresses.pool, PoolABI.abi, this.signer);
+
+    await this.loadMarkets();
 
     return this;
   }
 
+  /**
+   * Build the market registry from the ClearingHouse.
+   * Base tokens come from `MarketAdded` events plus any known `addresses.baseTokens`,
+   * and each market's config is read from the `markets` mapping.
+   */
+  async loadMarkets() {
+    const VammABI = require("../../abis/Vamm.json");
+    const clearingHouse = this.contracts.clearingHouse;
+
+    const baseTokens = new Set((this.addresses.baseTokens || []).map((token) => ethers.utils.getAddress(token)));
+
+    try {
+      const [events] = await this.scanLogs("markets", [[clearingHouse, clearingHouse.filters.MarketAdded()]]);
+      events.forEach((event) => baseTokens.add(ethers.utils.getAddress(event.args.baseToken)));
+    } catch (error) {
+      // The known base tokens are still checked below
+      console.warn("Error loading MarketAdded events:", error);
+    }
+
+    const markets = {};
+    await Promise.all(
+      [...baseTokens].map(async (baseToken) => {
+        try {
+          const market = await clearingHouse.markets(baseToken);
+          if (market.vamm === ethers.constants.AddressZero) {
+            return;
+          }
+
+          markets[baseToken] = {
+            baseToken,
+            vamm: market.vamm,
+            isActive: market.isActive,
+            maxLeverage: market.maxLeverage,
+            maintenanceMarginRatio: market.maintenanceMarginRatio,
+            liquidationFeeRatio: market.liquidationFeeRatio,
+            vammContract: new ethers.Contract(market.vamm, VammABI.abi, this.signer),
+          };
+        } catch (error) {
+          console.error(`Error loading market ${baseToken}:`, error);
+        }
+      })
+    );
+
+    this.markets = markets;
+    return this.getMarkets();
+  }
+
+  /**
+   * Get all listed markets
+   */
+  getMarkets() {
+    return Object.values(this.markets);
+  }
+
+  /**
+   * Get a listed market by base token
+   */
+  getMarket(baseToken) {
+    const market = this.markets[ethers.utils.getAddress(baseToken)];
+    if (!market) {
+      throw new Error(`Unknown perp market ${baseToken}`);
+    }
+    return market;
+  }
+
+  /**
+   * Get the vAMM contract instance of a market
+   */
+  getVamm(baseToken) {
+    return this.getMarket(baseToken).vammContract;
+  }
+
   /**
    * Open a perpetual position
    */
@@ -60,7 +166,8 @@ class PerpSDK {
         baseToken,
         collateralAmount,
         leverage,
-        slippageTolerance
+        slippageTolerance,
+        isLong
       );
 
       const deadline = Math.floor(Date.now() / 1000) + 300; // 5 minutes
@@ -82,13 +189,16 @@ class PerpSDK {
   }
 
   /**
-   * Close a perpetual position
+   * Close a perpetual position, fully or partially
+   * @param closeRatio Share of the position to close in basis points (10000 = 100%)
    */
-  async closePosition({ baseToken, positionSize, slippageTolerance = 0.01 }) {
+  async closePosition({ baseToken, closeRatio = BASIS_POINTS, slippageTolerance = 0.01 }) {
     try {
+      const trader = await this.signer.getAddress();
       const minQuoteAmount = await this.calculateMinQuoteAmount(
+        trader,
         baseToken,
-        positionSize,
+        closeRatio,
         slippageTolerance
       );
 
@@ -96,7 +206,7 @@ class PerpSDK {
 
       const tx = await this.contracts.exchangeRouter.closePositionToCollateral(
         baseToken,
-        positionSize,
+        closeRatio,
         minQuoteAmount,
         deadline
       );
@@ -121,6 +231,7 @@ class PerpSDK {
         entryPrice: position.entryPrice,
         fundingIndex: position.fundingIndex,
         lastUpdated: position.lastUpdated,
+        openNotional: position.openNotional,
       };
     } catch (error) {
       console.error("Error getting position:", error);
@@ -128,21 +239,53 @@ class PerpSDK {
     }
   }
 
+  /**
+   * Get user's open positions in every listed market, keyed by base token
+   */
+  async getPositions(trader) {
+    const positions = {};
+    await Promise.all(
+      this.getMarkets().map(async ({ baseToken }) => {
+        const position = await this.getPosition(trader, baseToken);
+        if (!position.size.isZero()) {
+          positions[baseToken] = position;
+        }
+      })
+    );
+    return positions;
+  }
+
   /**
    * Get account balance and margin info
+   * Unrealized PnL and pending funding are summed over every listed market
    */
   async getAccountInfo(trader) {
     try {
-      // Use ClearingHouse to get position info since AccountBalance ABI not available
-      // This is a simplified version - extend when AccountBalance ABI is added
-      const position = await this.contracts.clearingHouse.getPosition(trader, this.addresses.vammETH || this.addresses.vamm);
-      
+      const { accountBalance } = this.contracts;
+      const [collateral, accountValue, marginRatio, positions] = await Promise.all([
+        accountBalance.getCollateral(trader),
+        accountBalance.getAccountValue(trader),
+        accountBalance.getMarginRatio(trader),
+        this.getPositions(trader),
+      ]);
+
+      const unrealizedPnls = await Promise.all(
+        this.getMarkets().map(({ baseToken }) => accountBalance.getUnrealizedPnl(trader, baseToken))
+      );
+      const pendingFundings = await Promise.all(
+        Object.keys(positions).map((baseToken) =>
+          this.getPendingFunding(trader, baseToken, positions[baseToken].size)
+        )
+      );
+
+      const sum = (values) => values.reduce((total, value) => total.add(value), ethers.BigNumber.from(0));
+
       return {
-        collateral: position.collateral || ethers.BigNumber.from(0),
-        unrealizedPnL: ethers.BigNumber.from(0), // Will be calculated from position
-        pendingFunding: ethers.BigNumber.from(0),
-        accountValue: position.collateral || ethers.BigNumber.from(0),
-        marginRatio: ethers.BigNumber.from(0), // Will be calculated
+        collateral,
+        unrealizedPnL: sum(unrealizedPnls),
+        pendingFunding: sum(pendingFundings),
+        accountValue: accountValue.value,
+        marginRatio, // basis points
       };
     } catch (error) {
       console.error("Error getting account info:", error);
@@ -155,7 +298,8 @@ class PerpSDK {
    */
   async getMarkPrice(baseToken) {
     try {
-      return await this.contracts.vamm.getSpotPrice();
+      const spotPrice = await this.getVamm(baseToken).getSpotPrice();
+      return spotPrice.value;
     } catch (error) {
       console.error("Error getting mark price:", error);
       throw error;
@@ -167,9 +311,8 @@ class PerpSDK {
    */
   async getIndexPrice(baseToken) {
     try {
-      // Use vAMM spot price as index price for now
-      // Oracle ABI not available - extend when Oracle ABI is added
-      return await this.contracts.vamm.getSpotPrice();
+      const indexPrice = await this.contracts.oracle.getIndexPrice(baseToken);
+      return indexPrice.value;
     } catch (error) {
       console.error("Error getting index price:", error);
       throw error;
@@ -177,51 +320,197 @@ class PerpSDK {
   }
 
   /**
-   * Get funding rate
+   * Get TWAP price from oracle
+   */
+  async getTwapPrice(baseToken, interval) {
+    try {
+      const twapPrice = await this.contracts.oracle.getTwapPrice(baseToken, interval);
+      return twapPrice.value;
+    } catch (error) {
+      console.error("Error getting TWAP price:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get funding rate of the last funding period, in basis points
    */
   async getFundingRate(baseToken) {
     try {
-      // Funding contract ABI not available - return zero for now
-      // Extend when Funding ABI is added
-      return { 
-        longRate: ethers.BigNumber.from(0), 
-        shortRate: ethers.BigNumber.from(0) 
-      };
+      const [longRate, shortRate] = await this.contracts.funding.getFundingRate(baseToken);
+      return { longRate, shortRate };
     } catch (error) {
       console.error("Error getting funding rate:", error);
       throw error;
     }
   }
 
+  /**
+   * Get funding owed by (positive) or to (negative) a trader since their last settlement
+   */
+  async getPendingFunding(trader, baseToken, positionSize) {
+    try {
+      const pendingFunding = await this.contracts.funding.getPendingFunding(trader, baseToken, positionSize);
+      return pendingFunding.value;
+    } catch (error) {
+      console.error("Error getting pending funding:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the funding state of a market: rates of the last period, cumulative funding and when the next update is due
+   * @return Rates and cumulative funding in basis points, times and period in seconds
+   */
+  async getFundingInfo(baseToken) {
+    try {
+      const { funding } = this.contracts;
+      const [[longRate, shortRate], cumulativeFunding, lastFundingTime, fundingPeriod] = await Promise.all([
+        funding.getFundingRate(baseToken),
+        funding.getCumulativeFunding(baseToken),
+        funding.getLastFundingTime(baseToken),
+        funding.fundingPeriod(),
+      ]);
+      return {
+        longRate,
+        shortRate,
+        cumulativeFunding,
+        lastFundingTime: lastFundingTime.toNumber(),
+        fundingPeriod: fundingPeriod.toNumber(),
+        nextFundingTime: lastFundingTime.add(fundingPeriod).toNumber(),
+      };
+    } catch (error) {
+      console.error("Error getting funding info:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Past funding updates of a market from `FundingRateUpdated` logs, oldest first
+   */
+  async getFundingHistory(baseToken) {
+    const { funding } = this.contracts;
+    const [events] = await this.scanLogs(`funding-${baseToken}`, [
+      [funding, funding.filters.FundingRateUpdated(baseToken)],
+    ]);
+
+    return events.map(({ args, transactionHash }) => ({
+      longRate: args.longFundingRate,
+      shortRate: args.shortFundingRate,
+      cumulativeFunding: args.cumulativeFunding,
+      timestamp: args.timestamp.toNumber(),
+      txHash: transactionHash,
+    }));
+  }
+
   /**
    * Calculate price impact for a trade
    */
   async getPriceImpact(baseToken, isLong, amount) {
     try {
-      return await this.contracts.vamm.getPriceImpact(isLong, amount);
+      return await this.getVamm(baseToken).getPriceImpact(isLong, amount);
     } catch (error) {
       console.error("Error calculating price impact:", error);
       throw error;
     }
   }
 
+  /**
+   * Quote opening a position against the market's vAMM
+   * @param leverage Leverage in basis points
+   * @return Notional, expected base amount, fill price, price impact (basis points) and min base amount
+   */
+  async getOpenQuote({ baseToken, isLong, collateralAmount, leverage, slippageTolerance = 0.01 }) {
+    const vamm = this.getVamm(baseToken);
+    const notional = collateralAmount.mul(leverage).div(BASIS_POINTS);
+
+    // Longs swap the notional in for base, shorts sell as much base as the notional is worth
+    let baseAmount;
+    if (isLong) {
+      baseAmount = await vamm.getAmountOut(true, notional);
+    } else {
+      const { base, quote } = await vamm.getReserves();
+      baseAmount = getAmountIn(notional, base.value, quote.value);
+    }
+
+    const priceImpact = await vamm.getPriceImpact(isLong, isLong ? notional : baseAmount);
+
+    return {
+      notional,
+      baseAmount,
+      fillPrice: baseAmount.isZero() ? ethers.BigNumber.from(0) : notional.mul(PRICE_PRECISION).div(baseAmount),
+      priceImpact,
+      minBaseAmount: applySlippage(baseAmount, slippageTolerance),
+    };
+  }
+
+  /**
+   * Quote closing part of a position against the market's vAMM
+   * @param closeRatio Share of the position to close in basis points
+   * @return Close size, quote amount, fill price, price impact (basis points), realized PnL and min quote amount
+   */
+  async getCloseQuote({ trader, baseToken, closeRatio = BASIS_POINTS, slippageTolerance = 0.01 }) {
+    const position = await this.getPosition(trader, baseToken);
+    if (position.size.isZero()) {
+      throw new Error("No position");
+    }
+
+    const vamm = this.getVamm(baseToken);
+    const isLong = position.size.gt(0);
+    const closeSize = position.size.abs().mul(closeRatio).div(BASIS_POINTS);
+    const closeNotional = position.openNotional.mul(closeRatio).div(BASIS_POINTS);
+
+    // Closing a long sells base into the vAMM, closing a short buys it back
+    let quoteAmount;
+    if (isLong) {
+      quoteAmount = await vamm.getAmountOut(false, closeSize);
+    } else {
+      const { base, quote } = await vamm.getReserves();
+      quoteAmount = getAmountIn(closeSize, quote.value, base.value);
+    }
+
+    const priceImpact = await vamm.getPriceImpact(!isLong, isLong ? closeSize : quoteAmount);
+    const realizedPnl = isLong ? quoteAmount.sub(closeNotional) : closeNotional.sub(quoteAmount);
+
+    // ExchangeRouter only pays out the positive PnL the ClearingHouse returns, which is not priced from the vAMM.
+    // minQuoteAmount is checked against that payout, so it is simulated through the router.
+    const routerPnl = await this.contracts.exchangeRouter
+      .connect(this.provider)
+      .callStatic.closePositionToCollateral(baseToken, closeRatio, 0, Math.floor(Date.now() / 1000) + 300, {
+        from: trader,
+      });
+    const expectedPayout = routerPnl.gt(0) ? routerPnl : ethers.BigNumber.from(0);
+
+    return {
+      closeSize,
+      quoteAmount,
+      fillPrice: closeSize.isZero() ? ethers.BigNumber.from(0) : quoteAmount.mul(PRICE_PRECISION).div(closeSize),
+      priceImpact,
+      realizedPnl,
+      minQuoteAmount: applySlippage(expectedPayout, slippageTolerance),
+    };
+  }
+
   /**
    * Helper: Calculate minimum base amount for slippage protection
    */
-  async calculateMinBaseAmount(baseToken, collateralAmount, leverage, slippageTolerance) {
-    const notional = collateralAmount.mul(leverage);
-    const expectedBaseAmount = await this.contracts.vamm.getAmountOut(true, notional);
-    const minAmount = expectedBaseAmount.mul(10000 - slippageTolerance * 10000).div(10000);
-    return minAmount;
+  async calculateMinBaseAmount(baseToken, collateralAmount, leverage, slippageTolerance, isLong = true) {
+    const { minBaseAmount } = await this.getOpenQuote({
+      baseToken,
+      isLong,
+      collateralAmount,
+      leverage,
+      slippageTolerance,
+    });
+    return minBaseAmount;
   }
 
   /**
    * Helper: Calculate minimum quote amount for slippage protection
    */
-  async calculateMinQuoteAmount(baseToken, positionSize, slippageTolerance) {
-    const expectedQuoteAmount = await this.contracts.vamm.getAmountOut(false, positionSize);
-    const minAmount = expectedQuoteAmount.mul(10000 - slippageTolerance * 10000).div(10000);
-    return minAmount;
+  async calculateMinQuoteAmount(trader, baseToken, closeRatio, slippageTolerance) {
+    const { minQuoteAmount } = await this.getCloseQuote({ trader, baseToken, closeRatio, slippageTolerance });
+    return minQuoteAmount;
   }
 
   /**
@@ -251,6 +540,368 @@ class PerpSDK {
       throw error;
     }
   }
+
+  /**
+   * Get the insurance fund balance and health, and what `contributor` put in
+   * @return Balance, health, collateral token (address, symbol, decimals) and the contributor's contribution,
+   * wallet balance and allowance
+   */
+  async getInsuranceFundInfo(contributor) {
+    try {
+      const { insuranceFund } = this.contracts;
+      const [balance, isHealthy, collateralTokenAddress] = await Promise.all([
+        insuranceFund.getBalance(),
+        insuranceFund.isHealthy(),
+        insuranceFund.collateralToken(),
+      ]);
+
+      const info = { balance, isHealthy, collateralToken: { address: collateralTokenAddress } };
+      if (collateralTokenAddress === ethers.constants.AddressZero) {
+        return info;
+      }
+
+      const collateralToken = this.getCollateralToken(collateralTokenAddress);
+      const [symbol, decimals] = await Promise.all([collateralToken.symbol(), collateralToken.decimals()]);
+      info.collateralToken = { address: collateralTokenAddress, symbol, decimals };
+
+      if (contributor) {
+        const [contribution, tokenBalance, allowance] = await Promise.all([
+          insuranceFund.getContribution(contributor),
+          collateralToken.balanceOf(contributor),
+          collateralToken.allowance(contributor, insuranceFund.address),
+        ]);
+        Object.assign(info, { contribution, tokenBalance, allowance });
+      }
+
+      return info;
+    } catch (error) {
+      console.error("Error getting insurance fund info:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the insurance fund history from its logs, oldest first
+   * @return Contributions (`FundAdded`), bad debt covered (`FundUsed`) and liquidation fees received
+   * (`LiquidationFeeReceived`), each with the block timestamp, plus the total contributed
+   */
+  async getInsuranceFundHistory() {
+    const { insuranceFund } = this.contracts;
+    const [fundAdded, fundUsed, feesReceived] = await this.scanLogs("insuranceFund", [
+      [insuranceFund, insuranceFund.filters.FundAdded()],
+      [insuranceFund, insuranceFund.filters.FundUsed()],
+      [insuranceFund, insuranceFund.filters.LiquidationFeeReceived()],
+    ]);
+
+    const timestamps = await this.getBlockTimestamps([...fundAdded, ...fundUsed, ...feesReceived]);
+
+    const contributions = fundAdded.map(({ args, blockNumber, transactionHash }) => ({
+      contributor: args.contributor,
+      amount: args.amount,
+      timestamp: timestamps[blockNumber],
+      txHash: transactionHash,
+    }));
+
+    return {
+      contributions,
+      totalContributed: contributions.reduce((total, { amount }) => total.add(amount), ethers.BigNumber.from(0)),
+      badDebtCoverage: fundUsed.map(({ args, blockNumber, transactionHash }) => ({
+        trader: args.trader,
+        amount: args.amount,
+        badDebt: args.badDebt,
+        timestamp: timestamps[blockNumber],
+        txHash: transactionHash,
+      })),
+      liquidationFees: feesReceived.map(({ args, blockNumber, transactionHash }) => ({
+        amount: args.amount,
+        timestamp: timestamps[blockNumber],
+        txHash: transactionHash,
+      })),
+    };
+  }
+
+  /**
+   * Contribute `amount` of collateral to the insurance fund, approving it first when needed
+   */
+  async addInsuranceFund(amount) {
+    try {
+      const { insuranceFund } = this.contracts;
+      const collateralToken = this.getCollateralToken(await insuranceFund.collateralToken());
+
+      await this.approveCollateral(collateralToken, insuranceFund.address, amount);
+
+      const tx = await insuranceFund.addFund({ value: amount });
+      return await tx.wait();
+    } catch (error) {
+      console.error("Error adding to insurance fund:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the ERC20 contract of a collateral token
+   */
+  getCollateralToken(address) {
+    const TokenABI = require("../../abis/Token.json");
+    return new ethers.Contract(address, TokenABI.abi, this.signer);
+  }
+
+  /**
+   * Approve `spender` to pull `amount` of `collateralToken` from the signer, unless it already can
+   */
+  async approveCollateral(collateralToken, spender, amount) {
+    const allowance = await collateralToken.allowance(await this.signer.getAddress(), spender);
+    if (allowance.lt(amount)) {
+      const tx = await collateralToken.approve(spender, amount);
+      await tx.wait();
+    }
+  }
+
+  /**
+   * Logs matching each `[contract, filter]` query, oldest first. The first call for a `key` scans from `fromBlock` in
+   * chunks, later calls only scan the blocks mined since.
+   * @param fromBlock First block to scan, or a function resolving it, the deploy block by default
+   * @return One list of logs per query
+   */
+  async scanLogs(key, queries, fromBlock = this.addresses.fromBlock || 0) {
+    if (!this.logScans[key]) {
+      const logs = queries.map(() => []);
+      const scan = createLogScanner(this.provider, fromBlock, async (rangeFromBlock, rangeToBlock) => {
+        const rangeLogs = await Promise.all(
+          queries.map(([contract, filter]) => contract.queryFilter(filter, rangeFromBlock, rangeToBlock))
+        );
+        rangeLogs.forEach((filterLogs, i) => logs[i].push(...filterLogs));
+      });
+      this.logScans[key] = { scan, logs };
+    }
+    const { scan, logs } = this.logScans[key];
+    await scan();
+    return logs;
+  }
+
+  /**
+   * First block mined at or after `timestamp`, bisecting from the deploy block
+   */
+  async getBlockAtTimestamp(timestamp) {
+    let low = this.addresses.fromBlock || 0;
+    let high = await this.provider.getBlockNumber();
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const block = await this.provider.getBlock(middle);
+      if (block.timestamp < timestamp) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Get the timestamps of the blocks `events` were emitted in, events carry no time. Blocks are only fetched once.
+   * @return blockNumber => timestamp
+   */
+  async getBlockTimestamps(events) {
+    const blockNumbers = [...new Set(events.map((event) => event.blockNumber))];
+    const missingBlockNumbers = blockNumbers.filter((blockNumber) => !this.blockTimestamps[blockNumber]);
+    const blocks = await Promise.all(missingBlockNumbers.map((blockNumber) => this.provider.getBlock(blockNumber)));
+    blocks.forEach((block) => {
+      this.blockTimestamps[block.number] = block.timestamp;
+    });
+    const timestamps = {};
+    blockNumbers.forEach((blockNumber) => {
+      timestamps[blockNumber] = this.blockTimestamps[blockNumber];
+    });
+    return timestamps;
+  }
+
+  /**
+   * Get the vAMM liquidity pool state and the position of `provider`
+   * @return Pool value, LP supply, undistributed fees, collateral token (address, symbol, decimals) and the provider's
+   * shares, their value, pending rewards, wallet balance and allowance
+   */
+  async getPoolInfo(provider) {
+    try {
+      const { pool } = this.contracts;
+      const [totalValue, totalSupply, accumulatedFees, collateralTokenAddress] = await Promise.all([
+        pool.getTotalValue().then(({ value }) => value),
+        pool.getTotalSupply(),
+        pool.getAccumulatedFees(),
+        pool.collateralToken(),
+      ]);
+
+      const info = { totalValue, totalSupply, accumulatedFees, collateralToken: { address: collateralTokenAddress } };
+      if (collateralTokenAddress === ethers.constants.AddressZero) {
+        return info;
+      }
+
+      const collateralToken = this.getCollateralToken(collateralTokenAddress);
+      const [symbol, decimals] = await Promise.all([collateralToken.symbol(), collateralToken.decimals()]);
+      info.collateralToken = { address: collateralTokenAddress, symbol, decimals };
+
+      if (provider) {
+        const [shares, liquidityValue, pendingRewards, tokenBalance, allowance] = await Promise.all([
+          pool.balanceOf(provider),
+          pool.getLiquidityValue(provider).then(({ value }) => value),
+          pool.getPendingRewards(provider).then(({ value }) => value),
+          collateralToken.balanceOf(provider),
+          collateralToken.allowance(provider, pool.address),
+        ]);
+        Object.assign(info, { shares, liquidityValue, pendingRewards, tokenBalance, allowance });
+      }
+
+      return info;
+    } catch (error) {
+      console.error("Error getting pool info:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get trading fees the pool collected since `fromTimestamp` from its `FeesCollected` logs, oldest first.
+   * Logs are scanned from the first call's `fromTimestamp`, later calls only scan new blocks.
+   */
+  async getPoolFees(fromTimestamp) {
+    const { pool } = this.contracts;
+    const [events] = await this.scanLogs("poolFees", [[pool, pool.filters.FeesCollected()]], () =>
+      this.getBlockAtTimestamp(fromTimestamp)
+    );
+    const timestamps = await this.getBlockTimestamps(events);
+
+    return events
+      .map(({ args, blockNumber, transactionHash }) => ({
+        amount: args.amount,
+        timestamp: timestamps[blockNumber],
+        txHash: transactionHash,
+      }))
+      .filter(({ timestamp }) => timestamp >= fromTimestamp);
+  }
+
+  /**
+   * Deposit `amount` of collateral into the vAMM liquidity pool, approving it first when needed
+   */
+  async addPoolLiquidity(amount) {
+    try {
+      const { pool } = this.contracts;
+      await this.approveCollateral(this.getCollateralToken(await pool.collateralToken()), pool.address, amount);
+
+      const tx = await pool.addLiquidity({ value: amount });
+      return await tx.wait();
+    } catch (error) {
+      console.error("Error adding liquidity:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Burn `shares` LP shares for their part of the pool
+   */
+  async removePoolLiquidity(shares) {
+    try {
+      const tx = await this.contracts.pool.removeLiquidity({ value: shares });
+      return await tx.wait();
+    } catch (error) {
+      console.error("Error removing liquidity:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the signer's share of the fees the pool collected
+   */
+  async claimPoolRewards() {
+    try {
+      const tx = await this.contracts.pool.claimRewards();
+      return await tx.wait();
+    } catch (error) {
+      console.error("Error claiming pool rewards:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rank traders by realized PnL from `PositionChanged` logs, volume breaks ties.
+   * Trades routed through the ExchangeRouter are credited to the router's caller, not the router.
+   * @return Top `limit` traders with realizedPnl, volume and trade count
+   */
+  async getTopTraders(limit = 10) {
+    const { clearingHouse, exchangeRouter } = this.contracts;
+    const [changes, opens, closes] = await this.scanLogs("trades", [
+      [clearingHouse, clearingHouse.filters.PositionChanged()],
+      [exchangeRouter, exchangeRouter.filters.PositionOpened()],
+      [exchangeRouter, exchangeRouter.filters.PositionClosed()],
+    ]);
+
+    const trades = applyRouterLogs(
+      changes.map(({ args, transactionHash }) => ({
+        type: "trade",
+        account: args.trader,
+        baseToken: args.baseToken,
+        notional: args.exchangedPositionNotional,
+        realizedPnl: args.realizedPnl,
+        txHash: transactionHash,
+      })),
+      [...opens, ...closes].map(({ args, transactionHash }) => ({
+        txHash: transactionHash,
+        trader: args.trader,
+        baseToken: args.baseToken,
+      }))
+    );
+
+    const traders = {};
+    trades.forEach(({ account, notional, realizedPnl }) => {
+      const trader = ethers.utils.getAddress(account);
+      if (!traders[trader]) {
+        traders[trader] = {
+          account: trader,
+          realizedPnl: ethers.BigNumber.from(0),
+          volume: ethers.BigNumber.from(0),
+          trades: 0,
+        };
+      }
+      traders[trader].realizedPnl = traders[trader].realizedPnl.add(realizedPnl);
+      traders[trader].volume = traders[trader].volume.add(notional);
+      traders[trader].trades += 1;
+    });
+
+    return Object.values(traders)
+      .sort((a, b) => {
+        if (!a.realizedPnl.eq(b.realizedPnl)) return a.realizedPnl.gt(b.realizedPnl) ? -1 : 1;
+        if (!a.volume.eq(b.volume)) return a.volume.gt(b.volume) ? -1 : 1;
+        return 0;
+      })
+      .slice(0, limit);
+  }
+
+  /**
+   * Subscribe to position and funding events of a trader
+   * Listeners are attached through `provider` (e.g. a websocket provider), defaulting to the SDK's provider.
+   * Handlers receive the decoded event args followed by the raw event.
+   * @return Function removing every listener
+   */
+  subscribeToTraderEvents(
+    trader,
+    { onPositionChanged, onPositionLiquidated, onPositionOpened, onPositionClosed, onFundingPayment },
+    provider = this.provider
+  ) {
+    const clearingHouse = this.contracts.clearingHouse.connect(provider);
+    const exchangeRouter = this.contracts.exchangeRouter.connect(provider);
+    const funding = this.contracts.funding.connect(provider);
+
+    const subscriptions = [
+      [clearingHouse, clearingHouse.filters.PositionChanged(trader), onPositionChanged],
+      [clearingHouse, clearingHouse.filters.PositionLiquidated(trader), onPositionLiquidated],
+      [exchangeRouter, exchangeRouter.filters.PositionOpened(trader), onPositionOpened],
+      [exchangeRouter, exchangeRouter.filters.PositionClosed(trader), onPositionClosed],
+      [funding, funding.filters.FundingPayment(trader), onFundingPayment],
+    ].filter(([, , handler]) => Boolean(handler));
+
+    subscriptions.forEach(([contract, filter, handler]) => contract.on(filter, handler));
+
+    return () => {
+      subscriptions.forEach(([contract, filter, handler]) => contract.off(filter, handler));
+    };
+  }
 }
 
 export default PerpSDK;
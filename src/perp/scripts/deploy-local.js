@@ -100,6 +100,31 @@ async function main() {
   await exchangeRouter.deployed();
   console.log("ExchangeRouter deployed to:", exchangeRouter.address);
 
+  // Step 10: Deploy a mock LayerZero endpoint and an OFT collateral token for the bridge page.
+  // The OFT trusts itself as the remote so transfers loop back on the local chain.
+  console.log("\n10. Deploying mock LayerZero endpoint and OFT collateral...");
+  const { chainId } = await ethers.provider.getNetwork();
+  const MockLZEndpoint = await ethers.getContractFactory("MockLZEndpoint");
+  const lzEndpoint = await MockLZEndpoint.deploy(
+    chainId, // LayerZero chain id of the local network
+    ethers.utils.parseEther("0.0001"), // base fee
+    ethers.utils.parseUnits("1", "gwei") // fee per payload byte
+  );
+  await lzEndpoint.deployed();
+  console.log("MockLZEndpoint deployed to:", lzEndpoint.address);
+
+  const MockOFT = await ethers.getContractFactory("MockOFT");
+  const oftUSDC = await MockOFT.deploy("USD Coin (OFT)", "USDC", 6, lzEndpoint.address);
+  await oftUSDC.deployed();
+  await (await oftUSDC.setTrustedRemoteAddress(chainId, oftUSDC.address)).wait();
+  await (await oftUSDC.mint(deployer.address, ethers.utils.parseUnits("1000000", 6))).wait();
+  console.log("MockOFT (USDC) deployed to:", oftUSDC.address);
+
+  // Step 11: Let the deployer run the funding keeper (scripts/funding-keeper.js)
+  console.log("\n11. Setting Funding keeper...");
+  await (await funding.setKeeper(deployer.address)).wait();
+  console.log("Funding keeper set to:", deployer.address);
+
   // Summary
   console.log("\n=== Deployment Summary ===");
   console.log("Oracle:", oracle.address);
@@ -110,6 +135,8 @@ async function main() {
   console.log("vAMM (ETH):", vammETH.address);
   console.log("Pool:", pool.address);
   console.log("ExchangeRouter:", exchangeRouter.address);
+  console.log("MockLZEndpoint:", lzEndpoint.address);
+  console.log("MockOFT (USDC):", oftUSDC.address);
 
   // Save addresses to file
   const fs = require("fs");
@@ -123,6 +150,8 @@ async function main() {
     vammETH: vammETH.address,
     pool: pool.address,
     exchangeRouter: exchangeRouter.address,
+    lzEndpoint: lzEndpoint.address,
+    oftUSDC: oftUSDC.address,
   };
 
   fs.writeFileSync(
@@ -0,0 +1,34 @@
+const fs = require("fs");
+const path = require("path");
+
+// Contracts the frontend talks to, relative to artifacts/contracts
+const CONTRACTS = [
+  "core/ClearingHouse.sol/ClearingHouse.json",
+  "core/AccountBalance.sol/AccountBalance.json",
+  "core/Funding.sol/Funding.json",
+  "core/InsuranceFund.sol/InsuranceFund.json",
+  "amm/Vamm.sol/Vamm.json",
+  "amm/Pool.sol/Pool.json",
+  "oracle/Oracle.sol/Oracle.json",
+  "periphery/ExchangeRouter.sol/ExchangeRouter.json",
+];
+
+const ARTIFACTS_DIR = path.join(__dirname, "../artifacts/contracts");
+const ABIS_DIR = path.join(__dirname, "../../abis");
+
+function main() {
+  const only = process.argv.slice(2);
+
+  CONTRACTS.forEach((artifactPath) => {
+    const name = path.basename(artifactPath, ".json");
+    if (only.length && !only.includes(name)) {
+      return;
+    }
+
+    const artifact = JSON.parse(fs.readFileSync(path.join(ARTIFACTS_DIR, artifactPath), "utf8"));
+    fs.writeFileSync(path.join(ABIS_DIR, `${name}.json`), JSON.stringify({ abi: artifact.abi }, null, 2) + "\n");
+    console.log(`Exported ${name} ABI`);
+  });
+}
+
+main();
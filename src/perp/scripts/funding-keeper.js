@@ -0,0 +1,299 @@
+const hre = require("hardhat");
+const {
+  sleep,
+  getEnvNumber,
+  getEnvBoolean,
+  loadDeployments,
+  queryLogsInChunks,
+  createTransactionSender,
+  createMetrics,
+  startMetricsServer,
+  handleShutdown,
+} = require("./keeper/common");
+
+const { ethers } = hre;
+
+// Funding keeper: updates the funding rate of every ClearingHouse market once its funding period has elapsed, from
+// the vAMM spot price (mark) and the Oracle TWAP (index). The signer must be Funding's keeper, see Funding.setKeeper.
+//
+//   npx hardhat run scripts/funding-keeper.js --network localhost
+//   FUNDING_KEEPER_DRY_RUN=true npx hardhat run scripts/funding-keeper.js --network localhost
+//
+// Configured through the environment, see env.example.
+
+const BASIS_POINTS = 10000;
+const ONE_DAY = 24 * 60 * 60;
+
+function getConfig() {
+  return {
+    clearingHouse: process.env.CLEARING_HOUSE_ADDRESS,
+    funding: process.env.FUNDING_ADDRESS,
+    oracle: process.env.ORACLE_ADDRESS,
+    keeperPrivateKey: process.env.KEEPER_PRIVATE_KEY,
+    pollInterval: getEnvNumber("FUNDING_KEEPER_POLL_INTERVAL_MS", 60000),
+    startBlock: getEnvNumber("KEEPER_START_BLOCK", 0),
+    logBlockRange: getEnvNumber("KEEPER_LOG_BLOCK_RANGE", 2000),
+    maxGasPrice: ethers.utils.parseUnits(String(getEnvNumber("KEEPER_MAX_GAS_PRICE_GWEI", 50)), "gwei"),
+    twapInterval: getEnvNumber("FUNDING_TWAP_INTERVAL", 3600),
+    metricsPort: getEnvNumber("FUNDING_KEEPER_METRICS_PORT", 9465),
+    dryRun: getEnvBoolean("FUNDING_KEEPER_DRY_RUN"),
+    runOnce: getEnvBoolean("KEEPER_RUN_ONCE"),
+  };
+}
+
+/**
+ * Funding rate in basis points Funding.updateFundingRate will store for these prices, premium pro-rated over the
+ * funding period and capped at `maxFundingRate`
+ */
+function getExpectedFundingRate({ markPrice, indexPrice, fundingPeriod, maxFundingRate }) {
+  const premium = markPrice.sub(indexPrice).mul(BASIS_POINTS).div(indexPrice);
+  const fundingRate = premium.mul(fundingPeriod).div(ONE_DAY);
+  if (fundingRate.gt(maxFundingRate)) {
+    return ethers.BigNumber.from(maxFundingRate);
+  }
+  if (fundingRate.lt(ethers.BigNumber.from(maxFundingRate).mul(-1))) {
+    return ethers.BigNumber.from(maxFundingRate).mul(-1);
+  }
+  return fundingRate;
+}
+
+function createKeeperMetrics() {
+  const metrics = createMetrics("funding_keeper");
+  return {
+    metrics,
+    marketsTracked: metrics.gauge("markets_tracked", "Markets found in MarketAdded logs"),
+    lastScannedBlock: metrics.gauge(
+      "last_scanned_block",
+      "Last block scanned for MarketAdded and PositionChanged logs"
+    ),
+    fundingRate: metrics.gauge("funding_rate_bps", "Last long funding rate per market, in basis points"),
+    nextFundingTime: metrics.gauge("next_funding_timestamp_seconds", "Unix time the next update of a market is due"),
+    passErrors: metrics.counter("pass_errors_total", "Passes aborted by an error"),
+    updates: metrics.counter("updates_total", "Funding rate updates confirmed"),
+    updateFailures: metrics.counter("update_failures_total", "Funding rate updates that failed, by reason"),
+    updatesSkipped: metrics.counter("updates_skipped_total", "Due updates not sent, by reason"),
+  };
+}
+
+function createFundingKeeper({ clearingHouse, funding, oracle, getVamm, sender, keeperMetrics, config }) {
+  // baseToken => { baseToken, vamm }
+  const markets = new Map();
+  // baseToken => traders who traded it, for open interest
+  const traders = new Map();
+  let lastScannedBlock = config.startBlock - 1;
+
+  async function syncMarkets() {
+    const latestBlock = await clearingHouse.provider.getBlockNumber();
+    if (latestBlock <= lastScannedBlock) {
+      return;
+    }
+    const scan = (filter) =>
+      queryLogsInChunks(clearingHouse, filter, lastScannedBlock + 1, latestBlock, config.logBlockRange);
+
+    const marketEvents = await scan(clearingHouse.filters.MarketAdded());
+    marketEvents.forEach(({ args }) => {
+      markets.set(args.baseToken, { baseToken: args.baseToken, vamm: args.vamm });
+    });
+
+    const positionEvents = await scan(clearingHouse.filters.PositionChanged());
+    positionEvents.forEach(({ args }) => {
+      if (!traders.has(args.baseToken)) {
+        traders.set(args.baseToken, new Set());
+      }
+      traders.get(args.baseToken).add(args.trader);
+    });
+
+    lastScannedBlock = latestBlock;
+    keeperMetrics.marketsTracked.set(markets.size);
+    keeperMetrics.lastScannedBlock.set(latestBlock);
+  }
+
+  async function getOpenInterest(baseToken) {
+    let longOpenInterest = ethers.constants.Zero;
+    let shortOpenInterest = ethers.constants.Zero;
+    for (const trader of traders.get(baseToken) || []) {
+      const { size } = await clearingHouse.getPosition(trader, baseToken);
+      if (size.gt(0)) {
+        longOpenInterest = longOpenInterest.add(size);
+      } else {
+        shortOpenInterest = shortOpenInterest.add(size.abs());
+      }
+    }
+    return { longOpenInterest, shortOpenInterest };
+  }
+
+  /**
+   * Update the funding rate of `market` if its period elapsed. Resolves with what was (or in dry-run mode would be)
+   * submitted, undefined when not due or skipped.
+   */
+  async function updateMarket(market, { timestamp, fundingPeriod, maxFundingRate }) {
+    const { baseToken } = market;
+    const lastFundingTime = await funding.getLastFundingTime(baseToken);
+    const nextFundingTime = lastFundingTime.add(fundingPeriod);
+    keeperMetrics.nextFundingTime.set(nextFundingTime.toNumber(), { base_token: baseToken });
+    if (nextFundingTime.gt(timestamp)) {
+      return undefined;
+    }
+
+    const vamm = await getVamm(market.vamm);
+    const [markPrice, indexPrice] = await Promise.all([
+      vamm.getSpotPrice().then(({ value }) => value),
+      oracle.getTwapPrice(baseToken, config.twapInterval).then(({ value }) => value),
+    ]);
+    if (indexPrice.isZero()) {
+      keeperMetrics.updatesSkipped.inc({ reason: "no_index_price" });
+      console.log(`Skipping ${baseToken}: no index price cached by the Oracle`);
+      return undefined;
+    }
+
+    const { longOpenInterest, shortOpenInterest } = await getOpenInterest(baseToken);
+    const args = [baseToken, markPrice, indexPrice, longOpenInterest, shortOpenInterest];
+    const result = {
+      baseToken,
+      markPrice,
+      indexPrice,
+      fundingRate: getExpectedFundingRate({ markPrice, indexPrice, fundingPeriod, maxFundingRate }),
+    };
+    const prices = `mark ${ethers.utils.formatEther(markPrice)}, index ${ethers.utils.formatEther(indexPrice)}`;
+
+    let simulationError;
+    try {
+      await funding.callStatic.updateFundingRate(...args);
+    } catch (error) {
+      simulationError = error.reason || error.message;
+      console.error(`Funding update of ${baseToken} would revert:`, simulationError);
+    }
+
+    if (config.dryRun) {
+      console.log(`[dry run] Would update ${baseToken} to ${result.fundingRate} bps (${prices})`);
+      return { ...result, simulationError };
+    }
+    if (simulationError) {
+      keeperMetrics.updateFailures.inc({ reason: "simulation_reverted" });
+      return undefined;
+    }
+
+    let tx;
+    try {
+      tx = await sender.send(funding, "updateFundingRate", args);
+    } catch (error) {
+      keeperMetrics.updateFailures.inc({ reason: "send_failed" });
+      console.error(`Could not send funding update of ${baseToken}:`, error.reason || error.message);
+      return undefined;
+    }
+    if (!tx) {
+      keeperMetrics.updatesSkipped.inc({ reason: "gas_price_above_cap" });
+      console.log(`Gas price above the cap, funding update of ${baseToken} postponed`);
+      return undefined;
+    }
+    console.log(`Updating funding of ${baseToken} (${prices}): ${tx.hash}`);
+
+    let receipt;
+    try {
+      receipt = await tx.wait();
+    } catch (error) {
+      keeperMetrics.updateFailures.inc({ reason: "reverted" });
+      console.error(`Funding update ${tx.hash} failed:`, error.reason || error.message);
+      return undefined;
+    }
+
+    const event = receipt.events.find((item) => item.event === "FundingRateUpdated");
+    const { longFundingRate, shortFundingRate, cumulativeFunding } = event.args;
+    keeperMetrics.updates.inc();
+    keeperMetrics.fundingRate.set(longFundingRate.toNumber(), { base_token: baseToken });
+    console.log(
+      `FundingRateUpdated ${baseToken}: long ${longFundingRate} bps, short ${shortFundingRate} bps, ` +
+        `cumulative ${cumulativeFunding} in block ${receipt.blockNumber}`
+    );
+    return { ...result, fundingRate: longFundingRate, txHash: tx.hash, event: event.args };
+  }
+
+  async function runPass() {
+    await syncMarkets();
+
+    const [block, fundingPeriod, maxFundingRate] = await Promise.all([
+      clearingHouse.provider.getBlock("latest"),
+      funding.fundingPeriod(),
+      funding.maxFundingRate(),
+    ]);
+
+    // One at a time, nonces are assigned in order
+    const results = [];
+    for (const market of markets.values()) {
+      const result = await updateMarket(market, { timestamp: block.timestamp, fundingPeriod, maxFundingRate });
+      if (result) {
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  return { runPass, syncMarkets, updateMarket, markets };
+}
+
+async function main() {
+  const config = getConfig();
+  const deployments = loadDeployments(hre.network.name);
+  const signer = config.keeperPrivateKey
+    ? new ethers.Wallet(config.keeperPrivateKey, ethers.provider)
+    : (await ethers.getSigners())[0];
+
+  const clearingHouse = await ethers.getContractAt(
+    "ClearingHouse",
+    config.clearingHouse || deployments.clearingHouse,
+    signer
+  );
+  const funding = await ethers.getContractAt("Funding", config.funding || deployments.funding, signer);
+  const oracle = await ethers.getContractAt("Oracle", config.oracle || deployments.oracle, signer);
+
+  const keeperMetrics = createKeeperMetrics();
+  const sender = createTransactionSender({ signer, maxGasPrice: config.maxGasPrice });
+  const keeper = createFundingKeeper({
+    clearingHouse,
+    funding,
+    oracle,
+    getVamm: (address) => ethers.getContractAt("Vamm", address, signer),
+    sender,
+    keeperMetrics,
+    config,
+  });
+
+  console.log(`Funding keeper on ${hre.network.name} as ${signer.address}${config.dryRun ? " (dry run)" : ""}`);
+  console.log("ClearingHouse:", clearingHouse.address);
+  console.log("Funding:", funding.address);
+  console.log("Oracle:", oracle.address);
+  const fundingKeeper = await funding.keeper();
+  if (fundingKeeper !== signer.address) {
+    console.warn(`Warning: Funding keeper is ${fundingKeeper}, updates will revert until Funding.setKeeper is called`);
+  }
+
+  const server = config.runOnce ? undefined : startMetricsServer(keeperMetrics.metrics, config.metricsPort);
+  const shutdown = handleShutdown();
+
+  do {
+    try {
+      await keeper.runPass();
+    } catch (error) {
+      keeperMetrics.passErrors.inc();
+      console.error("Keeper pass failed:", error);
+    }
+    if (!config.runOnce && !shutdown.isStopped) {
+      await sleep(config.pollInterval);
+    }
+  } while (!config.runOnce && !shutdown.isStopped);
+
+  if (server) {
+    server.close();
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { createFundingKeeper, createKeeperMetrics, getExpectedFundingRate };
@@ -0,0 +1,202 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+// Shared plumbing for the keeper scripts: deployment addresses, log scanning, transaction sending and metrics
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function getEnvNumber(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === "") {
+    return defaultValue;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`${name} must be a number, got "${value}"`);
+  }
+  return parsed;
+}
+
+function getEnvBoolean(name, defaultValue = false) {
+  const value = process.env[name];
+  if (value === undefined || value === "") {
+    return defaultValue;
+  }
+  return value === "true" || value === "1";
+}
+
+/**
+ * Addresses written by the deploy scripts. `localhost` is the node started with `npm run node`, deploy-local.js
+ * saves its addresses as hardhat.json.
+ */
+function loadDeployments(networkName) {
+  const fileName = networkName === "localhost" ? "hardhat" : networkName;
+  const filePath = process.env.DEPLOYMENTS_FILE || path.join(DEPLOYMENTS_DIR, `${fileName}.json`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No deployments found at ${filePath}, deploy the contracts first`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Query `filter` on `contract` from `fromBlock` to `toBlock` in ranges of `blockRange`, RPCs cap the range of
+ * eth_getLogs
+ */
+async function queryLogsInChunks(contract, filter, fromBlock, toBlock, blockRange) {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, toBlock);
+    events.push(...(await contract.queryFilter(filter, start, end)));
+  }
+  return events;
+}
+
+/**
+ * Sends keeper transactions from one signer. Nonces are assigned locally so several transactions can be in flight in
+ * one block, and resynced from the node whenever a send fails. Nothing is sent while the network gas price is above
+ * `maxGasPrice`.
+ */
+function createTransactionSender({ signer, maxGasPrice, gasLimitMultiplierBps = 12000 }) {
+  let nextNonce;
+
+  async function syncNonce() {
+    nextNonce = await signer.getTransactionCount("pending");
+    return nextNonce;
+  }
+
+  async function getGasPrice() {
+    const gasPrice = await signer.provider.getGasPrice();
+    return { gasPrice, isAboveCap: Boolean(maxGasPrice) && gasPrice.gt(maxGasPrice) };
+  }
+
+  /**
+   * Send `method` of `contract` with `args`. Resolves to undefined when the gas price is above the cap.
+   */
+  async function send(contract, method, args) {
+    const { gasPrice, isAboveCap } = await getGasPrice();
+    if (isAboveCap) {
+      return undefined;
+    }
+
+    const estimatedGas = await contract.estimateGas[method](...args);
+    if (nextNonce === undefined) {
+      await syncNonce();
+    }
+    const nonce = nextNonce;
+    nextNonce += 1;
+
+    try {
+      return await contract[method](...args, {
+        nonce,
+        gasPrice,
+        gasLimit: estimatedGas.mul(gasLimitMultiplierBps).div(10000),
+      });
+    } catch (error) {
+      // The nonce may or may not have been consumed, the node knows
+      await syncNonce();
+      throw error;
+    }
+  }
+
+  return { send, syncNonce, getGasPrice };
+}
+
+/**
+ * Counters and gauges rendered in the Prometheus text exposition format
+ */
+function createMetrics(prefix) {
+  const metrics = new Map();
+
+  function getLabelKey(labels) {
+    return Object.keys(labels)
+      .sort()
+      .map((name) => `${name}="${String(labels[name]).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`)
+      .join(",");
+  }
+
+  function register(type, name, help) {
+    const metric = { type, name: `${prefix}_${name}`, help, values: new Map() };
+    metrics.set(metric.name, metric);
+
+    const update = (labels, fn) => {
+      const key = getLabelKey(labels);
+      metric.values.set(key, fn(metric.values.get(key) || 0));
+    };
+
+    return type === "counter"
+      ? { inc: (labels = {}, value = 1) => update(labels, (current) => current + value) }
+      : { set: (value, labels = {}) => update(labels, () => value) };
+  }
+
+  function render() {
+    const lines = [];
+    metrics.forEach((metric) => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      if (metric.values.size === 0 && metric.type === "counter") {
+        lines.push(`${metric.name} 0`);
+      }
+      metric.values.forEach((value, key) => {
+        lines.push(`${metric.name}${key ? `{${key}}` : ""} ${value}`);
+      });
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  return {
+    counter: (name, help) => register("counter", name, help),
+    gauge: (name, help) => register("gauge", name, help),
+    render,
+  };
+}
+
+/**
+ * Serve `metrics` on GET /metrics. Port 0 disables the server.
+ */
+function startMetricsServer(metrics, port) {
+  if (!port) {
+    return undefined;
+  }
+  const server = http.createServer((req, res) => {
+    if (req.method === "GET" && req.url === "/metrics") {
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+      res.end(metrics.render());
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  server.listen(port, () => console.log(`Metrics served on http://localhost:${port}/metrics`));
+  return server;
+}
+
+/**
+ * Flag raised by SIGINT or SIGTERM, keeper loops check `isStopped` between passes
+ */
+function handleShutdown() {
+  const state = { isStopped: false };
+  const stop = () => {
+    console.log("Stopping after the current pass...");
+    state.isStopped = true;
+  };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+  return state;
+}
+
+module.exports = {
+  sleep,
+  getEnvNumber,
+  getEnvBoolean,
+  loadDeployments,
+  queryLogsInChunks,
+  createTransactionSender,
+  createMetrics,
+  startMetricsServer,
+  handleShutdown,
+};
@@ -0,0 +1,282 @@
+const hre = require("hardhat");
+const {
+  sleep,
+  getEnvNumber,
+  getEnvBoolean,
+  loadDeployments,
+  queryLogsInChunks,
+  createTransactionSender,
+  createMetrics,
+  startMetricsServer,
+  handleShutdown,
+} = require("./keeper/common");
+
+const { ethers } = hre;
+
+// Liquidation keeper: follows positions through ClearingHouse PositionChanged logs and liquidates the ones that fall
+// under the maintenance margin.
+//
+//   npx hardhat run scripts/liquidation-keeper.js --network localhost
+//
+// Configured through the environment, see env.example.
+
+const BASIS_POINTS = 10000;
+
+function getConfig() {
+  return {
+    clearingHouse: process.env.CLEARING_HOUSE_ADDRESS,
+    keeperPrivateKey: process.env.KEEPER_PRIVATE_KEY,
+    pollInterval: getEnvNumber("KEEPER_POLL_INTERVAL_MS", 5000),
+    startBlock: getEnvNumber("KEEPER_START_BLOCK", 0),
+    logBlockRange: getEnvNumber("KEEPER_LOG_BLOCK_RANGE", 2000),
+    maxGasPrice: ethers.utils.parseUnits(String(getEnvNumber("KEEPER_MAX_GAS_PRICE_GWEI", 50)), "gwei"),
+    metricsPort: getEnvNumber("LIQUIDATION_KEEPER_METRICS_PORT", 9464),
+    runOnce: getEnvBoolean("KEEPER_RUN_ONCE"),
+  };
+}
+
+function getPositionKey(trader, baseToken) {
+  return `${trader.toLowerCase()}:${baseToken.toLowerCase()}`;
+}
+
+/**
+ * Margin ratio of a position in basis points, computed as ClearingHouse.liquidate does. Undefined for positions
+ * without value, liquidate cannot price them.
+ */
+function getPositionMarginRatio({ size, collateral, entryPrice }) {
+  const positionValue = size.abs().mul(entryPrice).div(ethers.constants.WeiPerEther);
+  if (positionValue.isZero()) {
+    return undefined;
+  }
+  return collateral.mul(BASIS_POINTS).div(positionValue);
+}
+
+function createKeeperMetrics() {
+  const metrics = createMetrics("liquidation_keeper");
+  return {
+    metrics,
+    positionsTracked: metrics.gauge("positions_tracked", "Open positions followed by the keeper"),
+    liquidatablePositions: metrics.gauge(
+      "liquidatable_positions",
+      "Positions under maintenance margin in the last pass"
+    ),
+    lastScannedBlock: metrics.gauge("last_scanned_block", "Last block scanned for PositionChanged logs"),
+    gasPriceGwei: metrics.gauge("gas_price_gwei", "Network gas price seen in the last pass"),
+    passDuration: metrics.gauge("pass_duration_seconds", "Duration of the last pass"),
+    lastPassTimestamp: metrics.gauge("last_pass_timestamp_seconds", "Unix time the last pass finished"),
+    passErrors: metrics.counter("pass_errors_total", "Passes aborted by an error"),
+    liquidationsSubmitted: metrics.counter("liquidations_submitted_total", "Liquidation transactions sent"),
+    liquidations: metrics.counter("liquidations_total", "Liquidation transactions confirmed"),
+    liquidationFailures: metrics.counter("liquidation_failures_total", "Liquidations that failed, by reason"),
+    liquidationsSkipped: metrics.counter("liquidations_skipped_total", "Liquidatable positions not sent, by reason"),
+  };
+}
+
+function createLiquidationKeeper({ clearingHouse, accountBalance, sender, keeperMetrics, config }) {
+  // key => { trader, baseToken }
+  const positions = new Map();
+  // key => hash of the liquidation in flight
+  const pendingLiquidations = new Map();
+  const markets = new Map();
+  let lastScannedBlock = config.startBlock - 1;
+
+  async function syncPositions() {
+    const latestBlock = await clearingHouse.provider.getBlockNumber();
+    if (latestBlock <= lastScannedBlock) {
+      return;
+    }
+    const events = await queryLogsInChunks(
+      clearingHouse,
+      clearingHouse.filters.PositionChanged(),
+      lastScannedBlock + 1,
+      latestBlock,
+      config.logBlockRange
+    );
+    events.forEach(({ args }) => {
+      positions.set(getPositionKey(args.trader, args.baseToken), { trader: args.trader, baseToken: args.baseToken });
+    });
+    lastScannedBlock = latestBlock;
+    keeperMetrics.lastScannedBlock.set(latestBlock);
+  }
+
+  async function getMaintenanceMarginRatio(baseToken) {
+    if (!markets.has(baseToken)) {
+      const market = await clearingHouse.markets(baseToken);
+      // Only active markets are cached, a market may still be added for this token
+      if (!market.isActive) {
+        return market.maintenanceMarginRatio;
+      }
+      markets.set(baseToken, market.maintenanceMarginRatio);
+    }
+    return markets.get(baseToken);
+  }
+
+  /**
+   * Open positions under maintenance margin. Closed positions stop being tracked. The account level check of
+   * AccountBalance flags every position of the trader, the per position check mirrors ClearingHouse.liquidate.
+   */
+  async function findLiquidatablePositions() {
+    const accounts = new Map();
+    const liquidatable = [];
+
+    for (const [key, position] of positions) {
+      const { size, collateral, entryPrice } = await clearingHouse.getPosition(position.trader, position.baseToken);
+      if (size.isZero()) {
+        positions.delete(key);
+        continue;
+      }
+
+      if (!accounts.has(position.trader)) {
+        const [marginRatio, isLiquidatable] = await Promise.all([
+          accountBalance.getMarginRatio(position.trader),
+          accountBalance.isLiquidatable(position.trader),
+        ]);
+        accounts.set(position.trader, { marginRatio, isLiquidatable });
+      }
+      const account = accounts.get(position.trader);
+
+      const maintenanceMarginRatio = await getMaintenanceMarginRatio(position.baseToken);
+      const marginRatio = getPositionMarginRatio({ size, collateral, entryPrice });
+      const isUnderMaintenance =
+        marginRatio !== undefined && !maintenanceMarginRatio.isZero() && marginRatio.lt(maintenanceMarginRatio);
+
+      if (account.isLiquidatable || isUnderMaintenance) {
+        liquidatable.push({ ...position, key, marginRatio, accountMarginRatio: account.marginRatio });
+      }
+    }
+
+    keeperMetrics.positionsTracked.set(positions.size);
+    keeperMetrics.liquidatablePositions.set(liquidatable.length);
+    return liquidatable;
+  }
+
+  /**
+   * Send the liquidation of `position`, resolves with its hash and a `mined` promise settling once it is mined.
+   * Simulated first so positions ClearingHouse would refuse cost no gas.
+   */
+  async function liquidate(position) {
+    const { key, trader, baseToken } = position;
+    if (pendingLiquidations.has(key)) {
+      return undefined;
+    }
+
+    try {
+      await clearingHouse.callStatic.liquidate(trader, baseToken);
+    } catch (error) {
+      keeperMetrics.liquidationsSkipped.inc({ reason: "simulation_reverted" });
+      console.log(`Skipping ${trader} on ${baseToken}: ${error.reason || error.message}`);
+      return undefined;
+    }
+
+    let tx;
+    try {
+      tx = await sender.send(clearingHouse, "liquidate", [trader, baseToken]);
+    } catch (error) {
+      keeperMetrics.liquidationFailures.inc({ reason: "send_failed" });
+      console.error(`Could not send liquidation of ${trader} on ${baseToken}:`, error.reason || error.message);
+      return undefined;
+    }
+    if (!tx) {
+      keeperMetrics.liquidationsSkipped.inc({ reason: "gas_price_above_cap" });
+      return undefined;
+    }
+
+    pendingLiquidations.set(key, tx.hash);
+    keeperMetrics.liquidationsSubmitted.inc();
+    console.log(`Liquidating ${trader} on ${baseToken} (margin ratio ${position.marginRatio} bps): ${tx.hash}`);
+
+    const mined = tx
+      .wait()
+      .then((receipt) => {
+        keeperMetrics.liquidations.inc();
+        console.log(`Liquidated ${trader} on ${baseToken} in block ${receipt.blockNumber}`);
+      })
+      .catch((error) => {
+        keeperMetrics.liquidationFailures.inc({ reason: "reverted" });
+        console.error(`Liquidation ${tx.hash} failed:`, error.reason || error.message);
+      })
+      .finally(() => pendingLiquidations.delete(key));
+    return { hash: tx.hash, mined };
+  }
+
+  async function runPass() {
+    const startedAt = Date.now();
+    await syncPositions();
+
+    const liquidatable = await findLiquidatablePositions();
+    const { gasPrice, isAboveCap } = await sender.getGasPrice();
+    keeperMetrics.gasPriceGwei.set(Number(ethers.utils.formatUnits(gasPrice, "gwei")));
+    if (isAboveCap && liquidatable.length > 0) {
+      console.log(`Gas price ${ethers.utils.formatUnits(gasPrice, "gwei")} gwei above the cap, waiting`);
+    }
+
+    // Sent one after the other so nonces stay in order, mined together
+    const mined = [];
+    for (const position of liquidatable) {
+      const liquidation = await liquidate(position);
+      if (liquidation) {
+        mined.push(liquidation.mined);
+      }
+    }
+    await Promise.all(mined);
+
+    keeperMetrics.passDuration.set((Date.now() - startedAt) / 1000);
+    keeperMetrics.lastPassTimestamp.set(Math.floor(Date.now() / 1000));
+  }
+
+  return { runPass, syncPositions, findLiquidatablePositions, liquidate, positions };
+}
+
+async function main() {
+  const config = getConfig();
+  const deployments = loadDeployments(hre.network.name);
+  const signer = config.keeperPrivateKey
+    ? new ethers.Wallet(config.keeperPrivateKey, ethers.provider)
+    : (await ethers.getSigners())[0];
+
+  const clearingHouse = await ethers.getContractAt(
+    "ClearingHouse",
+    config.clearingHouse || deployments.clearingHouse,
+    signer
+  );
+  const accountBalance = await ethers.getContractAt("AccountBalance", await clearingHouse.accountBalance(), signer);
+
+  const keeperMetrics = createKeeperMetrics();
+  const sender = createTransactionSender({ signer, maxGasPrice: config.maxGasPrice });
+  const keeper = createLiquidationKeeper({ clearingHouse, accountBalance, sender, keeperMetrics, config });
+
+  console.log(`Liquidation keeper on ${hre.network.name} as ${signer.address}`);
+  console.log("ClearingHouse:", clearingHouse.address);
+  console.log("AccountBalance:", accountBalance.address);
+  console.log("Max gas price:", ethers.utils.formatUnits(config.maxGasPrice, "gwei"), "gwei");
+
+  const server = config.runOnce ? undefined : startMetricsServer(keeperMetrics.metrics, config.metricsPort);
+  const shutdown = handleShutdown();
+
+  do {
+    try {
+      await keeper.runPass();
+    } catch (error) {
+      keeperMetrics.passErrors.inc();
+      console.error("Keeper pass failed:", error);
+    }
+    if (!config.runOnce && !shutdown.isStopped) {
+      await sleep(config.pollInterval);
+    }
+  } while (!config.runOnce && !shutdown.isStopped);
+
+  if (server) {
+    server.close();
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { createLiquidationKeeper, createKeeperMetrics, getPositionMarginRatio };
@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createFundingKeeper, createKeeperMetrics, getExpectedFundingRate } = require("../scripts/funding-keeper");
+const { createTransactionSender } = require("../scripts/keeper/common");
+
+describe("Funding keeper", function () {
+  const AddressZero = ethers.constants.AddressZero;
+  const fundingPeriod = 3600;
+  let clearingHouse, funding, oracle, vamm, baseToken;
+  let owner, keeperSigner, trader;
+
+  beforeEach(async function () {
+    [owner, keeperSigner, trader] = await ethers.getSigners();
+
+    const ClearingHouse = await ethers.getContractFactory("ClearingHouse");
+    clearingHouse = await ClearingHouse.deploy(AddressZero, AddressZero, AddressZero, AddressZero);
+
+    // Mark 2100 from the vAMM reserves, index 2000 from the feed
+    const Vamm = await ethers.getContractFactory("Vamm");
+    vamm = await Vamm.deploy(
+      { value: ethers.utils.parseEther("1000") },
+      { value: ethers.utils.parseEther("2100000") },
+      clearingHouse.address
+    );
+    baseToken = vamm.address;
+    await clearingHouse.addMarket(baseToken, vamm.address, 10000);
+
+    const MockAggregator = await ethers.getContractFactory("MockAggregator");
+    const feed = await MockAggregator.deploy(8, 200000000000);
+    const Oracle = await ethers.getContractFactory("Oracle");
+    oracle = await Oracle.deploy();
+    await oracle.addPriceFeed(baseToken, feed.address, 3600);
+
+    const Funding = await ethers.getContractFactory("Funding");
+    funding = await Funding.deploy(AddressZero);
+    await funding.setFundingPeriod(fundingPeriod);
+    await funding.setKeeper(keeperSigner.address);
+  });
+
+  function createKeeper(config = {}) {
+    const signer = keeperSigner;
+    return createFundingKeeper({
+      clearingHouse: clearingHouse.connect(signer),
+      funding: funding.connect(signer),
+      oracle: oracle.connect(signer),
+      getVamm: (address) => ethers.getContractAt("Vamm", address, signer),
+      sender: createTransactionSender({ signer }),
+      keeperMetrics: createKeeperMetrics(),
+      config: { startBlock: 0, logBlockRange: 2000, twapInterval: 3600, dryRun: false, ...config },
+    });
+  }
+
+  it("Should update due markets from mark and index prices and log FundingRateUpdated", async function () {
+    await clearingHouse.connect(trader).openPosition(baseToken, true, ethers.utils.parseEther("100"), 1000, 0);
+
+    const results = await createKeeper().runPass();
+
+    expect(results).to.have.length(1);
+    const [result] = results;
+    const expectedRate = getExpectedFundingRate({
+      markPrice: ethers.utils.parseEther("2100"),
+      indexPrice: ethers.utils.parseEther("2000"),
+      fundingPeriod,
+      maxFundingRate: 1000,
+    });
+    // 5% premium over an hour of funding
+    expect(expectedRate).to.equal(20);
+    expect(result.baseToken).to.equal(baseToken);
+    expect(result.fundingRate).to.equal(expectedRate);
+    expect(result.event.cumulativeFunding).to.equal(expectedRate);
+
+    const [longRate, shortRate] = await funding.getFundingRate(baseToken);
+    expect(longRate).to.equal(expectedRate);
+    expect(shortRate).to.equal(expectedRate.mul(-1));
+  });
+
+  it("Should wait for the funding period to elapse", async function () {
+    const keeper = createKeeper();
+    await keeper.runPass();
+    const lastFundingTime = await funding.getLastFundingTime(baseToken);
+
+    expect(await keeper.runPass()).to.have.length(0);
+    expect(await funding.getLastFundingTime(baseToken)).to.equal(lastFundingTime);
+
+    await time.increase(fundingPeriod);
+    const results = await keeper.runPass();
+    expect(results).to.have.length(1);
+    expect(await funding.getLastFundingTime(baseToken)).to.be.gt(lastFundingTime);
+    expect(await funding.getCumulativeFunding(baseToken)).to.equal(results[0].fundingRate.mul(2));
+  });
+
+  it("Should only report updates in dry-run mode", async function () {
+    const results = await createKeeper({ dryRun: true }).runPass();
+
+    expect(results).to.have.length(1);
+    expect(results[0].fundingRate).to.equal(20);
+    expect(results[0].simulationError).to.equal(undefined);
+    expect(await funding.getLastFundingTime(baseToken)).to.equal(0);
+  });
+
+  it("Should not let other accounts update funding", async function () {
+    await funding.setKeeper(owner.address);
+
+    const results = await createKeeper().runPass();
+
+    expect(results).to.have.length(0);
+    await expect(funding.connect(keeperSigner).updateFundingRate(baseToken, 1, 1, 0, 0)).to.be.revertedWith(
+      "Only ClearingHouse or keeper"
+    );
+  });
+});
@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("OFT bridge mocks", function () {
+  const LZ_CHAIN_ID = 31337;
+  const baseFee = ethers.utils.parseEther("0.0001");
+  const amount = ethers.utils.parseUnits("250", 6);
+  let endpoint, oft;
+  let owner, recipient;
+
+  beforeEach(async function () {
+    [owner, recipient] = await ethers.getSigners();
+
+    const MockLZEndpoint = await ethers.getContractFactory("MockLZEndpoint");
+    endpoint = await MockLZEndpoint.deploy(LZ_CHAIN_ID, baseFee, 0);
+
+    const MockOFT = await ethers.getContractFactory("MockOFT");
+    oft = await MockOFT.deploy("USD Coin (OFT)", "USDC", 6, endpoint.address);
+    await oft.setTrustedRemoteAddress(LZ_CHAIN_ID, oft.address);
+    await oft.mint(owner.address, ethers.utils.parseUnits("1000", 6));
+  });
+
+  function sendFrom(nativeFee) {
+    const toAddress = ethers.utils.solidityPack(["address"], [recipient.address]);
+    const adapterParams = ethers.utils.solidityPack(["uint16", "uint256"], [1, 200000]);
+    return oft.sendFrom(
+      owner.address,
+      LZ_CHAIN_ID,
+      toAddress,
+      amount,
+      owner.address,
+      ethers.constants.AddressZero,
+      adapterParams,
+      { value: nativeFee }
+    );
+  }
+
+  it("Should quote the endpoint fee for a transfer", async function () {
+    const toAddress = ethers.utils.solidityPack(["address"], [recipient.address]);
+    const { nativeFee, zroFee } = await oft.estimateSendFee(LZ_CHAIN_ID, toAddress, amount, false, "0x");
+    expect(nativeFee).to.equal(baseFee);
+    expect(zroFee).to.equal(0);
+  });
+
+  it("Should reject transfers paying less than the quoted fee", async function () {
+    await expect(sendFrom(baseFee.sub(1))).to.be.revertedWith("MockLZEndpoint: not enough native for fees");
+  });
+
+  it("Should burn on send and mint to the recipient on delivery", async function () {
+    await sendFrom(baseFee);
+
+    expect(await oft.balanceOf(owner.address)).to.equal(ethers.utils.parseUnits("750", 6));
+    expect(await oft.balanceOf(recipient.address)).to.equal(amount);
+  });
+
+  it("Should track outbound and inbound nonces while delivery is held", async function () {
+    const path = ethers.utils.solidityPack(["address", "address"], [oft.address, oft.address]);
+    await endpoint.setHoldDelivery(true);
+    await sendFrom(baseFee);
+
+    expect(await endpoint.getOutboundNonce(LZ_CHAIN_ID, oft.address)).to.equal(1);
+    expect(await endpoint.getInboundNonce(LZ_CHAIN_ID, path)).to.equal(0);
+    expect(await oft.balanceOf(recipient.address)).to.equal(0);
+
+    await endpoint.deliverQueued(1);
+    expect(await endpoint.getInboundNonce(LZ_CHAIN_ID, path)).to.equal(1);
+    expect(await oft.balanceOf(recipient.address)).to.equal(amount);
+  });
+});